@@ -0,0 +1,896 @@
+// admin.js
+// Authoring console for insights (admin.html): Supabase Auth sign-in, a post
+// list, and a Markdown editor whose preview uses the same pipeline as
+// openBlogModal / post.html (renderPostContent).
+//
+// Writes rely on the editor RLS policies in
+// supabase/migrations/20261019110000_post_editors.sql.
+
+import {
+  escapeHtml,
+  slugify,
+  renderPostContent,
+  estimateReadingTime,
+  formatSupabaseDate,
+  parseSupabaseTimestamp,
+} from './blogContent.js';
+import { highlightCode } from './codeHighlight.js';
+import { DEFAULT_LOCALE, LOCALES, normalizeLocale } from './i18n.js';
+import { postLocale } from './postTranslations.js';
+
+const LIST_COLUMNS = 'title, slug, published_at, category, tags, author, author_slugs, is_published, series, series_part, ' +
+  'locale, translation_of';
+const EDIT_COLUMNS = `${LIST_COLUMNS}, content`;
+
+// ---------- global state ----------
+
+let posts = [];              // every post the editor can see (drafts included)
+let editing = null;          // the saved row being edited, or null for a new post
+let currentTags = [];        // tags in the editor
+let authors = [];            // author profiles ({ slug, name }), by name
+let currentAuthors = [];     // byline in the editor: [{ slug, name, isNew }]
+let slugTouched = false;     // true once the slug was edited by hand
+let dirty = false;           // unsaved changes in the editor
+let slugCheckTimer = null;
+
+function getSupabase() {
+  return window.supabaseClient;
+}
+
+function $(id) {
+  return document.getElementById(id);
+}
+
+// ---------- status + dates ----------
+
+// 'draft' | 'scheduled' | 'published'
+function getPostStatus(post, now = new Date()) {
+  if (!post || !post.is_published) return 'draft';
+  const date = parseSupabaseTimestamp(post.published_at);
+  return date && date.getTime() > now.getTime() ? 'scheduled' : 'published';
+}
+
+const STATUS_LABELS = {
+  draft: { text: 'Draft', className: 'bg-dark-grey/15 text-dark-grey' },
+  scheduled: { text: 'Scheduled', className: 'bg-secondary/25 text-dark-brown' },
+  published: { text: 'Published', className: 'bg-primary/15 text-accent' },
+};
+
+function statusBadge(status) {
+  const { text, className } = STATUS_LABELS[status];
+  return `<span class="inline-block rounded-full px-2 py-0.5 text-[0.65rem] font-semibold uppercase tracking-wide ${className}">${text}</span>`;
+}
+
+// <input type="datetime-local"> works in local time without a zone.
+function toLocalInputValue(value) {
+  const date = value instanceof Date ? value : parseSupabaseTimestamp(value);
+  if (!date) return '';
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function fromLocalInputValue(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// ---------- flash messages ----------
+
+function flash(message, tone = 'info') {
+  const el = $('admin-flash');
+  if (!el) return;
+  if (!message) {
+    el.classList.add('hidden');
+    return;
+  }
+  el.textContent = message;
+  el.className = 'mb-4 rounded-lg px-4 py-2 text-sm ' + (tone === 'error'
+    ? 'bg-red-50 text-red-700 border border-red-200'
+    : 'bg-primary/10 text-accent border border-primary/30');
+}
+
+function describeError(error) {
+  if (!error) return 'Unknown error.';
+  if (error.code === '23505') {
+    if (/author/.test(error.message || '')) return 'An author is listed twice in the byline.';
+    if (/translation/.test(error.message || '')) return 'That insight already has a translation in this language.';
+    return /series_part/.test(error.message || '')
+      ? 'Another insight is already that part of this series.'
+      : 'Another insight already uses this slug.';
+  }
+  if (error.code === '23503') {
+    return /translation_of/.test(error.message || '')
+      ? 'There is no insight with the slug given under "Translation of".'
+      : 'The byline names an author without a profile.';
+  }
+  // Check constraints, and the translation rules in *_post_locales.sql.
+  if (error.code === '23514') {
+    if (/posts_translation_of_check/.test(error.message || '')) return "An insight can't be a translation of itself.";
+    if (/posts_locale_check/.test(error.message || '')) return 'Pick one of the listed languages.';
+    return error.message || 'This insight breaks a rule for translations.';
+  }
+  if (error.code === '42501') return "This account isn't allowed to edit insights.";
+  return error.message || String(error);
+}
+
+// ---------- views ----------
+
+function showView(name) {
+  ['auth', 'app', 'forbidden'].forEach(view => {
+    $(`admin-${view}`).classList.toggle('hidden', view !== name);
+  });
+  $('admin-sign-out').classList.toggle('hidden', name === 'auth');
+}
+
+async function handleSession(session) {
+  if (!session) {
+    $('admin-user').textContent = '';
+    showView('auth');
+    return;
+  }
+
+  $('admin-user').textContent = session.user.email || '';
+  const { data: isEditor, error } = await getSupabase().rpc('is_post_editor');
+  if (error || !isEditor) {
+    if (error) console.error('Editor check failed', error);
+    showView('forbidden');
+    return;
+  }
+
+  showView('app');
+  await Promise.all([loadPosts(), loadAuthors()]);
+  if (!editing && !dirty) startNewPost();
+}
+
+// ---------- auth ----------
+
+function initAuth() {
+  const form = $('admin-sign-in-form');
+  const errorEl = $('admin-auth-error');
+
+  const showAuthError = message => {
+    errorEl.textContent = message || '';
+    errorEl.classList.toggle('hidden', !message);
+  };
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    showAuthError('');
+    const email = $('admin-email').value.trim();
+    const password = $('admin-password').value;
+    if (!email || !password) {
+      showAuthError('Enter your email and password, or use a sign-in link.');
+      return;
+    }
+    const submit = form.querySelector('[type="submit"]');
+    submit.disabled = true;
+    const { error } = await getSupabase().auth.signInWithPassword({ email, password });
+    submit.disabled = false;
+    if (error) showAuthError(error.message);
+  });
+
+  $('admin-magic-link').addEventListener('click', async () => {
+    showAuthError('');
+    const email = $('admin-email').value.trim();
+    if (!email) {
+      showAuthError('Enter your email first.');
+      return;
+    }
+    const { error } = await getSupabase().auth.signInWithOtp({
+      email,
+      options: {
+        shouldCreateUser: false,
+        emailRedirectTo: window.location.href.split('#')[0],
+      },
+    });
+    if (error) showAuthError(error.message);
+    else flash(`Sign-in link sent to ${email}.`);
+  });
+
+  $('admin-sign-out').addEventListener('click', async () => {
+    if (dirty && !window.confirm('Discard unsaved changes and sign out?')) return;
+    dirty = false;
+    editing = null;
+    await getSupabase().auth.signOut();
+  });
+
+  // Fires INITIAL_SESSION on subscribe, then on every sign-in/out. Supabase
+  // calls made inside the callback can deadlock the auth client, so defer.
+  getSupabase().auth.onAuthStateChange((event, session) => {
+    if (!['INITIAL_SESSION', 'SIGNED_IN', 'SIGNED_OUT'].includes(event)) return;
+    setTimeout(() => handleSession(session), 0);
+  });
+}
+
+// ---------- post list ----------
+
+async function loadPosts() {
+  const { data, error } = await getSupabase()
+    .from('posts')
+    .select(LIST_COLUMNS)
+    .order('published_at', { ascending: false, nullsFirst: true });
+
+  if (error) {
+    console.error('Error loading posts', error);
+    $('admin-post-list').innerHTML = `
+      <p class="text-[0.78rem] text-red-600">Unable to load insights.</p>`;
+    return;
+  }
+
+  posts = data || [];
+  renderPostList();
+  updateSuggestions();
+}
+
+async function loadAuthors() {
+  const { data, error } = await getSupabase()
+    .from('authors')
+    .select('slug, name')
+    .order('name', { ascending: true });
+
+  if (error) {
+    console.error('Error loading authors', error);
+    return;
+  }
+
+  authors = data || [];
+  $('admin-author-options').innerHTML = authors
+    .map(a => `<option value="${escapeHtml(a.name)}">${escapeHtml(a.slug)}</option>`)
+    .join('');
+}
+
+function renderPostList() {
+  const container = $('admin-post-list');
+  const filter = $('admin-post-filter').value.trim().toLowerCase();
+  const visible = posts.filter(p =>
+    !filter ||
+    String(p.title || '').toLowerCase().includes(filter) ||
+    String(p.slug || '').includes(filter)
+  );
+
+  if (!visible.length) {
+    container.innerHTML = `
+      <p class="text-[0.78rem] text-dark-grey">${posts.length ? 'No matching insights.' : 'No insights yet.'}</p>`;
+    return;
+  }
+
+  container.innerHTML = visible.map(p => {
+    const active = editing && editing.slug === p.slug;
+    const date = p.published_at ? formatSupabaseDate(p.published_at) : 'No date';
+    return `
+      <button type="button" data-slug="${escapeHtml(p.slug)}"
+        class="w-full text-left rounded-lg border px-3 py-2 transition ${active
+          ? 'border-primary bg-primary/10'
+          : 'border-transparent hover:border-primary/40 hover:bg-paper/90'}">
+        <span class="block text-[0.8rem] font-semibold text-dark-brown">${escapeHtml(p.title || '(untitled)')}</span>
+        <span class="flex items-center gap-2 mt-0.5 text-[0.7rem] text-dark-grey">
+          ${statusBadge(getPostStatus(p))}
+          <span>${date}</span>
+          ${p.series ? `<span class="truncate">· ${escapeHtml(p.series)} #${escapeHtml(p.series_part)}</span>` : ''}
+          ${postLocale(p) !== DEFAULT_LOCALE ? `<span class="uppercase">· ${postLocale(p)}</span>` : ''}
+        </span>
+      </button>`;
+  }).join('');
+}
+
+// Category, tag, series and "Translation of" autocomplete from existing posts.
+function updateSuggestions() {
+  const categories = new Set();
+  const tags = new Set();
+  const series = new Set();
+  posts.forEach(p => {
+    if (p.category) categories.add(p.category);
+    if (p.series) series.add(p.series);
+    (Array.isArray(p.tags) ? p.tags : []).forEach(t => t && tags.add(t));
+  });
+
+  const toOptions = values => Array.from(values)
+    .sort((a, b) => a.localeCompare(b))
+    .map(v => `<option value="${escapeHtml(v)}"></option>`)
+    .join('');
+
+  $('admin-category-options').innerHTML = toOptions(categories);
+  $('admin-tag-options').innerHTML = toOptions(tags);
+  $('admin-series-options').innerHTML = toOptions(series);
+  // Translations point at an original, never at another translation.
+  $('admin-translation-options').innerHTML = posts
+    .filter(p => !p.translation_of && p.slug !== editing?.slug)
+    .map(p => `<option value="${escapeHtml(p.slug)}">${escapeHtml(p.title || p.slug)}</option>`)
+    .join('');
+}
+
+// First free part number in `name` (drafts count), for new parts.
+function nextSeriesPart(name) {
+  const key = name.trim().toLowerCase();
+  const taken = posts
+    .filter(p => p.slug !== editing?.slug && String(p.series || '').trim().toLowerCase() === key)
+    .map(p => Number(p.series_part) || 0);
+  return taken.length ? Math.max(...taken) + 1 : 1;
+}
+
+// ---------- editor ----------
+
+function getVisibility() {
+  const checked = document.querySelector('input[name="admin-visibility"]:checked');
+  return checked ? checked.value : 'draft';
+}
+
+function setVisibility(value) {
+  // Joining a series suggests its next free part number.
+  $('admin-series').addEventListener('change', () => {
+    const series = $('admin-series').value.trim();
+    if (series && !$('admin-series-part').value) $('admin-series-part').value = nextSeriesPart(series);
+    if (!series) $('admin-series-part').value = '';
+  });
+
+  document.querySelectorAll('input[name="admin-visibility"]').forEach(input => {
+    input.checked = input.value === value;
+  });
+  $('admin-schedule-wrap').classList.toggle('hidden', value !== 'schedule');
+}
+
+function renderTags() {
+  $('admin-tags').innerHTML = currentTags.map((tag, i) => `
+    <span class="inline-flex items-center gap-1 rounded-full border border-primary/40 bg-primary/10 px-2.5 py-0.5 text-[0.75rem] font-semibold text-accent">
+      ${escapeHtml(tag)}
+      <button type="button" data-remove-tag="${i}" aria-label="Remove tag ${escapeHtml(tag)}" class="text-accent hover:text-dark-brown">✕</button>
+    </span>`).join('');
+}
+
+function addTags(raw) {
+  String(raw || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean)
+    .forEach(tag => {
+      // Reuse the existing casing of a known tag.
+      const known = Array.from($('admin-tag-options').options)
+        .map(o => o.value)
+        .find(v => v.toLowerCase() === tag.toLowerCase());
+      const value = known || tag;
+      if (!currentTags.some(t => t.toLowerCase() === value.toLowerCase())) {
+        currentTags.push(value);
+        dirty = true;
+      }
+    });
+  renderTags();
+}
+
+// ---------- byline ----------
+
+function renderAuthors() {
+  $('admin-authors').innerHTML = currentAuthors.map((author, i) => `
+    <span class="inline-flex items-center gap-1 rounded-full border border-primary/40 bg-primary/10 px-2.5 py-0.5 text-[0.75rem] font-semibold text-accent">
+      ${escapeHtml(author.name)}${author.isNew ? ' <span class="font-normal text-dark-grey">(new profile)</span>' : ''}
+      <button type="button" data-remove-author="${i}" aria-label="Remove author ${escapeHtml(author.name)}" class="text-accent hover:text-dark-brown">✕</button>
+    </span>`).join('');
+}
+
+// Adds a byline entry per comma-separated name (or slug). Names without a
+// profile get one when the post is saved (ensureAuthorProfiles).
+function addAuthors(raw) {
+  String(raw || '')
+    .split(',')
+    .map(t => t.trim())
+    .filter(Boolean)
+    .forEach(value => {
+      const known = authors.find(a =>
+        a.slug === value || a.name.toLowerCase() === value.toLowerCase());
+      const author = known
+        ? { slug: known.slug, name: known.name, isNew: false }
+        : { slug: slugify(value), name: value, isNew: true };
+      if (author.slug && !currentAuthors.some(a => a.slug === author.slug)) {
+        currentAuthors.push(author);
+        dirty = true;
+      }
+    });
+  renderAuthors();
+}
+
+// Creates the profiles new byline names need before the post references them.
+async function ensureAuthorProfiles() {
+  const missing = currentAuthors
+    .filter(a => a.isNew)
+    .map(({ slug, name }) => ({ slug, name }));
+  if (!missing.length) return { error: null };
+
+  const { error } = await getSupabase()
+    .from('authors')
+    .upsert(missing, { onConflict: 'slug', ignoreDuplicates: true });
+  if (error) return { error };
+
+  currentAuthors.forEach(a => { a.isNew = false; });
+  await loadAuthors();
+  return { error: null };
+}
+
+function updatePreview() {
+  const raw = $('admin-content').value;
+  const html = raw.trim() ? renderPostContent(raw) : '';
+  $('admin-preview').innerHTML = html ||
+    '<p class="text-[0.85rem] text-dark-grey/80">Start writing to see a preview.</p>';
+  $('admin-preview-meta').textContent = html ? estimateReadingTime(html) : '';
+  highlightCode($('admin-preview'));
+}
+
+function updateEditorHeader() {
+  const isNew = !editing;
+  $('admin-editor-heading').textContent = isNew ? 'New insight' : (editing.title || '(untitled)');
+  $('admin-editor-status').innerHTML = isNew
+    ? 'Not saved yet'
+    : `${statusBadge(getPostStatus(editing))} ${editing.published_at
+      ? `<span class="ml-1">${formatSupabaseDate(editing.published_at)}</span>`
+      : ''}`;
+
+  const status = editing ? getPostStatus(editing) : 'draft';
+  $('admin-unpublish').classList.toggle('hidden', status === 'draft');
+
+  const live = $('admin-view-live');
+  live.classList.toggle('hidden', status !== 'published');
+  if (editing) live.href = `post.html?slug=${encodeURIComponent(editing.slug)}`;
+
+  $('admin-preview-link-create').classList.toggle('hidden', isNew || status === 'published');
+  $('admin-preview-link-wrap').classList.add('hidden');
+}
+
+function fillEditor(post) {
+  editing = post;
+  $('admin-title').value = post?.title || '';
+  $('admin-slug').value = post?.slug || '';
+  $('admin-category').value = post?.category || '';
+  $('admin-author-input').value = '';
+  currentAuthors = (Array.isArray(post?.author_slugs) ? post.author_slugs : [])
+    .filter(Boolean)
+    .map(slug => ({ slug, name: authors.find(a => a.slug === slug)?.name || slug, isNew: false }));
+  $('admin-series').value = post?.series || '';
+  $('admin-series-part').value = post?.series_part ?? '';
+  $('admin-locale').value = postLocale(post);
+  $('admin-translation-of').value = post?.translation_of || '';
+  $('admin-content').value = post?.content || '';
+  $('admin-tag-input').value = '';
+  currentTags = Array.isArray(post?.tags) ? post.tags.filter(Boolean) : [];
+  slugTouched = Boolean(post);
+
+  const status = getPostStatus(post);
+  setVisibility(status === 'scheduled' ? 'schedule' : status === 'published' ? 'publish' : 'draft');
+  $('admin-published-at').value = status === 'scheduled' ? toLocalInputValue(post.published_at) : '';
+
+  $('admin-slug-status').textContent = '';
+  renderTags();
+  renderAuthors();
+  updateSuggestions(); // "Translation of" leaves out the post being edited
+  updatePreview();
+  updateEditorHeader();
+  renderPostList();
+  dirty = false;
+}
+
+function startNewPost() {
+  fillEditor(null);
+  $('admin-title').focus();
+}
+
+async function openPost(slug) {
+  if (dirty && !window.confirm('Discard unsaved changes?')) return;
+
+  const { data, error } = await getSupabase()
+    .from('posts')
+    .select(EDIT_COLUMNS)
+    .eq('slug', slug)
+    .maybeSingle();
+
+  if (error || !data) {
+    flash(`Unable to open this insight. ${describeError(error)}`, 'error');
+    return;
+  }
+  flash('');
+  fillEditor(data);
+}
+
+// ---------- slugs ----------
+
+// First free slug for `base`: base, base-2, base-3, ... The post being edited
+// may keep its own slug.
+async function findAvailableSlug(base) {
+  const { data, error } = await getSupabase()
+    .from('posts')
+    .select('slug')
+    .like('slug', `${base}%`);
+  if (error) throw error;
+
+  const taken = new Set((data || []).map(p => p.slug));
+  if (editing) taken.delete(editing.slug);
+  if (!taken.has(base)) return base;
+  let n = 2;
+  while (taken.has(`${base}-${n}`)) n += 1;
+  return `${base}-${n}`;
+}
+
+function setSlugStatus(message, tone = 'info') {
+  const el = $('admin-slug-status');
+  el.textContent = message;
+  el.className = `mt-1 text-[0.75rem] ${tone === 'error' ? 'text-red-600' : 'text-dark-grey'}`;
+}
+
+async function checkSlug() {
+  const slug = $('admin-slug').value.trim();
+  if (!slug) {
+    setSlugStatus('');
+    return true;
+  }
+  if (slug !== slugify(slug)) {
+    setSlugStatus(`Use lowercase letters, numbers and dashes, e.g. "${slugify(slug)}".`, 'error');
+    return false;
+  }
+  try {
+    const available = await findAvailableSlug(slug);
+    if (available === slug) {
+      setSlugStatus(editing && editing.slug !== slug
+        ? `Changing the slug breaks links to /insights/${editing.slug}/.`
+        : 'Slug is available.');
+      return true;
+    }
+    setSlugStatus(`"${slug}" is taken. "${available}" is free.`, 'error');
+    return false;
+  } catch (err) {
+    console.error('Slug check failed', err);
+    setSlugStatus('Could not check the slug right now.', 'error');
+    return false;
+  }
+}
+
+function scheduleSlugCheck() {
+  clearTimeout(slugCheckTimer);
+  slugCheckTimer = setTimeout(checkSlug, 300);
+}
+
+async function syncSlugFromTitle() {
+  const base = slugify($('admin-title').value);
+  if (!base) return;
+  try {
+    $('admin-slug').value = await findAvailableSlug(base);
+  } catch (err) {
+    $('admin-slug').value = base;
+  }
+  checkSlug();
+}
+
+// ---------- save / unpublish ----------
+
+// Build the row from the form, or return { error } when it isn't saveable.
+function collectPayload() {
+  const title = $('admin-title').value.trim();
+  const slug = $('admin-slug').value.trim();
+  const content = $('admin-content').value;
+  const visibility = getVisibility();
+
+  if (!title) return { error: 'Add a title.' };
+  if (!slug || slug !== slugify(slug)) return { error: 'Add a valid slug.' };
+
+  const series = $('admin-series').value.trim();
+  const seriesPart = Number($('admin-series-part').value);
+  if (series && !(Number.isInteger(seriesPart) && seriesPart >= 1)) {
+    return { error: 'Give this insight a part number (1 or more) in its series.' };
+  }
+
+  const translationOf = $('admin-translation-of').value.trim();
+  if (translationOf && translationOf === slug) return { error: "An insight can't be a translation of itself." };
+
+  let isPublished = false;
+  let publishedAt = editing ? editing.published_at : null;
+
+  if (visibility === 'publish') {
+    isPublished = true;
+    const existing = parseSupabaseTimestamp(publishedAt);
+    // Keep the original date when re-saving a live post; otherwise publish now.
+    publishedAt = existing && getPostStatus(editing) === 'published'
+      ? existing.toISOString()
+      : new Date().toISOString();
+  } else if (visibility === 'schedule') {
+    const date = fromLocalInputValue($('admin-published-at').value);
+    if (!date) return { error: 'Pick a date and time to publish at.' };
+    if (date.getTime() <= Date.now()) return { error: 'Scheduled time must be in the future.' };
+    isPublished = true;
+    publishedAt = date.toISOString();
+  }
+
+  if (isPublished && !content.trim()) return { error: 'Add some content before publishing.' };
+
+  return {
+    payload: {
+      title,
+      slug,
+      content,
+      category: $('admin-category').value.trim() || null,
+      tags: currentTags,
+      // posts.author (the byline text) is derived from these by the database.
+      author_slugs: currentAuthors.map(a => a.slug),
+      series: series || null,
+      series_part: series ? seriesPart : null,
+      locale: normalizeLocale($('admin-locale').value) || DEFAULT_LOCALE,
+      translation_of: translationOf || null,
+      is_published: isPublished,
+      published_at: publishedAt,
+    },
+  };
+}
+
+async function writePost(payload) {
+  const supabase = getSupabase();
+  const query = editing
+    ? supabase.from('posts').update(payload).eq('slug', editing.slug)
+    : supabase.from('posts').insert(payload);
+  return query.select(EDIT_COLUMNS).single();
+}
+
+async function savePost() {
+  const { payload, error: invalid } = collectPayload();
+  if (invalid) {
+    flash(invalid, 'error');
+    return;
+  }
+  if (!(await checkSlug())) {
+    flash('Pick a different slug before saving.', 'error');
+    return;
+  }
+
+  const saveBtn = $('admin-save');
+  saveBtn.disabled = true;
+  const { error: authorError } = await ensureAuthorProfiles();
+  if (authorError) {
+    saveBtn.disabled = false;
+    console.error('Creating author profiles failed', authorError);
+    flash(`Save failed. ${describeError(authorError)}`, 'error');
+    return;
+  }
+  const { data, error } = await writePost(payload);
+  saveBtn.disabled = false;
+
+  if (error || !data) {
+    console.error('Save failed', error);
+    flash(`Save failed. ${describeError(error)}`, 'error');
+    return;
+  }
+
+  const status = getPostStatus(data);
+  flash(status === 'scheduled'
+    ? `Scheduled for ${formatSupabaseDate(data.published_at)}.`
+    : status === 'published' ? 'Published.' : 'Draft saved.');
+  fillEditor(data);
+  await loadPosts();
+}
+
+async function unpublishPost() {
+  if (!editing) return;
+  if (!window.confirm('Unpublish this insight? It will disappear from the site.')) return;
+
+  const btn = $('admin-unpublish');
+  btn.disabled = true;
+  const { data, error } = await getSupabase()
+    .from('posts')
+    .update({ is_published: false })
+    .eq('slug', editing.slug)
+    .select(EDIT_COLUMNS)
+    .single();
+  btn.disabled = false;
+
+  if (error || !data) {
+    flash(`Unpublish failed. ${describeError(error)}`, 'error');
+    return;
+  }
+  flash('Unpublished. The insight is a draft again.');
+  fillEditor(data);
+  await loadPosts();
+}
+
+// ---------- preview links ----------
+
+const PREVIEW_LINK_DAYS = 7;
+
+async function copyToClipboard(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Mint a signed token (create_post_preview_token) for the saved post, so a
+// client can read the draft through post.html?slug=…&preview=… without an account.
+async function createPreviewLink() {
+  if (!editing) return;
+  if (dirty) flash('The preview shows the last saved version. Save first to include your changes.');
+
+  const btn = $('admin-preview-link-create');
+  btn.disabled = true;
+  const { data: token, error } = await getSupabase().rpc('create_post_preview_token', {
+    p_slug: editing.slug,
+    p_valid_for: `${PREVIEW_LINK_DAYS} days`,
+  });
+  btn.disabled = false;
+
+  if (error || !token) {
+    flash(`Could not create a preview link. ${describeError(error)}`, 'error');
+    return;
+  }
+
+  const url = new URL('post.html', window.location.href);
+  url.searchParams.set('slug', editing.slug);
+  url.searchParams.set('preview', token);
+
+  $('admin-preview-link').value = url.href;
+  $('admin-preview-link-wrap').classList.remove('hidden');
+  const copied = await copyToClipboard(url.href);
+  $('admin-preview-link-note').textContent =
+    `${copied ? 'Copied. ' : ''}Anyone with this link can read the draft for ${PREVIEW_LINK_DAYS} days.`;
+}
+
+// ---------- Markdown toolbar ----------
+
+// Wrap the selection (or insert a placeholder) in Markdown syntax.
+const MARKDOWN_ACTIONS = {
+  bold: { before: '**', after: '**', placeholder: 'bold text' },
+  italic: { before: '_', after: '_', placeholder: 'italic text' },
+  heading: { before: '\n## ', after: '\n', placeholder: 'Heading', block: true },
+  link: { before: '[', after: '](https://)', placeholder: 'link text' },
+  list: { before: '\n- ', after: '', placeholder: 'List item', block: true },
+  quote: { before: '\n> ', after: '', placeholder: 'Quote', block: true },
+  code: { before: '`', after: '`', placeholder: 'code' },
+  // Content blocks (js/contentBlocks.js)
+  callout: { before: '\n:::tip\n', after: '\n:::\n', placeholder: 'Callout text', block: true },
+  figure: { before: '\n![', after: '](https:// "figure")\n', placeholder: 'Caption', block: true },
+  embed: { before: '\n:::embed ', after: '\n:::\n', placeholder: 'https://www.youtube.com/watch?v=', block: true },
+};
+
+function applyMarkdown(action) {
+  const spec = MARKDOWN_ACTIONS[action];
+  const textarea = $('admin-content');
+  if (!spec || !textarea) return;
+
+  const { selectionStart: start, selectionEnd: end, value } = textarea;
+  const selected = value.slice(start, end) || spec.placeholder;
+  // Block syntax only needs its leading newline mid-line.
+  const before = spec.block && (start === 0 || value[start - 1] === '\n')
+    ? spec.before.replace(/^\n/, '')
+    : spec.before;
+
+  textarea.setRangeText(before + selected + spec.after, start, end, 'end');
+  const selStart = start + before.length;
+  textarea.setSelectionRange(selStart, selStart + selected.length);
+  textarea.focus();
+  textarea.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+// ---------- init ----------
+
+function initEditor() {
+  const form = $('admin-editor');
+
+  $('admin-locale').innerHTML = Object.entries(LOCALES)
+    .map(([code, { name }]) => `<option value="${code}">${escapeHtml(name)}</option>`)
+    .join('');
+
+  form.addEventListener('input', () => { dirty = true; });
+  // Enter in a single-line field shouldn't save the post.
+  form.addEventListener('keydown', e => {
+    if (e.key === 'Enter' && e.target.matches('input:not([type="submit"])')) e.preventDefault();
+  });
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    savePost();
+  });
+
+  $('admin-title').addEventListener('input', () => {
+    if (!slugTouched) $('admin-slug').value = slugify($('admin-title').value);
+  });
+  $('admin-title').addEventListener('blur', () => {
+    if (!slugTouched && $('admin-title').value.trim()) syncSlugFromTitle();
+  });
+  $('admin-slug').addEventListener('input', () => {
+    slugTouched = true;
+    scheduleSlugCheck();
+  });
+  $('admin-slug-reset').addEventListener('click', () => {
+    slugTouched = false;
+    dirty = true;
+    syncSlugFromTitle();
+  });
+
+  let previewTimer = null;
+  $('admin-content').addEventListener('input', () => {
+    clearTimeout(previewTimer);
+    previewTimer = setTimeout(updatePreview, 150);
+  });
+
+  const tagInput = $('admin-tag-input');
+  tagInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTags(tagInput.value);
+      tagInput.value = '';
+    } else if (e.key === 'Backspace' && !tagInput.value && currentTags.length) {
+      currentTags.pop();
+      dirty = true;
+      renderTags();
+    }
+  });
+  // Picking a datalist suggestion fires "change" without a key press.
+  tagInput.addEventListener('change', () => {
+    addTags(tagInput.value);
+    tagInput.value = '';
+  });
+  $('admin-tags').addEventListener('click', e => {
+    const btn = e.target.closest('[data-remove-tag]');
+    if (!btn) return;
+    currentTags.splice(Number(btn.dataset.removeTag), 1);
+    dirty = true;
+    renderTags();
+  });
+
+  const authorInput = $('admin-author-input');
+  authorInput.addEventListener('keydown', e => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addAuthors(authorInput.value);
+      authorInput.value = '';
+    } else if (e.key === 'Backspace' && !authorInput.value && currentAuthors.length) {
+      currentAuthors.pop();
+      dirty = true;
+      renderAuthors();
+    }
+  });
+  authorInput.addEventListener('change', () => {
+    addAuthors(authorInput.value);
+    authorInput.value = '';
+  });
+  $('admin-authors').addEventListener('click', e => {
+    const btn = e.target.closest('[data-remove-author]');
+    if (!btn) return;
+    currentAuthors.splice(Number(btn.dataset.removeAuthor), 1);
+    dirty = true;
+    renderAuthors();
+  });
+
+  document.querySelectorAll('input[name="admin-visibility"]').forEach(input => {
+    input.addEventListener('change', () => setVisibility(getVisibility()));
+  });
+
+  $('admin-toolbar').addEventListener('click', e => {
+    const btn = e.target.closest('[data-md]');
+    if (btn) applyMarkdown(btn.dataset.md);
+  });
+
+  $('admin-unpublish').addEventListener('click', unpublishPost);
+  $('admin-preview-link-create').addEventListener('click', createPreviewLink);
+  $('admin-preview-link-copy').addEventListener('click', async () => {
+    const copied = await copyToClipboard($('admin-preview-link').value);
+    if (!copied) $('admin-preview-link').select();
+  });
+
+  $('admin-new-post').addEventListener('click', () => {
+    if (dirty && !window.confirm('Discard unsaved changes?')) return;
+    flash('');
+    startNewPost();
+  });
+  $('admin-post-filter').addEventListener('input', renderPostList);
+  $('admin-post-list').addEventListener('click', e => {
+    const btn = e.target.closest('[data-slug]');
+    if (btn) openPost(btn.dataset.slug);
+  });
+
+  window.addEventListener('beforeunload', e => {
+    if (!dirty) return;
+    e.preventDefault();
+    e.returnValue = '';
+  });
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  initEditor();
+  // The mock client (local mock mode) is set asynchronously.
+  await window.supabaseClientReady;
+  initAuth();
+});
@@ -0,0 +1,169 @@
+// analytics.js
+// A small event tracker in front of whatever analytics backend is configured.
+// Pages call track('event_name', { ...params }); every registered tracker gets
+// the event, but only once the visitor has opted in (js/consent.js). Without
+// consent nothing is loaded or sent.
+//
+// Trackers are { name, send(event, params), enable?(), disable?() }:
+//   - gtag:    Google Analytics 4, loaded on opt-in (MURO_CONFIG.analyticsId)
+//   - console: logs every event, for local dev (localhost / mock mode, or
+//              ?analytics_debug=1). It logs even without consent because
+//              nothing leaves the browser.
+// registerTracker() adds others.
+//
+// Events (GA4 naming):
+//   insights_filter      categories, tags, match, series,  blogs.html filters
+//                        author, language
+//   search               search_term, results, mode        blogs.html search
+//   insight_open         slug, title, source              modal / post page
+//   insight_open_page    slug                             "Open in a new page"
+//   insight_export       slug, placement                  "Export PDF"
+//   insights_sort        order                            blogs.html sort control
+//   related_click        from_slug, to_slug, placement    related/next/prev links
+//   insight_reaction     slug, reaction, active, placement "Helpful" button
+//   insight_scroll       slug, percent (25/50/75/100)     post.html
+//   insight_read_complete slug, seconds                    post.html
+//   contact_submit       service, queued                  index.html intake
+//   newsletter_subscribe placement, categories            sign-up widget
+//   newsletter_confirm                                    newsletter.html
+//   newsletter_update    categories                       newsletter.html topics
+//   newsletter_unsubscribe                                newsletter.html
+//   language_change      from, to                         language switcher
+
+import { getConsent, onConsentChange, initConsent } from './consent.js';
+
+const trackers = [];
+
+// ---------- trackers ----------
+
+export function registerTracker(tracker) {
+  trackers.push(tracker);
+  if (tracker.alwaysOn || getConsent() === 'granted') tracker.enable?.();
+}
+
+function createGtagTracker(measurementId) {
+  let loaded = false;
+
+  return {
+    name: 'gtag',
+    enable() {
+      window[`ga-disable-${measurementId}`] = false;
+      if (loaded) return;
+      loaded = true;
+      window.dataLayer = window.dataLayer || [];
+      window.gtag = function gtag() { window.dataLayer.push(arguments); };
+      window.gtag('js', new Date());
+      window.gtag('config', measurementId, { anonymize_ip: true });
+
+      const script = document.createElement('script');
+      script.async = true;
+      script.src = `https://www.googletagmanager.com/gtag/js?id=${encodeURIComponent(measurementId)}`;
+      document.head.appendChild(script);
+    },
+    disable() {
+      // Stops collection for the rest of this page and clears GA's cookies.
+      window[`ga-disable-${measurementId}`] = true;
+      document.cookie.split(';')
+        .map(c => c.split('=')[0].trim())
+        .filter(name => name === '_ga' || name.startsWith('_ga_'))
+        .forEach(name => {
+          const domain = window.location.hostname.replace(/^www\./, '');
+          document.cookie = `${name}=; Max-Age=0; path=/`;
+          document.cookie = `${name}=; Max-Age=0; path=/; domain=.${domain}`;
+        });
+    },
+    send(event, params) {
+      if (loaded && window.gtag) window.gtag('event', event, params);
+    },
+  };
+}
+
+const consoleTracker = {
+  name: 'console',
+  alwaysOn: true,
+  send(event, params, { consent }) {
+    console.info(`analytics: ${event}${consent === 'granted' ? '' : ' (not sent: no consent)'}`, params);
+  },
+};
+
+function isLocalDev() {
+  const config = window.MURO_CONFIG || {};
+  const debugParam = new URLSearchParams(window.location.search).get('analytics_debug') === '1';
+  return debugParam || config.dataSource === 'mock' ||
+    ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+}
+
+// ---------- tracking ----------
+
+export function track(event, params = {}) {
+  const consent = getConsent();
+  trackers.forEach(tracker => {
+    if (!tracker.alwaysOn && consent !== 'granted') return;
+    try {
+      tracker.send(event, params, { consent });
+    } catch (err) {
+      console.warn(`analytics: ${tracker.name} failed`, err);
+    }
+  });
+}
+
+// Fire insight_scroll at 25/50/75/100% of `article` and insight_read_complete
+// once the end is reached. Returns a cleanup function.
+export function trackReadingDepth(article, { slug }) {
+  if (!article) return () => {};
+  const started = Date.now();
+  const marks = [25, 50, 75, 100];
+  const reached = new Set();
+  let frame = null;
+
+  const update = () => {
+    frame = null;
+    const rect = article.getBoundingClientRect();
+    const seen = Math.min(rect.height, Math.max(0, window.innerHeight - rect.top));
+    const percent = rect.height > 0 ? (seen / rect.height) * 100 : 0;
+    marks.forEach(mark => {
+      if (percent + 0.5 < mark || reached.has(mark)) return;
+      reached.add(mark);
+      track('insight_scroll', { slug, percent: mark });
+      if (mark === 100) {
+        track('insight_read_complete', { slug, seconds: Math.round((Date.now() - started) / 1000) });
+      }
+    });
+    if (reached.size === marks.length) cleanup();
+  };
+
+  const onScroll = () => {
+    if (frame === null) frame = requestAnimationFrame(update);
+  };
+
+  function cleanup() {
+    window.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onScroll);
+    if (frame !== null) cancelAnimationFrame(frame);
+  }
+
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onScroll);
+  update();
+  return cleanup;
+}
+
+// ---------- init ----------
+
+function initAnalytics() {
+  const { analyticsId } = window.MURO_CONFIG || {};
+  if (analyticsId) registerTracker(createGtagTracker(analyticsId));
+  if (isLocalDev()) registerTracker(consoleTracker);
+
+  onConsentChange(status => {
+    trackers.forEach(tracker => {
+      if (tracker.alwaysOn) return;
+      if (status === 'granted') tracker.enable?.();
+      else tracker.disable?.();
+    });
+  });
+
+  initConsent();
+}
+
+initAnalytics();
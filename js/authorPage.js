@@ -0,0 +1,146 @@
+// authorPage.js
+// author.html?slug=<slug>: an author's profile (supabase/migrations/*_authors.sql)
+// and their published insights, co-written ones included, as grid cards.
+
+import { escapeHtml } from './blogContent.js';
+import { t } from './i18n.js';
+import { initPageLanguage } from './languageSwitcher.js';
+import { registerServiceWorker } from './serviceWorker.js';
+import {
+  getAuthorBySlug,
+  getPublishedPosts,
+  NotFoundError,
+  describeInsightsError,
+} from './insightsApi.js';
+import { authorInitials, authorLinks } from './postAuthors.js';
+import { createPostCard, initGridKeyboard } from './postCards.js';
+
+// Beyond this the page points to the filtered grid (blogs.html?author=…).
+const AUTHOR_POST_LIMIT = 48;
+
+function getSlugFromQuery() {
+  return (new URLSearchParams(window.location.search).get('slug') || '').trim();
+}
+
+// Site-relative paths and http(s) URLs only.
+function isSafeImageUrl(url) {
+  return Boolean(url) && (/^https?:\/\//i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url));
+}
+
+function showError(message) {
+  document.getElementById('author-loading')?.classList.add('hidden');
+  const errorEl = document.getElementById('author-error');
+  if (!errorEl) return;
+  errorEl.textContent = message;
+  errorEl.classList.remove('hidden');
+}
+
+function renderProfile(author) {
+  const profile = document.getElementById('author-profile');
+  if (!profile) return;
+
+  const avatar = isSafeImageUrl(author.avatar_url)
+    ? `<img src="${escapeHtml(author.avatar_url)}" alt="" width="96" height="96"
+            class="h-24 w-24 rounded-full object-cover border border-dark-brown/15 bg-white">`
+    : `<span aria-hidden="true"
+             class="inline-flex h-24 w-24 items-center justify-center rounded-full bg-primary/15 border border-primary/40 text-2xl font-montserrat font-bold text-primary">
+         ${escapeHtml(authorInitials(author.name))}
+       </span>`;
+
+  const bio = String(author.bio || '')
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean)
+    .map(paragraph => `<p class="mb-2">${escapeHtml(paragraph)}</p>`)
+    .join('');
+
+  const links = authorLinks(author);
+  const linksHtml = links.length
+    ? `<ul class="mt-3 flex flex-wrap gap-x-4 gap-y-1 text-sm">
+         ${links.map(link => `
+           <li>
+             <a href="${escapeHtml(link.url)}" rel="me noopener" target="_blank"
+                class="font-semibold text-primary hover:text-accent underline underline-offset-2">${escapeHtml(link.label)}</a>
+           </li>`).join('')}
+       </ul>`
+    : '';
+
+  profile.innerHTML = `
+    <div class="shrink-0">${avatar}</div>
+    <div>
+      <h1 class="h-title text-3xl md:text-4xl mb-1">${escapeHtml(author.name)}</h1>
+      ${author.role ? `<p class="text-sm font-semibold text-dark-brown mb-3">${escapeHtml(author.role)}</p>` : ''}
+      <div class="text-sm md:text-base text-dark-grey/95">${bio}</div>
+      ${linksHtml}
+    </div>
+  `;
+
+  document.title = `${author.name} • Muro Consulting Services`;
+  const description = document.querySelector('meta[name="description"]');
+  if (description) {
+    description.setAttribute('content', author.role
+      ? t('author.descriptionWithRole', { name: author.name, role: author.role })
+      : t('author.description', { name: author.name }));
+  }
+
+  document.getElementById('author-loading')?.classList.add('hidden');
+  profile.classList.remove('hidden');
+}
+
+function renderPosts(author, posts) {
+  const container = document.getElementById('author-posts');
+  const statusEl = document.getElementById('author-posts-status');
+  const heading = document.getElementById('author-posts-heading');
+  const gridLink = document.getElementById('author-filter-link');
+  if (!container) return;
+
+  if (heading) heading.textContent = t('author.insightsBy', { name: author.name });
+  if (statusEl) {
+    if (!posts.length) statusEl.textContent = t('author.none');
+    else if (posts.length === AUTHOR_POST_LIMIT) statusEl.textContent = t('author.countMore', { count: posts.length });
+    else statusEl.textContent = t('author.count', { count: posts.length });
+  }
+  if (gridLink) {
+    gridLink.href = `blogs.html?author=${encodeURIComponent(author.slug)}`;
+    gridLink.textContent = t('author.filterLink');
+  }
+
+  container.innerHTML = '';
+  posts.forEach(post => container.appendChild(createPostCard(post)));
+}
+
+async function loadAuthorPage() {
+  const slug = getSlugFromQuery();
+  if (!slug) {
+    showError(t('author.noSlug'));
+    return;
+  }
+
+  let author;
+  try {
+    author = await getAuthorBySlug(slug);
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) console.error(err);
+    showError(err instanceof NotFoundError
+      ? t('author.notFound')
+      : describeInsightsError(err));
+    return;
+  }
+  renderProfile(author);
+
+  const statusEl = document.getElementById('author-posts-status');
+  if (statusEl) statusEl.textContent = t('author.loadingInsights');
+  try {
+    renderPosts(author, await getPublishedPosts({ author: slug, limit: AUTHOR_POST_LIMIT }));
+  } catch (err) {
+    console.error(err);
+    if (statusEl) statusEl.textContent = describeInsightsError(err);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initPageLanguage();
+  registerServiceWorker();
+  initGridKeyboard(document.getElementById('author-posts'));
+  loadAuthorPage();
+});
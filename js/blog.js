@@ -1,146 +1,312 @@
 // blog.js
 
-// ---------- helpers ----------
-
-function getPlainText(html) {
-  const tmp = document.createElement('div');
-  tmp.innerHTML = html || '';
-  const text = tmp.textContent || tmp.innerText || '';
-  return text.replace(/\s+/g, ' ').trim();
-}
-
-// Turn HTML content into a text excerpt
-function createExcerpt(html, maxLength = 220) {
-  const cleaned = getPlainText(html);
-  if (cleaned.length <= maxLength) return cleaned;
-  return cleaned.slice(0, maxLength).trim() + '…';
-}
-
-// Escape HTML for small text fields (used before inserting into templates)
-function escapeHtml(str) {
-  return String(str || '')
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
-
-// Decode HTML entities back into literal characters.
-// Useful when content stored in Supabase contains escaped HTML like
-// "&lt;p&gt;Hello&lt;/p&gt;" and we want to render <p>Hello</p>.
-function decodeHtmlEntities(str) {
-  // Decode repeatedly in case the content was escaped multiple times
-  // (e.g. "&amp;lt;p&amp;gt;" -> "&lt;p&gt;" -> "<p>").
-  let current = String(str || '');
-  const txt = document.createElement('textarea');
-  let prev;
-  let iterations = 0;
-  do {
-    prev = current;
-    txt.innerHTML = current;
-    current = txt.value;
-    iterations += 1;
-  } while (
-    iterations < 5 &&
-    current !== prev &&
-    /&(lt|gt|amp|quot|#39);/i.test(current)
-  );
+import {
+  escapeHtml,
+  formatSupabaseDate,
+  getPlainText,
+  preparePost,
+  getRelatedPosts,
+  collectCategories,
+} from './blogContent.js';
+import {
+  parseSearchQuery,
+  isEmptyQuery,
+  toWebsearchQuery,
+  createSearchDocument,
+  rankDocuments,
+  buildSearchIndex,
+} from './blogSearch.js';
+import {
+  MIN_TOC_HEADINGS,
+  addHeadingAnchors,
+  bindHeadingAnchors,
+  renderTocList,
+  initScrollSpy,
+  scrollToSection,
+  sectionIdFromHash,
+} from './postToc.js';
+import { registerServiceWorker, onCachedInsights, showCachedNotice } from './serviceWorker.js';
+import {
+  getPublishedPosts,
+  getPostBySlug,
+  getAuthors,
+  NotFoundError,
+  describeInsightsError,
+} from './insightsApi.js';
+import { track } from './analytics.js';
+import { localeName, normalizeLocale, t } from './i18n.js';
+import { initPageLanguage } from './languageSwitcher.js';
+import { initEngagementBar } from './postEngagement.js';
+import { formatSeriesPosition, getSeriesContext, groupSeries, seriesName } from './postSeries.js';
+import { openDialog, closeDialog } from './modalDialog.js';
+import { highlightCode } from './codeHighlight.js';
+import { exportInsightPdf } from './printExport.js';
+import { initNewsletterSignups } from './newsletter.js';
+import { authorPath, authorSlugs, renderByline } from './postAuthors.js';
+import { collectLocales, postLocale } from './postTranslations.js';
+import {
+  CARD_CLASSES,
+  CARD_LINK_CLASSES,
+  bindCardActivation,
+  createPostCard,
+  getPrepared,
+  hasFullContent,
+  initGridKeyboard,
+} from './postCards.js';
 
-  // If after decoding we still see escaped angle brackets, warn to help debug.
-  if (/(?:&lt;|&gt;)/.test(current)) {
-    console.warn('Decoded HTML still contains escaped entities — content may be double-escaped or stored oddly.', { sampleBefore: str, sampleAfter: current });
-  }
+// ---------- global state ----------
 
-  return current;
+let allPosts = [];             // summaries loaded so far (pages from post_summaries)
+let facetPosts = [];           // category + tags of every published post, for filter buttons
+let authors = [];              // author profiles, for bylines and the author filter
+let selectedCategories = [];   // empty = all categories
+let selectedTags = [];         // empty = any topic
+let matchMode = 'any';         // 'any' | 'all' (see matchesSelection)
+let selectedSeries = '';       // one series name, or '' for all posts (series collapsed)
+let selectedAuthor = '';       // one author slug, or '' for every author
+let selectedLocale = '';       // one post language ('en', 'es'), or '' for all
+let searchQuery = '';          // free-text search
+let sortOrder = 'newest';      // 'newest' | 'most_read' | 'most_helpful'
+let searchMatches = new WeakMap(); // post -> matched tokens (for highlighting) while searching
+
+// ---------- URL state ----------
+
+// Filters, sorting and the open modal are mirrored in the query string, so
+// views like "?category=Grants&tag=fundraising&tag=board&match=all&q=board",
+// "?series=Fundraising+Foundations", "?author=<slug>", "?language=es", "?sort=most_read" or
+// "?post=<slug>" can be bookmarked, shared and restored with the back button.
+
+const SORT_ORDERS = ['newest', 'most_read', 'most_helpful'];
+
+let openModalSlug = null;          // slug of the post shown in the modal, if any
+let modalPushedHistory = false;    // true when the open modal added its own history entry
+let announceResults = false;       // read out the result count once the next first page renders
+let modalSectionId = '';           // section of the open post in the URL hash ("?post=x#budgeting")
+
+function uniqueValues(values) {
+  const seen = new Set();
+  return values.filter(v => {
+    const key = String(v || '').toLowerCase();
+    if (!key || key === 'all' || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
 }
 
-// Estimate reading time (in minutes) from HTML content
-function estimateReadingTime(html) {
-  const text = getPlainText(html);
-  const words = text ? text.split(/\s+/).filter(Boolean).length : 0;
-  if (!words) return '';
-  const minutes = Math.max(1, Math.round(words / 220)); // ~220 wpm
-  return `${minutes} min read`;
+function readUrlState() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    categories: uniqueValues(params.getAll('category')),
+    tags: uniqueValues(params.getAll('tag')),
+    match: params.get('match') === 'all' ? 'all' : 'any',
+    series: (params.get('series') || '').trim(),
+    author: (params.get('author') || '').trim(),
+    locale: normalizeLocale(params.get('language')) || '',
+    search: params.get('q') || '',
+    sort: SORT_ORDERS.includes(params.get('sort')) ? params.get('sort') : 'newest',
+    post: params.get('post') || null,
+  };
 }
 
-// Format Supabase timestamp/date string without timezone surprises
-function formatSupabaseDate(value) {
-  if (!value) return '';
-  const str = String(value); // e.g. "2024-10-03T00:00:00+00:00" or "2024-10-03 00:00:00+00"
-  // Always take the first 10 chars: "YYYY-MM-DD"
-  const datePart = str.slice(0, 10);
-  const [yearStr, monthStr, dayStr] = datePart.split('-');
-  const year = Number(yearStr);
-  const month = Number(monthStr);
-  const day = Number(dayStr);
-
-  if (!year || !month || !day) return '';
+function buildUrl() {
+  const params = new URLSearchParams(window.location.search);
+  ['category', 'tag', 'match', 'series', 'author', 'language', 'q', 'sort', 'post'].forEach(key => params.delete(key));
+
+  selectedCategories.forEach(cat => params.append('category', cat));
+  selectedTags.forEach(tag => params.append('tag', tag));
+  if (matchMode === 'all') params.set('match', 'all');
+  if (selectedSeries) params.set('series', selectedSeries);
+  if (selectedAuthor) params.set('author', selectedAuthor);
+  if (selectedLocale) params.set('language', selectedLocale);
+  if (searchQuery.trim()) params.set('q', searchQuery.trim());
+  if (sortOrder !== 'newest') params.set('sort', sortOrder);
+  if (openModalSlug) params.set('post', openModalSlug);
+
+  const query = params.toString();
+  const hash = openModalSlug && modalSectionId ? `#${encodeURIComponent(modalSectionId)}` : '';
+  return window.location.pathname + (query ? `?${query}` : '') + hash;
+}
 
-  const dt = new Date(year, month - 1, day);
-  if (Number.isNaN(dt.getTime())) return '';
+// mode: 'push' adds a history entry, 'replace' rewrites the current one.
+function updateUrl(mode = 'push', state = null) {
+  const url = buildUrl();
+  const current = window.location.pathname + window.location.search + window.location.hash;
+  if (url === current) return;
 
-  return dt.toLocaleDateString(undefined, {
-    year: 'numeric',
-    month: 'short',
-    day: 'numeric',
-  });
+  try {
+    if (mode === 'push') {
+      history.pushState(state, '', url);
+    } else {
+      history.replaceState(state, '', url);
+    }
+  } catch (e) {
+    console.warn('blog: unable to update URL', e);
+  }
 }
 
-// ---------- global state ----------
+// Apply filter + modal state from the URL (initial load and back/forward).
+function applyUrlState(state) {
+  const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+  const filtersChanged =
+    !sameList(state.categories, selectedCategories) ||
+    !sameList(state.tags, selectedTags) ||
+    state.match !== matchMode ||
+    state.series !== selectedSeries ||
+    state.author !== selectedAuthor ||
+    state.locale !== selectedLocale ||
+    state.search !== searchQuery ||
+    state.sort !== sortOrder;
+
+  selectedCategories = state.categories;
+  selectedTags = state.tags;
+  matchMode = state.match;
+  selectedSeries = state.series;
+  selectedAuthor = state.author;
+  selectedLocale = state.locale;
+  searchQuery = state.search;
+  sortOrder = state.sort;
 
-let allPosts = [];
-let selectedCategory = 'all';  // 'all' or specific category name
-let selectedTag = null;        // null or specific tag string
-let searchQuery = '';          // free-text search
+  const searchInput = document.getElementById('blog-search');
+  if (searchInput && searchInput.value !== searchQuery) {
+    searchInput.value = searchQuery;
+  }
+
+  if (filtersChanged) {
+    updateFilterButtonStates();
+    reloadPosts();
+  }
+
+  if (state.post) {
+    if (openModalSlug !== state.post) {
+      openPostBySlug(state.post);
+    }
+  } else if (openModalSlug) {
+    closeBlogModal({ history: 'none' });
+  }
+}
 
 // ---------- filtering ----------
 
-function passesFilters(post) {
+function lowerList(values) {
+  return (Array.isArray(values) ? values : []).filter(Boolean).map(v => String(v).toLowerCase());
+}
+
+// Does `post` match the given category/tag selection?
+//  - 'any': at least one selected category or one selected topic matches.
+//  - 'all': every selected topic is on the post, and (a post having a single
+//    category) its category is one of the selected ones.
+// An empty selection matches everything.
+function matchesSelection(post, categories, tags, mode) {
+  const wantedCategories = lowerList(categories);
+  const wantedTags = lowerList(tags);
+  if (!wantedCategories.length && !wantedTags.length) return true;
+
   const category = (post.category || '').toLowerCase();
-  const tags = Array.isArray(post.tags)
-    ? post.tags.map(t => String(t).toLowerCase())
-    : [];
+  const postTags = lowerList(post.tags);
+  const categoryHit = wantedCategories.includes(category);
 
-  // category filter
-  if (selectedCategory && selectedCategory !== 'all') {
-    if (category !== selectedCategory.toLowerCase()) return false;
+  if (mode === 'all') {
+    if (wantedCategories.length && !categoryHit) return false;
+    return wantedTags.every(t => postTags.includes(t));
   }
 
-  // tag filter
-  if (selectedTag) {
-    if (!tags.includes(selectedTag.toLowerCase())) return false;
-  }
+  return categoryHit || wantedTags.some(t => postTags.includes(t));
+}
 
-  // search filter
-  if (searchQuery.trim()) {
-    const q = searchQuery.toLowerCase();
-    const haystack =
-      ((post.title || '') + ' ' + getPlainText(post.content || '')).toLowerCase();
-    if (!haystack.includes(q)) return false;
-  }
+function inSelectedSeries(post) {
+  return !selectedSeries || seriesName(post).toLowerCase() === selectedSeries.toLowerCase();
+}
+
+function bySelectedAuthor(post) {
+  return !selectedAuthor || authorSlugs(post).includes(selectedAuthor);
+}
+
+function inSelectedLocale(post) {
+  return !selectedLocale || postLocale(post) === selectedLocale;
+}
+
+// Series, author and language: the one-at-a-time filters.
+function inScope(post) {
+  return inSelectedSeries(post) && bySelectedAuthor(post) && inSelectedLocale(post);
+}
 
-  return true;
+function passesFilters(post) {
+  // Search is ranked separately (runSearch), against the full content on the
+  // server or the local index, since summaries only carry a preview of the body.
+  return inScope(post) && matchesSelection(post, selectedCategories, selectedTags, matchMode);
+}
+
+function hasActiveFilters() {
+  return Boolean(
+    selectedCategories.length || selectedTags.length || selectedSeries || selectedAuthor || selectedLocale ||
+    searchQuery.trim()
+  );
+}
+
+function toggleValue(list, value) {
+  const key = value.toLowerCase();
+  return list.some(v => v.toLowerCase() === key)
+    ? list.filter(v => v.toLowerCase() !== key)
+    : list.concat(value);
+}
+
+// How many published posts a filter button would yield if it were switched on
+// on top of the current selection (search text is not taken into account).
+function countWith(extraCategories, extraTags) {
+  const categories = uniqueValues(selectedCategories.concat(extraCategories));
+  const tags = uniqueValues(selectedTags.concat(extraTags));
+  return facetPosts.filter(post => inScope(post) && matchesSelection(post, categories, tags, matchMode)).length;
+}
+
+function onFiltersChanged() {
+  updateFilterButtonStates();
+  announceResults = true;
+  reloadPosts();
+  updateUrl('push');
+  track('insights_filter', {
+    categories: selectedCategories.join(', '),
+    tags: selectedTags.join(', '),
+    match: matchMode,
+    series: selectedSeries,
+    author: selectedAuthor,
+    language: selectedLocale,
+  });
 }
 
 // ---------- filter button styling (high contrast) ----------
 
+function setButtonCount(btn, count) {
+  const countEl = btn.querySelector('[data-filter-count]');
+  if (countEl) countEl.textContent = String(count);
+}
+
 function updateFilterButtonStates() {
   const categoryButtons = document.querySelectorAll('[data-category-filter]');
   const tagButtons = document.querySelectorAll('[data-tag-filter]');
+  const selectedCategoryKeys = lowerList(selectedCategories);
+  const selectedTagKeys = lowerList(selectedTags);
 
   const baseCategoryClasses =
     'inline-flex items-center px-3 py-1.5 rounded-full border text-xs font-semibold transition';
   const activeCategoryClasses = ' bg-primary text-paper border-primary shadow-sm';
   const inactiveCategoryClasses = ' bg-paper border-dark-brown/30 text-dark-brown';
+  const emptyClasses = ' opacity-50';
 
   categoryButtons.forEach(btn => {
-    const value = (btn.getAttribute('data-category-filter') || 'all').toLowerCase();
-    const isActive =
-      (selectedCategory === 'all' && (value === 'all' || value === '')) ||
-      (selectedCategory !== 'all' && value === selectedCategory.toLowerCase());
-
-    btn.className = baseCategoryClasses + (isActive ? activeCategoryClasses : inactiveCategoryClasses);
+    const value = btn.getAttribute('data-category-filter') || 'all';
+    const isAll = value.toLowerCase() === 'all';
+    const isActive = isAll
+      ? !selectedCategoryKeys.length
+      : selectedCategoryKeys.includes(value.toLowerCase());
+    const count = isAll
+      ? facetPosts.filter(post => inScope(post) && matchesSelection(post, [], selectedTags, matchMode)).length
+      : countWith([value], []);
+
+    btn.className = baseCategoryClasses +
+      (isActive ? activeCategoryClasses : inactiveCategoryClasses) +
+      (!isActive && !count ? emptyClasses : '');
+    btn.setAttribute('aria-pressed', String(isActive));
+    setButtonCount(btn, count);
   });
 
   const baseTagClasses =
@@ -149,54 +315,70 @@ function updateFilterButtonStates() {
   const inactiveTagClasses = ' bg-paper border-dark-brown/30 text-dark-brown';
 
   tagButtons.forEach(btn => {
-    const value = (btn.getAttribute('data-tag-filter') || '').toLowerCase();
-    const isActive = selectedTag && value === selectedTag.toLowerCase();
-
-    btn.className = baseTagClasses + (isActive ? activeTagClasses : inactiveTagClasses);
+    const value = btn.getAttribute('data-tag-filter') || '';
+    const isActive = selectedTagKeys.includes(value.toLowerCase());
+    const count = countWith([], [value]);
+
+    btn.className = baseTagClasses +
+      (isActive ? activeTagClasses : inactiveTagClasses) +
+      (!isActive && !count ? emptyClasses : '');
+    btn.setAttribute('aria-pressed', String(isActive));
+    setButtonCount(btn, count);
   });
-}
-
-// ---------- related posts ----------
-
-function getRelatedPosts(currentPost, max = 3) {
-  if (!allPosts?.length) return [];
 
-  const currentTags = Array.isArray(currentPost.tags)
-    ? currentPost.tags.map(t => String(t).toLowerCase())
-    : [];
-  const currentCategory = (currentPost.category || '').toLowerCase();
-
-  const scored = allPosts
-    .filter(p => p.slug !== currentPost.slug)
-    .map(p => {
-      const pTags = Array.isArray(p.tags)
-        ? p.tags.map(t => String(t).toLowerCase())
-        : [];
-      const pCategory = (p.category || '').toLowerCase();
-
-      const sharedTags = currentTags.filter(t => pTags.includes(t));
-      const sharedTagCount = sharedTags.length;
+  // "Match any / all" switch
+  document.querySelectorAll('[data-match-mode]').forEach(btn => {
+    const isActive = btn.getAttribute('data-match-mode') === matchMode;
+    btn.setAttribute('aria-pressed', String(isActive));
+    btn.classList.toggle('bg-primary', isActive);
+    btn.classList.toggle('text-paper', isActive);
+    btn.classList.toggle('text-dark-brown', !isActive);
+  });
 
-      let score = sharedTagCount * 2; // tags matter most
-      if (currentCategory && pCategory === currentCategory) {
-        score += 1; // small bump for same category
-      }
+  document.querySelectorAll('[data-series-filter]').forEach(btn => {
+    const value = btn.getAttribute('data-series-filter') || '';
+    const isActive = value.toLowerCase() === selectedSeries.toLowerCase();
+    btn.className = baseTagClasses + (isActive ? activeTagClasses : inactiveTagClasses);
+    btn.setAttribute('aria-pressed', String(isActive));
+  });
 
-      return { post: p, score };
-    })
-    .filter(item => item.score > 0);
+  document.querySelectorAll('[data-author-filter]').forEach(btn => {
+    const isActive = btn.getAttribute('data-author-filter') === selectedAuthor;
+    btn.className = baseTagClasses + (isActive ? activeTagClasses : inactiveTagClasses);
+    btn.setAttribute('aria-pressed', String(isActive));
+  });
+  document.querySelectorAll('[data-locale-filter]').forEach(btn => {
+    const value = btn.getAttribute('data-locale-filter');
+    const isActive = value === selectedLocale;
+    const count = facetPosts.filter(post =>
+      inSelectedSeries(post) && bySelectedAuthor(post) && (!value || postLocale(post) === value) &&
+      matchesSelection(post, selectedCategories, selectedTags, matchMode)
+    ).length;
+    btn.className = baseTagClasses +
+      (isActive ? activeTagClasses : inactiveTagClasses) +
+      (!isActive && !count ? emptyClasses : '');
+    btn.setAttribute('aria-pressed', String(isActive));
+    setButtonCount(btn, count);
+  });
 
-  if (scored.length) {
-    return scored
-      .sort((a, b) => b.score - a.score)
-      .slice(0, max)
-      .map(item => item.post);
+  const authorProfile = document.getElementById('author-filter-profile');
+  const selectedProfile = authors.find(author => author.slug === selectedAuthor);
+  if (authorProfile) {
+    authorProfile.classList.toggle('hidden', !selectedProfile);
+    if (selectedProfile) {
+      authorProfile.href = authorPath(selectedProfile.slug);
+      authorProfile.textContent = t('authors.about', { name: selectedProfile.name });
+    }
   }
 
-  // Fallback: just pick latest other posts
-  return allPosts
-    .filter(p => p.slug !== currentPost.slug)
-    .slice(0, max);
+  // A series reads in part order, so sorting doesn't apply there.
+  const sortSelect = document.getElementById('blog-sort');
+  if (sortSelect) sortSelect.value = sortOrder;
+  const sortWrap = document.getElementById('blog-sort-wrap');
+  if (sortWrap) sortWrap.classList.toggle('hidden', Boolean(selectedSeries));
+
+  const clearBtn = document.getElementById('blog-clear-filters');
+  if (clearBtn) clearBtn.classList.toggle('hidden', !hasActiveFilters());
 }
 
 // ---------- modal ----------
@@ -205,61 +387,100 @@ function getRelatedPosts(currentPost, max = 3) {
 window.blogDebug = window.blogDebug || { forceBypassSanitize: false, verbose: false };
 
 
-function openBlogModal(post, meta) {
+let stopModalScrollSpy = () => {};
+
+// Heading anchors + a collapsible "On this page" list for the rendered post,
+// scrolling the modal (not the page) and keeping the section in the URL hash.
+function initModalSections(content) {
+  stopModalScrollSpy();
+  const body = content.querySelector('.prose');
+  const scroller = content.closest('.modal-inner');
+  if (!body) return;
+
+  const headings = addHeadingAnchors(body);
+  const goToSection = (id, behavior = 'smooth') => {
+    if (!scrollToSection(body, id, { behavior })) return;
+    modalSectionId = id;
+    updateUrl('replace', history.state);
+  };
+
+  bindHeadingAnchors(body, {
+    buildUrl: id => {
+      modalSectionId = id;
+      return buildUrl();
+    },
+    scrollTo: id => scrollToSection(body, id),
+  });
+
+  if (headings.length >= MIN_TOC_HEADINGS) {
+    const toc = document.createElement('details');
+    toc.className = 'mb-5 rounded-xl border border-dark-brown/15 bg-white/70 px-4 py-3';
+    toc.innerHTML = `
+      <summary class="cursor-pointer text-sm font-semibold text-dark-brown">
+        ${t('toc.onThisPage')} <span class="font-normal text-dark-grey">${t('toc.sections', { count: headings.length })}</span>
+      </summary>
+      <nav class="mt-2" aria-label="${t('toc.onThisPage')}">${renderTocList(headings)}</nav>
+    `;
+    body.before(toc);
+
+    toc.addEventListener('click', e => {
+      const link = e.target.closest('[data-toc-id]');
+      if (!link) return;
+      e.preventDefault();
+      goToSection(link.dataset.tocId);
+    });
+    if (scroller) {
+      stopModalScrollSpy = initScrollSpy(headings, toc, { scrollRoot: scroller, offset: 48 });
+    }
+  }
+
+  // "?post=<slug>#budgeting": jump once the full content is in.
+  if (modalSectionId) goToSection(modalSectionId, 'auto');
+}
+
+// options.history: 'push' (default) adds a "?post=<slug>" history entry,
+// 'none' leaves the URL alone (used when the URL already names the post).
+function openBlogModal(post, meta, options = {}) {
   const modal = document.getElementById('blog-modal');
   const content = document.getElementById('blog-modal-content');
   if (!modal || !content) return;
 
+  const historyMode = options.history || 'push';
+  const needsFullContent = !hasFullContent(post);
+  // Re-renders of the open post (full content arriving) aren't new opens.
+  if (post.slug !== openModalSlug) {
+    track('insight_open', { slug: post.slug, title: post.title || '', source: options.source || 'grid' });
+  }
+
+  // A freshly opened post starts at the top; deep links and re-renders keep
+  // the section named in the URL.
+  modalSectionId = historyMode === 'none' ? sectionIdFromHash(window.location.hash) : '';
+
   const dateText = meta?.date || '';
   const readTimeText = meta?.readTime || '';
-  const categoryText = post.category || 'Insight';
+  const categoryText = post.category || t('common.insight');
+  const lang = postLocale(post);
 
   const tags = Array.isArray(post.tags) ? post.tags.filter(Boolean) : [];
-  const related = getRelatedPosts(post, 3);
+  const related = getRelatedPosts(post, allPosts, 3);
+  const series = getSeriesContext(post, facetPosts);
   const slugParam = post.slug ? encodeURIComponent(post.slug) : null;
 
   const tagsHtml = tags.length
     ? `<p class="text-[0.72rem] text-dark-grey mb-1">
-         ${tags.map(t => `<span class="inline-block mr-1">#${t}</span>`).join('')}
+         ${tags.map(t => `<span class="inline-block mr-1">#${escapeHtml(t)}</span>`).join('')}
        </p>`
     : '';
 
-  // Render and sanitize the post content (Markdown -> HTML)
-  // Render and sanitize the post content.
-  // 1) Decode entities (handles values like "&lt;p&gt;...")
-  // 2) If decoded contains HTML tags, keep as HTML. Otherwise parse Markdown.
-  // 3) Sanitize with DOMPurify where available.
-  const rawContent = post.content || '';
-  let renderedContent = String(rawContent || '');
-
-  // 1) decode entities first (handles double-escaping too)
-  try {
-    renderedContent = decodeHtmlEntities(renderedContent);
-  } catch (e) {
-    console.warn('decodeHtmlEntities error', e);
-  }
-
-  // 2) detect whether decoded string already contains HTML tags
-  const looksLikeHtml = /<([a-z][\s\S]*?)>/i.test(renderedContent.trim());
-
-  if (!looksLikeHtml) {
-    // If it doesn't look like HTML and `marked` is available, parse Markdown.
-    try {
-      if (typeof marked !== 'undefined' && renderedContent.trim()) {
-        renderedContent = marked.parse(renderedContent);
-      }
-    } catch (e) {
-      console.warn('marked.parse error', e);
-    }
-  }
-
-  // 3) Sanitize if DOMPurify is present. Keep original if not.
-  try {
-    if (typeof DOMPurify !== 'undefined') {
-      renderedContent = DOMPurify.sanitize(renderedContent);
-    }
-  } catch (e) {
-    console.warn('DOMPurify.sanitize error', e);
+  // Render and sanitize the post content (decode -> Markdown/HTML -> DOMPurify).
+  // Summaries from the grid don't carry the body yet: show a placeholder and
+  // fetch the full post below.
+  const forceBypassSanitize = Boolean(window.blogDebug && window.blogDebug.forceBypassSanitize);
+  let renderedContent = `<p class="text-sm text-dark-grey">${t('modal.loading')}</p>`;
+  if (!needsFullContent) {
+    renderedContent = forceBypassSanitize
+      ? preparePost(post, { sanitize: false }).html
+      : getPrepared(post).html;
   }
 
   // Helpful debug for local development
@@ -272,17 +493,39 @@ function openBlogModal(post, meta) {
     // ignore
   }
 
-  const authorHtml = post.author ? `<p class="text-sm text-dark-grey/80 mt-4 text-right">By ${escapeHtml(post.author)}</p>` : '';
+  const seriesHtml = series
+    ? `<p class="text-[0.75rem] font-semibold text-accent mb-1">
+         ${escapeHtml(formatSeriesPosition(series))} · ${escapeHtml(series.name)}
+       </p>`
+    : '';
+
+  const nextPartHtml = series && series.next
+    ? `
+      <div class="mt-6">
+        <button
+          type="button"
+          data-next-part="${escapeHtml(series.next.slug)}"
+          class="inline-flex items-center gap-2 rounded-full border border-primary/50 px-4 py-2 text-sm font-semibold text-primary hover:bg-primary hover:text-paper transition"
+        >
+          <span>${escapeHtml(t('series.nextPart', { title: series.next.title }))}</span>
+          <span aria-hidden="true">→</span>
+        </button>
+      </div>
+    `
+    : '';
+
+  const byline = renderByline(post, authors);
+  const authorHtml = byline ? `<p class="text-sm text-dark-grey/80 mt-4 text-right">${byline}</p>` : '';
   const dateHtml = dateText ? `<p class="text-xs text-dark-grey/70 mt-1 text-right">${escapeHtml(dateText)}</p>` : '';
 
   const openInNewPageHtml = slugParam
     ? `
       <div class="mt-3 mb-4">
         <a
-          href="post.html?slug=${slugParam}"
+          href="post.html?slug=${slugParam}" data-open-page
           class="inline-flex items-center gap-1 text-xs font-semibold text-primary hover:text-accent underline underline-offset-2"
         >
-          <span>Open this insight in a new page</span>
+          <span>${t('modal.openPage')}</span>
           <svg xmlns="http://www.w3.org/2000/svg" class="w-3.5 h-3.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
             <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2"
               d="M14 3h7m0 0v7m0-7L10 14" />
@@ -290,6 +533,11 @@ function openBlogModal(post, meta) {
               d="M5 5v14h14" />
           </svg>
         </a>
+        ${needsFullContent ? '' : `
+        <button type="button" data-export-pdf
+          class="ml-4 text-xs font-semibold text-primary hover:text-accent underline underline-offset-2">
+          ${t('common.exportPdf')}
+        </button>`}
       </div>
     `
     : '';
@@ -298,7 +546,7 @@ function openBlogModal(post, meta) {
     ? `
       <div class="mt-8 pt-5 border-t border-dark-brown/15">
         <h3 class="text-sm font-semibold text-dark-brown mb-3">
-          Related insights
+          ${t('modal.related')}
         </h3>
         <div class="space-y-2">
           ${related
@@ -308,9 +556,9 @@ function openBlogModal(post, meta) {
                 <button
                   type="button"
                   class="w-full text-left text-sm text-primary hover:text-accent underline-offset-2 hover:underline flex flex-col"
-                  data-rel-slug="${r.slug}"
+                  data-rel-slug="${escapeHtml(r.slug)}"
                 >
-                  <span class="font-semibold">${r.title}</span>
+                  <span class="font-semibold" lang="${postLocale(r)}">${escapeHtml(r.title)}</span>
                   <span class="text-[0.7rem] text-dark-grey">${rDate}</span>
                 </button>
               `;
@@ -327,21 +575,24 @@ function openBlogModal(post, meta) {
         ${escapeHtml(categoryText)}
       </p>
       ${tagsHtml}
+      ${seriesHtml}
     </div>
-    <h2 id="blog-modal-title" class="text-2xl md:text-3xl font-semibold mb-1 text-dark-brown">
+    <h2 id="blog-modal-title" lang="${lang}" class="text-2xl md:text-3xl font-semibold mb-1 text-dark-brown">
       ${escapeHtml(post.title)}
     </h2>
     <p class="text-xs md:text-sm text-dark-grey">
       ${readTimeText || ''}
     </p>
     ${openInNewPageHtml}
-    <div class="prose max-w-none text-[0.95rem] leading-relaxed text-dark-grey">
+    <div lang="${lang}" class="prose max-w-none text-[0.95rem] leading-relaxed text-dark-grey">
       ${renderedContent}
     </div>
     <div class="mt-4">
       ${authorHtml}
       ${dateHtml}
     </div>
+    ${nextPartHtml}
+    <div data-engagement class="hidden mt-5 pt-4 border-t border-dark-brown/10"></div>
     ${relatedHtml}
   `;
 
@@ -364,15 +615,8 @@ function openBlogModal(post, meta) {
         console.warn('blog: detected escaped HTML inside .prose — content may be double-escaped or sanitizer stripped tags.', { sampleHtml, sampleText });
       }
 
-      // If the developer set the debug flag to force bypass sanitization, try forcing innerHTML.
-      if (window.blogDebug && window.blogDebug.forceBypassSanitize) {
-        try {
-          // Force-insert the decoded HTML directly into the .prose element for testing.
-          proseEl.innerHTML = renderedContent;
-          console.warn('blog: forceBypassSanitize applied — inserted renderedContent directly into .prose for debug.');
-        } catch (e) {
-          console.error('blog: forceBypassSanitize failed', e);
-        }
+      if (forceBypassSanitize) {
+        console.warn('blog: forceBypassSanitize applied — rendered content was inserted without DOMPurify.');
       }
     } else {
       console.info('blog: .prose element not found after insertion');
@@ -381,6 +625,54 @@ function openBlogModal(post, meta) {
     console.warn('blog: diagnostics error', e);
   }
 
+  if (!needsFullContent) {
+    initModalSections(content);
+    highlightCode(content.querySelector('.prose'));
+    // Counted once the full insight is on screen, not for the summary placeholder.
+    initEngagementBar(content.querySelector('[data-engagement]'), post.slug, { placement: 'modal' });
+  } else {
+    stopModalScrollSpy();
+  }
+
+  const openPageLink = content.querySelector('[data-open-page]');
+  if (openPageLink) {
+    openPageLink.addEventListener('click', () => track('insight_open_page', { slug: post.slug }));
+  }
+
+  const exportBtn = content.querySelector('[data-export-pdf]');
+  if (exportBtn) {
+    exportBtn.addEventListener('click', () => {
+      track('insight_export', { slug: post.slug, placement: 'modal' });
+      exportInsightPdf({
+        title: post.title || '',
+        category: categoryText,
+        byline: getPlainText(byline),
+        date: dateText,
+        readTime: readTimeText,
+        url: new URL(`/post.html?slug=${encodeURIComponent(post.slug)}`, window.location.href).href,
+        html: content.querySelector('.prose')?.innerHTML || '',
+        lang,
+      });
+    });
+  }
+
+  const nextPartBtn = content.querySelector('[data-next-part]');
+  if (nextPartBtn) {
+    nextPartBtn.addEventListener('click', () => {
+      const slug = nextPartBtn.getAttribute('data-next-part');
+      track('related_click', { from_slug: post.slug, to_slug: slug, placement: 'series' });
+      const open = nextPost => {
+        if (!nextPost) return;
+        const { date: nDate, readTime: nReadTime } = getPrepared(nextPost);
+        openBlogModal(nextPost, { date: nDate, readTime: nReadTime }, { source: 'series' });
+      };
+      // Parts outside the loaded pages are fetched in full first.
+      const loaded = allPosts.find(p => p.slug === slug);
+      if (loaded) open(loaded);
+      else fetchFullPost(slug).then(open).catch(err => console.error(err));
+    });
+  }
+
   // attach click handlers for related items
   if (related.length) {
     content.querySelectorAll('[data-rel-slug]').forEach(btn => {
@@ -389,9 +681,9 @@ function openBlogModal(post, meta) {
       if (!relatedPost) return;
 
       btn.addEventListener('click', () => {
-        const rDate = formatSupabaseDate(relatedPost.published_at);
-        const rReadTime = estimateReadingTime(relatedPost.content || '');
-        openBlogModal(relatedPost, { date: rDate, readTime: rReadTime });
+        track('related_click', { from_slug: post.slug, to_slug: slug, placement: 'modal' });
+        const { date: rDate, readTime: rReadTime } = getPrepared(relatedPost);
+        openBlogModal(relatedPost, { date: rDate, readTime: rReadTime }, { source: 'related' });
       });
     });
   }
@@ -399,14 +691,94 @@ function openBlogModal(post, meta) {
   modal.classList.remove('hidden');
   modal.classList.add('flex');
   document.body.classList.add('no-scroll');
+  // Focus moves into the dialog on open and comes back if a re-render
+  // (full content arriving, a related post) dropped it.
+  openDialog(modal, { panel: document.getElementById('blog-modal-dialog') || modal });
+
+  const wasOpen = Boolean(openModalSlug);
+  openModalSlug = post.slug || null;
+
+  if (historyMode === 'push' && openModalSlug) {
+    if (wasOpen && modalPushedHistory) {
+      // Moving between related posts: keep a single modal entry so one
+      // "back" (or close) returns to the grid.
+      updateUrl('replace', { blogModal: true });
+    } else {
+      updateUrl('push', { blogModal: true });
+      modalPushedHistory = true;
+    }
+  }
+
+  if (needsFullContent && post.slug) {
+    fetchFullPost(post.slug)
+      .then(full => {
+        // Ignore late responses once the reader has moved on.
+        if (openModalSlug !== post.slug) return;
+        if (!full) {
+          const proseEl = content.querySelector('.prose');
+          if (proseEl) {
+            proseEl.innerHTML = `<p class="text-sm text-red-600">${t('modal.unavailable')}</p>`;
+          }
+          return;
+        }
+        openBlogModal(full, meta, { history: 'none' });
+      })
+      .catch(err => {
+        console.error(err);
+        if (openModalSlug !== post.slug) return;
+        const proseEl = content.querySelector('.prose');
+        if (proseEl) {
+          proseEl.innerHTML = `<p class="text-sm text-red-600">${escapeHtml(describeInsightsError(err))}</p>`;
+        }
+      });
+  }
 }
 
-function closeBlogModal() {
+// Open a post by slug, fetching it when it isn't among the loaded summaries
+// (e.g. a "?post=<slug>" deep link to an older insight).
+async function openPostBySlug(slug) {
+  const loaded = allPosts.find(p => p.slug === slug);
+  try {
+    const post = loaded || await fetchFullPost(slug);
+    if (!post) return;
+    const { date, readTime } = getPrepared(post);
+    openBlogModal(post, { date, readTime }, { history: 'none', source: 'link' });
+  } catch (err) {
+    console.error(err);
+  }
+}
+
+function isBlogModalOpen() {
+  const modal = document.getElementById('blog-modal');
+  return Boolean(modal && !modal.classList.contains('hidden'));
+}
+
+// options.history: 'auto' (default) pops the modal's history entry (or strips
+// "?post=" when the page was opened on it), 'none' leaves the URL alone.
+function closeBlogModal(options = {}) {
   const modal = document.getElementById('blog-modal');
   if (!modal) return;
   modal.classList.add('hidden');
   modal.classList.remove('flex');
   document.body.classList.remove('no-scroll');
+  // Back to the card that opened it; after a re-render (popstate, filters)
+  // that card is a new element, so fall back to the shown post's card.
+  closeDialog(modal, { fallbackFocus: findCardLink(openModalSlug) });
+
+  const hadSlug = Boolean(openModalSlug);
+  const pushed = modalPushedHistory;
+  openModalSlug = null;
+  modalPushedHistory = false;
+  modalSectionId = '';
+  stopModalScrollSpy();
+
+  if ((options.history || 'auto') === 'none' || !hadSlug) return;
+
+  if (pushed) {
+    history.back();
+  } else {
+    updateUrl('replace');
+  }
 }
 
 // ---------- filters UI (dynamic buttons) ----------
@@ -416,51 +788,35 @@ function buildFilterButtons() {
   const tagContainer = document.getElementById('tag-filters');
   if (!categoryContainer || !tagContainer) return;
 
-  const categorySet = new Set();
   const tagSet = new Set();
 
-  allPosts.forEach(post => {
-    if (post.category) categorySet.add(post.category);
+  facetPosts.forEach(post => {
     if (Array.isArray(post.tags)) {
-      post.tags.filter(Boolean).forEach(t => tagSet.add(t));
+      post.tags.filter(Boolean).forEach(tag => tagSet.add(tag));
     }
   });
 
   // Categories
   categoryContainer.innerHTML = '';
-  const categories = Array.from(categorySet).sort((a, b) =>
-    a.localeCompare(b)
-  );
+  const categories = collectCategories(facetPosts);
 
-  // "All insights" button
-  const allBtn = document.createElement('button');
-  allBtn.type = 'button';
-  allBtn.textContent = 'All insights';
+  // "All insights" button (clears the category selection)
+  const allBtn = createFilterButton(t('grid.allInsights'), 'text-xs');
   allBtn.setAttribute('data-category-filter', 'all');
-  allBtn.className =
-    'inline-flex items-center px-3 py-1.5 rounded-full border text-xs font-semibold transition';
   allBtn.addEventListener('click', (e) => {
     e.preventDefault();
-    selectedCategory = 'all';
-    selectedTag = null;
-    updateFilterButtonStates();
-    renderPosts();
+    selectedCategories = [];
+    onFiltersChanged();
   });
   categoryContainer.appendChild(allBtn);
 
   categories.forEach(cat => {
-    const btn = document.createElement('button');
-    btn.type = 'button';
-    btn.textContent = cat;
+    const btn = createFilterButton(cat, 'text-xs');
     btn.setAttribute('data-category-filter', cat);
-    btn.className =
-      'inline-flex items-center px-3 py-1.5 rounded-full border text-xs font-semibold transition';
     btn.addEventListener('click', (e) => {
       e.preventDefault();
-      selectedCategory = cat;
-      selectedTag = null;
-      updateFilterButtonStates();
-      renderPosts();
+      selectedCategories = toggleValue(selectedCategories, cat);
+      onFiltersChanged();
     });
     categoryContainer.appendChild(btn);
   });
@@ -474,28 +830,156 @@ function buildFilterButtons() {
   if (!tags.length) {
     tagContainer.innerHTML = `
       <p class="text-[0.78rem] text-dark-grey/80">
-        No topics yet. Add tags to posts in Supabase to enable topic filters.
+        ${t('grid.noTopics')}
       </p>`;
   } else {
     tags.forEach(tag => {
-      const btn = document.createElement('button');
-      btn.type = 'button';
-      btn.textContent = tag;
+      const btn = createFilterButton(tag, 'text-[0.7rem]');
       btn.setAttribute('data-tag-filter', tag);
-      btn.className =
-        'inline-flex items-center px-3 py-1.5 rounded-full border text-[0.7rem] font-semibold transition';
       btn.addEventListener('click', (e) => {
         e.preventDefault();
-        const current = selectedTag ? selectedTag.toLowerCase() : null;
-        const value = tag.toLowerCase();
-        selectedTag = current === value ? null : tag; // toggle
-        updateFilterButtonStates();
-        renderPosts();
+        selectedTags = toggleValue(selectedTags, tag);
+        onFiltersChanged();
       });
       tagContainer.appendChild(btn);
     });
   }
 
+  // Series (one at a time; picking it again goes back to all insights)
+  const seriesGroups = Array.from(groupSeries(facetPosts).values())
+    .sort((a, b) => a.name.localeCompare(b.name));
+  const seriesNames = seriesGroups.map(group => group.name);
+  const seriesContainer = document.getElementById('series-filters');
+  const seriesSection = document.getElementById('series-filter-section');
+  if (seriesSection) seriesSection.classList.toggle('hidden', !seriesNames.length);
+  if (seriesContainer) {
+    seriesContainer.innerHTML = '';
+    seriesGroups.forEach(({ name, parts }) => {
+      const btn = createFilterButton(name, 'text-[0.7rem]');
+      btn.setAttribute('data-series-filter', name);
+      setButtonCount(btn, parts.length);
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        selectedSeries = selectedSeries.toLowerCase() === name.toLowerCase() ? '' : name;
+        onFiltersChanged();
+      });
+      seriesContainer.appendChild(btn);
+    });
+  }
+
+  // Authors (one at a time, like series), with a link to the selected one's page.
+  const postsByAuthor = new Map();
+  facetPosts.forEach(post => authorSlugs(post).forEach(slug => {
+    postsByAuthor.set(slug, (postsByAuthor.get(slug) || 0) + 1);
+  }));
+  const listedAuthors = authors.filter(author => postsByAuthor.has(author.slug));
+  const authorContainer = document.getElementById('author-filters');
+  const authorSection = document.getElementById('author-filter-section');
+  if (authorSection) authorSection.classList.toggle('hidden', !listedAuthors.length);
+  if (authorContainer) {
+    authorContainer.innerHTML = '';
+    listedAuthors.forEach(author => {
+      const btn = createFilterButton(author.name, 'text-[0.7rem]');
+      btn.setAttribute('data-author-filter', author.slug);
+      setButtonCount(btn, postsByAuthor.get(author.slug));
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        selectedAuthor = selectedAuthor === author.slug ? '' : author.slug;
+        onFiltersChanged();
+      });
+      authorContainer.appendChild(btn);
+    });
+  }
+
+  // Languages, once there are insights in more than one. Counts are set in
+  // updateFilterButtonStates since they follow the other filters.
+  const locales = collectLocales(facetPosts);
+  const languageContainer = document.getElementById('language-filters');
+  const languageSection = document.getElementById('language-filter-section');
+  if (languageSection) languageSection.classList.toggle('hidden', locales.length < 2);
+  if (languageContainer) {
+    languageContainer.innerHTML = '';
+    ['', ...locales].forEach(code => {
+      const btn = createFilterButton(code ? localeName(code) : t('grid.allLanguages'), 'text-[0.7rem]');
+      btn.setAttribute('data-locale-filter', code);
+      if (code) btn.setAttribute('lang', code);
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        selectedLocale = selectedLocale === code ? '' : code;
+        onFiltersChanged();
+      });
+      languageContainer.appendChild(btn);
+    });
+  }
+
+  // Values from the URL should use the stored casing (tags are matched exactly server-side).
+  const canonical = (values, known) => values.map(v =>
+    known.find(k => k.toLowerCase() === v.toLowerCase()) || v
+  );
+  selectedCategories = canonical(selectedCategories, categories);
+  selectedTags = canonical(selectedTags, tags);
+  if (selectedSeries) [selectedSeries] = canonical([selectedSeries], seriesNames);
+
+  updateFilterButtonStates();
+}
+
+// Pill button with a label and a result count badge.
+function createFilterButton(label, sizeClass) {
+  const btn = document.createElement('button');
+  btn.type = 'button';
+  btn.className =
+    `inline-flex items-center px-3 py-1.5 rounded-full border ${sizeClass} font-semibold transition`;
+  btn.setAttribute('aria-pressed', 'false');
+
+  const labelEl = document.createElement('span');
+  labelEl.textContent = label;
+  const countEl = document.createElement('span');
+  countEl.setAttribute('data-filter-count', '');
+  countEl.className = 'ml-1.5 opacity-70 font-normal';
+
+  btn.appendChild(labelEl);
+  btn.appendChild(countEl);
+  return btn;
+}
+
+function initFilterControls() {
+  document.querySelectorAll('[data-match-mode]').forEach(btn => {
+    btn.addEventListener('click', (e) => {
+      e.preventDefault();
+      const mode = btn.getAttribute('data-match-mode') === 'all' ? 'all' : 'any';
+      if (mode === matchMode) return;
+      matchMode = mode;
+      onFiltersChanged();
+    });
+  });
+
+  const sortSelect = document.getElementById('blog-sort');
+  if (sortSelect) {
+    sortSelect.addEventListener('change', () => {
+      sortOrder = SORT_ORDERS.includes(sortSelect.value) ? sortSelect.value : 'newest';
+      announceResults = true;
+      reloadPosts();
+      updateUrl('push');
+      track('insights_sort', { order: sortOrder });
+    });
+  }
+
+  const clearBtn = document.getElementById('blog-clear-filters');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', (e) => {
+      e.preventDefault();
+      selectedCategories = [];
+      selectedTags = [];
+      selectedSeries = '';
+      selectedAuthor = '';
+      selectedLocale = '';
+      searchQuery = '';
+      const searchInput = document.getElementById('blog-search');
+      if (searchInput) searchInput.value = '';
+      onFiltersChanged();
+    });
+  }
+
   updateFilterButtonStates();
 }
 
@@ -516,156 +1000,485 @@ function renderPosts() {
   const visible = allPosts.filter(passesFilters);
 
   if (!visible.length) {
-    container.innerHTML =
-      '<p class="text-sm text-dark-grey">No insights match your filters yet.</p>';
+    if (!hasMorePosts) {
+      container.innerHTML =
+        `<p class="text-sm text-dark-grey">${t('grid.noMatches')}</p>`;
+    }
     return;
   }
 
+  // Browsing everything: one card per series, where its newest loaded part
+  // would be. A selected series or a search lists the parts themselves.
+  const collapseSeries = !selectedSeries && !searchQuery.trim();
+  const seriesGroups = groupSeries(facetPosts);
+  const shownSeries = new Set();
+
   visible.forEach((post) => {
-    const wrapper = document.createElement('article');
-    wrapper.className =
-      'bg-white rounded-2xl border border-dark-brown/15 shadow-card/40 p-5 ' +
-      'flex flex-col h-full cursor-pointer transition hover:-translate-y-0.5 ' +
-      'hover:shadow-lg focus-within:-translate-y-0.5 focus-within:shadow-lg outline-none';
-
-    const date = formatSupabaseDate(post.published_at);
-    const excerpt = createExcerpt(post.content || '');
-    const readTime = estimateReadingTime(post.content || '');
-    const categoryLabel = post.category || 'Insight';
-    const tags = Array.isArray(post.tags) ? post.tags.filter(Boolean) : [];
-    // In grid (cards) we hide author — author is shown only in modal/single post view.
-    const authorLine = '';
-
-    wrapper.innerHTML = `
-      <div class="flex flex-col h-full">
-          <div class="mb-3">
-          <span class="inline-flex items-center px-2.5 py-1 rounded-full bg-primary/10 border border-primary/40 text-[0.7rem] font-semibold tracking-[0.14em] uppercase text-primary">
-            ${escapeHtml(categoryLabel)}
-          </span>
-        </div>
+    const seriesKey = seriesName(post).toLowerCase();
+    if (collapseSeries && seriesKey) {
+      if (!shownSeries.has(seriesKey)) {
+        shownSeries.add(seriesKey);
+        const group = seriesGroups.get(seriesKey) || { name: seriesName(post), parts: [post] };
+        container.appendChild(createSeriesCard(group));
+      }
+      return;
+    }
 
-        <h2 class="text-lg md:text-xl font-semibold mb-1 text-dark-brown">
-          ${escapeHtml(post.title)}
-        </h2>
+    const card = createPostCard(post, {
+      matched: searchMatches.get(post),
+      onOpen: () => {
+        const { date, readTime } = getPrepared(post);
+        openBlogModal(post, { date, readTime });
+      },
+    });
+    container.appendChild(card);
+  });
+}
+
+// A card standing in for a whole series; opens the series view
+// ("?series=<name>", parts in order).
+function createSeriesCard(group) {
+  const wrapper = document.createElement('article');
+  wrapper.className = CARD_CLASSES;
+  wrapper.setAttribute('data-series-card', group.name);
+
+  const { parts } = group;
+  const latest = parts.reduce((a, b) =>
+    String(b.published_at || '') > String(a.published_at || '') ? b : a, parts[0]);
+  const listed = parts.slice(0, 4);
+  const meta = [
+    t('series.parts', { count: parts.length }),
+    latest && latest.published_at ? t('series.latest', { date: formatSupabaseDate(latest.published_at) }) : '',
+  ];
+
+  wrapper.innerHTML = `
+    <div class="flex flex-col h-full">
+      <div class="mb-3">
+        <span class="inline-flex items-center px-2.5 py-1 rounded-full bg-secondary/15 border border-secondary/60 text-[0.7rem] font-semibold tracking-[0.14em] uppercase text-dark-brown">
+          ${t('series.label')}
+        </span>
+      </div>
 
-        <p class="text-[0.75rem] text-dark-grey mb-2">
-          ${[date, readTime].filter(Boolean).join(' • ')}
-        </p>
+      <h2 class="text-lg md:text-xl font-semibold mb-1 text-dark-brown">
+        <a href="blogs.html?series=${encodeURIComponent(group.name)}" data-card-link
+           class="${CARD_LINK_CLASSES}">${escapeHtml(group.name)}</a>
+      </h2>
 
-        ${
-          tags.length
-            ? `<p class="text-[0.7rem] text-dark-grey/90 mb-2">
-                 ${tags.map(t => `<span class="inline-block mr-1">#${t}</span>`).join('')}
-               </p>`
-            : ''
-        }
+      <p class="text-[0.75rem] text-dark-grey mb-2">
+        ${meta.filter(Boolean).map(escapeHtml).join(' • ')}
+      </p>
 
-        <p class="text-sm text-dark-grey/95 flex-1">
-          ${excerpt}
-        </p>
+      <ol class="text-sm text-dark-grey/95 flex-1 space-y-1">
+        ${listed.map((p, i) => `
+          <li><span class="text-dark-grey/80">${t('series.part', { part: Number(p.series_part) || i + 1 })}</span> <span lang="${postLocale(p)}">${escapeHtml(p.title)}</span></li>
+        `).join('')}
+        ${parts.length > listed.length
+          ? `<li class="text-[0.75rem] text-dark-grey/80">${t('series.more', { count: parts.length - listed.length })}</li>`
+          : ''}
+      </ol>
+
+      <p class="mt-3 text-[0.72rem] uppercase tracking-[0.16em] text-primary font-semibold">
+        ${t('series.read')}
+      </p>
+    </div>
+  `;
 
-        ${authorLine}
+  const openSeries = () => {
+    selectedSeries = group.name;
+    onFiltersChanged();
+  };
+  bindCardActivation(wrapper, openSeries);
+  return wrapper;
+}
 
-        <p class="mt-3 text-[0.72rem] uppercase tracking-[0.16em] text-primary font-semibold">
-          Open full insight
-        </p>
-      </div>
-    `;
+function findCardLink(slug) {
+  if (!slug) return null;
+  return Array.from(document.querySelectorAll('#blog-posts [data-card-link]'))
+    .find(link => link.getAttribute('data-slug') === slug) || null;
+}
 
-    wrapper.addEventListener('click', () => {
-      const dateMeta = date;
-      const readTimeMeta = readTime;
-      openBlogModal(post, { date: dateMeta, readTime: readTimeMeta });
-    });
+// ---------- data load ----------
 
-    wrapper.addEventListener('keypress', (e) => {
-      if (e.key === 'Enter' || e.key === ' ') {
-        e.preventDefault();
-        const dateMeta = date;
-        const readTimeMeta = readTime;
-        openBlogModal(post, { date: dateMeta, readTime: readTimeMeta });
-      }
-    });
+const PAGE_SIZE = 12;
+
+let nextPage = 0;              // index of the next page to request
+let hasMorePosts = true;
+let isLoadingPage = false;
+let loadGeneration = 0;        // bumped on every reset so stale page responses are dropped
+
+const SEARCH_RESULT_LIMIT = 60;
+
+// Current category/topic selection, in getPublishedPosts' terms.
+function listSelection() {
+  return {
+    categories: selectedCategories,
+    tags: selectedTags,
+    match: matchMode,
+    series: selectedSeries,
+    author: selectedAuthor,
+    locale: selectedLocale,
+  };
+}
+
+function fetchPostsPage(page) {
+  const order = selectedSeries ? 'series' : sortOrder;
+  return getPublishedPosts({ ...listSelection(), order, page, pageSize: PAGE_SIZE });
+}
 
-    container.appendChild(wrapper);
+// Full post for the modal, or null when it no longer exists.
+async function fetchFullPost(slug) {
+  try {
+    return await getPostBySlug(slug);
+  } catch (err) {
+    if (err instanceof NotFoundError) return null;
+    throw err;
+  }
+}
+
+// Category, tags, series and authors of every published post, so the filter
+// buttons and series cards don't depend on which pages happen to be loaded.
+// Bylines fall back to the plain-text author when profiles can't be read.
+async function loadFilterFacets() {
+  const [facets, profiles] = await Promise.allSettled([
+    getPublishedPosts({ view: 'facets' }),
+    getAuthors(),
+  ]);
+  if (profiles.status === 'fulfilled') {
+    authors = profiles.value;
+  } else {
+    console.error(profiles.reason);
+  }
+  if (facets.status === 'fulfilled') {
+    facetPosts = facets.value;
+    buildFilterButtons();
+  } else {
+    console.error(facets.reason);
+  }
+}
+
+// Error message under the grid, with a Retry button that starts over with the
+// current filters/search.
+function showLoadError(err) {
+  const errorEl = document.getElementById('blog-error');
+  const loading = document.getElementById('blog-loading');
+  if (loading) loading.classList.add('hidden');
+  if (!errorEl) return;
+
+  errorEl.innerHTML = `
+    <span>${escapeHtml(describeInsightsError(err))}</span>
+    <button type="button" data-blog-retry
+            class="ml-2 inline-flex items-center rounded-full border border-red-600/40 px-3 py-1 text-[0.75rem] font-semibold hover:bg-red-50 transition">
+      ${t('common.retry')}
+    </button>`;
+  errorEl.querySelector('[data-blog-retry]').addEventListener('click', () => {
+    errorEl.classList.add('hidden');
+    // Pages already shown stay; otherwise start from scratch.
+    if (allPosts.length && !searchQuery.trim()) loadNextPage();
+    else reloadPosts();
   });
+  errorEl.classList.remove('hidden');
 }
 
-// ---------- data load ----------
+function updateLoadMoreState() {
+  const wrap = document.getElementById('blog-load-more-wrap');
+  const btn = document.getElementById('blog-load-more');
+  if (!wrap || !btn) return;
 
-async function loadPosts() {
+  wrap.classList.toggle('hidden', !hasMorePosts || !allPosts.length);
+  btn.disabled = isLoadingPage;
+  btn.textContent = isLoadingPage ? t('common.loading') : t('grid.loadMore');
+}
+
+async function loadNextPage() {
+  if (isLoadingPage || !hasMorePosts) return;
+
+  const generation = loadGeneration;
   const loading = document.getElementById('blog-loading');
   const errorEl = document.getElementById('blog-error');
 
-  if (loading) {
-    loading.classList.remove('hidden');
-  }
-  if (errorEl) {
-    errorEl.classList.add('hidden');
-  }
+  isLoadingPage = true;
+  updateLoadMoreState();
+  if (loading && !allPosts.length) loading.classList.remove('hidden');
+  if (errorEl) errorEl.classList.add('hidden');
 
   try {
-    const { data, error } = await window.supabaseClient
-      .from('posts')
-      .select('title, slug, content, published_at, category, tags, author, is_published')
-      .eq('is_published', true)
-      .order('published_at', { ascending: false });
-
-    if (error) {
-      console.error(error);
-      if (errorEl) {
-        errorEl.textContent =
-          'Unable to load insights right now. Please try again later.';
-        errorEl.classList.remove('hidden');
-      }
-      if (loading) loading.classList.add('hidden');
-      return;
+    const page = await fetchPostsPage(nextPage);
+    if (generation !== loadGeneration) return; // filters changed meanwhile
+
+    allPosts = allPosts.concat(page);
+    nextPage += 1;
+    hasMorePosts = page.length === PAGE_SIZE;
+
+    renderPosts();
+    if (announceResults) announceResultCount();
+  } catch (err) {
+    if (generation !== loadGeneration) return;
+    console.error(err);
+    showLoadError(err);
+  } finally {
+    if (generation === loadGeneration) {
+      isLoadingPage = false;
+      updateLoadMoreState();
     }
+  }
+}
 
-    allPosts = Array.isArray(data) ? data : [];
+// Screen-reader summary after a filter or sort change. Searches have their
+// own live status line (updateSearchStatus).
+function announceResultCount() {
+  announceResults = false;
+  const statusEl = document.getElementById('blog-results-status');
+  if (!statusEl) return;
+
+  const count = document.querySelectorAll('#blog-posts article').length;
+  let message = t('results.none');
+  if (count) {
+    message = t('results.count', { count }) +
+      (selectedSeries ? t('results.inSeries', { series: selectedSeries }) : '') +
+      (selectedAuthor
+        ? t('results.byAuthor', { author: authors.find(a => a.slug === selectedAuthor)?.name || selectedAuthor })
+        : '') +
+      (hasMorePosts ? t('results.shownMore') : t('results.shown'));
+  }
+  // Clear first so an unchanged count is still read out.
+  statusEl.textContent = '';
+  setTimeout(() => { statusEl.textContent = message; }, 100);
+}
 
-    if (loading) loading.classList.add('hidden');
+// ---------- search ----------
 
-    buildFilterButtons();
+let localIndexPromise = null;  // client-side fallback index (all published posts, full text)
+
+function searchBodyText(post) {
+  return getPrepared(post).text;
+}
+
+// Postgres full-text search (weighted tsvector on posts), re-ranked locally so
+// title hits outrank body hits and matched words can be highlighted.
+async function searchServer(parsed) {
+  const data = await getPublishedPosts({
+    ...listSelection(),
+    search: toWebsearchQuery(parsed),
+    limit: SEARCH_RESULT_LIMIT,
+  });
+
+  const docs = data.map(post => createSearchDocument(post, searchBodyText));
+  return rankDocuments(docs, parsed, { requireAll: false });
+}
+
+function getLocalSearchIndex() {
+  if (!localIndexPromise) {
+    localIndexPromise = getPublishedPosts({ view: 'search' })
+      .then(posts => buildSearchIndex(posts, searchBodyText))
+      .catch(err => {
+        localIndexPromise = null; // allow a retry on the next search
+        throw err;
+      });
+  }
+  return localIndexPromise;
+}
+
+function updateSearchStatus(count, mode) {
+  const statusEl = document.getElementById('blog-search-status');
+  if (!statusEl) return;
+
+  if (!searchQuery.trim() || mode === null) {
+    statusEl.textContent = '';
+    statusEl.classList.add('hidden');
+    return;
+  }
+
+  const label = t('search.results', { count, query: searchQuery.trim() });
+  const orderLabel = t({ most_read: 'search.mostRead', most_helpful: 'search.mostHelpful' }[sortOrder] ||
+    'search.relevant');
+  statusEl.textContent = mode === 'fuzzy' && count
+    ? t('search.closeMatches', { label })
+    : t('search.ordered', { label, order: orderLabel });
+  statusEl.classList.remove('hidden');
+}
+
+// Search results come ranked by relevance; "Most read" / "Most helpful"
+// re-sorts them (stable, so relevance breaks ties).
+function sortResults(ranked) {
+  const column = { most_read: 'view_count', most_helpful: 'helpful_count' }[sortOrder];
+  if (!column) return ranked;
+  return ranked.slice().sort((a, b) => (Number(b.post[column]) || 0) - (Number(a.post[column]) || 0));
+}
+
+// Ranked search: full-text on the server first; when that is unavailable or
+// finds nothing (typos), fall back to the local fuzzy index.
+async function runSearch() {
+  const generation = loadGeneration;
+  const parsed = parseSearchQuery(searchQuery);
+  const loading = document.getElementById('blog-loading');
+  const errorEl = document.getElementById('blog-error');
+
+  hasMorePosts = false;
+  isLoadingPage = true;
+  updateLoadMoreState();
+  if (loading) loading.classList.remove('hidden');
+  if (errorEl) errorEl.classList.add('hidden');
+
+  if (isEmptyQuery(parsed)) {
+    // Only exclusions (e.g. "-gala"): nothing to rank, show nothing.
+    allPosts = [];
+    isLoadingPage = false;
     renderPosts();
+    updateSearchStatus(0, 'fulltext');
+    return;
+  }
+
+  let ranked = null;
+  let mode = 'fulltext';
+
+  try {
+    ranked = await searchServer(parsed);
   } catch (err) {
-    console.error(err);
-    if (loading) loading.classList.add('hidden');
-    if (errorEl) {
-      errorEl.textContent =
-        'Something went wrong while loading insights.';
-      errorEl.classList.remove('hidden');
+    console.warn('blog: full-text search unavailable, using the local index', err);
+  }
+
+  try {
+    if (!ranked || !ranked.length) {
+      const index = await getLocalSearchIndex();
+      ranked = index.search(parsed).filter(result => passesFilters(result.post));
+      mode = 'fuzzy';
     }
+  } catch (err) {
+    if (generation !== loadGeneration) return;
+    console.error(err);
+    isLoadingPage = false;
+    showLoadError(err);
+    return;
+  }
+
+  if (generation !== loadGeneration) return; // query changed meanwhile
+
+  ranked = sortResults(ranked);
+  allPosts = ranked.map(result => result.post);
+  searchMatches = new WeakMap(ranked.map(result => [result.post, result.matchedTokens]));
+  isLoadingPage = false;
+
+  renderPosts();
+  updateSearchStatus(allPosts.length, mode);
+  track('search', { search_term: searchQuery.trim(), results: allPosts.length, mode });
+}
+
+// Drop loaded pages and start again from page 0 with the current filters
+// (or run a ranked search when there is a query).
+function reloadPosts() {
+  loadGeneration += 1;
+  allPosts = [];
+  searchMatches = new WeakMap();
+  nextPage = 0;
+  hasMorePosts = true;
+  isLoadingPage = false;
+
+  const container = document.getElementById('blog-posts');
+  if (container) container.innerHTML = '';
+  updateLoadMoreState();
+
+  if (searchQuery.trim()) {
+    announceResults = false;
+    return runSearch();
   }
+
+  updateSearchStatus(0, null);
+  return loadNextPage();
+}
+
+async function loadPosts() {
+  await Promise.all([loadFilterFacets(), reloadPosts()]);
+}
+
+// Infinite scroll: load the next page when the sentinel under the grid comes
+// into view. The "Load more" button stays as the fallback.
+function initInfiniteScroll() {
+  const sentinel = document.getElementById('blog-scroll-sentinel');
+  const loadMoreBtn = document.getElementById('blog-load-more');
+
+  if (loadMoreBtn) {
+    loadMoreBtn.addEventListener('click', () => loadNextPage());
+  }
+
+  if (!sentinel || !('IntersectionObserver' in window)) return;
+
+  const observer = new IntersectionObserver((entries) => {
+    if (entries.some(entry => entry.isIntersecting) && allPosts.length) {
+      loadNextPage();
+    }
+  }, { rootMargin: '0px 0px 400px 0px' });
+  observer.observe(sentinel);
 }
 
 // ---------- init ----------
 
-document.addEventListener('DOMContentLoaded', () => {
-  loadPosts();
+document.addEventListener('DOMContentLoaded', async () => {
+  initPageLanguage();
+
+  // Offline support: the worker answers Supabase reads from cache when the
+  // network is down and tells us, so say so above the grid.
+  registerServiceWorker();
+  onCachedInsights(info => showCachedNotice(document.getElementById('blog-cache-notice'), info));
+
+  // Restore filters from the URL before the first render.
+  const initialState = readUrlState();
+  selectedCategories = initialState.categories;
+  selectedTags = initialState.tags;
+  matchMode = initialState.match;
+  selectedSeries = initialState.series;
+  selectedAuthor = initialState.author;
+  selectedLocale = initialState.locale;
+  searchQuery = initialState.search;
+  sortOrder = initialState.sort;
 
   const backdrop = document.getElementById('blog-modal-backdrop');
   const closeBtn = document.getElementById('blog-modal-close');
 
   if (backdrop) {
-    backdrop.addEventListener('click', closeBlogModal);
+    backdrop.addEventListener('click', () => closeBlogModal());
   }
   if (closeBtn) {
-    closeBtn.addEventListener('click', closeBlogModal);
+    closeBtn.addEventListener('click', () => closeBlogModal());
   }
 
   document.addEventListener('keydown', (e) => {
-    if (e.key === 'Escape') {
+    if (e.key === 'Escape' && isBlogModalOpen()) {
       closeBlogModal();
     }
   });
 
-  // search input
+  // search input (each query refetches from page 0, so wait for a pause in typing)
   const searchInput = document.getElementById('blog-search');
   if (searchInput) {
+    let searchTimer = null;
+    searchInput.value = searchQuery;
     searchInput.addEventListener('input', (e) => {
-      searchQuery = e.target.value || '';
-      renderPosts();
+      const value = e.target.value || '';
+      clearTimeout(searchTimer);
+      searchTimer = setTimeout(() => {
+        const hadQuery = Boolean(searchQuery.trim());
+        searchQuery = value;
+        reloadPosts();
+        // One history entry per search, not per keystroke.
+        updateUrl(hadQuery ? 'replace' : 'push');
+      }, 250);
     });
   }
+
+  initInfiniteScroll();
+  initFilterControls();
+  initGridKeyboard(document.getElementById('blog-posts'));
+  initNewsletterSignups();
+
+  window.addEventListener('popstate', (e) => {
+    modalPushedHistory = Boolean(e.state && e.state.blogModal);
+    applyUrlState(readUrlState());
+  });
+
+  await loadPosts();
+
+  // Deep link: "?post=<slug>" reopens that insight in the modal.
+  if (initialState.post) {
+    applyUrlState(initialState);
+  }
 });
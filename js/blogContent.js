@@ -0,0 +1,307 @@
+// blogContent.js
+// Shared content pipeline for insights (used by blogs.html and post.html).
+//
+// Everything in here is a pure function of its inputs plus three
+// dependencies: a DOM `document`, `marked` and `DOMPurify`. In the browser
+// they are picked up from the page globals (CDN scripts). Anywhere else
+// (e.g. Node with jsdom) call configureBlogContent({ document, marked, DOMPurify }).
+// The Markdown extensions and their sanitizer rules live in contentBlocks.js.
+// Labels (reading time, dates) follow the current locale (js/i18n.js).
+
+import { installContentBlocks, sanitizeContent } from './contentBlocks.js';
+import { formatDate, t } from './i18n.js';
+
+// ---------- environment ----------
+
+const env = { document: null, marked: null, DOMPurify: null };
+
+export function configureBlogContent(overrides = {}) {
+  Object.assign(env, overrides);
+}
+
+function getDocument() {
+  const doc = env.document || globalThis.document;
+  if (!doc) {
+    throw new Error('blogContent: no document available. Call configureBlogContent({ document }) first.');
+  }
+  return doc;
+}
+
+function getMarked() {
+  return env.marked || globalThis.marked || null;
+}
+
+function getPurifier() {
+  return env.DOMPurify || globalThis.DOMPurify || null;
+}
+
+// ---------- text helpers ----------
+
+export function getPlainText(html) {
+  const tmp = getDocument().createElement('div');
+  tmp.innerHTML = html || '';
+  const text = tmp.textContent || tmp.innerText || '';
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+// Turn HTML content into a text excerpt
+export function createExcerpt(html, maxLength = 220) {
+  const cleaned = getPlainText(html);
+  if (cleaned.length <= maxLength) return cleaned;
+  return cleaned.slice(0, maxLength).trim() + '…';
+}
+
+// Escape HTML for small text fields (used before inserting into templates)
+export function escapeHtml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Decode HTML entities back into literal characters.
+// Useful when content stored in Supabase contains escaped HTML like
+// "&lt;p&gt;Hello&lt;/p&gt;" and we want to render <p>Hello</p>.
+export function decodeHtmlEntities(str) {
+  // Decode repeatedly in case the content was escaped multiple times
+  // (e.g. "&amp;lt;p&amp;gt;" -> "&lt;p&gt;" -> "<p>").
+  let current = String(str || '');
+  const txt = getDocument().createElement('textarea');
+  let prev;
+  let iterations = 0;
+  do {
+    prev = current;
+    txt.innerHTML = current;
+    current = txt.value;
+    iterations += 1;
+  } while (
+    iterations < 5 &&
+    current !== prev &&
+    /&(lt|gt|amp|quot|#39);/i.test(current)
+  );
+
+  // If after decoding we still see escaped angle brackets, warn to help debug.
+  if (/(?:&lt;|&gt;)/.test(current)) {
+    console.warn('Decoded HTML still contains escaped entities — content may be double-escaped or stored oddly.', { sampleBefore: str, sampleAfter: current });
+  }
+
+  return current;
+}
+
+// URL/anchor-safe slug: "Grants & Funding 101" -> "grants-funding-101"
+export function slugify(str) {
+  return String(str || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&[a-z#0-9]+;/g, ' ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+export function looksLikeHtml(str) {
+  return /<([a-z][\s\S]*?)>/i.test(String(str || '').trim());
+}
+
+// ---------- content pipeline ----------
+
+// Render stored post content into sanitized HTML.
+// 1) Decode entities (handles values like "&lt;p&gt;..." and double-escaping)
+// 2) If the decoded string contains HTML tags, keep it as HTML; otherwise parse
+//    Markdown (with the callout/figure/embed/resource blocks).
+// 3) Sanitize with DOMPurify where available (skipped only when `sanitize: false`),
+//    letting through what those blocks need.
+export function renderPostContent(raw, { sanitize = true } = {}) {
+  let rendered = String(raw || '');
+
+  try {
+    rendered = decodeHtmlEntities(rendered);
+  } catch (e) {
+    console.warn('decodeHtmlEntities error', e);
+  }
+
+  if (!looksLikeHtml(rendered)) {
+    const marked = getMarked();
+    try {
+      if (marked && rendered.trim()) {
+        installContentBlocks(marked);
+        rendered = marked.parse(rendered);
+      }
+    } catch (e) {
+      console.warn('marked.parse error', e);
+    }
+  }
+
+  const purifier = getPurifier();
+  if (sanitize && purifier) {
+    try {
+      rendered = sanitizeContent(purifier, rendered, getDocument());
+    } catch (e) {
+      // Never fall through unsanitized: plain DOMPurify drops the blocks' extras.
+      console.warn('DOMPurify.sanitize error', e);
+      rendered = purifier.sanitize(rendered);
+    }
+  }
+
+  return rendered;
+}
+
+// Estimate reading time (in minutes) from HTML content
+export function estimateReadingTime(html) {
+  const text = getPlainText(html);
+  const words = text ? text.split(/\s+/).filter(Boolean).length : 0;
+  if (!words) return '';
+  return formatReadingTime(Math.round(words / 220)); // ~220 wpm
+}
+
+// Label for a known number of minutes (e.g. `reading_minutes` from post_summaries)
+export function formatReadingTime(minutes) {
+  const value = Number(minutes);
+  if (!Number.isFinite(value) || value < 0) return '';
+  return t('content.readingTime', { count: Math.max(1, Math.round(value)) });
+}
+
+// Run a post through the whole pipeline once: rendered HTML plus the derived
+// plain text, reading time, excerpt and display date used by cards, the modal
+// and post.html.
+export function preparePost(post, { excerptLength = 220, sanitize = true } = {}) {
+  const html = renderPostContent(post?.content, { sanitize });
+  return {
+    html,
+    text: getPlainText(html),
+    readTime: estimateReadingTime(html),
+    excerpt: createExcerpt(html, excerptLength),
+    date: formatSupabaseDate(post?.published_at),
+  };
+}
+
+// ---------- links ----------
+
+// Live page of an insight. Root-relative: post.html's script also runs on the
+// pre-rendered insights/<slug>/ pages, where post.html?slug=… would resolve
+// under the insight's own directory.
+export function postPagePath(slug) {
+  return `/post.html?slug=${encodeURIComponent(slug)}`;
+}
+
+// ---------- dates ----------
+
+// Parse a Supabase timestamp/date into a local calendar date without timezone
+// surprises: "2024-10-03T00:00:00+00:00" must stay Oct 3 everywhere.
+export function parseSupabaseDate(value) {
+  if (!value) return null;
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return null;
+    return new Date(value.getFullYear(), value.getMonth(), value.getDate());
+  }
+
+  const str = String(value).trim(); // e.g. "2024-10-03T00:00:00+00:00" or "2024-10-03 00:00:00+00"
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:$|[T\s])/.exec(str);
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const month = Number(match[2]);
+  const day = Number(match[3]);
+  if (!year || !month || !day) return null;
+
+  const dt = new Date(year, month - 1, day);
+  // Reject overflowed dates such as 2024-02-30 (which Date rolls into March).
+  if (
+    Number.isNaN(dt.getTime()) ||
+    dt.getFullYear() !== year ||
+    dt.getMonth() !== month - 1 ||
+    dt.getDate() !== day
+  ) {
+    return null;
+  }
+  return dt;
+}
+
+// Parse a Supabase timestamp as an exact instant (for scheduling, not display).
+// Accepts "2024-10-03 09:30:00+00" as well as ISO strings; null when unparseable.
+export function parseSupabaseTimestamp(value) {
+  if (!value) return null;
+  if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : new Date(value.getTime());
+
+  const iso = String(value)
+    .trim()
+    .replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T')
+    .replace(/([+-]\d{2})$/, '$1:00');
+  const time = Date.parse(iso);
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+// Format Supabase timestamp/date string for display in the current locale
+// ('' when unparseable)
+export function formatSupabaseDate(value) {
+  const dt = parseSupabaseDate(value);
+  if (!dt) return '';
+  return formatDate(dt);
+}
+
+// ---------- related posts ----------
+
+function normalizedTags(post) {
+  return Array.isArray(post?.tags)
+    ? post.tags.filter(Boolean).map(t => String(t).toLowerCase())
+    : [];
+}
+
+// Distinct categories of `posts`, sorted: the blogs.html category filters
+// and the newsletter topics (js/newsletter.js) offer the same set.
+export function collectCategories(posts) {
+  const categories = new Set();
+  (Array.isArray(posts) ? posts : []).forEach(post => {
+    if (post && post.category) categories.add(post.category);
+  });
+  return Array.from(categories).sort((a, b) => a.localeCompare(b));
+}
+
+function publishedTime(post) {
+  const dt = parseSupabaseDate(post?.published_at);
+  return dt ? dt.getTime() : 0;
+}
+
+// Score other posts by shared tags (2 points each) and same category (1 point).
+// Falls back to the most recent other posts when nothing overlaps, regardless
+// of the order `posts` was fetched in.
+export function getRelatedPosts(currentPost, posts, max = 3) {
+  if (!currentPost || !Array.isArray(posts) || !posts.length) return [];
+
+  const currentTags = normalizedTags(currentPost);
+  const currentCategory = (currentPost.category || '').toLowerCase();
+  const others = posts.filter(p => p && p.slug !== currentPost.slug);
+
+  const scored = others
+    .map(p => {
+      const pTags = normalizedTags(p);
+      const pCategory = (p.category || '').toLowerCase();
+
+      const sharedTagCount = currentTags.filter(t => pTags.includes(t)).length;
+
+      let score = sharedTagCount * 2; // tags matter most
+      if (currentCategory && pCategory === currentCategory) {
+        score += 1; // small bump for same category
+      }
+
+      return { post: p, score };
+    })
+    .filter(item => item.score > 0);
+
+  if (scored.length) {
+    return scored
+      .sort((a, b) => b.score - a.score)
+      .slice(0, max)
+      .map(item => item.post);
+  }
+
+  // Fallback: latest other posts
+  return others
+    .map(p => ({ post: p, time: publishedTime(p) }))
+    .sort((a, b) => b.time - a.time)
+    .slice(0, max)
+    .map(item => item.post);
+}
@@ -0,0 +1,252 @@
+// blogSearch.js
+// Search helpers for the insights grid: query parsing, relevance scoring,
+// a client-side fallback index with fuzzy matching, and excerpt highlighting.
+//
+// Query syntax mirrors Postgres `websearch_to_tsquery` so the same input works
+// against Supabase `.textSearch()` and the local index:
+//   board grants          -> both words (any order)
+//   "capital campaign"    -> exact phrase
+//   -gala / -"annual gala" -> exclude word / phrase
+
+import { escapeHtml } from './blogContent.js';
+
+// Field weights: a title hit counts more than a tag/category hit, which
+// counts more than a body hit.
+const FIELD_WEIGHTS = { title: 3, tags: 2, body: 1 };
+
+// Match quality per kind of token match.
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy1: 0.5, fuzzy2: 0.3 };
+
+// ---------- normalization ----------
+
+export function normalizeText(str) {
+  return String(str || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim();
+}
+
+export function tokenize(str) {
+  const normalized = normalizeText(str);
+  return normalized ? normalized.split(' ') : [];
+}
+
+// ---------- query parsing ----------
+
+// Returns { terms, phrases, excludedTerms, excludedPhrases } with every entry
+// already normalized. Unbalanced quotes are treated as plain words.
+export function parseSearchQuery(input) {
+  const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [] };
+  const pattern = /(-?)"([^"]+)"|(-?)([^\s"]+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(input || ''))) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = normalizeText(match[2]);
+      if (!phrase) continue;
+      const bucket = match[1] ? parsed.excludedPhrases : parsed.phrases;
+      // A one-word "phrase" is just a term.
+      if (phrase.includes(' ')) {
+        bucket.push(phrase);
+      } else {
+        (match[1] ? parsed.excludedTerms : parsed.terms).push(phrase);
+      }
+    } else {
+      const tokens = tokenize(match[4]);
+      const target = match[3] ? parsed.excludedTerms : parsed.terms;
+      tokens.forEach(t => target.push(t));
+    }
+  }
+
+  return parsed;
+}
+
+export function isEmptyQuery(parsed) {
+  return !parsed || (!parsed.terms.length && !parsed.phrases.length);
+}
+
+// ---------- fuzzy matching ----------
+
+// Levenshtein distance with an early exit once `max` is exceeded.
+export function editDistance(a, b, max = 2) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i += 1) {
+    const curr = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+      rowMin = Math.min(rowMin, curr[j]);
+    }
+    if (rowMin > max) return max + 1;
+    prev = curr;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed for a term: none for short words, one from 4 letters, two from 8.
+function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
+
+// Best match for `term` among a field's tokens: { quality, token } or null.
+function matchTerm(term, tokens, { fuzzy = true } = {}) {
+  let best = null;
+  const consider = (quality, token) => {
+    if (!best || quality > best.quality) best = { quality, token };
+  };
+
+  for (const token of tokens) {
+    if (token === term) return { quality: MATCH_QUALITY.exact, token };
+    if (term.length >= 3 && token.startsWith(term)) {
+      consider(MATCH_QUALITY.prefix, token);
+      continue;
+    }
+    if (fuzzy) {
+      const typos = allowedTypos(term);
+      if (!typos) continue;
+      const distance = editDistance(term, token, typos);
+      if (distance === 1) consider(MATCH_QUALITY.fuzzy1, token);
+      else if (distance === 2 && typos >= 2) consider(MATCH_QUALITY.fuzzy2, token);
+    }
+  }
+  return best;
+}
+
+// ---------- documents + scoring ----------
+
+// Normalize a post once so repeated queries don't re-tokenize it.
+// `getBodyText(post)` returns the plain text to search (e.g. rendered excerpt/preview).
+export function createSearchDocument(post, getBodyText) {
+  const title = normalizeText(post.title);
+  const tags = normalizeText([post.category, ...(Array.isArray(post.tags) ? post.tags : [])].filter(Boolean).join(' '));
+  const body = normalizeText(getBodyText ? getBodyText(post) : '');
+  return {
+    post,
+    fields: {
+      title: { text: title, tokens: title ? Array.from(new Set(title.split(' '))) : [] },
+      tags: { text: tags, tokens: tags ? Array.from(new Set(tags.split(' '))) : [] },
+      body: { text: body, tokens: body ? Array.from(new Set(body.split(' '))) : [] },
+    },
+  };
+}
+
+// Score one document. Returns { score, matchedTokens } or null when the
+// document is excluded or (with requireAll) misses a term/phrase.
+//  - requireAll: every term and phrase must match somewhere (local index).
+//    Server full-text results already passed that test, so they are only ranked.
+export function scoreDocument(doc, parsed, { requireAll = true, fuzzy = true } = {}) {
+  const fieldNames = Object.keys(FIELD_WEIGHTS);
+  const matchedTokens = new Set();
+
+  // Exclusions win outright (exact words / phrases only, no fuzziness).
+  for (const term of parsed.excludedTerms) {
+    if (fieldNames.some(name => doc.fields[name].tokens.includes(term))) return null;
+  }
+  for (const phrase of parsed.excludedPhrases) {
+    if (fieldNames.some(name => ` ${doc.fields[name].text} `.includes(` ${phrase} `))) return null;
+  }
+
+  let score = 0;
+
+  for (const term of parsed.terms) {
+    let termScore = 0;
+    fieldNames.forEach(name => {
+      const match = matchTerm(term, doc.fields[name].tokens, { fuzzy });
+      if (match) {
+        termScore += FIELD_WEIGHTS[name] * match.quality;
+        matchedTokens.add(match.token);
+      }
+    });
+    if (!termScore && requireAll) return null;
+    score += termScore;
+  }
+
+  for (const phrase of parsed.phrases) {
+    let phraseScore = 0;
+    fieldNames.forEach(name => {
+      if (` ${doc.fields[name].text} `.includes(` ${phrase} `)) {
+        // Phrases are worth more than their words on their own.
+        phraseScore += FIELD_WEIGHTS[name] * 1.5;
+      }
+    });
+    if (!phraseScore && requireAll) return null;
+    if (phraseScore) phrase.split(' ').forEach(t => matchedTokens.add(t));
+    score += phraseScore;
+  }
+
+  return { score, matchedTokens };
+}
+
+function compareResults(a, b) {
+  if (b.score !== a.score) return b.score - a.score;
+  // Equal relevance: newest first.
+  return String(b.post.published_at || '').localeCompare(String(a.post.published_at || ''));
+}
+
+// Rank documents for a parsed query: [{ post, score, matchedTokens }], best first.
+export function rankDocuments(docs, parsed, options = {}) {
+  if (isEmptyQuery(parsed)) return [];
+  return docs
+    .map(doc => {
+      const result = scoreDocument(doc, parsed, options);
+      return result ? { post: doc.post, ...result } : null;
+    })
+    .filter(Boolean)
+    .sort(compareResults);
+}
+
+// Client-side fallback index over already-fetched posts.
+export function buildSearchIndex(posts, getBodyText) {
+  const docs = (posts || []).map(post => createSearchDocument(post, getBodyText));
+  return {
+    size: docs.length,
+    search(parsed, options = {}) {
+      return rankDocuments(docs, parsed, options);
+    },
+  };
+}
+
+// ---------- highlighting ----------
+
+// Escape `text` for HTML and wrap words whose normalized form is one of
+// `matchedTokens` in <mark>. Safe to insert with innerHTML.
+export function highlightMatches(text, matchedTokens) {
+  const source = String(text || '');
+  const tokens = matchedTokens ? Array.from(matchedTokens).filter(Boolean) : [];
+  if (!tokens.length) return escapeHtml(source);
+
+  const wanted = new Set(tokens);
+  const wordPattern = /[\p{L}\p{N}]+/gu;
+  let html = '';
+  let last = 0;
+  let match;
+
+  while ((match = wordPattern.exec(source)) !== null) {
+    if (!wanted.has(normalizeText(match[0]))) continue;
+    html += escapeHtml(source.slice(last, match.index));
+    html += `<mark class="bg-secondary/30 text-dark-brown rounded px-0.5">${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  html += escapeHtml(source.slice(last));
+  return html;
+}
+
+// Rebuild a clean websearch string for Supabase `.textSearch(..., { type: 'websearch' })`
+// from the parsed query, so stray punctuation never reaches PostgREST.
+export function toWebsearchQuery(parsed) {
+  const parts = [
+    ...parsed.phrases.map(p => `"${p}"`),
+    ...parsed.terms,
+    ...parsed.excludedPhrases.map(p => `-"${p}"`),
+    ...parsed.excludedTerms.map(t => `-${t}`),
+  ];
+  return parts.join(' ');
+}
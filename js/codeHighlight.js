@@ -0,0 +1,86 @@
+// codeHighlight.js
+// Syntax highlighting for fenced code blocks (```js … ```) in rendered
+// insights. Pages without such a block load nothing; otherwise the
+// highlight.js core and only the grammars on the page are imported from the
+// CDN, once per page. Colours come from the .hljs-* rules in each page's CSS.
+
+const HLJS_BASE = 'https://cdn.jsdelivr.net/npm/@highlightjs/cdn-assets@11.9.0/es';
+
+// Fence language -> highlight.js grammar. Anything else stays plain text.
+const GRAMMARS = {
+  bash: 'bash',
+  sh: 'bash',
+  shell: 'bash',
+  css: 'css',
+  excel: 'excel',
+  html: 'xml',
+  xml: 'xml',
+  js: 'javascript',
+  javascript: 'javascript',
+  json: 'json',
+  py: 'python',
+  python: 'python',
+  r: 'r',
+  sql: 'sql',
+  ts: 'typescript',
+  typescript: 'typescript',
+  yaml: 'yaml',
+  yml: 'yaml',
+};
+
+let corePromise = null;
+const grammarPromises = new Map();
+
+function loadCore() {
+  if (!corePromise) {
+    corePromise = import(`${HLJS_BASE}/core.min.js`)
+      .then(module => module.default)
+      .catch(err => {
+        corePromise = null;
+        throw err;
+      });
+  }
+  return corePromise;
+}
+
+// Registers the grammar for `fence` (and the fence name as an alias of it).
+function loadGrammar(hljs, fence) {
+  const grammar = GRAMMARS[fence];
+  if (!grammarPromises.has(grammar)) {
+    grammarPromises.set(grammar, import(`${HLJS_BASE}/languages/${grammar}.min.js`)
+      .then(module => hljs.registerLanguage(grammar, module.default))
+      .catch(err => {
+        grammarPromises.delete(grammar);
+        throw err;
+      }));
+  }
+  return grammarPromises.get(grammar).then(() => {
+    if (fence !== grammar) hljs.registerAliases(fence, { languageName: grammar });
+  });
+}
+
+function fenceLanguage(code) {
+  const match = /(?:^|\s)language-([\w-]+)/.exec(code.className);
+  const fence = match ? match[1].toLowerCase() : '';
+  return fence in GRAMMARS ? fence : '';
+}
+
+// Highlights the not-yet-highlighted code blocks under `container`. Never
+// throws: without the CDN the code simply stays unstyled.
+export async function highlightCode(container) {
+  const blocks = container
+    ? Array.from(container.querySelectorAll('pre code[class*="language-"]'))
+      .filter(code => !code.classList.contains('hljs') && fenceLanguage(code))
+    : [];
+  if (!blocks.length) return;
+
+  try {
+    const hljs = await loadCore();
+    await Promise.all([...new Set(blocks.map(fenceLanguage))].map(fence => loadGrammar(hljs, fence)));
+    blocks.forEach(code => {
+      if (code.isConnected && !code.classList.contains('hljs')) hljs.highlightElement(code);
+    });
+  } catch (err) {
+    console.warn('highlightCode: highlighter unavailable', err);
+  }
+}
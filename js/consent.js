@@ -0,0 +1,109 @@
+// consent.js
+// Analytics consent: the visitor's choice ('granted' | 'denied'), remembered
+// in localStorage, and the banner that asks for it. Nothing is sent to an
+// analytics service until the choice is 'granted' (see js/analytics.js).
+// Browsers sending Global Privacy Control are treated as 'denied' and not asked.
+//
+// Any element with [data-consent-settings] (the "Cookie settings" link in the
+// footers) reopens the banner.
+
+import { getLocale, t } from './i18n.js';
+
+const CONSENT_KEY = 'muro_analytics_consent';
+
+// Bump when what we collect changes, so everyone is asked again.
+const CONSENT_VERSION = 1;
+
+const listeners = new Set();
+
+// 'granted' | 'denied' | null (not decided yet)
+export function getConsent() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(CONSENT_KEY) || 'null');
+    if (stored && stored.version === CONSENT_VERSION && ['granted', 'denied'].includes(stored.status)) {
+      return stored.status;
+    }
+  } catch (e) {
+    // unreadable: ask again
+  }
+  return navigator.globalPrivacyControl === true ? 'denied' : null;
+}
+
+export function setConsent(status) {
+  try {
+    localStorage.setItem(CONSENT_KEY, JSON.stringify({
+      status,
+      version: CONSENT_VERSION,
+      decidedAt: new Date().toISOString(),
+    }));
+  } catch (e) {
+    // storage unavailable: the choice holds for this page only
+  }
+  listeners.forEach(listener => listener(status));
+}
+
+// callback(status) on every later choice. Returns an unsubscribe function.
+export function onConsentChange(callback) {
+  listeners.add(callback);
+  return () => listeners.delete(callback);
+}
+
+// ---------- banner ----------
+
+function closeBanner() {
+  const banner = document.getElementById('consent-banner');
+  if (banner) banner.remove();
+}
+
+export function showConsentBanner() {
+  closeBanner();
+  const current = getConsent();
+
+  const banner = document.createElement('section');
+  banner.id = 'consent-banner';
+  banner.setAttribute('role', 'region');
+  banner.setAttribute('aria-label', t('consent.label'));
+  // The service pages stay in English; the banner follows the reader's choice.
+  banner.setAttribute('lang', getLocale());
+  banner.className =
+    'fixed inset-x-3 bottom-3 z-[60] mx-auto max-w-xl rounded-bubble border border-dark-brown/20 ' +
+    'bg-paper shadow-card p-4 text-sm text-dark-brown';
+  banner.innerHTML = `
+    <p class="font-semibold mb-1">${t('consent.title')}</p>
+    <p class="text-[0.8rem] text-dark-grey mb-3">${t('consent.text')}</p>
+    <div class="flex flex-wrap gap-2 justify-end">
+      <button type="button" data-consent="denied"
+              class="px-4 py-2 rounded-lg border border-dark-brown/40 font-semibold hover:border-primary hover:text-primary transition">
+        ${t('consent.deny')}
+      </button>
+      <button type="button" data-consent="granted"
+              class="px-4 py-2 rounded-lg bg-primary text-paper font-semibold hover:bg-accent transition">
+        ${t('consent.allow')}
+      </button>
+    </div>
+    ${current ? `<p class="mt-2 text-[0.72rem] text-dark-grey text-right">${t(current === 'granted' ? 'consent.currentlyAllowed' : 'consent.currentlyDenied')}</p>` : ''}
+  `;
+
+  banner.addEventListener('click', e => {
+    const btn = e.target.closest('[data-consent]');
+    if (!btn) return;
+    setConsent(btn.dataset.consent);
+    closeBanner();
+  });
+  banner.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && getConsent()) closeBanner();
+  });
+
+  document.body.appendChild(banner);
+  // Only take focus when reopened on purpose; a first-visit banner shouldn't
+  // pull the reader away from the page.
+  if (current) banner.querySelector('[data-consent]').focus();
+}
+
+// Ask once, and let [data-consent-settings] reopen the banner.
+export function initConsent() {
+  document.addEventListener('click', e => {
+    if (e.target.closest('[data-consent-settings]')) showConsentBanner();
+  });
+  if (!getConsent()) showConsentBanner();
+}
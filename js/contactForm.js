@@ -0,0 +1,613 @@
+// contactForm.js
+// The #contact-form on index.html: a three-step intake wizard (service line ->
+// service-specific questions from js/intakeQuestions.js -> contact details).
+// The service line is pre-selected from ?service=<id> (the CTA links on the
+// service pages) or the referring page, progress is kept in localStorage, and
+// the inquiry is sent as one JSON payload (see buildPayload).
+//
+// Spam checks (honeypot, minimum time on the form, client-side rate limit) and
+// delivery through js/contactOutbox.js, which keeps messages written offline
+// and sends them later, apply to the final step.
+//
+// Everything the visitor sees is in their language (js/i18n.js); the payload
+// stays in English for the team that reads it.
+
+import { escapeHtml } from './blogContent.js';
+import { t } from './i18n.js';
+import {
+  sendContactMessage,
+  queueContactMessage,
+  initContactOutbox,
+  ContactUnavailableError,
+} from './contactOutbox.js';
+import {
+  SERVICE_LINES,
+  TIMELINE_QUESTION,
+  getServiceLine,
+  serviceFromPage,
+} from './intakeQuestions.js';
+import { track } from './analytics.js';
+
+const STEPS = [
+  { id: 'service', label: 'contact.steps.service' },
+  { id: 'details', label: 'contact.steps.details' },
+  { id: 'contact', label: 'contact.steps.contact' },
+];
+
+const DRAFT_KEY = 'muro_intake_draft';
+const DRAFT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const PAYLOAD_VERSION = 1;
+
+// Humans don't fill in a form this fast; bots and replayed posts do.
+const MIN_FILL_MS = 3000;
+
+// At most RATE_LIMIT_MAX messages per RATE_LIMIT_WINDOW_MS from this browser.
+const RATE_LIMIT_MAX = 3;
+const RATE_LIMIT_WINDOW_MS = 10 * 60 * 1000;
+const RATE_LIMIT_KEY = 'muro_contact_sent';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+const MAX_TEXT_ANSWER = 500;
+const MAX_LONG_ANSWER = 2000;
+
+// Contact-step fields: name attribute -> check(value, state) returning an
+// error message or ''.
+const FIELD_RULES = {
+  name: value => {
+    if (!value) return t('contact.nameRequired');
+    if (value.length > 100) return t('contact.nameTooLong');
+    return '';
+  },
+  _replyto: value => {
+    if (!value) return t('contact.emailRequired');
+    if (!EMAIL_PATTERN.test(value)) return t('contact.emailInvalid');
+    return '';
+  },
+  organization: value => {
+    if (value.length > 150) return t('contact.organizationTooLong');
+    return '';
+  },
+  message: (value, state) => {
+    // Without service questions the message is the whole inquiry.
+    if (!value && state.service === 'other') return t('contact.messageRequired');
+    if (value && value.length < 10 && state.service === 'other') return t('contact.messageTooShort');
+    if (value.length > 5000) return t('contact.messageTooLong');
+    return '';
+  },
+};
+
+// ---------- state ----------
+
+// step: index into STEPS; answers: { [serviceId]: { [questionId]: value } } so
+// switching service lines doesn't lose what was typed; contact: FIELD_RULES fields.
+let state = emptyState();
+
+function emptyState() {
+  return {
+    step: 0,
+    service: null,
+    answers: {},
+    contact: { name: '', _replyto: '', organization: '', message: '' },
+  };
+}
+
+function currentLine() {
+  return getServiceLine(state.service);
+}
+
+function lineQuestions(line) {
+  return line ? [...line.questions, TIMELINE_QUESTION] : [];
+}
+
+// What the visitor sees for a service line or question (see `text` in
+// js/intakeQuestions.js). A question's options are `options.<index>`, in
+// question.options order.
+function lineText(line, part) {
+  return t(`intake.lines.${line.id}.${part}`);
+}
+
+function questionText(question, part) {
+  return t(`${question.text}.${part}`);
+}
+
+// ---------- draft (localStorage) ----------
+
+function saveDraft() {
+  try {
+    localStorage.setItem(DRAFT_KEY, JSON.stringify({ ...state, savedAt: Date.now() }));
+  } catch (e) {
+    // storage unavailable or full: the wizard still works, just not across visits
+  }
+}
+
+function loadDraft() {
+  try {
+    const draft = JSON.parse(localStorage.getItem(DRAFT_KEY) || 'null');
+    if (!draft || Date.now() - (draft.savedAt || 0) > DRAFT_MAX_AGE_MS) return null;
+    const base = emptyState();
+    return {
+      step: Math.min(Math.max(0, Number(draft.step) || 0), STEPS.length - 1),
+      service: getServiceLine(draft.service) ? draft.service : null,
+      answers: draft.answers && typeof draft.answers === 'object' ? draft.answers : {},
+      contact: { ...base.contact, ...(draft.contact || {}) },
+    };
+  } catch (e) {
+    return null;
+  }
+}
+
+function clearDraft() {
+  try {
+    localStorage.removeItem(DRAFT_KEY);
+  } catch (e) {
+    // ignore
+  }
+}
+
+// ?service=<id> from the service pages' CTA links, else the page we came from.
+function preselectedService() {
+  const param = new URLSearchParams(window.location.search).get('service');
+  if (getServiceLine(param)) return param;
+  if (document.referrer) {
+    try {
+      const ref = new URL(document.referrer);
+      if (ref.origin === window.location.origin) {
+        const line = serviceFromPage(ref.pathname);
+        if (line) return line.id;
+      }
+    } catch (e) {
+      // ignore malformed referrers
+    }
+  }
+  return null;
+}
+
+// ---------- status message ----------
+
+function setStatus(form, text, ok) {
+  let container = document.getElementById('form-status');
+  if (!container) {
+    container = document.createElement('div');
+    container.id = 'form-status';
+    form.insertAdjacentElement('afterend', container);
+  }
+
+  const base = 'mt-4 mx-auto max-w-xl p-4 flex items-start gap-3 rounded-bubble shadow-card border';
+  const visual = ok ? 'bg-paper border-green-200' : 'bg-paper border-red-200';
+  const iconColor = ok ? 'text-green-600' : 'text-red-600';
+
+  const iconSVG = ok
+    ? `<svg class="w-5 h-5 ${iconColor} flex-shrink-0" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path fill-rule="evenodd" d="M16.707 5.293a1 1 0 010 1.414L8.414 15l-4.121-4.121a1 1 0 111.414-1.414L8.414 12.172l7.293-7.293a1 1 0 011.414 0z" clip-rule="evenodd"/></svg>`
+    : `<svg class="w-5 h-5 ${iconColor} flex-shrink-0" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path fill-rule="evenodd" d="M10 18a8 8 0 100-16 8 8 0 000 16zm1-11V5a1 1 0 10-2 0v2a1 1 0 102 0zm0 6a1 1 0 11-2 0 1 1 0 012 0z" clip-rule="evenodd"/></svg>`;
+
+  container.innerHTML = `
+    <div class="${base} ${visual}" role="${ok ? 'status' : 'alert'}" aria-live="polite">
+      ${iconSVG}
+      <div class="text-sm text-dark-brown leading-tight">${escapeHtml(text)}</div>
+      <button type="button" class="ml-auto text-dark-brown/60 hover:text-dark-brown status-dismiss" aria-label="${escapeHtml(t('contact.dismiss'))}">
+        <svg class="w-4 h-4" viewBox="0 0 20 20" fill="currentColor" aria-hidden="true"><path fill-rule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clip-rule="evenodd"/></svg>
+      </button>
+    </div>
+  `;
+
+  container.querySelector('.status-dismiss').addEventListener('click', () => container.remove());
+
+  // Auto-dismiss success after a short delay
+  if (ok) {
+    setTimeout(() => {
+      if (container.isConnected) container.remove();
+    }, 6000);
+  }
+}
+
+function clearStatus() {
+  const container = document.getElementById('form-status');
+  if (container) container.remove();
+}
+
+// ---------- rendering ----------
+
+const INPUT_CLASS = 'w-full p-3 border border-dark-brown/40 rounded bg-white text-dark-brown';
+
+function renderServiceOptions() {
+  return SERVICE_LINES.map(line => `
+    <label class="flex gap-3 items-start p-3 rounded-lg border border-dark-brown/30 bg-white cursor-pointer hover:border-primary transition has-[:checked]:border-primary has-[:checked]:bg-primary/5">
+      <input type="radio" name="service" value="${escapeHtml(line.id)}" class="mt-1 accent-[#568a99]"
+             aria-describedby="intake-service-error" ${state.service === line.id ? 'checked' : ''}/>
+      <span>
+        <span class="block text-sm font-semibold text-dark-brown">${escapeHtml(lineText(line, 'label'))}</span>
+        <span class="block text-[0.78rem] text-dark-grey">${escapeHtml(lineText(line, 'description'))}</span>
+      </span>
+    </label>`).join('');
+}
+
+function questionInputId(question) {
+  return `intake-${question.id}`;
+}
+
+function renderQuestion(question, value) {
+  const id = questionInputId(question);
+  const errorId = `${id}-error`;
+  const required = question.required ? ' <span class="text-red-600" aria-hidden="true">*</span>' : '';
+  const label = `${escapeHtml(questionText(question, 'label'))}${required}`;
+  const placeholder = question.placeholder ? escapeHtml(questionText(question, 'placeholder')) : '';
+  const error = `<p id="${errorId}" class="hidden mt-1 text-xs text-red-600"></p>`;
+
+  if (question.type === 'checkboxes') {
+    const selected = Array.isArray(value) ? value : [];
+    return `
+      <fieldset id="${id}" data-question="${escapeHtml(question.id)}" aria-describedby="${errorId}">
+        <legend class="text-sm text-dark-brown mb-1">${label}</legend>
+        <div class="grid gap-1 sm:grid-cols-2">
+          ${question.options.map((option, index) => `
+            <label class="flex items-center gap-2 text-sm">
+              <input type="checkbox" name="${escapeHtml(question.id)}" value="${escapeHtml(option)}"
+                     class="accent-[#568a99]" ${selected.includes(option) ? 'checked' : ''}/>
+              ${escapeHtml(questionText(question, `options.${index}`))}
+            </label>`).join('')}
+        </div>
+        ${error}
+      </fieldset>`;
+  }
+
+  let control;
+  const common = `id="${id}" name="${escapeHtml(question.id)}" data-question="${escapeHtml(question.id)}" aria-describedby="${errorId}"${question.required ? ' required' : ''}`;
+  if (question.type === 'select') {
+    control = `
+      <select ${common} class="${INPUT_CLASS}">
+        <option value="">${escapeHtml(t('contact.choose'))}</option>
+        ${question.options.map((option, index) => `
+          <option value="${escapeHtml(option)}" ${value === option ? 'selected' : ''}>${escapeHtml(questionText(question, `options.${index}`))}</option>`).join('')}
+      </select>`;
+  } else if (question.type === 'textarea') {
+    control = `<textarea ${common} maxlength="${MAX_LONG_ANSWER}" placeholder="${placeholder}" class="${INPUT_CLASS} min-h-[90px]">${escapeHtml(value || '')}</textarea>`;
+  } else {
+    const type = question.type === 'date' ? 'date' : 'text';
+    control = `<input ${common} type="${type}" maxlength="${MAX_TEXT_ANSWER}" value="${escapeHtml(value || '')}" placeholder="${placeholder}" class="${INPUT_CLASS}"/>`;
+  }
+
+  return `
+    <div>
+      <label for="${id}" class="block text-sm text-dark-brown mb-1">${label}</label>
+      ${control}
+      ${error}
+    </div>`;
+}
+
+function renderQuestions(container) {
+  const line = currentLine();
+  const answers = (line && state.answers[line.id]) || {};
+  container.innerHTML = lineQuestions(line).map(q => renderQuestion(q, answers[q.id])).join('');
+}
+
+function showStep(form, { focus = true } = {}) {
+  const step = STEPS[state.step];
+  form.querySelectorAll('fieldset[data-step]').forEach(fieldset => {
+    fieldset.classList.toggle('hidden', fieldset.dataset.step !== step.id);
+  });
+
+  if (step.id === 'details') renderQuestions(document.getElementById('intake-questions'));
+
+  const line = currentLine();
+  const progress = document.getElementById('intake-progress');
+  if (progress) {
+    progress.textContent = t('contact.progress', { step: state.step + 1, total: STEPS.length, label: t(step.label) }) +
+      (line && state.step > 0 ? ` · ${lineText(line, 'label')}` : '');
+  }
+  const bar = document.getElementById('intake-progress-bar');
+  if (bar) bar.style.width = `${Math.round(((state.step + 1) / STEPS.length) * 100)}%`;
+
+  document.getElementById('intake-back').classList.toggle('hidden', state.step === 0);
+  document.getElementById('intake-next').classList.toggle('hidden', state.step === STEPS.length - 1);
+  document.getElementById('intake-submit').classList.toggle('hidden', state.step !== STEPS.length - 1);
+  document.getElementById('intake-reset').classList.toggle('hidden', !state.service && state.step === 0);
+
+  if (focus) {
+    const legend = form.querySelector(`fieldset[data-step="${step.id}"] > legend`);
+    if (legend) legend.focus({ preventScroll: true });
+  }
+}
+
+// ---------- reading + validation ----------
+
+function showError(target, errorEl, message) {
+  if (target) {
+    target.setAttribute('aria-invalid', message ? 'true' : 'false');
+    if (target.matches('input, select, textarea')) target.classList.toggle('border-red-500', Boolean(message));
+  }
+  if (errorEl) {
+    errorEl.textContent = message;
+    errorEl.classList.toggle('hidden', !message);
+  }
+}
+
+// Copy what's on screen for the current step into `state`.
+function readStep(form) {
+  const step = STEPS[state.step].id;
+
+  if (step === 'service') {
+    const checked = form.querySelector('input[name="service"]:checked');
+    state.service = checked ? checked.value : null;
+  } else if (step === 'details') {
+    const line = currentLine();
+    if (!line) return;
+    const answers = {};
+    lineQuestions(line).forEach(q => {
+      if (q.type === 'checkboxes') {
+        answers[q.id] = Array.from(form.querySelectorAll(`input[name="${q.id}"]:checked`)).map(cb => cb.value);
+      } else {
+        const field = document.getElementById(questionInputId(q));
+        answers[q.id] = field ? field.value.trim() : '';
+      }
+    });
+    state.answers[line.id] = answers;
+  } else {
+    Object.keys(FIELD_RULES).forEach(name => {
+      state.contact[name] = (form.elements[name]?.value || '').trim();
+    });
+  }
+}
+
+function questionError(question, value) {
+  if (question.type === 'checkboxes') {
+    return question.required && !(value && value.length) ? t('contact.optionRequired') : '';
+  }
+  if (question.required && !value) return t('contact.answerRequired');
+  const max = question.type === 'textarea' ? MAX_LONG_ANSWER : MAX_TEXT_ANSWER;
+  if (value && value.length > max) return t('contact.answerTooLong', { max });
+  return '';
+}
+
+function validateContactField(field) {
+  const rule = FIELD_RULES[field.name];
+  const message = rule ? rule(field.value.trim(), state) : '';
+  showError(field, document.getElementById(`${field.id}-error`), message);
+  return !message;
+}
+
+// Validate the current step (after readStep); focus the first problem.
+// Returns true when valid.
+function validateStep(form) {
+  const step = STEPS[state.step].id;
+  const invalid = [];
+
+  if (step === 'service') {
+    const message = state.service ? '' : t('contact.serviceRequired');
+    showError(null, document.getElementById('intake-service-error'), message);
+    if (message) invalid.push(form.querySelector('input[name="service"]'));
+  } else if (step === 'details') {
+    const answers = state.answers[state.service] || {};
+    lineQuestions(currentLine()).forEach(q => {
+      const target = document.getElementById(questionInputId(q));
+      const message = questionError(q, answers[q.id]);
+      showError(target, document.getElementById(`${questionInputId(q)}-error`), message);
+      if (message) invalid.push(q.type === 'checkboxes' ? target.querySelector('input') : target);
+    });
+  } else {
+    Object.keys(FIELD_RULES).forEach(name => {
+      const field = form.elements[name];
+      if (field && !validateContactField(field)) invalid.push(field);
+    });
+  }
+
+  if (invalid.length && invalid[0]) invalid[0].focus();
+  return !invalid.length;
+}
+
+// ---------- payload ----------
+
+function formatAnswer(value) {
+  return Array.isArray(value) ? value.join(', ') : String(value || '');
+}
+
+// The JSON body sent to the contact backend. `name`, `_replyto` and `message`
+// keep their old meaning (message carries a readable summary of the answers),
+// so a backend that only knows the original three fields still works.
+export function buildPayload(snapshot = state, { page = window.location.pathname, referrer = document.referrer } = {}) {
+  const line = getServiceLine(snapshot.service);
+  const questions = lineQuestions(line);
+  const answers = (line && snapshot.answers[line.id]) || {};
+  const { name, _replyto, organization, message } = snapshot.contact;
+
+  const keptAnswers = {};
+  questions.forEach(q => {
+    const value = answers[q.id];
+    if (Array.isArray(value) ? value.length : value) keptAnswers[q.id] = value;
+  });
+
+  const summary = [
+    `Service: ${line ? line.label : 'Not specified'}`,
+    organization ? `Organization: ${organization}` : '',
+    ...questions
+      .filter(q => keptAnswers[q.id] !== undefined)
+      .map(q => `${q.label.replace(/[?:]$/, '')}: ${formatAnswer(keptAnswers[q.id])}`),
+    message ? `\n${message}` : '',
+  ].filter(Boolean).join('\n');
+
+  return {
+    type: 'intake',
+    version: PAYLOAD_VERSION,
+    service: line ? line.id : null,
+    serviceLabel: line ? line.label : null,
+    name,
+    _replyto,
+    organization,
+    answers: keptAnswers,
+    notes: message,
+    message: summary,
+    source: { page, referrer: referrer || null },
+    submittedAt: new Date().toISOString(),
+  };
+}
+
+// ---------- rate limit ----------
+
+function recentSends() {
+  try {
+    const cutoff = Date.now() - RATE_LIMIT_WINDOW_MS;
+    const stored = JSON.parse(localStorage.getItem(RATE_LIMIT_KEY) || '[]');
+    return (Array.isArray(stored) ? stored : []).filter(t => typeof t === 'number' && t > cutoff);
+  } catch (e) {
+    return [];
+  }
+}
+
+function recordSend() {
+  try {
+    localStorage.setItem(RATE_LIMIT_KEY, JSON.stringify([...recentSends(), Date.now()]));
+  } catch (e) {
+    // storage unavailable: no limit, the backend still has its own
+  }
+}
+
+// Minutes until another message is allowed, or 0.
+function rateLimitWait() {
+  const sends = recentSends();
+  if (sends.length < RATE_LIMIT_MAX) return 0;
+  return Math.max(1, Math.ceil((sends[0] + RATE_LIMIT_WINDOW_MS - Date.now()) / 60000));
+}
+
+// ---------- init ----------
+
+function fillContactFields(form) {
+  Object.keys(FIELD_RULES).forEach(name => {
+    if (form.elements[name]) form.elements[name].value = state.contact[name] || '';
+  });
+}
+
+export function initContactForm(form) {
+  if (!form) return;
+  const honeypot = form.elements.company_website;
+  const submitBtn = document.getElementById('intake-submit');
+  let shownAt = Date.now();
+
+  state = loadDraft() || emptyState();
+  const preselected = preselectedService();
+  if (preselected && preselected !== state.service) {
+    // Arrived from a service page: start there, keeping any answers typed before.
+    state.service = preselected;
+    state.step = 0;
+  }
+
+  document.getElementById('intake-services').innerHTML = renderServiceOptions();
+  fillContactFields(form);
+  showStep(form, { focus: false });
+
+  const startOver = () => {
+    clearDraft();
+    state = emptyState();
+    form.reset();
+    document.getElementById('intake-services').innerHTML = renderServiceOptions();
+    clearStatus();
+    showStep(form);
+    shownAt = Date.now();
+  };
+
+  const goTo = index => {
+    state.step = index;
+    saveDraft();
+    showStep(form);
+  };
+
+  document.getElementById('intake-next').addEventListener('click', () => {
+    readStep(form);
+    if (!validateStep(form)) return;
+    goTo(state.step + 1);
+  });
+
+  document.getElementById('intake-back').addEventListener('click', () => {
+    readStep(form); // keep what was typed, valid or not
+    goTo(state.step - 1);
+  });
+
+  document.getElementById('intake-reset').addEventListener('click', startOver);
+
+  // Save as the visitor types; errors clear as soon as the field is fixed.
+  const onEdit = e => {
+    if (e.target === honeypot) return;
+    readStep(form);
+    saveDraft();
+    if (e.target.name === 'service') {
+      showError(null, document.getElementById('intake-service-error'), '');
+      document.getElementById('intake-reset').classList.remove('hidden');
+    }
+    if (FIELD_RULES[e.target.name] && e.target.getAttribute('aria-invalid') === 'true') {
+      validateContactField(e.target);
+    }
+  };
+  form.addEventListener('input', onEdit);
+  form.addEventListener('change', onEdit);
+
+  form.addEventListener('focusout', e => {
+    if (FIELD_RULES[e.target.name] && e.target.value.trim()) validateContactField(e.target);
+  });
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+
+    // Enter in a field on an earlier step means "Next".
+    if (state.step < STEPS.length - 1) {
+      document.getElementById('intake-next').click();
+      return;
+    }
+
+    readStep(form);
+    if (!validateStep(form)) return;
+
+    // Honeypot filled in: a bot. Pretend it worked and send nothing.
+    if (honeypot && honeypot.value) {
+      startOver();
+      setStatus(form, t('contact.sent'), true);
+      return;
+    }
+
+    // Too soon after the form appeared: the reader (or bot) has to wait out
+    // the rest of MIN_FILL_MS; pressing again right away doesn't reset it.
+    const fillWait = Math.ceil((MIN_FILL_MS - (Date.now() - shownAt)) / 1000);
+    if (fillWait > 0) {
+      setStatus(form, t('contact.tooFast', { count: fillWait }), false);
+      return;
+    }
+
+    const wait = rateLimitWait();
+    if (wait) {
+      setStatus(form, t('contact.rateLimited', { count: wait }), false);
+      return;
+    }
+
+    const payload = buildPayload();
+    submitBtn.disabled = true;
+    submitBtn.textContent = t('contact.sending');
+
+    try {
+      await sendContactMessage(payload);
+      recordSend();
+      track('contact_submit', { service: payload.service, queued: false });
+      startOver();
+      setStatus(form, t('contact.sent'), true);
+    } catch (err) {
+      if (err instanceof ContactUnavailableError) {
+        try {
+          await queueContactMessage(payload);
+          recordSend();
+          track('contact_submit', { service: payload.service, queued: true });
+          startOver();
+          setStatus(form, t(navigator.onLine === false ? 'contact.queuedOffline' : 'contact.queuedUnreachable'), true);
+          return;
+        } catch (queueErr) {
+          console.error('contact: could not queue message', queueErr);
+        }
+      }
+      setStatus(form, t('contact.failed', { error: err.message || err }), false);
+    } finally {
+      submitBtn.disabled = false;
+      submitBtn.textContent = t('contact.send');
+    }
+  });
+
+  initContactOutbox({
+    onSent: count => setStatus(form, t('contact.savedSent', { count }), true),
+  });
+}
+
+initContactForm(document.getElementById('contact-form'));
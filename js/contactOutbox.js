@@ -0,0 +1,154 @@
+// contactOutbox.js
+// Sending contact inquiries (the JSON payload built by js/contactForm.js) to
+// the backend (window.MURO_CONFIG.contactUrl), with an IndexedDB outbox: a
+// message that can't be delivered because the network (or the backend) is
+// down is stored and retried when the browser comes back online, or on the
+// next visit.
+
+const DB_NAME = 'muro-contact';
+const DB_VERSION = 1;
+const STORE = 'outbox';
+const MAX_ATTEMPTS = 5;         // then the message is dropped and logged
+
+// ---------- errors ----------
+
+// The backend answered and refused the message (4xx): retrying won't help.
+export class ContactRejectedError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ContactRejectedError';
+    this.status = status;
+  }
+}
+
+// Offline, unreachable or a 5xx: worth queueing.
+export class ContactUnavailableError extends Error {
+  constructor(message, { cause = null } = {}) {
+    super(message);
+    this.name = 'ContactUnavailableError';
+    this.cause = cause;
+  }
+}
+
+// ---------- sending ----------
+
+export function getContactEndpoint() {
+  return (window.MURO_CONFIG || {}).contactUrl || '';
+}
+
+// POST one message. Resolves on success; rejects with one of the errors above.
+export async function sendContactMessage(payload, { endpoint = getContactEndpoint() } = {}) {
+  if (!endpoint) throw new ContactRejectedError('The contact form is not connected in this environment.', 0);
+
+  let resp;
+  try {
+    resp = await fetch(endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify(payload),
+    });
+  } catch (err) {
+    throw new ContactUnavailableError('Could not reach the server.', { cause: err });
+  }
+
+  const data = await resp.json().catch(() => ({}));
+  if (resp.ok && data && data.success) return data;
+
+  const message = (data && data.error) ? String(data.error) : 'Could not send message.';
+  if (resp.status >= 500 || resp.status === 408 || resp.status === 429) {
+    throw new ContactUnavailableError(message);
+  }
+  throw new ContactRejectedError(message, resp.status);
+}
+
+// ---------- IndexedDB ----------
+
+function openDb() {
+  return new Promise((resolve, reject) => {
+    if (!('indexedDB' in window)) {
+      reject(new Error('IndexedDB is not available'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// Run `fn(store)` in a transaction; resolves with the value of the request
+// it returns (if any) once the transaction completes.
+async function withStore(mode, fn) {
+  const db = await openDb();
+  try {
+    return await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, mode);
+      const request = fn(tx.objectStore(STORE));
+      tx.oncomplete = () => resolve(request ? request.result : undefined);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+export function queueContactMessage(payload) {
+  return withStore('readwrite', store => store.add({
+    payload,
+    queuedAt: new Date().toISOString(),
+    attempts: 0,
+  }));
+}
+
+export function getQueuedMessages() {
+  return withStore('readonly', store => store.getAll());
+}
+
+// ---------- flushing ----------
+
+let flushing = null;
+
+// Try to deliver every queued message. Resolves with the number sent.
+export function flushContactOutbox() {
+  if (flushing) return flushing;
+  flushing = (async () => {
+    let sent = 0;
+    const entries = await getQueuedMessages();
+    for (const entry of entries) {
+      try {
+        await sendContactMessage(entry.payload);
+        await withStore('readwrite', store => store.delete(entry.id));
+        sent += 1;
+      } catch (err) {
+        if (err instanceof ContactUnavailableError && entry.attempts + 1 < MAX_ATTEMPTS) {
+          await withStore('readwrite', store => store.put({ ...entry, attempts: entry.attempts + 1 }));
+          break; // still offline / down: leave the rest for next time
+        }
+        console.error('contact: dropping queued message', err);
+        await withStore('readwrite', store => store.delete(entry.id));
+      }
+    }
+    return sent;
+  })().finally(() => {
+    flushing = null;
+  });
+  return flushing;
+}
+
+// Flush now and whenever the browser reports it's back online.
+// onSent(count) runs after queued messages were delivered.
+export function initContactOutbox({ onSent } = {}) {
+  const flush = () => {
+    if (navigator.onLine === false) return;
+    flushContactOutbox()
+      .then(count => {
+        if (count && onSent) onSent(count);
+      })
+      .catch(err => console.warn('contact: outbox unavailable', err));
+  };
+  window.addEventListener('online', flush);
+  flush();
+}
@@ -0,0 +1,312 @@
+// contentBlocks.js
+// Markdown extensions for insight bodies, on top of what marked already does:
+//
+//   :::note / :::tip / :::warning [title]   callout around Markdown content
+//   ![caption](image.png "figure")          captioned figure (on its own line);
+//   ![caption](a.png "figure a.png 800w, a@2x.png 1600w")  ...with a srcset
+//   :::embed <YouTube or Google Slides URL>  responsive player; body = caption
+//   :::resource [Label](file.pdf)           download card; body = description
+//
+// Directives close with a line of `:::` and don't nest. Each block has its own
+// DOMPurify config, applied only to the elements it renders (found by
+// `selector`, in Markdown output and stored HTML alike), plus an optional
+// `check` on the result (embeds only keep allowlisted player URLs). Whatever a
+// block adds stays out of the rest of the content. renderPostContent in
+// blogContent.js wires both in.
+
+import { escapeHtml } from './blogContent.js';
+import { t } from './i18n.js';
+
+// ":::name args\n body \n:::" at the start of `src`.
+const DIRECTIVE_RE = /^:::[ \t]*([a-z]+)[ \t]*([^\n]*)\n(?:([\s\S]*?)\n)??:::[ \t]*(?:\n+|$)/;
+const DIRECTIVE_START_RE = /^:::[ \t]*[a-z]/m;
+
+function directiveTokenizer(type, accepts, build) {
+  return {
+    name: type,
+    level: 'block',
+    start(src) {
+      return src.match(DIRECTIVE_START_RE)?.index;
+    },
+    tokenizer(src) {
+      const match = DIRECTIVE_RE.exec(src);
+      if (!match || !accepts(match[1])) return undefined;
+      const token = build.call(this, {
+        name: match[1],
+        args: match[2].trim(),
+        body: match[3] || '',
+      });
+      return token ? { type, raw: match[0], ...token } : undefined;
+    },
+  };
+}
+
+// ---------- callouts ----------
+
+// Default titles are content.callout.<kind> in the reader's language.
+const CALLOUT_KINDS = ['note', 'tip', 'warning'];
+
+const callout = {
+  extension: {
+    ...directiveTokenizer('callout', name => CALLOUT_KINDS.includes(name), function ({ name, args, body }) {
+      return {
+        kind: name,
+        title: args || t(`content.callout.${name}`),
+        tokens: this.lexer.blockTokens(body, []),
+      };
+    }),
+    renderer(token) {
+      return `<aside class="callout" data-callout="${token.kind}" role="note">
+<p class="callout-title">${escapeHtml(token.title)}</p>
+${this.parser.parse(token.tokens)}</aside>\n`;
+    },
+  },
+  sanitize: {
+    selector: 'aside.callout',
+    config: { ADD_TAGS: ['aside'] },
+  },
+};
+
+// ---------- figures ----------
+
+const FIGURE_RE = /^!\[([^\]\n]*)\]\(\s*<?([^\s<>()]+)>?\s+"figure(?:[ \t]+([^"\n]+))?"\s*\)[ \t]*(?:\n+|$)/;
+
+// Figures fill the article column (max-w-3xl in the blogs.html modal, about
+// the same on post.html) and the full width below that.
+const FIGURE_SIZES = '(min-width: 48rem) 48rem, 100vw';
+
+const figure = {
+  extension: {
+    name: 'figure',
+    level: 'block',
+    start(src) {
+      return src.match(/^!\[/m)?.index;
+    },
+    tokenizer(src) {
+      const match = FIGURE_RE.exec(src);
+      if (!match) return undefined;
+      return {
+        type: 'figure',
+        raw: match[0],
+        href: match[2],
+        srcset: (match[3] || '').trim(),
+        alt: match[1].replace(/[*_`]/g, '').trim(),
+        tokens: this.lexer.inlineTokens(match[1]),
+      };
+    },
+    renderer(token) {
+      const caption = this.parser.parseInline(token.tokens);
+      return `<figure class="content-figure">
+<img src="${escapeHtml(token.href)}"${token.srcset ? ` srcset="${escapeHtml(token.srcset)}" sizes="${FIGURE_SIZES}"` : ''} alt="${escapeHtml(token.alt)}">
+${caption ? `<figcaption>${caption}</figcaption>\n` : ''}</figure>\n`;
+    },
+  },
+  sanitize: {
+    selector: 'figure.content-figure',
+    config: { ADD_TAGS: ['figure', 'figcaption'], ADD_ATTR: ['srcset', 'sizes'] },
+  },
+};
+
+// ---------- embeds ----------
+
+// Player URLs an embed may point at, built from the link an author pastes.
+const EMBED_PROVIDERS = [
+  {
+    name: 'youtube',
+    labelKey: 'content.embed.youtube',
+    allow: 'accelerometer; clipboard-write; encrypted-media; gyroscope; picture-in-picture; web-share',
+    src: /^https:\/\/www\.youtube-nocookie\.com\/embed\/[\w-]{11}(?:\?start=\d+)?$/,
+    toSrc(url) {
+      const host = url.hostname.replace(/^(www|m)\./, '');
+      let id = null;
+      if (host === 'youtu.be') id = url.pathname.slice(1);
+      else if (host === 'youtube.com' || host === 'youtube-nocookie.com') {
+        id = url.pathname === '/watch'
+          ? url.searchParams.get('v')
+          : (url.pathname.match(/^\/(?:embed|shorts|live)\/([^/]+)/) || [])[1];
+      }
+      if (!/^[\w-]{11}$/.test(id || '')) return null;
+      const start = parseInt(url.searchParams.get('t') || url.searchParams.get('start') || '', 10);
+      return `https://www.youtube-nocookie.com/embed/${id}${start > 0 ? `?start=${start}` : ''}`;
+    },
+  },
+  {
+    name: 'google-slides',
+    labelKey: 'content.embed.googleSlides',
+    allow: 'fullscreen',
+    src: /^https:\/\/docs\.google\.com\/presentation\/d\/(?:e\/)?[\w-]+\/embed$/,
+    toSrc(url) {
+      if (url.hostname !== 'docs.google.com') return null;
+      const match = url.pathname.match(/^\/presentation\/d\/(e\/)?([\w-]+)/);
+      return match ? `https://docs.google.com/presentation/d/${match[1] || ''}${match[2]}/embed` : null;
+    },
+  },
+];
+
+export function resolveEmbed(rawUrl) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch {
+    return null;
+  }
+  if (url.protocol !== 'https:') return null;
+  for (const provider of EMBED_PROVIDERS) {
+    const src = provider.toSrc(url);
+    if (src && provider.src.test(src)) return { provider, src };
+  }
+  return null;
+}
+
+const embed = {
+  extension: {
+    ...directiveTokenizer('embed', name => name === 'embed', function ({ args, body }) {
+      return {
+        url: args,
+        embed: resolveEmbed(args),
+        caption: body.trim(),
+        tokens: this.lexer.inlineTokens(body.trim()),
+      };
+    }),
+    renderer(token) {
+      // Anything off the allowlist degrades to a plain link.
+      if (!token.embed) {
+        return `<p><a href="${escapeHtml(token.url)}">${token.caption ? this.parser.parseInline(token.tokens) : escapeHtml(token.url)}</a></p>\n`;
+      }
+      const { provider, src } = token.embed;
+      const title = token.caption.replace(/[*_`[\]]/g, '') || t(provider.labelKey);
+      return `<figure class="content-embed" data-embed="${provider.name}">
+<div class="content-embed-frame"><iframe src="${escapeHtml(src)}" title="${escapeHtml(title)}" loading="lazy" allow="${provider.allow}" allowfullscreen referrerpolicy="strict-origin-when-cross-origin"></iframe></div>
+${token.caption ? `<figcaption>${this.parser.parseInline(token.tokens)}</figcaption>\n` : ''}</figure>\n`;
+    },
+  },
+  sanitize: {
+    // A bare <iframe> in stored HTML is treated as an embed too.
+    selector: 'figure.content-embed, iframe',
+    config: {
+      ADD_TAGS: ['figure', 'figcaption', 'iframe'],
+      ADD_ATTR: ['allow', 'allowfullscreen', 'referrerpolicy'],
+    },
+    // Only allowlisted players survive.
+    check(fragment) {
+      fragment.querySelectorAll('iframe').forEach(frame => {
+        const src = frame.getAttribute('src') || '';
+        if (!EMBED_PROVIDERS.some(provider => provider.src.test(src))) frame.remove();
+      });
+    },
+  },
+};
+
+// ---------- resource cards ----------
+
+const RESOURCE_LINK_RE = /^\[([^\]]+)\]\(\s*<?([^\s<>()]+)>?\s*\)$/;
+
+function fileType(href) {
+  const ext = (href.split(/[?#]/)[0].match(/\.([a-z0-9]{2,5})$/i) || [])[1];
+  return ext ? ext.toUpperCase() : '';
+}
+
+const resource = {
+  extension: {
+    ...directiveTokenizer('resource', name => name === 'resource', function ({ args, body }) {
+      const link = RESOURCE_LINK_RE.exec(args);
+      if (!link) return null;
+      return {
+        label: link[1],
+        href: link[2],
+        tokens: this.lexer.blockTokens(body, []),
+      };
+    }),
+    renderer(token) {
+      const type = fileType(token.href);
+      return `<div class="resource-card" data-block="resource">
+<p class="resource-card-title"><a href="${escapeHtml(token.href)}" download>${escapeHtml(token.label)}</a>${type ? ` <span class="resource-card-type">${type}</span>` : ''}</p>
+${this.parser.parse(token.tokens)}</div>\n`;
+    },
+  },
+  sanitize: {
+    selector: 'div.resource-card',
+    config: { ADD_ATTR: ['download'] },
+  },
+};
+
+// ---------- wiring ----------
+
+const BLOCKS = [callout, figure, embed, resource];
+
+const installed = new WeakSet();
+
+// Registers the extensions on a marked instance (once per instance).
+export function installContentBlocks(marked) {
+  if (!marked || installed.has(marked)) return;
+  marked.use({ extensions: BLOCKS.map(block => block.extension) });
+  installed.add(marked);
+}
+
+// Tags and attributes that only the blocks adding them may use; the rest of
+// the content (and every other block) has them forbidden. figure, figcaption
+// and aside are ordinary HTML and allowed anywhere.
+const OWNED_TAGS = new Set(['iframe']);
+const OWNED_ATTR = new Set(BLOCKS.flatMap(({ sanitize }) => sanitize.config.ADD_ATTR || []));
+
+// DOMPurify config for one block, or for the content around the blocks.
+function purifyConfig(block = null) {
+  const config = block ? block.sanitize.config : {};
+  const own = new Set([...(config.ADD_TAGS || []), ...(config.ADD_ATTR || [])]);
+  return {
+    ...config,
+    FORBID_TAGS: [...OWNED_TAGS].filter(tag => !own.has(tag)),
+    FORBID_ATTR: [...OWNED_ATTR].filter(attr => !own.has(attr)),
+    RETURN_DOM_FRAGMENT: true,
+  };
+}
+
+const SLOT_ATTR = 'data-content-block';
+
+// Sanitize `html` block by block: each block's elements with that block's
+// config (innermost first, so a figure in a callout is the figure's), then the
+// rest with the plain config, keeping a placeholder where each block was.
+// Images and players load lazily whether they came from Markdown or stored
+// HTML. `doc` parses the input without running or loading anything.
+export function sanitizeContent(purifier, html, doc = globalThis.document) {
+  const source = doc.implementation.createHTMLDocument('');
+  source.body.innerHTML = html || '';
+
+  // Random per call, so stored HTML can't fake a placeholder.
+  const nonce = Math.random().toString(36).slice(2);
+  const slots = [];
+  const selector = BLOCKS.map(({ sanitize }) => sanitize.selector).join(', ');
+  Array.from(source.body.querySelectorAll(selector)).reverse().forEach(element => {
+    const block = BLOCKS.find(({ sanitize }) => element.matches(sanitize.selector));
+    const fragment = purifier.sanitize(element.outerHTML, purifyConfig(block));
+    if (block.sanitize.check) block.sanitize.check(fragment);
+
+    const slot = source.createElement('span');
+    slot.setAttribute(SLOT_ATTR, `${nonce}:${slots.length}`);
+    slots.push(fragment);
+    element.replaceWith(slot);
+  });
+
+  const content = purifier.sanitize(source.body.innerHTML, purifyConfig());
+  const container = content.ownerDocument.createElement('div');
+  container.appendChild(content);
+
+  // Outer blocks go back first and bring their inner placeholders with them.
+  for (let slot; (slot = container.querySelector(`[${SLOT_ATTR}]`));) {
+    const [slotNonce, index] = slot.getAttribute(SLOT_ATTR).split(':');
+    let fragment = null;
+    if (slotNonce === nonce) {
+      fragment = slots[index];
+      slots[index] = null;
+    }
+    slot.replaceWith(fragment || '');
+  }
+
+  container.querySelectorAll('img').forEach(img => {
+    if (!img.hasAttribute('loading')) img.setAttribute('loading', 'lazy');
+    img.setAttribute('decoding', 'async');
+  });
+  container.querySelectorAll('iframe').forEach(frame => frame.setAttribute('loading', 'lazy'));
+
+  return container.innerHTML;
+}
@@ -0,0 +1,155 @@
+// i18n.js
+// Interface language for the whole site (the shared chrome, the home page
+// and its contact wizard, the service pages and the insights pages): message
+// catalogs (js/locales/*.js), the reader's choice (the nav's language
+// switcher, js/languageSwitcher.js, remembered in localStorage), plurals, and
+// locale-aware dates and numbers.
+// An insight's own text has a language of its own (posts.locale, see
+// js/postTranslations.js); this is only the copy around it.
+//
+// Messages are looked up by dotted key, t('grid.noMatches'), with {name}
+// placeholders and { one, other } plural forms picked by params.count. Lists
+// are indexed the same way, t('home.approachTitle.1'), for copy that markup
+// splits into parts (highlighted phrases, line breaks).
+// Static markup opts in with attributes that applyTranslations() fills in:
+//   data-i18n="key"                              text content
+//   data-i18n-attr="placeholder:key;aria-label:key"
+//
+// Also runs under Node (scripts/buildPages.mjs renders each pre-rendered page
+// in its post's language with withLocale), where there is no stored choice.
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+// name: in its own language (the switcher, "Read in Español");
+// intl: tag for Intl formatting; og: Open Graph locale.
+export const LOCALES = {
+  en: { name: 'English', intl: 'en-US', og: 'en_US', messages: en },
+  es: { name: 'Español', intl: 'es-ES', og: 'es_ES', messages: es },
+};
+
+const STORAGE_KEY = 'muro_locale';
+
+// 'es-MX' -> 'es'; null for languages without a catalog.
+export function normalizeLocale(value) {
+  const code = String(value || '').trim().toLowerCase().split(/[-_]/)[0];
+  return Object.prototype.hasOwnProperty.call(LOCALES, code) ? code : null;
+}
+
+// The stored choice, else the browser's preferred languages. Build scripts
+// always start from the default.
+function detectLocale() {
+  if (typeof window === 'undefined') return DEFAULT_LOCALE;
+  try {
+    const stored = normalizeLocale(window.localStorage.getItem(STORAGE_KEY));
+    if (stored) return stored;
+  } catch (e) {
+    // storage unavailable: fall through to the browser languages
+  }
+  const preferred = [...(navigator.languages || []), navigator.language];
+  return preferred.map(normalizeLocale).find(Boolean) || DEFAULT_LOCALE;
+}
+
+let current = detectLocale();
+
+export function getLocale() {
+  return current;
+}
+
+// Switch and remember the choice. Text already on the page stays as it was
+// rendered; the switcher reloads the page.
+export function setLocale(locale) {
+  const code = normalizeLocale(locale);
+  if (!code) return current;
+  current = code;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, code);
+  } catch (e) {
+    // storage unavailable: the choice holds for this page only
+  }
+  if (typeof document !== 'undefined') document.documentElement.lang = code;
+  return code;
+}
+
+// Run `fn` with `locale` as the current locale (synchronous only).
+export function withLocale(locale, fn) {
+  const previous = current;
+  current = normalizeLocale(locale) || DEFAULT_LOCALE;
+  try {
+    return fn();
+  } finally {
+    current = previous;
+  }
+}
+
+export function localeName(locale) {
+  return LOCALES[normalizeLocale(locale)]?.name || String(locale || '');
+}
+
+function intlTag(locale) {
+  return LOCALES[locale]?.intl || LOCALES[DEFAULT_LOCALE].intl;
+}
+
+// ---------- formatting ----------
+
+export function formatNumber(value, options = {}, locale = current) {
+  return new Intl.NumberFormat(intlTag(locale), options).format(Number(value) || 0);
+}
+
+// "Oct 3, 2024" / "3 oct 2024" by default.
+export function formatDate(date, options = { year: 'numeric', month: 'short', day: 'numeric' }, locale = current) {
+  return new Intl.DateTimeFormat(intlTag(locale), options).format(date);
+}
+
+// "2 hours ago", "yesterday" (relative to now).
+export function formatRelativeTime(value, unit, locale = current) {
+  return new Intl.RelativeTimeFormat(intlTag(locale), { numeric: 'auto' }).format(value, unit);
+}
+
+// ---------- messages ----------
+
+const pluralRules = new Map();
+
+function pluralCategory(count, locale) {
+  if (!pluralRules.has(locale)) pluralRules.set(locale, new Intl.PluralRules(intlTag(locale)));
+  return pluralRules.get(locale).select(count);
+}
+
+function lookup(locale, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), LOCALES[locale]?.messages);
+}
+
+// The message for `key` in `locale` (falling back to English, then to the
+// key itself) with {placeholders} filled in. Numbers are formatted for the
+// locale.
+export function t(key, params = {}, locale = current) {
+  let message = lookup(locale, key);
+  if (message === undefined) message = lookup(DEFAULT_LOCALE, key);
+  if (message === undefined) {
+    console.warn(`i18n: missing message "${key}"`);
+    return key;
+  }
+  if (message && typeof message === 'object') {
+    message = message[pluralCategory(Number(params.count) || 0, locale)] ?? message.other;
+  }
+  return String(message).replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in params)) return match;
+    const value = params[name];
+    return typeof value === 'number' ? formatNumber(value, {}, locale) : String(value ?? '');
+  });
+}
+
+// Fill in [data-i18n] text and [data-i18n-attr] attributes under `root`.
+export function applyTranslations(root = document) {
+  root.querySelectorAll('[data-i18n]').forEach(el => {
+    el.textContent = t(el.getAttribute('data-i18n'));
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+    el.getAttribute('data-i18n-attr').split(';').forEach(pair => {
+      const [attr, key] = pair.split(':').map(part => part.trim());
+      if (attr && key) el.setAttribute(attr, t(key));
+    });
+  });
+}
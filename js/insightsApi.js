@@ -0,0 +1,537 @@
+// insightsApi.js
+// Public, read-only data access for insights on top of window.supabaseClient
+// (js/supabaseClient.js). Every call gets a timeout, retries with exponential
+// backoff on network trouble, a short-lived cache (memory + sessionStorage),
+// and failures come back as one of the typed errors below so pages can tell
+// "that insight doesn't exist" from "you're offline".
+//
+// The only writes are the anonymous engagement RPCs (views and reactions) and
+// the newsletter sign-up/preferences RPCs, which the database validates and
+// rate-limits itself.
+//
+// The authoring console (js/admin.js) talks to the client directly: its reads
+// include drafts and must not be cached.
+
+import { getRelatedPosts } from './blogContent.js';
+import { t } from './i18n.js';
+import { getSeriesContext } from './postSeries.js';
+import { getTranslations, inLocale, postLocale } from './postTranslations.js';
+
+const DEFAULT_TIMEOUT_MS = 8000;
+const DEFAULT_RETRIES = 2;          // attempts after the first
+const BACKOFF_BASE_MS = 400;        // 400ms, 800ms, … plus jitter
+
+const LIST_TTL_MS = 60 * 1000;
+const POST_TTL_MS = 5 * 60 * 1000;
+const STORAGE_PREFIX = 'muro_insights_v1:';
+
+// What each kind of list reads.
+const VIEWS = {
+  // Grid cards (post_summaries, see supabase/migrations/*_post_summaries.sql).
+  summary: {
+    table: 'post_summaries',
+    columns: 'title, slug, published_at, category, tags, author, content_preview, reading_minutes, ' +
+      'view_count, helpful_count, series, series_part, author_slugs, locale, translation_of',
+  },
+  // The local fuzzy search index: the card fields plus the full `content`,
+  // so matches past the preview's first 1200 characters are found.
+  search: {
+    table: 'post_summaries',
+    columns: 'title, slug, published_at, category, tags, author, content, reading_minutes, ' +
+      'view_count, helpful_count, series, series_part, author_slugs, locale, translation_of',
+  },
+  // Filter buttons + collapsed series cards.
+  facets: {
+    table: 'posts',
+    columns: 'title, slug, published_at, category, tags, series, series_part, author_slugs, locale',
+  },
+  // Prev/next, series, related and translation links.
+  context: {
+    table: 'posts',
+    columns: 'title, slug, published_at, category, tags, series, series_part, locale, translation_of',
+  },
+};
+
+// Sort orders: [column, ascending] pairs, ties going to the newest post.
+// The counts only exist on post_summaries (*_post_engagement.sql).
+const ORDERS = {
+  newest: [['published_at', false]],
+  oldest: [['published_at', true]],
+  most_read: [['view_count', false], ['published_at', false]],
+  most_helpful: [['helpful_count', false], ['published_at', false]],
+  // Reading order within a series (*_post_series.sql).
+  series: [['series_part', true], ['published_at', true]],
+};
+
+const FULL_POST_COLUMNS =
+  'title, slug, content, published_at, category, tags, author, is_published, series, series_part, author_slugs, ' +
+  'locale, translation_of';
+
+// Public author profiles (supabase/migrations/*_authors.sql).
+const AUTHOR_COLUMNS = 'slug, name, role, bio, avatar_url, links';
+const AUTHORS_TTL_MS = 5 * 60 * 1000;
+
+// ---------- errors ----------
+
+export class InsightsError extends Error {
+  constructor(message, { cause = null, code = '', status = null } = {}) {
+    super(message);
+    this.name = 'InsightsError';
+    this.cause = cause;
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Offline, timed out, or the server failed (5xx/429). Worth retrying.
+export class NetworkError extends InsightsError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NetworkError';
+    this.timedOut = Boolean(options.timedOut);
+  }
+}
+
+export class NotFoundError extends InsightsError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'NotFoundError';
+  }
+}
+
+// RLS / auth rejected the request.
+export class PermissionError extends InsightsError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'PermissionError';
+  }
+}
+
+// The database doesn't have the table/column/function the client expects
+// (e.g. a migration hasn't been applied yet).
+export class SchemaError extends InsightsError {
+  constructor(message, options = {}) {
+    super(message, options);
+    this.name = 'SchemaError';
+  }
+}
+
+const SCHEMA_CODES = new Set(['42P01', '42703', '42883', 'PGRST200', 'PGRST202', 'PGRST204', 'PGRST205']);
+const PERMISSION_CODES = new Set(['42501', 'PGRST301', 'PGRST302']);
+
+// Map a supabase-js error (or a thrown fetch/abort error) to a typed error.
+export function toInsightsError(error, { status = null, timedOut = false } = {}) {
+  if (error instanceof InsightsError) return error;
+
+  const code = String(error?.code || '');
+  const message = String(error?.message || error || 'Unknown error');
+  const options = { cause: error, code, status };
+
+  if (timedOut) return new NetworkError('The request timed out.', { ...options, timedOut: true });
+  // P0002: raised by the engagement RPCs for unknown/unpublished slugs.
+  if (code === 'PGRST116' || code === 'P0002') return new NotFoundError('No matching insight.', options);
+  if (SCHEMA_CODES.has(code)) return new SchemaError(message, options);
+  if (PERMISSION_CODES.has(code) || status === 401 || status === 403) {
+    return new PermissionError(message, options);
+  }
+  // supabase-js reports failed fetches with status 0 and names like
+  // "FetchError: …" / "TypeError: Failed to fetch" / "AbortError: …".
+  if (
+    status === 0 || status === 408 || status === 429 || (status && status >= 500) ||
+    /^(FetchError|TypeError|AbortError)\b/.test(message) ||
+    error?.name === 'TypeError' || error?.name === 'AbortError'
+  ) {
+    return new NetworkError(message, options);
+  }
+  return new InsightsError(message, options);
+}
+
+// Reader-facing explanation for an error from this module.
+export function describeInsightsError(error) {
+  if (error instanceof NetworkError) {
+    return t(error.timedOut ? 'errors.timedOut' : 'errors.network');
+  }
+  if (error instanceof NotFoundError) return t('errors.notFound');
+  if (error instanceof PermissionError) return t('errors.permission');
+  if (error instanceof SchemaError) return t('errors.schema');
+  return t('errors.generic');
+}
+
+// ---------- requests ----------
+
+// The mock client (local mock mode) is set asynchronously; see
+// js/supabaseClient.js.
+async function getClient() {
+  await window.supabaseClientReady;
+  if (!window.supabaseClient) {
+    throw new InsightsError('Supabase client is not loaded (js/supabaseClient.js).');
+  }
+  return window.supabaseClient;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function backoffDelay(attempt) {
+  return BACKOFF_BASE_MS * 2 ** attempt + Math.round(Math.random() * BACKOFF_BASE_MS / 2);
+}
+
+// Run `build(client)` (a supabase-js query) with a timeout, retrying network
+// failures. Resolves to { data, count } or rejects with a typed error.
+async function runQuery(build, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+  for (let attempt = 0; ; attempt += 1) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    let typed;
+
+    try {
+      const { data, error, count, status } = await build(await getClient()).abortSignal(controller.signal);
+      if (!error) return { data, count };
+      typed = toInsightsError(error, { status, timedOut: controller.signal.aborted });
+    } catch (err) {
+      typed = toInsightsError(err, { timedOut: controller.signal.aborted });
+    } finally {
+      clearTimeout(timer);
+    }
+
+    if (!(typed instanceof NetworkError) || attempt >= retries) throw typed;
+    await sleep(backoffDelay(attempt));
+  }
+}
+
+// ---------- cache ----------
+
+const memoryCache = new Map();   // key -> { at, value }
+const pending = new Map();       // key -> in-flight promise (dedupes parallel calls)
+
+function readCache(key, ttl) {
+  let entry = memoryCache.get(key);
+  if (!entry) {
+    try {
+      const raw = sessionStorage.getItem(STORAGE_PREFIX + key);
+      if (raw) {
+        entry = JSON.parse(raw);
+        memoryCache.set(key, entry);
+      }
+    } catch (e) {
+      // storage unavailable or corrupt: treat as a miss
+    }
+  }
+  return entry && Date.now() - entry.at < ttl ? entry.value : undefined;
+}
+
+function writeCache(key, value) {
+  const entry = { at: Date.now(), value };
+  memoryCache.set(key, entry);
+  try {
+    sessionStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+  } catch (e) {
+    // quota exceeded / private mode: memory cache still works
+  }
+}
+
+async function cached(key, ttl, load) {
+  const hit = readCache(key, ttl);
+  if (hit !== undefined) return hit;
+  if (pending.has(key)) return pending.get(key);
+
+  const promise = load()
+    .then(value => {
+      writeCache(key, value);
+      return value;
+    })
+    .finally(() => pending.delete(key));
+  pending.set(key, promise);
+  return promise;
+}
+
+export function clearInsightsCache() {
+  memoryCache.clear();
+  try {
+    Object.keys(sessionStorage)
+      .filter(key => key.startsWith(STORAGE_PREFIX))
+      .forEach(key => sessionStorage.removeItem(key));
+  } catch (e) {
+    // ignore
+  }
+}
+
+// ---------- filters ----------
+
+// Quote a value for PostgREST list syntax: in.("a","b") / ov.{"a","b"}.
+function quoteFilterValue(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+// Category/topic selection, same semantics as blog.js's matchesSelection:
+// 'any' = any selected category OR topic, 'all' = every selected topic and
+// one of the selected categories.
+function applySelection(query, { categories = [], tags = [], match = 'any' }) {
+  const cats = categories.filter(Boolean);
+  const tagList = tags.filter(Boolean);
+  if (!cats.length && !tagList.length) return query;
+
+  if (match === 'all') {
+    if (cats.length) query = query.in('category', cats);
+    if (tagList.length) query = query.contains('tags', tagList);
+    return query;
+  }
+
+  const conditions = [];
+  if (cats.length) conditions.push(`category.in.(${cats.map(quoteFilterValue).join(',')})`);
+  if (tagList.length) conditions.push(`tags.ov.{${tagList.map(quoteFilterValue).join(',')}}`);
+  return query.or(conditions.join(','));
+}
+
+// ---------- public API ----------
+
+// Published posts, newest first unless another `order` is given.
+//   view:       'summary' (grid cards) | 'search' | 'facets' | 'context'
+//   order:      'newest' | 'oldest' | 'most_read' | 'most_helpful' (summary, search)
+//               | 'series' (part order)
+//   categories, tags, match: category/topic selection
+//   series:     only the parts of this series
+//   author:     only posts (co-)written by this author slug
+//   locale:     only posts written in this language ('en', 'es')
+//   search:     websearch_to_tsquery string (ranked full-text on search_vector)
+//   page + pageSize, or limit
+export async function getPublishedPosts(options = {}) {
+  const {
+    view = 'summary',
+    categories = [],
+    tags = [],
+    match = 'any',
+    series = '',
+    author = '',
+    locale = '',
+    search = '',
+    page = null,
+    pageSize = 12,
+    limit = null,
+    order = 'newest',
+  } = options;
+  const { table, columns } = VIEWS[view] || VIEWS.summary;
+  const key = `posts:${JSON.stringify({ view, categories, tags, match, series, author, locale, search, page, pageSize, limit, order })}`;
+
+  return cached(key, LIST_TTL_MS, async () => {
+    const { data } = await runQuery(client => {
+      let query = client.from(table).select(columns).eq('is_published', true);
+      query = applySelection(query, { categories, tags, match });
+      if (series) query = query.eq('series', series);
+      if (author) query = query.contains('author_slugs', [author]);
+      if (locale) query = query.eq('locale', locale);
+      if (search) {
+        query = query.textSearch('search_vector', search, { type: 'websearch', config: 'english' });
+      }
+      if (!search || order !== 'newest') {
+        (ORDERS[order] || ORDERS.newest).forEach(([column, ascending]) => {
+          query = query.order(column, { ascending });
+        });
+      }
+      if (page !== null) {
+        const from = page * pageSize;
+        query = query.range(from, from + pageSize - 1);
+      } else if (limit) {
+        query = query.limit(limit);
+      }
+      return query;
+    });
+    return Array.isArray(data) ? data : [];
+  });
+}
+
+// One published post with its full content. Rejects with NotFoundError for an
+// unknown (or unpublished/scheduled) slug.
+export async function getPostBySlug(slug) {
+  if (!slug) throw new NotFoundError('No insight specified.');
+
+  return cached(`post:${slug}`, POST_TTL_MS, async () => {
+    const { data } = await runQuery(client => client
+      .from('posts')
+      .select(FULL_POST_COLUMNS)
+      .eq('slug', slug)
+      .eq('is_published', true)
+      .maybeSingle());
+    if (!data) throw new NotFoundError(`No published insight "${slug}".`);
+    return data;
+  });
+}
+
+// Every author profile, by name. There are few, so pages load them all once
+// and look bylines up locally.
+export async function getAuthors() {
+  return cached('authors', AUTHORS_TTL_MS, async () => {
+    const { data } = await runQuery(client => client
+      .from('authors')
+      .select(AUTHOR_COLUMNS)
+      .order('name', { ascending: true }));
+    return Array.isArray(data) ? data : [];
+  });
+}
+
+// One author profile. Rejects with NotFoundError for an unknown slug.
+export async function getAuthorBySlug(slug) {
+  if (!slug) throw new NotFoundError('No author specified.');
+  const author = (await getAuthors()).find(a => a.slug === slug);
+  if (!author) throw new NotFoundError(`No author "${slug}".`);
+  return author;
+}
+
+// A draft/scheduled post through a signed preview token (get_post_preview,
+// supabase/migrations/*_scheduled_posts_and_previews.sql). Never cached.
+export async function getPostPreview(slug, token) {
+  const { data } = await runQuery(client => client.rpc('get_post_preview', {
+    p_slug: slug,
+    p_token: token,
+  }));
+  const post = Array.isArray(data) ? data[0] : data;
+  if (!post) throw new NotFoundError('This preview link is invalid or has expired.');
+  return post;
+}
+
+// Neighbours and related posts for `post`, among posts in its own language:
+// { posts (oldest first), series, previous, next, related }.
+// Inside a series, previous/next follow the part order (series.previous /
+// series.next) and fall back to chronological order at either end; related
+// posts leave out the series' own parts.
+export async function getPostNeighbors(post, { related: maxRelated = 3 } = {}) {
+  const posts = inLocale(await getPublishedPosts({ view: 'context', order: 'oldest' }), postLocale(post));
+  const idx = posts.findIndex(p => p.slug === post.slug);
+  const series = getSeriesContext(idx >= 0 ? posts[idx] : post, posts);
+  const others = series ? posts.filter(p => !series.parts.includes(p)) : posts;
+  return {
+    posts,
+    series,
+    previous: series?.previous || (idx > 0 ? posts[idx - 1] : null),
+    next: series?.next || (idx >= 0 && idx < posts.length - 1 ? posts[idx + 1] : null),
+    related: getRelatedPosts(post, others, maxRelated),
+  };
+}
+
+// Published versions of `post` in other languages (see js/postTranslations.js).
+export async function getPostTranslations(post) {
+  return getTranslations(post, await getPublishedPosts({ view: 'context', order: 'oldest' }));
+}
+
+// ---------- engagement ----------
+
+// Views and reactions go through RPCs (supabase/migrations/*_post_engagement.sql)
+// that de-duplicate and rate-limit on the server, which also works out who the
+// reader is. The browser only remembers which reactions it gave so the
+// buttons can show them.
+
+export const REACTIONS = ['helpful'];
+
+const REACTIONS_KEY = 'muro_reactions';
+
+function toEngagement(row) {
+  return {
+    views: Number(row?.view_count) || 0,
+    helpful: Number(row?.helpful_count) || 0,
+  };
+}
+
+function readReactions() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(REACTIONS_KEY) || '{}');
+    return stored && typeof stored === 'object' ? stored : {};
+  } catch (e) {
+    return {};
+  }
+}
+
+export function hasReacted(slug, reaction = 'helpful') {
+  const list = readReactions()[slug];
+  return Array.isArray(list) && list.includes(reaction);
+}
+
+function rememberReaction(slug, reaction, active) {
+  const all = readReactions();
+  const list = new Set(Array.isArray(all[slug]) ? all[slug] : []);
+  if (active) list.add(reaction);
+  else list.delete(reaction);
+  if (list.size) all[slug] = Array.from(list);
+  else delete all[slug];
+  try {
+    localStorage.setItem(REACTIONS_KEY, JSON.stringify(all));
+  } catch (e) {
+    // ignore
+  }
+}
+
+// Count a view of a published post. Resolves to { views, helpful }.
+export async function recordPostView(slug) {
+  const { data } = await runQuery(client => client.rpc('record_post_view', { p_slug: slug }));
+  return toEngagement(Array.isArray(data) ? data[0] : data);
+}
+
+// Add (active) or take back a reaction. Safe to retry: the server ignores
+// repeats. Resolves to { views, helpful }.
+export async function setPostReaction(slug, { reaction = 'helpful', active = true } = {}) {
+  if (!REACTIONS.includes(reaction)) throw new InsightsError(`Unknown reaction "${reaction}".`);
+
+  const { data } = await runQuery(client => client.rpc('set_post_reaction', {
+    p_slug: slug,
+    p_reaction: reaction,
+    p_active: active,
+  }));
+  rememberReaction(slug, reaction, active);
+  return toEngagement(Array.isArray(data) ? data[0] : data);
+}
+
+// ---------- newsletter ----------
+
+// Double opt-in subscriptions (supabase/migrations/*_newsletter.sql). Sign-up
+// only records a pending subscription; the emailed confirm link activates it,
+// and the manage link in every digest changes or cancels it. None of these are
+// cached.
+
+function toSubscription(row) {
+  return {
+    email: row?.email || '',
+    categories: Array.isArray(row?.categories) ? row.categories : [],
+    status: row?.status || '',
+  };
+}
+
+function firstRow(data) {
+  return Array.isArray(data) ? data[0] : data;
+}
+
+// `categories` empty means every category. Resolves the same way whether or
+// not the address was already subscribed.
+export async function subscribeToNewsletter(email, categories = []) {
+  await runQuery(client => client.rpc('subscribe_newsletter', {
+    p_email: email,
+    p_categories: categories,
+  }), { retries: 0 });
+}
+
+// Resolves to { email, categories, status, manageToken }; an invalid or
+// expired link rejects with NotFoundError.
+export async function confirmNewsletterSubscription(token) {
+  const { data } = await runQuery(client => client.rpc('confirm_newsletter_subscription', { p_token: token }));
+  const row = firstRow(data);
+  return { ...toSubscription(row), manageToken: row?.manage_token || '' };
+}
+
+// The subscription behind a manage link: { email, categories, status }.
+export async function getNewsletterSubscription(token) {
+  const { data } = await runQuery(client => client.rpc('get_newsletter_subscription', { p_token: token }));
+  return toSubscription(firstRow(data));
+}
+
+// Save new categories (empty = all); also re-subscribes after an unsubscribe.
+export async function updateNewsletterSubscription(token, categories = []) {
+  const { data } = await runQuery(client => client.rpc('update_newsletter_subscription', {
+    p_token: token,
+    p_categories: categories,
+  }));
+  return toSubscription(firstRow(data));
+}
+
+export async function unsubscribeFromNewsletter(token) {
+  const { data } = await runQuery(client => client.rpc('unsubscribe_newsletter', { p_token: token }));
+  return toSubscription(firstRow(data));
+}
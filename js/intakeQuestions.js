@@ -0,0 +1,146 @@
+// intakeQuestions.js
+// What the contact intake wizard (js/contactForm.js) asks, per service line.
+// Question types: 'checkboxes', 'select', 'date', 'text', 'textarea'.
+// Answers are sent under `answers.<id>` in the intake payload.
+//
+// The labels and options here are English on purpose: they're what the team
+// reads in the payload, and options are also the values sent. Visitors see
+// the messages under each question's `text` key (intake.lines.<id> for the
+// service lines) in their own language, js/locales/*.js.
+
+export const TIMELINE_QUESTION = {
+  id: 'timeline',
+  text: 'intake.timeline',
+  label: 'When would you like to start?',
+  type: 'select',
+  options: ['As soon as possible', 'In 1–3 months', 'In 3–6 months', 'Just exploring'],
+};
+
+export const SERVICE_LINES = [
+  {
+    id: 'growth',
+    label: 'Growth & Engagement',
+    description: 'Grants, funder research and fundraising campaigns.',
+    page: 'growth_and_engagement.html',
+    questions: [
+      {
+        id: 'interests',
+        text: 'intake.growthInterests',
+        label: 'Which services are you interested in?',
+        type: 'checkboxes',
+        required: true,
+        options: [
+          'Funder research & prospecting',
+          'Grant calendar & strategy',
+          'Proposal drafting & editing',
+          'Fundraising sprint / campaign',
+          'Communication strategy',
+        ],
+      },
+      {
+        id: 'grantDeadline',
+        text: 'intake.grantDeadline',
+        label: 'Next grant deadline (if any)',
+        type: 'date',
+      },
+      {
+        id: 'annualBudget',
+        text: 'intake.annualBudget',
+        label: 'Annual operating budget',
+        type: 'select',
+        options: ['Under $250k', '$250k–$1M', '$1M–$5M', 'Over $5M', 'Prefer not to say'],
+      },
+    ],
+  },
+  {
+    id: 'data',
+    label: 'Data & Technology',
+    description: 'Asana and collaboration tools, dashboards, AI integration.',
+    page: 'data_technology.html',
+    questions: [
+      {
+        id: 'interests',
+        text: 'intake.dataInterests',
+        label: 'Which services are you interested in?',
+        type: 'checkboxes',
+        required: true,
+        options: [
+          'Asana setup & documentation',
+          'Collaboration & time management tools',
+          'Dashboards & analytics',
+          'AI integration',
+        ],
+      },
+      {
+        id: 'toolingStack',
+        text: 'intake.toolingStack',
+        label: 'What tools does your team use today?',
+        type: 'text',
+        required: true,
+        placeholder: 'e.g. Google Workspace, Salesforce, spreadsheets',
+      },
+      {
+        id: 'teamSize',
+        text: 'intake.teamSize',
+        label: 'Team size',
+        type: 'select',
+        options: ['Just me', '2–10', '11–50', 'More than 50'],
+      },
+    ],
+  },
+  {
+    id: 'operations',
+    label: 'Operations & Systems',
+    description: 'Project management and operations/admin support.',
+    page: 'operations_systems.html',
+    questions: [
+      {
+        id: 'interests',
+        text: 'intake.operationsInterests',
+        label: 'Which services are you interested in?',
+        type: 'checkboxes',
+        required: true,
+        options: ['Project management', 'Operations & admin support'],
+      },
+      {
+        id: 'challenge',
+        text: 'intake.challenge',
+        label: 'What is the biggest operational bottleneck right now?',
+        type: 'textarea',
+        required: true,
+        placeholder: 'e.g. approvals stall, nobody owns the board calendar…',
+      },
+      {
+        id: 'teamSize',
+        text: 'intake.teamSize',
+        label: 'Team size',
+        type: 'select',
+        options: ['Just me', '2–10', '11–50', 'More than 50'],
+      },
+    ],
+  },
+  {
+    id: 'other',
+    label: 'Something else',
+    description: "Not sure yet? Tell us what you're working on.",
+    page: null,
+    questions: [],
+  },
+];
+
+export function getServiceLine(id) {
+  return SERVICE_LINES.find(line => line.id === id) || null;
+}
+
+// The service line for a page path or URL ("/data_technology.html" -> data).
+export function serviceFromPage(path) {
+  if (!path) return null;
+  let pathname = path;
+  try {
+    pathname = new URL(path, 'https://example.invalid/').pathname;
+  } catch (e) {
+    // not a URL: use as is
+  }
+  const file = pathname.split('/').pop();
+  return SERVICE_LINES.find(line => line.page && line.page === file) || null;
+}
@@ -0,0 +1,52 @@
+// languageSwitcher.js
+// Page-level language setup, run once by every page: sets <html lang>, fills
+// in the static copy marked with data-i18n (js/i18n.js), and draws the
+// English / Español toggle into every [data-language-switcher] placeholder
+// (the <muro-header> desktop nav and mobile menu, js/siteChrome.js). Picking
+// a language remembers it and reloads the page, since most of the copy is
+// rendered by scripts.
+
+import { LOCALES, applyTranslations, getLocale, setLocale, t } from './i18n.js';
+import { track } from './analytics.js';
+
+function renderSwitcher(current) {
+  const buttons = Object.entries(LOCALES).map(([code, { name }]) => {
+    const active = code === current;
+    return `
+      <button type="button" data-locale="${code}" lang="${code}" aria-pressed="${active}"
+              class="px-2.5 py-1 rounded-full transition ${active ? 'bg-primary text-paper' : 'text-dark-brown hover:text-primary'}">
+        ${name}
+      </button>`;
+  }).join('');
+  return `
+    <div role="group" aria-label="${t('language.label')}"
+         class="inline-flex rounded-full border border-dark-brown/30 bg-paper p-0.5 text-[0.72rem] font-semibold">
+      ${buttons}
+    </div>`;
+}
+
+// Containers already listening, so drawing them again (the header draws its
+// own, js/siteChrome.js) doesn't add a second handler.
+const bound = new WeakSet();
+
+export function initLanguageSwitchers(root = document) {
+  const current = getLocale();
+  root.querySelectorAll('[data-language-switcher]').forEach(container => {
+    container.innerHTML = renderSwitcher(current);
+    if (bound.has(container)) return;
+    bound.add(container);
+    container.addEventListener('click', e => {
+      const button = e.target.closest('[data-locale]');
+      if (!button || button.dataset.locale === getLocale()) return;
+      track('language_change', { from: getLocale(), to: button.dataset.locale });
+      setLocale(button.dataset.locale);
+      window.location.reload();
+    });
+  });
+}
+
+export function initPageLanguage() {
+  document.documentElement.lang = getLocale();
+  applyTranslations(document);
+  initLanguageSwitchers();
+}
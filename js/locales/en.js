@@ -0,0 +1,505 @@
+// English messages (the default; other catalogs fall back to these).
+// Keys are grouped by where the text shows up; see js/i18n.js for the
+// {placeholder} and { one, other } plural syntax.
+
+export default {
+  language: {
+    label: 'Language',
+  },
+
+  nav: {
+    home: 'Home',
+    about: 'About',
+    aboutUs: 'About Us',
+    approach: 'Our Approach',
+    testimonials: 'Testimonials',
+    services: 'Services',
+    growth: 'Growth & Engagement',
+    data: 'Data & Technology',
+    operations: 'Operations & Systems',
+    contact: 'Contact Us',
+    openMenu: 'Open menu',
+    insights: 'Insights',
+  },
+
+  footer: {
+    cookieSettings: 'Cookie settings',
+  },
+
+  sectionNav: {
+    next: 'Scroll to {section}',
+    top: 'Back to top',
+  },
+
+  consent: {
+    label: 'Analytics consent',
+    title: 'Help us improve this site?',
+    text: 'With your permission we use Google Analytics to count visits and see which insights are read. ' +
+      'No ads, and nothing is collected unless you allow it. You can change your mind any time ' +
+      'from “Cookie settings” at the bottom of the page.',
+    deny: 'No thanks',
+    allow: 'Allow analytics',
+    currentlyAllowed: 'Currently: allowed.',
+    currentlyDenied: 'Currently: not allowed.',
+  },
+
+  common: {
+    insight: 'Insight',
+    loading: 'Loading…',
+    retry: 'Retry',
+    exportPdf: 'Export PDF',
+    browseAll: 'Browse all insights',
+  },
+
+  content: {
+    readingTime: '{count} min read',
+    // Default titles for :::note / :::tip / :::warning (js/contentBlocks.js).
+    callout: {
+      note: 'Note',
+      tip: 'Tip',
+      warning: 'Warning',
+    },
+    // Player titles for :::embed blocks without a caption.
+    embed: {
+      youtube: 'YouTube video',
+      googleSlides: 'Google Slides presentation',
+    },
+  },
+
+  errors: {
+    timedOut: 'Loading is taking too long. Check your connection and try again.',
+    network: "We couldn't reach the server. Check your connection and try again.",
+    notFound: "We couldn't find that insight.",
+    permission: "Insights aren't available right now.",
+    schema: 'Insights are temporarily unavailable while we update the site.',
+    generic: 'Something went wrong while loading insights.',
+  },
+
+  cache: {
+    offline: "You're offline.",
+    unreachable: "Can't reach the insights server right now.",
+    showing: '{lead} Showing cached insights.',
+    showingSaved: '{lead} Showing cached insights saved {when}.',
+    backOnline: "You're back online. Refresh to see the latest insights.",
+  },
+
+  engagement: {
+    reads: { one: '{formatted} read', other: '{formatted} reads' },
+    helpfulCount: '{formatted} helpful',
+    question: 'Was this insight useful?',
+    helpful: 'Helpful',
+    saveFailed: "Couldn't save that just now. Please try again later.",
+  },
+
+  toc: {
+    onThisPage: 'On this page',
+    sections: { one: '({count} section)', other: '({count} sections)' },
+    linkToSection: 'Link to section: {title}',
+    linkCopied: 'Link copied',
+  },
+
+  series: {
+    label: 'Series',
+    position: 'Part {part} of {total}',
+    part: 'Part {part}:',
+    nextPart: 'Next part: {title}',
+    parts: { one: '{count} part', other: '{count} parts' },
+    latest: 'Latest {date}',
+    more: '+ {count} more',
+    read: 'Read the series',
+  },
+
+  authors: {
+    by: 'By {names}',
+    and: 'and',
+    about: 'About {name} →',
+  },
+
+  translations: {
+    readIn: 'Read in {language}',
+  },
+
+  grid: {
+    pageTitle: 'Insights • Muro Consulting Services',
+    eyebrow: 'Insights',
+    title: 'Insights with impact.',
+    lede: 'Practical perspectives on growth, data, and operations for mission-driven teams.',
+    subscribe: 'Subscribe:',
+    filters: 'Filters',
+    clearAll: 'Clear all',
+    searchLabel: 'Search insights',
+    searchPlaceholder: 'Search by title, topic or "exact phrase"',
+    combine: 'Combine filters',
+    matchAny: 'Match any',
+    matchAll: 'Match all',
+    category: 'Category',
+    categoriesPending: 'Categories will appear here once insights load.',
+    allInsights: 'All insights',
+    seriesHint: 'Multi-part guides, shown in reading order.',
+    author: 'Author',
+    language: 'Language',
+    allLanguages: 'All languages',
+    topics: 'Topics',
+    topicsHint: 'Explore by topic. Tags are drawn directly from each post in Supabase.',
+    topicsPending: 'Topics will appear here once insights load.',
+    noTopics: 'No topics yet. Tag posts in the insights admin to enable topic filters.',
+    loading: 'Loading insights…',
+    sortBy: 'Sort by',
+    sortNewest: 'Newest',
+    sortMostRead: 'Most read',
+    sortMostHelpful: 'Most helpful',
+    loadMore: 'Load more insights',
+    noMatches: 'No insights match your filters yet.',
+    openFull: 'Open full insight',
+    ctaTitle: 'Ready to put these ideas to work?',
+    ctaText: 'We help mission-driven organizations translate insights into actionable strategies across growth, data, and operations.',
+    ctaButton: 'CONTACT US',
+  },
+
+  results: {
+    none: 'No insights match your filters.',
+    count: { one: '{count} insight', other: '{count} insights' },
+    inSeries: ' in the series “{series}”',
+    byAuthor: ' by {author}',
+    shownMore: ' shown, more load as you scroll.',
+    shown: ' shown.',
+  },
+
+  search: {
+    results: { one: '{count} result for “{query}”', other: '{count} results for “{query}”' },
+    closeMatches: '{label} — showing close matches.',
+    ordered: '{label}, {order}.',
+    relevant: 'most relevant first',
+    mostRead: 'most read first',
+    mostHelpful: 'most helpful first',
+  },
+
+  modal: {
+    close: 'Close blog post',
+    loading: 'Loading insight…',
+    unavailable: 'This insight is no longer available.',
+    openPage: 'Open this insight in a new page',
+    related: 'Related insights',
+  },
+
+  post: {
+    back: '← Back to all insights',
+    loading: 'Loading insight…',
+    readingProgress: 'Reading progress',
+    notFoundTitle: 'Insight not found',
+    notFoundDetail: "This insight doesn't exist or is no longer published.",
+    noSlug: 'No insight was specified in this link.',
+    draftPreview: 'Draft preview',
+    notPublished: 'This insight is not published yet.',
+    scheduled: 'Scheduled to publish {date}.',
+    alreadyLive: 'This insight is already live.',
+    linkExpires: 'Link expires {date}.',
+    previous: 'Previous',
+    next: 'Next',
+    previousPart: 'Previous part',
+    nextPart: 'Next part',
+    moreTitle: 'More insights',
+    moreText: 'Explore additional perspectives from Muro Consulting Services.',
+    moreLoading: 'Loading more insights…',
+    moreNone: 'No additional insights available right now.',
+    moreUnavailable: 'More insights are currently unavailable.',
+    displayError: 'Something went wrong while displaying this insight.',
+  },
+
+  author: {
+    eyebrow: 'Author',
+    loading: 'Loading author…',
+    insights: 'Insights',
+    insightsBy: 'Insights by {name}',
+    loadingInsights: 'Loading insights…',
+    count: { one: '{count} insight, newest first.', other: '{count} insights, newest first.' },
+    countMore: '{count}+ insights, newest first.',
+    none: 'No published insights yet.',
+    filterLink: 'Filter and search these in all insights →',
+    noSlug: 'No author was specified in this link.',
+    notFound: 'We couldn’t find that author. They may have moved.',
+    descriptionWithRole: '{name}, {role}: insights from Muro Consulting Services.',
+    description: 'Insights by {name} from Muro Consulting Services.',
+  },
+
+  newsletter: {
+    title: 'Get new insights by email',
+    intro: 'A short digest when we publish, only for the topics you choose. We’ll ask you to confirm your ' +
+      'address first, and every email has a link to change topics or unsubscribe.',
+    emailLabel: 'Email address',
+    emailPlaceholder: 'you@organization.org',
+    subscribe: 'Subscribe',
+    topics: 'Topics',
+    topicsHint: '(none ticked = all)',
+    honeypot: 'Leave this field empty',
+    emailMissing: 'Please enter your email address.',
+    emailInvalid: 'Please enter a valid email address, like name@example.com.',
+    tooFast: {
+      one: 'That was quick! Please check your address and press Subscribe again in {count} second.',
+      other: 'That was quick! Please check your address and press Subscribe again in {count} seconds.',
+    },
+    subscribing: 'Subscribing…',
+    checkInbox: 'Almost done: check your inbox for a link to confirm your subscription.',
+    rateLimited: 'There have been too many sign-ups from your network. Please try again later.',
+    invalidLink: 'This link is invalid or has expired.',
+    unavailable: 'Email updates are temporarily unavailable while we update the site.',
+    failed: 'Something went wrong. Please try again.',
+  },
+
+  newsletterPage: {
+    eyebrow: 'Email updates',
+    signUpAgain: 'Sign up again on the insights page',
+    confirmTitle: 'Confirm your subscription',
+    confirmText: 'Press the button to start getting new insights by email.',
+    confirmButton: 'Confirm subscription',
+    confirming: 'Confirming…',
+    confirmed: 'You’re subscribed. You can fine-tune your topics below at any time.',
+    manageTitle: 'Email updates',
+    for: 'For',
+    allTopics: 'all topics',
+    subscribedTo: 'subscribed to {topics}.',
+    unsubscribedSummary: 'unsubscribed. Pick topics and subscribe again whenever you like.',
+    save: 'Save topics',
+    subscribeAgain: 'Subscribe again',
+    unsubscribe: 'Unsubscribe from all emails',
+    saved: 'Your topics are saved.',
+    welcomeBack: 'Welcome back: you’re subscribed again.',
+    unsubscribed: 'You’re unsubscribed and won’t get any more emails from us.',
+    unsubscribePrompt: 'Press “Unsubscribe from all emails” to stop all newsletter emails.',
+    infoText: 'To change your topics or unsubscribe, use the link at the bottom of any of our emails.',
+    notSubscribed: 'Not subscribed yet?',
+    signUp: 'Sign up on the insights page',
+  },
+
+  // index.html; the service pages' names and section titles reuse nav.*.
+  home: {
+    // The section arrows' "Scroll to …" labels.
+    sections: {
+      about: 'About',
+      approach: 'Approach',
+      services: 'Services',
+      testimonials: 'Testimonials',
+      contact: 'Contact',
+    },
+    iconAlt: 'Muro Rangel desert line-art',
+    learnMore: 'LEARN MORE',
+    tagline: 'Like the desert, we believe strength comes from clarity, resilience, and balance.',
+    missionTitle: 'Mission',
+    mission: 'We help lean teams simplify operations, apply practical technology, and grow with confidence—delivering clear, results-driven solutions designed to last.',
+    howWeWork: 'How We Work',
+    aboutImageAlt: 'Desert landscape',
+    // Two lines: "Our" / "Approach".
+    approachTitle: ['Our', 'Approach'],
+    partnershipTitle: 'COLLABORATIVE PARTNERSHIP',
+    partnership: 'We step in as a true partner, working with your team to expand capacity and keep momentum moving forward.',
+    integratedTitle: 'INTEGRATED SOLUTIONS',
+    integrated: 'We bridge fundraising, communications, operations, and technology so every effort reinforces the bigger picture.',
+    impactTitle: 'PRACTICAL IMPACT',
+    impact: 'Strategies and systems that are clear, usable, and built to make an immediate difference.',
+    mattersTitle: 'BUILT AROUND WHAT MATTERS',
+    matters: 'Solutions tailored to your goals and context—natural to your team and sustainable over time.',
+    servicesTagline: 'Focused engagements that reduce complexity and accelerate growth.',
+    // "Get in touch by <email> or using the form below."
+    contactIntro: 'Get in touch by',
+    contactEmail: 'email',
+    contactIntroEnd: 'or using the form below.',
+  },
+
+  // The intake wizard on index.html (js/contactForm.js).
+  contact: {
+    progress: 'Step {step} of {total}: {label}',
+    steps: {
+      service: 'Service',
+      details: 'Details',
+      contact: 'Contact',
+    },
+    startOver: 'Start over',
+    serviceLegend: 'What can we help with?',
+    detailsLegend: 'A few details',
+    contactLegend: 'How can we reach you?',
+    name: 'Your Name',
+    email: 'Your Email',
+    organization: 'Organization (optional)',
+    message: 'Anything else we should know?',
+    honeypot: 'Leave this field empty',
+    choose: 'Choose…',
+    back: 'Back',
+    next: 'Next',
+    send: 'Send Message',
+    sending: 'Sending...',
+    dismiss: 'Dismiss message',
+    nameRequired: 'Please enter your name.',
+    nameTooLong: 'Please keep your name under 100 characters.',
+    emailRequired: 'Please enter your email address.',
+    emailInvalid: 'Please enter a valid email address, like name@example.com.',
+    organizationTooLong: 'Please keep the organization name under 150 characters.',
+    messageRequired: 'Please tell us how we can help.',
+    messageTooShort: 'Please add a little more detail (at least 10 characters).',
+    messageTooLong: 'Please keep your message under 5,000 characters.',
+    serviceRequired: 'Please choose what you need help with.',
+    optionRequired: 'Please choose at least one option.',
+    answerRequired: 'Please answer this question.',
+    answerTooLong: 'Please keep this under {max} characters.',
+    sent: 'Message sent successfully!',
+    tooFast: {
+      one: 'That was quick! Please check your answers and press Send again in {count} second.',
+      other: 'That was quick! Please check your answers and press Send again in {count} seconds.',
+    },
+    rateLimited: {
+      one: "You've sent several messages recently. Please try again in {count} minute, or email us directly.",
+      other: "You've sent several messages recently. Please try again in {count} minutes, or email us directly.",
+    },
+    queuedOffline: "You're offline. Your message is saved and will be sent automatically when you're back online.",
+    queuedUnreachable: "We couldn't reach our server. Your message is saved and we'll retry automatically.",
+    failed: "Your message wasn't sent: {error}",
+    savedSent: {
+      one: 'Your saved message has been sent.',
+      other: 'Your {count} saved messages have been sent.',
+    },
+  },
+
+  // The wizard's service lines and questions, as visitors see them (the
+  // `text` keys in js/intakeQuestions.js). Options are in the same order as
+  // there.
+  intake: {
+    lines: {
+      growth: { label: 'Growth & Engagement', description: 'Grants, funder research and fundraising campaigns.' },
+      data: { label: 'Data & Technology', description: 'Asana and collaboration tools, dashboards, AI integration.' },
+      operations: { label: 'Operations & Systems', description: 'Project management and operations/admin support.' },
+      other: { label: 'Something else', description: "Not sure yet? Tell us what you're working on." },
+    },
+    timeline: {
+      label: 'When would you like to start?',
+      options: ['As soon as possible', 'In 1–3 months', 'In 3–6 months', 'Just exploring'],
+    },
+    growthInterests: {
+      label: 'Which services are you interested in?',
+      options: [
+        'Funder research & prospecting',
+        'Grant calendar & strategy',
+        'Proposal drafting & editing',
+        'Fundraising sprint / campaign',
+        'Communication strategy',
+      ],
+    },
+    grantDeadline: {
+      label: 'Next grant deadline (if any)',
+    },
+    annualBudget: {
+      label: 'Annual operating budget',
+      options: ['Under $250k', '$250k–$1M', '$1M–$5M', 'Over $5M', 'Prefer not to say'],
+    },
+    dataInterests: {
+      label: 'Which services are you interested in?',
+      options: [
+        'Asana setup & documentation',
+        'Collaboration & time management tools',
+        'Dashboards & analytics',
+        'AI integration',
+      ],
+    },
+    toolingStack: {
+      label: 'What tools does your team use today?',
+      placeholder: 'e.g. Google Workspace, Salesforce, spreadsheets',
+    },
+    teamSize: {
+      label: 'Team size',
+      options: ['Just me', '2–10', '11–50', 'More than 50'],
+    },
+    operationsInterests: {
+      label: 'Which services are you interested in?',
+      options: ['Project management', 'Operations & admin support'],
+    },
+    challenge: {
+      label: 'What is the biggest operational bottleneck right now?',
+      placeholder: 'e.g. approvals stall, nobody owns the board calendar…',
+    },
+  },
+
+  // The service pages. Paragraphs with highlighted phrases are split into
+  // parts that alternate plain text and highlight; two-line tab titles are
+  // [first line, second line].
+  services: {
+    ctaLabel: 'Get started',
+    ctaTitle: 'Ready to get started?',
+    contactUs: 'CONTACT US',
+  },
+
+  growth: {
+    pageTitle: 'Growth & Engagement • Muro Consulting Services',
+    lede: 'Data-informed strategies and clear plans to fuel growth, funding, and engagement.',
+    tabsLabel: 'Growth & Engagement options',
+    fundingTab: 'Prospecting & Funding Strategy',
+    fundingTitle: 'Identify Funders',
+    funding: ['Identify aligned funders, investors, or partners and build practical plans to approach them with', 'confidence'],
+    campaignsTab: 'Campaigns & Events',
+    campaignsTitle: 'Plan fundraising activations',
+    campaigns: ['Plan fundraising sprints, crowdfunding efforts, or community events that', 'mobilize people and generate momentum'],
+    proposalsTab: 'Proposals & Pitches',
+    proposalsTitle: 'Develop your case',
+    proposals: ['Produce donor-ready proposals, grants and presentations that strengthen your', 'case for support'],
+    stakeholdersTab: 'Stakeholder Communications',
+    stakeholdersTitle: 'Communication Strategies',
+    stakeholders: ['Design simple, consistent messaging and stewardship strategies that keep donors, investors, and partners', 'engaged'],
+    grantsLabel: 'Grants',
+    grantsTitle: 'Grants: Funder Research & Proposal Development',
+    grantsText: 'Successful grants start with the right fit and a strong story. Our Funder Research & Proposal Development package equips your team with targeted prospect research, clear strategies, and competitive proposals — so you can stand out to funders and secure the support you need.',
+    researchTitle: 'Funder Research & Prospecting',
+    research: 'In-depth research using premium databases and AI tools, to identify the foundations, corporations, and institutions most aligned with your mission and goals.',
+    calendarTitle: 'Grant Calendar & Strategy',
+    calendar: 'A customized roadmap of deadlines, requirements, and priorities — built into systems and workflows that are made to work for you, so nothing falls through the cracks.',
+    draftingTitle: 'Proposal Drafting & Editing',
+    drafting: 'Persuasive proposals tailored to funder guidelines, highlighting your strengths, and increasing your chances of securing support.',
+    materialsTitle: 'Supporting Materials Development',
+    materials: 'Budgets, attachments, and case statements — the essentials funders expect, that strengthen your proposal and build funder confidence.',
+    campaignLabel: 'Campaign',
+    campaignTitle: 'Fundraising Sprint: Campaign Activation',
+    campaignText: [
+      'Successful grants start with the right fit and a strong story. Our Funder Research & Proposal Development Package equips your team with',
+      'targeted prospect research, clear strategies, and competitive proposals',
+      '— so you can stand out to funders and secure the support you need.',
+    ],
+    boardTitle: 'Campaign Strategy Board',
+    board: 'A clear visual roadmap with goals, KPIs, and outreach strategies.',
+    toolkitTitle: 'Community Engagement Toolkit',
+    toolkit: 'Talking points, volunteer resources, and concise support scripts.',
+    campaignCalendarTitle: 'Campaign Calendar',
+    campaignCalendar: 'A tailored plan built into your team’s tools for a cohesive campaign.',
+    marketingTitle: 'Digital Marketing Resources',
+    marketing: 'Polished graphics, captions, emails, and thank-you templates.',
+  },
+
+  dataTech: {
+    pageTitle: 'Data & Technology • Muro Consulting Services',
+    lede: 'Practical tools and analytics that help teams work smarter, scale effectively, and turn data into impact.',
+    tabsLabel: 'Data & Technology options',
+    collaborationTab: ['Collaboration & Time', 'Management Tools'],
+    collaborationTitle: 'Collaboration & Time Management Tools',
+    collaboration: ['Configure project and workflow platforms to', 'streamline teamwork', ', reduce friction, and keep projects on track.'],
+    aiTab: 'AI Integration',
+    aiTitle: 'AI Integration',
+    ai: ['Integrate', 'AI tools', 'for research, writing, and', 'workflow automation', 'that saves time and reduces repetitive tasks.'],
+    dashboardsTab: ['Dashboards &', 'Analytics'],
+    dashboardsTitle: 'Dashboards & Analytics',
+    dashboards: ['Design simple', 'dashboards', 'that turn raw data into', 'usable insights', 'your team can rely on to guide decisions.'],
+  },
+
+  operations: {
+    pageTitle: 'Operations & Systems • Muro Consulting Services',
+    lede: 'Streamline the way your team works with practical systems that save time and reduce complexity.',
+    tabsLabel: 'Operations & Systems options',
+    projectsTab: 'Project Management',
+    projectsTitle: 'Project Management',
+    projects: ['Practical tools, planning, and check-ins that keep initiatives', 'organized', 'and', 'moving forward', '— without adding unnecessary complexity.'],
+    supportTab: 'Operations & Admin Support',
+    supportTitle: 'Operations & Admin Support',
+    support: ['Hands-on', 'administrative', 'and', 'back-office help', 'that expands your team’s capacity and frees leadership to', 'focus', 'on priorities.'],
+  },
+
+  print: {
+    frameTitle: 'Printable insight',
+    links: 'Links',
+    watchOnline: 'Watch online: ',
+    embedded: 'Embedded content',
+  },
+};
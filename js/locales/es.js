@@ -0,0 +1,490 @@
+// Spanish messages. Anything missing here falls back to English (js/locales/en.js).
+
+export default {
+  language: {
+    label: 'Idioma',
+  },
+
+  nav: {
+    home: 'Inicio',
+    about: 'Nosotros',
+    aboutUs: 'Quiénes somos',
+    approach: 'Nuestro enfoque',
+    testimonials: 'Testimonios',
+    services: 'Servicios',
+    growth: 'Crecimiento y participación',
+    data: 'Datos y tecnología',
+    operations: 'Operaciones y sistemas',
+    contact: 'Contacto',
+    openMenu: 'Abrir menú',
+    insights: 'Artículos',
+  },
+
+  footer: {
+    cookieSettings: 'Configuración de cookies',
+  },
+
+  sectionNav: {
+    next: 'Ir a {section}',
+    top: 'Volver arriba',
+  },
+
+  consent: {
+    label: 'Consentimiento de analítica',
+    title: '¿Nos ayudas a mejorar este sitio?',
+    text: 'Con tu permiso usamos Google Analytics para contar visitas y ver qué artículos se leen. ' +
+      'Sin anuncios, y no se recoge nada a menos que lo permitas. Puedes cambiar de opinión cuando quieras ' +
+      'desde “Configuración de cookies” al pie de la página.',
+    deny: 'No, gracias',
+    allow: 'Permitir analítica',
+    currentlyAllowed: 'Ahora mismo: permitida.',
+    currentlyDenied: 'Ahora mismo: no permitida.',
+  },
+
+  common: {
+    insight: 'Artículo',
+    loading: 'Cargando…',
+    retry: 'Reintentar',
+    exportPdf: 'Exportar PDF',
+    browseAll: 'Ver todos los artículos',
+  },
+
+  content: {
+    readingTime: '{count} min de lectura',
+    callout: {
+      note: 'Nota',
+      tip: 'Consejo',
+      warning: 'Advertencia',
+    },
+    embed: {
+      youtube: 'Vídeo de YouTube',
+      googleSlides: 'Presentación de Google Slides',
+    },
+  },
+
+  errors: {
+    timedOut: 'La carga está tardando demasiado. Revisa tu conexión e inténtalo de nuevo.',
+    network: 'No pudimos conectar con el servidor. Revisa tu conexión e inténtalo de nuevo.',
+    notFound: 'No encontramos ese artículo.',
+    permission: 'Los artículos no están disponibles en este momento.',
+    schema: 'Los artículos no están disponibles temporalmente mientras actualizamos el sitio.',
+    generic: 'Algo salió mal al cargar los artículos.',
+  },
+
+  cache: {
+    offline: 'Estás sin conexión.',
+    unreachable: 'No podemos conectar con el servidor de artículos ahora mismo.',
+    showing: '{lead} Mostrando artículos guardados.',
+    showingSaved: '{lead} Mostrando artículos guardados {when}.',
+    backOnline: 'Vuelves a tener conexión. Actualiza la página para ver los últimos artículos.',
+  },
+
+  engagement: {
+    reads: { one: '{formatted} lectura', other: '{formatted} lecturas' },
+    helpfulCount: '{formatted} útil',
+    question: '¿Te resultó útil este artículo?',
+    helpful: 'Útil',
+    saveFailed: 'No pudimos guardarlo ahora. Inténtalo de nuevo más tarde.',
+  },
+
+  toc: {
+    onThisPage: 'En esta página',
+    sections: { one: '({count} sección)', other: '({count} secciones)' },
+    linkToSection: 'Enlace a la sección: {title}',
+    linkCopied: 'Enlace copiado',
+  },
+
+  series: {
+    label: 'Serie',
+    position: 'Parte {part} de {total}',
+    part: 'Parte {part}:',
+    nextPart: 'Siguiente parte: {title}',
+    parts: { one: '{count} parte', other: '{count} partes' },
+    latest: 'Última: {date}',
+    more: '+ {count} más',
+    read: 'Leer la serie',
+  },
+
+  authors: {
+    by: 'Por {names}',
+    and: 'y',
+    about: 'Sobre {name} →',
+  },
+
+  translations: {
+    readIn: 'Leer en {language}',
+  },
+
+  grid: {
+    pageTitle: 'Artículos • Muro Consulting Services',
+    eyebrow: 'Artículos',
+    title: 'Ideas con impacto.',
+    lede: 'Perspectivas prácticas sobre crecimiento, datos y operaciones para equipos con propósito.',
+    subscribe: 'Suscríbete:',
+    filters: 'Filtros',
+    clearAll: 'Borrar todo',
+    searchLabel: 'Buscar artículos',
+    searchPlaceholder: 'Busca por título, tema o "frase exacta"',
+    combine: 'Combinar filtros',
+    matchAny: 'Cualquiera',
+    matchAll: 'Todos',
+    category: 'Categoría',
+    categoriesPending: 'Las categorías aparecerán aquí cuando se carguen los artículos.',
+    allInsights: 'Todos los artículos',
+    seriesHint: 'Guías en varias partes, en orden de lectura.',
+    author: 'Autor',
+    language: 'Idioma',
+    allLanguages: 'Todos los idiomas',
+    topics: 'Temas',
+    topicsHint: 'Explora por tema. Las etiquetas salen de cada artículo en Supabase.',
+    topicsPending: 'Los temas aparecerán aquí cuando se carguen los artículos.',
+    noTopics: 'Todavía no hay temas. Etiqueta los artículos en el panel de administración para activar los filtros por tema.',
+    loading: 'Cargando artículos…',
+    sortBy: 'Ordenar por',
+    sortNewest: 'Más recientes',
+    sortMostRead: 'Más leídos',
+    sortMostHelpful: 'Más útiles',
+    loadMore: 'Cargar más artículos',
+    noMatches: 'Todavía no hay artículos que coincidan con tus filtros.',
+    openFull: 'Abrir artículo completo',
+    ctaTitle: '¿Listo para poner estas ideas en práctica?',
+    ctaText: 'Ayudamos a organizaciones con propósito a convertir ideas en estrategias concretas de crecimiento, datos y operaciones.',
+    ctaButton: 'CONTÁCTANOS',
+  },
+
+  results: {
+    none: 'Ningún artículo coincide con tus filtros.',
+    count: { one: '{count} artículo', other: '{count} artículos' },
+    inSeries: ' de la serie «{series}»',
+    byAuthor: ' de {author}',
+    shownMore: ' en pantalla; se cargan más al desplazarte.',
+    shown: ' en pantalla.',
+  },
+
+  search: {
+    results: { one: '{count} resultado para «{query}»', other: '{count} resultados para «{query}»' },
+    closeMatches: '{label}: mostrando coincidencias aproximadas.',
+    ordered: '{label}, {order}.',
+    relevant: 'los más relevantes primero',
+    mostRead: 'los más leídos primero',
+    mostHelpful: 'los más útiles primero',
+  },
+
+  modal: {
+    close: 'Cerrar artículo',
+    loading: 'Cargando artículo…',
+    unavailable: 'Este artículo ya no está disponible.',
+    openPage: 'Abrir este artículo en una página nueva',
+    related: 'Artículos relacionados',
+  },
+
+  post: {
+    back: '← Volver a todos los artículos',
+    loading: 'Cargando artículo…',
+    readingProgress: 'Progreso de lectura',
+    notFoundTitle: 'Artículo no encontrado',
+    notFoundDetail: 'Este artículo no existe o ya no está publicado.',
+    noSlug: 'Este enlace no indica ningún artículo.',
+    draftPreview: 'Vista previa del borrador',
+    notPublished: 'Este artículo aún no está publicado.',
+    scheduled: 'Se publicará el {date}.',
+    alreadyLive: 'Este artículo ya está publicado.',
+    linkExpires: 'El enlace caduca el {date}.',
+    previous: 'Anterior',
+    next: 'Siguiente',
+    previousPart: 'Parte anterior',
+    nextPart: 'Parte siguiente',
+    moreTitle: 'Más artículos',
+    moreText: 'Descubre otras perspectivas de Muro Consulting Services.',
+    moreLoading: 'Cargando más artículos…',
+    moreNone: 'No hay más artículos disponibles en este momento.',
+    moreUnavailable: 'Los demás artículos no están disponibles en este momento.',
+    displayError: 'Algo salió mal al mostrar este artículo.',
+  },
+
+  author: {
+    eyebrow: 'Autor',
+    loading: 'Cargando autor…',
+    insights: 'Artículos',
+    insightsBy: 'Artículos de {name}',
+    loadingInsights: 'Cargando artículos…',
+    count: { one: '{count} artículo, del más reciente al más antiguo.', other: '{count} artículos, del más reciente al más antiguo.' },
+    countMore: 'Más de {count} artículos, del más reciente al más antiguo.',
+    none: 'Todavía no hay artículos publicados.',
+    filterLink: 'Filtra y busca entre todos los artículos →',
+    noSlug: 'Este enlace no indica ningún autor.',
+    notFound: 'No encontramos a ese autor. Puede que haya cambiado de página.',
+    descriptionWithRole: '{name}, {role}: artículos de Muro Consulting Services.',
+    description: 'Artículos de {name} en Muro Consulting Services.',
+  },
+
+  newsletter: {
+    title: 'Recibe los nuevos artículos por correo',
+    intro: 'Un resumen breve cuando publicamos, solo de los temas que elijas. Primero te pediremos que ' +
+      'confirmes tu dirección, y cada correo incluye un enlace para cambiar de temas o darte de baja.',
+    emailLabel: 'Correo electrónico',
+    emailPlaceholder: 'tu@organizacion.org',
+    subscribe: 'Suscribirme',
+    topics: 'Temas',
+    topicsHint: '(ninguno marcado = todos)',
+    honeypot: 'Deja este campo vacío',
+    emailMissing: 'Escribe tu correo electrónico.',
+    emailInvalid: 'Escribe un correo electrónico válido, como nombre@ejemplo.com.',
+    tooFast: {
+      one: '¡Qué rapidez! Revisa tu dirección y pulsa Suscribirme otra vez dentro de {count} segundo.',
+      other: '¡Qué rapidez! Revisa tu dirección y pulsa Suscribirme otra vez dentro de {count} segundos.',
+    },
+    subscribing: 'Suscribiendo…',
+    checkInbox: 'Casi listo: revisa tu bandeja de entrada y confirma tu suscripción con el enlace que te enviamos.',
+    rateLimited: 'Ha habido demasiadas suscripciones desde tu red. Inténtalo de nuevo más tarde.',
+    invalidLink: 'Este enlace no es válido o ha caducado.',
+    unavailable: 'Las novedades por correo no están disponibles temporalmente mientras actualizamos el sitio.',
+    failed: 'Algo salió mal. Inténtalo de nuevo.',
+  },
+
+  newsletterPage: {
+    eyebrow: 'Novedades por correo',
+    signUpAgain: 'Suscríbete de nuevo en la página de artículos',
+    confirmTitle: 'Confirma tu suscripción',
+    confirmText: 'Pulsa el botón para empezar a recibir los nuevos artículos por correo.',
+    confirmButton: 'Confirmar suscripción',
+    confirming: 'Confirmando…',
+    confirmed: 'Ya estás suscrito. Puedes ajustar tus temas aquí debajo cuando quieras.',
+    manageTitle: 'Novedades por correo',
+    for: 'Para',
+    allTopics: 'todos los temas',
+    subscribedTo: 'suscrito a {topics}.',
+    unsubscribedSummary: 'sin suscripción. Elige temas y vuelve a suscribirte cuando quieras.',
+    save: 'Guardar temas',
+    subscribeAgain: 'Volver a suscribirme',
+    unsubscribe: 'Darme de baja de todos los correos',
+    saved: 'Tus temas se han guardado.',
+    welcomeBack: 'Bienvenido de nuevo: vuelves a estar suscrito.',
+    unsubscribed: 'Te has dado de baja y no recibirás más correos nuestros.',
+    unsubscribePrompt: 'Pulsa “Darme de baja de todos los correos” para dejar de recibir el boletín.',
+    infoText: 'Para cambiar tus temas o darte de baja, usa el enlace que aparece al final de cualquiera de nuestros correos.',
+    notSubscribed: '¿Aún no estás suscrito?',
+    signUp: 'Suscríbete en la página de artículos',
+  },
+
+  home: {
+    sections: {
+      about: 'Nosotros',
+      approach: 'Enfoque',
+      services: 'Servicios',
+      testimonials: 'Testimonios',
+      contact: 'Contacto',
+    },
+    iconAlt: 'Dibujo lineal del desierto de Muro Rangel',
+    learnMore: 'MÁS INFORMACIÓN',
+    tagline: 'Como el desierto, creemos que la fuerza nace de la claridad, la resiliencia y el equilibrio.',
+    missionTitle: 'Misión',
+    mission: 'Ayudamos a equipos pequeños a simplificar sus operaciones, aplicar tecnología práctica y crecer con confianza, con soluciones claras, orientadas a resultados y pensadas para durar.',
+    howWeWork: 'Cómo trabajamos',
+    aboutImageAlt: 'Paisaje del desierto',
+    approachTitle: ['Nuestro', 'enfoque'],
+    partnershipTitle: 'COLABORACIÓN REAL',
+    partnership: 'Nos sumamos como un verdadero socio y trabajamos con tu equipo para ampliar su capacidad y mantener el impulso.',
+    integratedTitle: 'SOLUCIONES INTEGRADAS',
+    integrated: 'Conectamos la captación de fondos, la comunicación, las operaciones y la tecnología para que cada esfuerzo refuerce el objetivo común.',
+    impactTitle: 'IMPACTO PRÁCTICO',
+    impact: 'Estrategias y sistemas claros, fáciles de usar y pensados para marcar la diferencia desde el primer día.',
+    mattersTitle: 'CENTRADOS EN LO QUE IMPORTA',
+    matters: 'Soluciones adaptadas a tus objetivos y a tu contexto, naturales para tu equipo y sostenibles en el tiempo.',
+    servicesTagline: 'Proyectos concretos que reducen la complejidad y aceleran el crecimiento.',
+    contactIntro: 'Escríbenos por',
+    contactEmail: 'correo electrónico',
+    contactIntroEnd: 'o con el formulario de abajo.',
+  },
+
+  contact: {
+    progress: 'Paso {step} de {total}: {label}',
+    steps: {
+      service: 'Servicio',
+      details: 'Detalles',
+      contact: 'Contacto',
+    },
+    startOver: 'Empezar de nuevo',
+    serviceLegend: '¿En qué podemos ayudarte?',
+    detailsLegend: 'Algunos detalles',
+    contactLegend: '¿Cómo podemos contactarte?',
+    name: 'Tu nombre',
+    email: 'Tu correo electrónico',
+    organization: 'Organización (opcional)',
+    message: '¿Algo más que debamos saber?',
+    honeypot: 'Deja este campo vacío',
+    choose: 'Elige…',
+    back: 'Atrás',
+    next: 'Siguiente',
+    send: 'Enviar mensaje',
+    sending: 'Enviando...',
+    dismiss: 'Cerrar mensaje',
+    nameRequired: 'Escribe tu nombre.',
+    nameTooLong: 'El nombre debe tener menos de 100 caracteres.',
+    emailRequired: 'Escribe tu dirección de correo.',
+    emailInvalid: 'Escribe una dirección de correo válida, como nombre@ejemplo.com.',
+    organizationTooLong: 'El nombre de la organización debe tener menos de 150 caracteres.',
+    messageRequired: 'Cuéntanos en qué podemos ayudarte.',
+    messageTooShort: 'Añade un poco más de detalle (al menos 10 caracteres).',
+    messageTooLong: 'El mensaje debe tener menos de 5.000 caracteres.',
+    serviceRequired: 'Elige en qué necesitas ayuda.',
+    optionRequired: 'Elige al menos una opción.',
+    answerRequired: 'Responde a esta pregunta.',
+    answerTooLong: 'La respuesta debe tener menos de {max} caracteres.',
+    sent: '¡Mensaje enviado!',
+    tooFast: {
+      one: '¡Qué rapidez! Revisa tus respuestas y pulsa Enviar otra vez dentro de {count} segundo.',
+      other: '¡Qué rapidez! Revisa tus respuestas y pulsa Enviar otra vez dentro de {count} segundos.',
+    },
+    rateLimited: {
+      one: 'Has enviado varios mensajes hace poco. Inténtalo de nuevo dentro de {count} minuto o escríbenos directamente por correo.',
+      other: 'Has enviado varios mensajes hace poco. Inténtalo de nuevo dentro de {count} minutos o escríbenos directamente por correo.',
+    },
+    queuedOffline: 'No tienes conexión. Tu mensaje se ha guardado y se enviará automáticamente cuando vuelvas a estar en línea.',
+    queuedUnreachable: 'No hemos podido conectar con el servidor. Tu mensaje se ha guardado y lo volveremos a intentar automáticamente.',
+    failed: 'Tu mensaje no se ha enviado: {error}',
+    savedSent: {
+      one: 'Tu mensaje guardado se ha enviado.',
+      other: 'Tus {count} mensajes guardados se han enviado.',
+    },
+  },
+
+  intake: {
+    lines: {
+      growth: { label: 'Crecimiento y participación', description: 'Subvenciones, búsqueda de financiadores y campañas de recaudación.' },
+      data: { label: 'Datos y tecnología', description: 'Asana y herramientas de colaboración, paneles, integración de IA.' },
+      operations: { label: 'Operaciones y sistemas', description: 'Gestión de proyectos y apoyo operativo y administrativo.' },
+      other: { label: 'Otra cosa', description: '¿Aún no lo tienes claro? Cuéntanos en qué estás trabajando.' },
+    },
+    timeline: {
+      label: '¿Cuándo te gustaría empezar?',
+      options: ['Lo antes posible', 'En 1–3 meses', 'En 3–6 meses', 'Solo estoy explorando'],
+    },
+    growthInterests: {
+      label: '¿Qué servicios te interesan?',
+      options: [
+        'Búsqueda y prospección de financiadores',
+        'Calendario y estrategia de subvenciones',
+        'Redacción y edición de propuestas',
+        'Sprint o campaña de recaudación',
+        'Estrategia de comunicación',
+      ],
+    },
+    grantDeadline: {
+      label: 'Próximo plazo de subvención (si lo hay)',
+    },
+    annualBudget: {
+      label: 'Presupuesto operativo anual',
+      options: ['Menos de 250.000 $', '250.000 $–1 M$', '1 M$–5 M$', 'Más de 5 M$', 'Prefiero no decirlo'],
+    },
+    dataInterests: {
+      label: '¿Qué servicios te interesan?',
+      options: [
+        'Configuración y documentación de Asana',
+        'Herramientas de colaboración y gestión del tiempo',
+        'Paneles y analítica',
+        'Integración de IA',
+      ],
+    },
+    toolingStack: {
+      label: '¿Qué herramientas usa tu equipo hoy?',
+      placeholder: 'p. ej., Google Workspace, Salesforce, hojas de cálculo',
+    },
+    teamSize: {
+      label: 'Tamaño del equipo',
+      options: ['Solo yo', '2–10', '11–50', 'Más de 50'],
+    },
+    operationsInterests: {
+      label: '¿Qué servicios te interesan?',
+      options: ['Gestión de proyectos', 'Apoyo operativo y administrativo'],
+    },
+    challenge: {
+      label: '¿Cuál es ahora mismo el mayor cuello de botella operativo?',
+      placeholder: 'p. ej., las aprobaciones se atascan, nadie lleva el calendario de la junta…',
+    },
+  },
+
+  services: {
+    ctaLabel: 'Empezar',
+    ctaTitle: '¿Listo para empezar?',
+    contactUs: 'CONTÁCTANOS',
+  },
+
+  growth: {
+    pageTitle: 'Crecimiento y participación • Muro Consulting Services',
+    lede: 'Estrategias basadas en datos y planes claros para impulsar el crecimiento, la financiación y la participación.',
+    tabsLabel: 'Opciones de crecimiento y participación',
+    fundingTab: 'Prospección y estrategia de financiación',
+    fundingTitle: 'Identifica financiadores',
+    funding: ['Identifica financiadores, inversores o socios afines y prepara planes prácticos para acercarte a ellos con', 'confianza'],
+    campaignsTab: 'Campañas y eventos',
+    campaignsTitle: 'Planifica acciones de recaudación',
+    campaigns: ['Planifica sprints de recaudación, campañas de micromecenazgo o eventos comunitarios que', 'movilicen a la gente y generen impulso'],
+    proposalsTab: 'Propuestas y presentaciones',
+    proposalsTitle: 'Construye tu argumento',
+    proposals: ['Prepara propuestas, solicitudes de subvención y presentaciones listas para donantes que refuercen tu', 'argumento para conseguir apoyo'],
+    stakeholdersTab: 'Comunicación con grupos de interés',
+    stakeholdersTitle: 'Estrategias de comunicación',
+    stakeholders: ['Diseña mensajes sencillos y coherentes y estrategias de fidelización que mantengan a donantes, inversores y socios', 'comprometidos'],
+    grantsLabel: 'Subvenciones',
+    grantsTitle: 'Subvenciones: búsqueda de financiadores y desarrollo de propuestas',
+    grantsText: 'Una buena subvención empieza por el encaje adecuado y una historia sólida. Nuestro paquete de búsqueda de financiadores y desarrollo de propuestas da a tu equipo una prospección dirigida, estrategias claras y propuestas competitivas, para que destaques ante los financiadores y consigas el apoyo que necesitas.',
+    researchTitle: 'Búsqueda y prospección de financiadores',
+    research: 'Investigación a fondo con bases de datos especializadas y herramientas de IA para identificar las fundaciones, empresas e instituciones más afines a tu misión y tus objetivos.',
+    calendarTitle: 'Calendario y estrategia de subvenciones',
+    calendar: 'Una hoja de ruta a medida con plazos, requisitos y prioridades, integrada en sistemas y flujos de trabajo pensados para ti, para que no se escape nada.',
+    draftingTitle: 'Redacción y edición de propuestas',
+    drafting: 'Propuestas convincentes adaptadas a las bases de cada financiador, que destacan tus fortalezas y aumentan tus posibilidades de conseguir apoyo.',
+    materialsTitle: 'Materiales de apoyo',
+    materials: 'Presupuestos, anexos y documentos de presentación: lo imprescindible que esperan los financiadores, para reforzar tu propuesta y generar confianza.',
+    campaignLabel: 'Campaña',
+    campaignTitle: 'Sprint de recaudación: activación de campañas',
+    campaignText: [
+      'Una buena subvención empieza por el encaje adecuado y una historia sólida. Nuestro paquete de búsqueda de financiadores y desarrollo de propuestas da a tu equipo',
+      'una prospección dirigida, estrategias claras y propuestas competitivas',
+      '— para que destaques ante los financiadores y consigas el apoyo que necesitas.',
+    ],
+    boardTitle: 'Tablero de estrategia de campaña',
+    board: 'Una hoja de ruta visual y clara con objetivos, indicadores clave y estrategias de difusión.',
+    toolkitTitle: 'Kit de participación comunitaria',
+    toolkit: 'Mensajes clave, recursos para voluntarios y guiones de apoyo breves.',
+    campaignCalendarTitle: 'Calendario de campaña',
+    campaignCalendar: 'Un plan a medida integrado en las herramientas de tu equipo para una campaña coherente.',
+    marketingTitle: 'Recursos de marketing digital',
+    marketing: 'Gráficos, textos, correos y plantillas de agradecimiento cuidados.',
+  },
+
+  dataTech: {
+    pageTitle: 'Datos y tecnología • Muro Consulting Services',
+    lede: 'Herramientas prácticas y analítica que ayudan a los equipos a trabajar mejor, crecer con eficacia y convertir los datos en impacto.',
+    tabsLabel: 'Opciones de datos y tecnología',
+    collaborationTab: ['Herramientas de colaboración', 'y gestión del tiempo'],
+    collaborationTitle: 'Herramientas de colaboración y gestión del tiempo',
+    collaboration: ['Configura plataformas de proyectos y flujos de trabajo para', 'agilizar el trabajo en equipo', ', reducir fricciones y mantener los proyectos encaminados.'],
+    aiTab: 'Integración de IA',
+    aiTitle: 'Integración de IA',
+    ai: ['Integra', 'herramientas de IA', 'para investigar, redactar y', 'automatizar flujos de trabajo', 'y así ahorrar tiempo y reducir las tareas repetitivas.'],
+    dashboardsTab: ['Paneles y', 'analítica'],
+    dashboardsTitle: 'Paneles y analítica',
+    dashboards: ['Diseña', 'paneles', 'sencillos que convierten los datos en bruto en', 'información útil', 'en la que tu equipo puede apoyarse para decidir.'],
+  },
+
+  operations: {
+    pageTitle: 'Operaciones y sistemas • Muro Consulting Services',
+    lede: 'Mejora la forma de trabajar de tu equipo con sistemas prácticos que ahorran tiempo y reducen la complejidad.',
+    tabsLabel: 'Opciones de operaciones y sistemas',
+    projectsTab: 'Gestión de proyectos',
+    projectsTitle: 'Gestión de proyectos',
+    projects: ['Herramientas prácticas, planificación y seguimientos que mantienen las iniciativas', 'organizadas', 'y', 'en marcha', '— sin añadir complejidad innecesaria.'],
+    supportTab: 'Apoyo operativo y administrativo',
+    supportTitle: 'Apoyo operativo y administrativo',
+    support: ['Ayuda práctica', 'administrativa', 'y', 'de back-office', 'que amplía la capacidad de tu equipo y permite a la dirección', 'centrarse', 'en sus prioridades.'],
+  },
+
+  print: {
+    frameTitle: 'Artículo imprimible',
+    links: 'Enlaces',
+    watchOnline: 'Ver en línea: ',
+    embedded: 'Contenido incrustado',
+  },
+};
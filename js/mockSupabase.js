@@ -0,0 +1,462 @@
+// mockSupabase.js
+// Stand-in for the supabase-js client in local mock mode (see js/config.js).
+// Serves `posts` and `post_summaries` from a JSON fixture with the same
+// visibility rules an anonymous visitor gets (published and due), `authors`
+// from a second fixture, and
+// supports the query builder calls the site makes: select, eq, in, contains,
+// or (category.in / tags.ov), textSearch, order, range, limit, maybeSingle,
+// single and abortSignal. Writes, auth and RPCs answer like a signed-out
+// visitor would; views and reactions (record_post_view, set_post_reaction)
+// are counted in memory for the page's lifetime. Newsletter sign-ups are kept
+// for the tab (sessionStorage), and instead of an email the confirm link is
+// logged to the console.
+
+(function () {
+  const PREVIEW_LENGTH = 1200; // left(content, 1200) in post_summaries
+  const WORDS_PER_MINUTE = 220;
+
+  function toTime(value) {
+    const str = String(value || '').trim()
+      .replace(/^(\d{4}-\d{2}-\d{2}) /, '$1T')
+      .replace(/([+-]\d{2})$/, '$1:00');
+    const time = Date.parse(str);
+    return Number.isNaN(time) ? null : time;
+  }
+
+  function isVisible(post) {
+    if (!post || post.is_published !== true) return false;
+    const time = toTime(post.published_at);
+    return time === null || time <= Date.now();
+  }
+
+  function readingMinutes(content) {
+    const text = String(content || '').replace(/<[^>]*>|&[a-z#0-9]+;/gi, ' ').trim();
+    if (!text) return null;
+    return Math.max(1, Math.round(text.split(/\s+/).length / WORDS_PER_MINUTE));
+  }
+
+  function toSummary(post, totals) {
+    return {
+      ...post,
+      content_preview: String(post.content || '').slice(0, PREVIEW_LENGTH),
+      reading_minutes: readingMinutes(post.content),
+      view_count: totals ? totals.view_count : 0,
+      helpful_count: totals ? totals.helpful_count : 0,
+    };
+  }
+
+  // Postgres order: NULL sorts after every value (last ascending, first descending).
+  function compareValues(a, b) {
+    if (a == null || b == null) return (a == null) - (b == null);
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    return String(a ?? '').localeCompare(String(b ?? ''));
+  }
+
+  // ---------- filter parsing ----------
+
+  // "\"a\",\"b\"" -> ['a', 'b']
+  function parseList(body) {
+    const values = [];
+    const re = /"((?:[^"\\]|\\.)*)"|([^,]+)/g;
+    let match;
+    while ((match = re.exec(body))) {
+      values.push(match[1] !== undefined ? match[1].replace(/\\(.)/g, '$1') : match[2].trim());
+    }
+    return values;
+  }
+
+  // Split "a.in.(x,y),b.ov.{z}" on commas outside brackets and quotes.
+  function splitConditions(expr) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (let i = 0; i < expr.length; i += 1) {
+      const ch = expr[i];
+      if (ch === '\\' && quoted) {
+        current += ch + (expr[i + 1] || '');
+        i += 1;
+        continue;
+      }
+      if (ch === '"') quoted = !quoted;
+      if (!quoted && (ch === '(' || ch === '{')) depth += 1;
+      if (!quoted && (ch === ')' || ch === '}')) depth -= 1;
+      if (ch === ',' && !depth && !quoted) {
+        parts.push(current);
+        current = '';
+      } else {
+        current += ch;
+      }
+    }
+    if (current) parts.push(current);
+    return parts;
+  }
+
+  function conditionToPredicate(condition) {
+    const match = /^(\w+)\.(in|ov|eq)\.(.*)$/.exec(condition.trim());
+    if (!match) throw new Error(`mockSupabase: unsupported filter "${condition}"`);
+    const [, column, op, raw] = match;
+    if (op === 'eq') return row => String(row[column]) === raw;
+    const values = parseList(raw.slice(1, -1));
+    if (op === 'in') return row => values.includes(row[column]);
+    return row => Array.isArray(row[column]) && row[column].some(v => values.includes(v));
+  }
+
+  // Rough websearch_to_tsquery: every plain word must appear, "-word" must not.
+  function textPredicate(columns, query) {
+    const words = String(query || '').toLowerCase().match(/-?"[^"]*"|-?[^\s"]+/g) || [];
+    const include = [];
+    const exclude = [];
+    words.forEach(word => {
+      if (word === 'or') return;
+      const target = word.startsWith('-') ? exclude : include;
+      const clean = word.replace(/^-/, '').replace(/"/g, '').trim();
+      if (clean) target.push(clean);
+    });
+    return row => {
+      const haystack = columns.map(col => {
+        const value = row[col];
+        return Array.isArray(value) ? value.join(' ') : String(value || '');
+      }).join(' ').toLowerCase();
+      return include.every(w => haystack.includes(w)) && !exclude.some(w => haystack.includes(w));
+    };
+  }
+
+  function pick(row, columns) {
+    if (!columns || columns === '*') return { ...row };
+    const out = {};
+    columns.split(',').map(c => c.trim()).filter(Boolean).forEach(col => {
+      out[col] = row[col] === undefined ? null : row[col];
+    });
+    return out;
+  }
+
+  // ---------- query builder ----------
+
+  function createQuery(loadRows, table) {
+    const state = {
+      columns: '*',
+      filters: [],
+      order: [],
+      from: 0,
+      to: null,
+      single: null, // null | 'single' | 'maybe'
+      write: false,
+    };
+
+    const query = {
+      select(columns = '*') {
+        state.columns = columns;
+        return query;
+      },
+      eq(column, value) {
+        state.filters.push(row => row[column] === value);
+        return query;
+      },
+      in(column, values) {
+        state.filters.push(row => values.includes(row[column]));
+        return query;
+      },
+      contains(column, values) {
+        state.filters.push(row => Array.isArray(row[column]) && values.every(v => row[column].includes(v)));
+        return query;
+      },
+      or(expr) {
+        const predicates = splitConditions(expr).map(conditionToPredicate);
+        state.filters.push(row => predicates.some(p => p(row)));
+        return query;
+      },
+      textSearch(column, search) {
+        state.filters.push(textPredicate(['title', 'content', 'category', 'tags', 'author'], search));
+        return query;
+      },
+      order(column, { ascending = true } = {}) {
+        state.order.push({ column, ascending });
+        return query;
+      },
+      range(from, to) {
+        state.from = from;
+        state.to = to;
+        return query;
+      },
+      limit(count) {
+        state.to = state.from + count - 1;
+        return query;
+      },
+      maybeSingle() {
+        state.single = 'maybe';
+        return query;
+      },
+      single() {
+        state.single = 'single';
+        return query;
+      },
+      abortSignal() {
+        return query;
+      },
+      insert() { state.write = true; return query; },
+      update() { state.write = true; return query; },
+      upsert() { state.write = true; return query; },
+      delete() { state.write = true; return query; },
+
+      async run() {
+        if (state.write) {
+          return {
+            data: null,
+            error: { message: 'Writes are disabled in local mock mode.', code: '42501' },
+            status: 401,
+          };
+        }
+
+        let rows;
+        try {
+          rows = await loadRows(table);
+        } catch (err) {
+          return { data: null, error: { message: err.message, code: err.code || '' }, status: err.status || 0 };
+        }
+
+        rows = rows.filter(row => state.filters.every(f => f(row)));
+        if (state.order.length) {
+          rows.sort((a, b) => {
+            for (const { column, ascending } of state.order) {
+              const cmp = compareValues(a[column], b[column]);
+              if (cmp) return ascending ? cmp : -cmp;
+            }
+            return 0;
+          });
+        }
+        rows = rows.slice(state.from, state.to === null ? undefined : state.to + 1)
+          .map(row => pick(row, state.columns));
+
+        if (state.single) {
+          if (rows.length > 1 || (state.single === 'single' && !rows.length)) {
+            return {
+              data: null,
+              error: { message: 'JSON object requested, multiple (or no) rows returned', code: 'PGRST116' },
+              status: 406,
+            };
+          }
+          return { data: rows[0] || null, error: null, status: 200 };
+        }
+        return { data: rows, error: null, count: rows.length, status: 200 };
+      },
+
+      then(resolve, reject) {
+        return query.run().then(resolve, reject);
+      },
+    };
+    return query;
+  }
+
+  // ---------- client ----------
+
+  window.createMockSupabaseClient = function createMockSupabaseClient({ postsUrl, authorsUrl = '' }) {
+    let postsPromise = null;
+    let authorsPromise = null;
+
+    function loadPosts() {
+      if (!postsPromise) {
+        postsPromise = fetch(postsUrl)
+          .then(resp => {
+            if (!resp.ok) throw new Error(`Mock posts fixture ${postsUrl} returned ${resp.status}`);
+            return resp.json();
+          })
+          .then(rows => (Array.isArray(rows) ? rows : []).filter(isVisible))
+          .catch(err => {
+            postsPromise = null;
+            throw err;
+          });
+      }
+      return postsPromise;
+    }
+
+    // Profiles are public; no fixture just means no profiles.
+    function loadAuthors() {
+      if (!authorsUrl) return Promise.resolve([]);
+      if (!authorsPromise) {
+        authorsPromise = fetch(authorsUrl)
+          .then(resp => {
+            if (!resp.ok) throw new Error(`Mock authors fixture ${authorsUrl} returned ${resp.status}`);
+            return resp.json();
+          })
+          .then(rows => (Array.isArray(rows) ? rows : []))
+          .catch(err => {
+            authorsPromise = null;
+            throw err;
+          });
+      }
+      return authorsPromise;
+    }
+
+    // slug -> { view_count, helpful_count }; views count once per slug here.
+    const engagement = new Map();
+    const viewed = new Set();
+    const reactions = new Set(); // "slug:reaction" (one reader: this page)
+
+    function totalsFor(slug) {
+      if (!engagement.has(slug)) engagement.set(slug, { view_count: 0, helpful_count: 0 });
+      return engagement.get(slug);
+    }
+
+    async function loadRows(table) {
+      if (table === 'posts') return loadPosts();
+      if (table === 'authors') return loadAuthors();
+      if (table === 'post_summaries') {
+        return (await loadPosts()).map(post => toSummary(post, engagement.get(post.slug)));
+      }
+      const err = new Error(`relation "public.${table}" does not exist`);
+      err.code = '42P01';
+      err.status = 404;
+      throw err;
+    }
+
+    // ---------- newsletter (supabase/migrations/*_newsletter.sql) ----------
+
+    const NEWSLETTER_KEY = 'muro_mock_newsletter';
+    const EMAIL_RE = /^[^@\s]+@[^@\s]+\.[^@\s]{2,}$/;
+
+    function readSubscribers() {
+      try {
+        return JSON.parse(sessionStorage.getItem(NEWSLETTER_KEY) || '{}') || {};
+      } catch (e) {
+        return {};
+      }
+    }
+
+    function writeSubscribers(subscribers) {
+      try {
+        sessionStorage.setItem(NEWSLETTER_KEY, JSON.stringify(subscribers));
+      } catch (e) {
+        // storage unavailable: sign-ups last until the next page
+      }
+    }
+
+    // Unsigned stand-ins for the real tokens: "<purpose>.<email>".
+    function mockToken(purpose, email) {
+      return `${purpose}.${encodeURIComponent(email)}`;
+    }
+
+    function tokenEmail(token, purpose) {
+      const str = String(token || '');
+      const dot = str.indexOf('.');
+      return dot > 0 && str.slice(0, dot) === purpose ? decodeURIComponent(str.slice(dot + 1)) : '';
+    }
+
+    async function knownCategories(requested) {
+      const categories = new Set((await loadPosts()).map(post => post.category).filter(Boolean));
+      return [...new Set((requested || []).map(c => String(c).trim()))].filter(c => categories.has(c)).sort();
+    }
+
+    const NEWSLETTER_RPCS = new Set([
+      'subscribe_newsletter',
+      'confirm_newsletter_subscription',
+      'get_newsletter_subscription',
+      'update_newsletter_subscription',
+      'unsubscribe_newsletter',
+    ]);
+
+    const invalidLink = { data: null, error: { message: 'This link is invalid', code: 'P0002' }, status: 400 };
+
+    async function runNewsletterRpc(name, params) {
+      const subscribers = readSubscribers();
+
+      if (name === 'subscribe_newsletter') {
+        const email = String(params.p_email || '').trim().toLowerCase();
+        if (!EMAIL_RE.test(email)) {
+          return { data: null, error: { message: 'Enter a valid email address', code: '22023' }, status: 400 };
+        }
+        const existing = subscribers[email];
+        if (!existing || existing.status !== 'active') {
+          subscribers[email] = { email, categories: await knownCategories(params.p_categories), status: 'pending' };
+          writeSubscribers(subscribers);
+          const link = new URL(`newsletter.html?confirm=${mockToken('confirm', email)}`, window.location.href);
+          console.info(`mockSupabase: newsletter confirmation for ${email}: ${link.href}`);
+        }
+        return { data: null, error: null, status: 204 };
+      }
+
+      const purpose = name === 'confirm_newsletter_subscription' ? 'confirm' : 'manage';
+      const subscriber = subscribers[tokenEmail(params.p_token, purpose)];
+      if (!subscriber || (purpose === 'manage' && subscriber.status === 'pending')) return invalidLink;
+
+      if (name === 'confirm_newsletter_subscription') subscriber.status = 'active';
+      if (name === 'update_newsletter_subscription') {
+        subscriber.categories = await knownCategories(params.p_categories);
+        subscriber.status = 'active';
+      }
+      if (name === 'unsubscribe_newsletter') subscriber.status = 'unsubscribed';
+      writeSubscribers(subscribers);
+
+      const row = { ...subscriber };
+      if (purpose === 'confirm') row.manage_token = mockToken('manage', subscriber.email);
+      return { data: [row], error: null, status: 200 };
+    }
+
+    async function runRpc(name, params) {
+      if (NEWSLETTER_RPCS.has(name)) {
+        return runNewsletterRpc(name, params);
+      }
+      if (name === 'is_post_editor') return { data: false, error: null, status: 200 };
+      if (name === 'get_post_preview') return { data: [], error: null, status: 200 };
+
+      if (name === 'record_post_view' || name === 'set_post_reaction') {
+        const slug = params.p_slug;
+        if (!(await loadPosts()).some(post => post.slug === slug)) {
+          return { data: null, error: { message: `No published post ${slug}`, code: 'P0002' }, status: 400 };
+        }
+        const totals = totalsFor(slug);
+        if (name === 'record_post_view' && !viewed.has(slug)) {
+          viewed.add(slug);
+          totals.view_count += 1;
+        }
+        if (name === 'set_post_reaction') {
+          const key = `${slug}:${params.p_reaction || 'helpful'}`;
+          const active = params.p_active !== false;
+          if (active && !reactions.has(key)) {
+            reactions.add(key);
+            totals.helpful_count += 1;
+          } else if (!active && reactions.delete(key)) {
+            totals.helpful_count = Math.max(0, totals.helpful_count - 1);
+          }
+        }
+        return { data: [{ ...totals }], error: null, status: 200 };
+      }
+
+      return { data: null, error: { message: `Function ${name} is not mocked.`, code: 'PGRST202' }, status: 404 };
+    }
+
+    const signedOut = { message: 'Sign-in is not available in local mock mode.' };
+
+    return {
+      isMock: true,
+      from(table) {
+        return createQuery(loadRows, table);
+      },
+      rpc(name, params = {}) {
+        const call = {
+          abortSignal: () => call,
+          then: (resolve, reject) => runRpc(name, params).then(resolve, reject),
+        };
+        return call;
+      },
+      auth: {
+        async getSession() {
+          return { data: { session: null }, error: null };
+        },
+        onAuthStateChange(callback) {
+          setTimeout(() => callback('INITIAL_SESSION', null), 0);
+          return { data: { subscription: { unsubscribe() {} } } };
+        },
+        async signInWithPassword() {
+          return { data: null, error: signedOut };
+        },
+        async signInWithOtp() {
+          return { data: null, error: signedOut };
+        },
+        async signOut() {
+          return { error: null };
+        },
+      },
+    };
+  };
+})();
@@ -0,0 +1,121 @@
+// modalDialog.js
+// Modal dialog behaviour for markup that is shown and hidden with classes
+// (blogs.html's #blog-modal): move focus into the dialog, keep Tab inside it,
+// make the rest of the page inert while it is open and hand focus back to
+// whatever opened it on close. Escape/backdrop handling stays with the caller.
+
+const FOCUSABLE = [
+  'a[href]',
+  'area[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  'iframe',
+  'summary',
+  '[contenteditable="true"]',
+  '[tabindex]:not([tabindex="-1"])',
+].join(',');
+
+const openDialogs = new WeakMap(); // modal -> { panel, opener, inerted, onKeydown, onFocusIn }
+
+// Tabbable elements inside `root`, in DOM order (skipping collapsed or
+// class-hidden parts such as a closed "On this page" list).
+function focusableIn(root) {
+  return Array.from(root.querySelectorAll(FOCUSABLE))
+    .filter(el => !el.closest('.hidden, [hidden], [inert]'));
+}
+
+// Everything beside the modal's branch of <body>, so screen readers and Tab
+// only reach the dialog. Elements that were already inert are left alone.
+function inertBackground(modal) {
+  const inerted = [];
+  let node = modal;
+  while (node && node.parentElement && node !== document.body) {
+    Array.from(node.parentElement.children).forEach(sibling => {
+      if (sibling === node || sibling.tagName === 'SCRIPT' || sibling.hasAttribute('inert')) return;
+      sibling.setAttribute('inert', '');
+      inerted.push(sibling);
+    });
+    node = node.parentElement;
+  }
+  return inerted;
+}
+
+export function isDialogOpen(modal) {
+  return Boolean(modal && openDialogs.has(modal));
+}
+
+// Call after the dialog is visible. Re-opening an open dialog (new content)
+// keeps the original opener and only pulls focus back in if it was lost.
+// options.panel: the role="dialog" element (defaults to `modal`).
+// options.initialFocus: element to focus first (defaults to the panel).
+export function openDialog(modal, { panel = modal, initialFocus = null } = {}) {
+  if (!modal) return;
+  modal.removeAttribute('aria-hidden');
+
+  const current = openDialogs.get(modal);
+  if (current) {
+    if (!current.panel.contains(document.activeElement)) {
+      (initialFocus || current.panel).focus({ preventScroll: true });
+    }
+    return;
+  }
+
+  const state = {
+    panel,
+    opener: document.activeElement instanceof HTMLElement ? document.activeElement : null,
+    inerted: inertBackground(modal),
+  };
+
+  state.onKeydown = (e) => {
+    if (e.key !== 'Tab') return;
+    const items = focusableIn(panel);
+    if (!items.length) {
+      e.preventDefault();
+      panel.focus();
+      return;
+    }
+    const first = items[0];
+    const last = items[items.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === panel || !panel.contains(active))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (active === last || !panel.contains(active))) {
+      e.preventDefault();
+      first.focus();
+    }
+  };
+
+  // Browsers without `inert` can still move focus out (e.g. a click on the
+  // backdrop area); bring it back.
+  state.onFocusIn = (e) => {
+    if (!panel.contains(e.target)) panel.focus({ preventScroll: true });
+  };
+
+  document.addEventListener('keydown', state.onKeydown);
+  document.addEventListener('focusin', state.onFocusIn);
+  openDialogs.set(modal, state);
+
+  if (!panel.hasAttribute('tabindex')) panel.setAttribute('tabindex', '-1');
+  (initialFocus || panel).focus({ preventScroll: true });
+}
+
+// Call when hiding the dialog. options.fallbackFocus: element to focus when
+// the opener is no longer in the page (e.g. its list was re-rendered).
+export function closeDialog(modal, { fallbackFocus = null } = {}) {
+  if (!modal) return;
+  modal.setAttribute('aria-hidden', 'true');
+
+  const state = openDialogs.get(modal);
+  if (!state) return;
+  openDialogs.delete(modal);
+
+  document.removeEventListener('keydown', state.onKeydown);
+  document.removeEventListener('focusin', state.onFocusIn);
+  state.inerted.forEach(el => el.removeAttribute('inert'));
+
+  const target = state.opener && state.opener.isConnected ? state.opener : fallbackFocus;
+  if (target && typeof target.focus === 'function') target.focus({ preventScroll: true });
+}
@@ -0,0 +1,221 @@
+// newsletter.js
+// "Get new insights by email": the subscribe widget on blogs.html, post.html
+// and the service pages' CTA sections. Readers pick categories from the same
+// set as the blogs.html category filters (collectCategories) — none picked
+// means all — and sign-up goes through subscribeToNewsletter, which only
+// records a pending subscription: the emailed link (newsletter.html, see
+// js/newsletterPage.js) confirms it.
+//
+// Placeholders are <div data-newsletter="<placement>"> with optional
+// data-newsletter-category (ticked up front, e.g. a service page's own
+// category) and data-newsletter-heading (heading level, default 2).
+//
+// Spam checks: a honeypot and a minimum time on the form here, a per-IP rate
+// limit in the database.
+//
+// The copy follows the reader's interface language (js/i18n.js), on the
+// English-only service pages too, so the form carries its own lang.
+
+import { escapeHtml, collectCategories } from './blogContent.js';
+import { getLocale, t } from './i18n.js';
+import {
+  getPublishedPosts,
+  subscribeToNewsletter,
+  NotFoundError,
+  NetworkError,
+  SchemaError,
+  describeInsightsError,
+} from './insightsApi.js';
+import { track } from './analytics.js';
+
+// Humans don't fill in a form this fast; bots do.
+const MIN_FILL_MS = 2000;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+let widgetCount = 0;
+
+// ---------- shared with newsletter.html ----------
+
+// Reader-facing explanation for a failed newsletter call.
+export function describeNewsletterError(err) {
+  if (err?.code === '22023') return t('newsletter.emailInvalid');
+  if (err?.code === '54000') return t('newsletter.rateLimited');
+  if (err instanceof NotFoundError) return t('newsletter.invalidLink');
+  if (err instanceof NetworkError) return describeInsightsError(err);
+  if (err instanceof SchemaError) return t('newsletter.unavailable');
+  return t('newsletter.failed');
+}
+
+// One checkbox per category; `selected` ones start ticked.
+export function renderCategoryOptions(categories, selected = [], idPrefix = 'newsletter') {
+  return categories.map((category, index) => `
+    <label for="${idPrefix}-topic-${index}"
+           class="inline-flex items-center gap-2 rounded-full border border-dark-brown/20 bg-white px-3 py-1 text-[0.75rem] font-semibold text-dark-brown cursor-pointer hover:border-primary">
+      <input id="${idPrefix}-topic-${index}" type="checkbox" name="categories" value="${escapeHtml(category)}"
+             class="accent-primary"${selected.includes(category) ? ' checked' : ''}>
+      ${escapeHtml(category)}
+    </label>`).join('');
+}
+
+export function checkedCategories(form) {
+  return Array.from(form.querySelectorAll('input[name="categories"]:checked')).map(input => input.value);
+}
+
+// Categories readers can follow; [] when they can't be loaded (the sign-up
+// then covers everything).
+export async function loadNewsletterCategories() {
+  try {
+    return collectCategories(await getPublishedPosts({ view: 'facets' }));
+  } catch (err) {
+    console.warn('newsletter: categories unavailable', err);
+    return [];
+  }
+}
+
+// ---------- widget ----------
+
+function renderWidget(id, headingLevel) {
+  const h = `h${headingLevel}`;
+  return `
+    <form class="newsletter-form text-left" novalidate aria-labelledby="${id}-title" lang="${getLocale()}">
+      <${h} id="${id}-title" class="h-title text-lg md:text-xl mb-1">${t('newsletter.title')}</${h}>
+      <p class="text-[0.8rem] md:text-sm text-dark-grey/95 mb-3">
+        ${t('newsletter.intro')}
+      </p>
+
+      <div class="flex flex-wrap gap-2">
+        <label for="${id}-email" class="sr-only">${t('newsletter.emailLabel')}</label>
+        <input id="${id}-email" type="email" name="email" autocomplete="email" required
+               placeholder="${t('newsletter.emailPlaceholder')}" aria-describedby="${id}-email-error"
+               class="flex-1 min-w-[12rem] rounded-lg border border-dark-brown/25 bg-white px-3 py-2 text-sm text-dark-brown focus:outline-none focus:ring-2 focus:ring-primary/50">
+        <button type="submit"
+                class="inline-flex items-center justify-center rounded-lg bg-primary px-5 py-2 text-sm font-semibold text-paper hover:bg-accent transition active:scale-[.99] disabled:opacity-60">
+          ${t('newsletter.subscribe')}
+        </button>
+      </div>
+      <p id="${id}-email-error" class="hidden mt-1 text-[0.75rem] text-red-700"></p>
+
+      <fieldset class="mt-3 hidden" data-newsletter-topics>
+        <legend class="text-[0.75rem] font-semibold text-dark-brown mb-2">
+          ${t('newsletter.topics')} <span class="font-normal text-dark-grey">${t('newsletter.topicsHint')}</span>
+        </legend>
+        <div class="flex flex-wrap gap-2" data-newsletter-options></div>
+      </fieldset>
+
+      <!-- Honeypot: hidden from people, filled in by bots -->
+      <div class="absolute -left-[9999px] w-px h-px overflow-hidden" aria-hidden="true">
+        <label for="${id}-website">${t('newsletter.honeypot')}</label>
+        <input id="${id}-website" type="text" name="website" tabindex="-1" autocomplete="off">
+      </div>
+
+      <p class="mt-3 text-[0.8rem] empty:hidden" role="status" aria-live="polite" data-newsletter-status></p>
+    </form>`;
+}
+
+function setStatus(form, text, ok) {
+  const status = form.querySelector('[data-newsletter-status]');
+  if (!status) return;
+  status.textContent = text;
+  status.classList.toggle('text-green-700', Boolean(ok));
+  status.classList.toggle('text-red-700', !ok);
+}
+
+function setEmailError(input, errorEl, message) {
+  input.setAttribute('aria-invalid', message ? 'true' : 'false');
+  input.classList.toggle('border-red-500', Boolean(message));
+  errorEl.textContent = message;
+  errorEl.classList.toggle('hidden', !message);
+}
+
+function validateEmail(value) {
+  if (!value) return t('newsletter.emailMissing');
+  if (!EMAIL_PATTERN.test(value) || value.length > 254) {
+    return t('newsletter.emailInvalid');
+  }
+  return '';
+}
+
+// Renders the widget into `container` and wires it up (once per container).
+export function initNewsletterSignup(container, {
+  placement = container?.dataset.newsletter || 'page',
+  category = container?.dataset.newsletterCategory || '',
+  headingLevel = Number(container?.dataset.newsletterHeading) || 2,
+} = {}) {
+  if (!container || container.dataset.newsletterReady) return;
+  container.dataset.newsletterReady = 'true';
+
+  const id = `newsletter-${++widgetCount}`;
+  container.innerHTML = renderWidget(id, Math.min(Math.max(headingLevel, 2), 4));
+  container.classList.remove('hidden');
+
+  const form = container.querySelector('form');
+  const email = form.elements.email;
+  const emailError = document.getElementById(`${id}-email-error`);
+  const honeypot = form.elements.website;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  let shownAt = Date.now();
+
+  loadNewsletterCategories().then(categories => {
+    if (!categories.length) return;
+    const preselected = categories.includes(category) ? [category] : [];
+    form.querySelector('[data-newsletter-options]').innerHTML = renderCategoryOptions(categories, preselected, id);
+    form.querySelector('[data-newsletter-topics]').classList.remove('hidden');
+  });
+
+  email.addEventListener('input', () => {
+    if (email.getAttribute('aria-invalid') === 'true') setEmailError(email, emailError, validateEmail(email.value.trim()));
+  });
+
+  form.addEventListener('submit', async e => {
+    e.preventDefault();
+    const address = email.value.trim();
+    const problem = validateEmail(address);
+    setEmailError(email, emailError, problem);
+    if (problem) {
+      email.focus();
+      return;
+    }
+
+    const done = () => {
+      form.reset();
+      setStatus(form, t('newsletter.checkInbox'), true);
+      shownAt = Date.now();
+    };
+
+    // Honeypot filled in: a bot. Pretend it worked and send nothing.
+    if (honeypot && honeypot.value) {
+      done();
+      return;
+    }
+
+    // Pressing again right away doesn't reset the wait.
+    const fillWait = Math.ceil((MIN_FILL_MS - (Date.now() - shownAt)) / 1000);
+    if (fillWait > 0) {
+      setStatus(form, t('newsletter.tooFast', { count: fillWait }), false);
+      return;
+    }
+
+    const categories = checkedCategories(form);
+    submitBtn.disabled = true;
+    setStatus(form, t('newsletter.subscribing'), true);
+    try {
+      await subscribeToNewsletter(address, categories);
+      track('newsletter_subscribe', {
+        placement,
+        categories: categories.length ? categories.join(',') : 'all',
+      });
+      done();
+    } catch (err) {
+      console.error('newsletter: sign-up failed', err);
+      setStatus(form, describeNewsletterError(err), false);
+    } finally {
+      submitBtn.disabled = false;
+    }
+  });
+}
+
+// Every [data-newsletter] placeholder under `root`.
+export function initNewsletterSignups(root = document) {
+  root.querySelectorAll('[data-newsletter]').forEach(container => initNewsletterSignup(container));
+}
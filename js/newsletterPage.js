@@ -0,0 +1,239 @@
+// newsletterPage.js
+// newsletter.html: where the links in newsletter emails land.
+//   ?confirm=<token>  confirm a sign-up (double opt-in), then manage it
+//   ?token=<token>    change topics, unsubscribe or subscribe again
+// Nothing changes until the reader presses a button: mail scanners open links
+// too. Tokens are signed by the database (supabase/migrations/*_newsletter.sql).
+
+import { escapeHtml } from './blogContent.js';
+import { t } from './i18n.js';
+import { initPageLanguage } from './languageSwitcher.js';
+import { registerServiceWorker } from './serviceWorker.js';
+import {
+  confirmNewsletterSubscription,
+  getNewsletterSubscription,
+  updateNewsletterSubscription,
+  unsubscribeFromNewsletter,
+  NotFoundError,
+} from './insightsApi.js';
+import {
+  describeNewsletterError,
+  renderCategoryOptions,
+  checkedCategories,
+  loadNewsletterCategories,
+} from './newsletter.js';
+import { track } from './analytics.js';
+
+function signUpLink() {
+  return `<a href="blogs.html#newsletter" class="font-semibold text-primary hover:text-accent underline underline-offset-2">${t('newsletterPage.signUpAgain')}</a>`;
+}
+
+function readParams() {
+  const params = new URLSearchParams(window.location.search);
+  return {
+    confirm: (params.get('confirm') || '').trim(),
+    token: (params.get('token') || '').trim(),
+    unsubscribe: params.get('unsubscribe') === '1',
+  };
+}
+
+function panel() {
+  return document.getElementById('newsletter-panel');
+}
+
+function showPanel(html) {
+  document.getElementById('newsletter-loading')?.classList.add('hidden');
+  const el = panel();
+  el.innerHTML = html;
+  el.classList.remove('hidden');
+  return el;
+}
+
+function setStatus(text, ok) {
+  const status = document.getElementById('newsletter-status');
+  if (!status) return;
+  status.textContent = text;
+  status.classList.toggle('text-green-700', Boolean(ok));
+  status.classList.toggle('text-red-700', !ok);
+}
+
+function showError(message, { signUp = false } = {}) {
+  showPanel(`
+    <p class="text-sm text-red-700" role="alert">${escapeHtml(message)}</p>
+    ${signUp ? `<p class="mt-3 text-sm">${signUpLink()}.</p>` : ''}
+  `);
+}
+
+// ---------- confirm ----------
+
+function showConfirm(confirmToken) {
+  const el = showPanel(`
+    <h1 class="h-title text-3xl md:text-4xl mb-2">${t('newsletterPage.confirmTitle')}</h1>
+    <p class="text-sm md:text-base text-dark-grey/95 mb-5">
+      ${t('newsletterPage.confirmText')}
+    </p>
+    <button type="button" id="newsletter-confirm"
+            class="inline-flex items-center rounded-lg bg-primary px-5 py-2.5 text-sm font-semibold text-paper hover:bg-accent transition active:scale-[.99] disabled:opacity-60">
+      ${t('newsletterPage.confirmButton')}
+    </button>
+    <p id="newsletter-status" class="mt-3 text-sm empty:hidden" role="status" aria-live="polite"></p>
+  `);
+
+  const button = el.querySelector('#newsletter-confirm');
+  button.addEventListener('click', async () => {
+    button.disabled = true;
+    setStatus(t('newsletterPage.confirming'), true);
+    try {
+      const subscription = await confirmNewsletterSubscription(confirmToken);
+      track('newsletter_confirm', {});
+      // From here on the page is the manage link; the confirm token is spent.
+      const url = new URL(window.location.href);
+      url.searchParams.delete('confirm');
+      url.searchParams.set('token', subscription.manageToken);
+      history.replaceState(null, '', url);
+      await showManage(subscription.manageToken, subscription, {
+        message: t('newsletterPage.confirmed'),
+      });
+    } catch (err) {
+      if (err instanceof NotFoundError) {
+        showError(describeNewsletterError(err), { signUp: true });
+        return;
+      }
+      console.error(err);
+      button.disabled = false;
+      setStatus(describeNewsletterError(err), false);
+    }
+  });
+}
+
+// ---------- manage ----------
+
+function describeTopics(categories) {
+  return categories.length ? categories.join(', ') : t('newsletterPage.allTopics');
+}
+
+function describeSubscription(subscription) {
+  return subscription.status === 'active'
+    ? t('newsletterPage.subscribedTo', { topics: describeTopics(subscription.categories) })
+    : t('newsletterPage.unsubscribedSummary');
+}
+
+async function showManage(token, subscription, { message = '', focusUnsubscribe = false } = {}) {
+  const available = await loadNewsletterCategories();
+  // Keep topics the reader follows even if no published post uses them now.
+  const categories = [...new Set([...available, ...subscription.categories])];
+  let active = subscription.status === 'active';
+
+  const el = showPanel(`
+    <h1 class="h-title text-3xl md:text-4xl mb-2">${t('newsletterPage.manageTitle')}</h1>
+    <p class="text-sm md:text-base text-dark-grey/95 mb-1">
+      ${t('newsletterPage.for')} <strong class="text-dark-brown">${escapeHtml(subscription.email)}</strong>:
+      <span id="newsletter-summary">${escapeHtml(describeSubscription(subscription))}</span>
+    </p>
+
+    <form id="newsletter-manage" class="mt-5" novalidate>
+      ${categories.length ? `
+      <fieldset>
+        <legend class="text-sm font-semibold text-dark-brown mb-2">
+          ${t('newsletter.topics')} <span class="font-normal text-dark-grey">${t('newsletter.topicsHint')}</span>
+        </legend>
+        <div class="flex flex-wrap gap-2">
+          ${renderCategoryOptions(categories, subscription.categories, 'manage')}
+        </div>
+      </fieldset>` : ''}
+
+      <div class="mt-5 flex flex-wrap items-center gap-3">
+        <button type="submit" data-newsletter-save
+                class="inline-flex items-center rounded-lg bg-primary px-5 py-2.5 text-sm font-semibold text-paper hover:bg-accent transition active:scale-[.99] disabled:opacity-60">
+          ${t(active ? 'newsletterPage.save' : 'newsletterPage.subscribeAgain')}
+        </button>
+        <button type="button" data-newsletter-unsubscribe
+                class="${active ? '' : 'hidden '}inline-flex items-center rounded-lg border border-dark-brown/30 px-5 py-2.5 text-sm font-semibold text-dark-brown hover:bg-red-50 hover:border-red-600/40 transition disabled:opacity-60">
+          ${t('newsletterPage.unsubscribe')}
+        </button>
+      </div>
+      <p id="newsletter-status" class="mt-3 text-sm empty:hidden" role="status" aria-live="polite"></p>
+    </form>
+  `);
+
+  const form = el.querySelector('#newsletter-manage');
+  const saveBtn = form.querySelector('[data-newsletter-save]');
+  const unsubscribeBtn = form.querySelector('[data-newsletter-unsubscribe]');
+
+  const update = (next, text) => {
+    active = next.status === 'active';
+    document.getElementById('newsletter-summary').textContent = describeSubscription(next);
+    saveBtn.textContent = t(active ? 'newsletterPage.save' : 'newsletterPage.subscribeAgain');
+    unsubscribeBtn.classList.toggle('hidden', !active);
+    setStatus(text, true);
+  };
+
+  const busy = async work => {
+    saveBtn.disabled = true;
+    unsubscribeBtn.disabled = true;
+    try {
+      await work();
+    } catch (err) {
+      console.error(err);
+      setStatus(describeNewsletterError(err), false);
+    } finally {
+      saveBtn.disabled = false;
+      unsubscribeBtn.disabled = false;
+    }
+  };
+
+  form.addEventListener('submit', e => {
+    e.preventDefault();
+    busy(async () => {
+      const wasActive = active;
+      const next = await updateNewsletterSubscription(token, checkedCategories(form));
+      track('newsletter_update', { categories: next.categories.length ? next.categories.join(',') : 'all' });
+      update(next, t(wasActive ? 'newsletterPage.saved' : 'newsletterPage.welcomeBack'));
+    });
+  });
+
+  unsubscribeBtn.addEventListener('click', () => {
+    busy(async () => {
+      const next = await unsubscribeFromNewsletter(token);
+      track('newsletter_unsubscribe', {});
+      update(next, t('newsletterPage.unsubscribed'));
+      saveBtn.focus();
+    });
+  });
+
+  if (message) setStatus(message, true);
+  if (focusUnsubscribe && active) {
+    setStatus(t('newsletterPage.unsubscribePrompt'), true);
+    unsubscribeBtn.focus();
+  }
+}
+
+async function loadManage(token, { focusUnsubscribe }) {
+  let subscription;
+  try {
+    subscription = await getNewsletterSubscription(token);
+  } catch (err) {
+    if (!(err instanceof NotFoundError)) console.error(err);
+    showError(describeNewsletterError(err), { signUp: err instanceof NotFoundError });
+    return;
+  }
+  await showManage(token, subscription, { focusUnsubscribe });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  initPageLanguage();
+  registerServiceWorker();
+  const { confirm, token, unsubscribe } = readParams();
+
+  if (confirm) showConfirm(confirm);
+  else if (token) loadManage(token, { focusUnsubscribe: unsubscribe });
+  else {
+    showPanel(`
+      <h1 class="h-title text-3xl md:text-4xl mb-2">${t('newsletterPage.manageTitle')}</h1>
+      <p class="text-sm md:text-base text-dark-grey/95">
+        ${t('newsletterPage.infoText')}
+        ${t('newsletterPage.notSubscribed')} <a href="blogs.html#newsletter" class="font-semibold text-primary hover:text-accent underline underline-offset-2">${t('newsletterPage.signUp')}</a>.
+      </p>
+    `);
+  }
+});
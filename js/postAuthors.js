@@ -0,0 +1,64 @@
+// postAuthors.js
+// Author profiles (supabase/migrations/*_authors.sql) and bylines. A post
+// names its authors, in byline order, in `author_slugs`; rows without
+// profiles only have the plain-text `author`. Used by blogs.html, post.html,
+// author.html and scripts/buildPages.mjs, so the helpers take plain rows and
+// return strings.
+
+import { escapeHtml } from './blogContent.js';
+import { t } from './i18n.js';
+
+// Root-relative: bylines also appear on pre-rendered insights/<slug>/ pages.
+export function authorPath(slug) {
+  return `/author.html?slug=${encodeURIComponent(slug)}`;
+}
+
+export function authorSlugs(post) {
+  return Array.isArray(post?.author_slugs) ? post.author_slugs.filter(Boolean) : [];
+}
+
+// "A", "A and B", "A, B and C" (private.format_byline builds `author` the same
+// way, in English; "y" in Spanish).
+export function formatByline(names) {
+  const list = names.filter(Boolean);
+  if (list.length < 2) return list[0] || '';
+  return `${list.slice(0, -1).join(', ')} ${t('authors.and')} ${list[list.length - 1]}`;
+}
+
+// The post's author profiles in byline order. Without a profile for every
+// slug (or any slugs at all) the byline text stands in as one unlinked
+// "author" with a null slug.
+export function getPostAuthors(post, authors = []) {
+  const bySlug = new Map((Array.isArray(authors) ? authors : []).map(a => [a.slug, a]));
+  const profiles = authorSlugs(post).map(slug => bySlug.get(slug));
+  if (profiles.length && profiles.every(Boolean)) return profiles;
+
+  const name = String(post?.author || '').trim();
+  return name ? [{ slug: null, name }] : [];
+}
+
+// "By <a>A</a> and <a>B</a>", each name linking to its author page.
+export function renderByline(post, authors, { linkClass = 'font-semibold text-primary hover:text-accent' } = {}) {
+  const list = getPostAuthors(post, authors);
+  if (!list.length) return '';
+  const names = list.map(author => (author.slug
+    ? `<a href="${escapeHtml(authorPath(author.slug))}" rel="author" class="${linkClass}">${escapeHtml(author.name)}</a>`
+    : escapeHtml(author.name)));
+  return t('authors.by', { names: formatByline(names) });
+}
+
+// Profile links that are safe to put in an href: http(s) and mailto only.
+export function authorLinks(author) {
+  return (Array.isArray(author?.links) ? author.links : [])
+    .map(link => ({ label: String(link?.label || '').trim(), url: String(link?.url || '').trim() }))
+    .filter(link => link.label && /^(https?:|mailto:)/i.test(link.url));
+}
+
+export function authorInitials(name) {
+  return String(name || '')
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map(part => part[0].toUpperCase())
+    .join('');
+}
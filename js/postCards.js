@@ -0,0 +1,142 @@
+// postCards.js
+// Insight cards as the blogs.html grid draws them, shared with author.html:
+// the card markup, the per-post render cache behind it, and the card
+// keyboard behaviour (whole-card click, arrow keys across the grid).
+
+import {
+  escapeHtml,
+  formatReadingTime,
+  preparePost,
+} from './blogContent.js';
+import { highlightMatches } from './blogSearch.js';
+import { t } from './i18n.js';
+import { engagementLabels } from './postEngagement.js';
+import { postLocale } from './postTranslations.js';
+
+// Rendering a post is not free (decode + Markdown + DOMPurify), and cards
+// and the modal both need the result, so keep it per post object.
+// Grid summaries carry `content_preview` + `reading_minutes` instead of the
+// full `content`; full posts (fetched for the modal) carry `content`.
+const preparedPosts = new WeakMap();
+
+export function hasFullContent(post) {
+  return typeof post?.content === 'string';
+}
+
+export function getPrepared(post) {
+  if (!preparedPosts.has(post)) {
+    const prepared = hasFullContent(post)
+      ? preparePost(post)
+      : preparePost({ ...post, content: post.content_preview });
+    if (!hasFullContent(post) && post.reading_minutes != null) {
+      prepared.readTime = formatReadingTime(post.reading_minutes);
+    }
+    preparedPosts.set(post, prepared);
+  }
+  return preparedPosts.get(post);
+}
+
+export const CARD_CLASSES =
+  'bg-white rounded-2xl border border-dark-brown/15 shadow-card/40 p-5 ' +
+  'flex flex-col h-full cursor-pointer transition hover:-translate-y-0.5 hover:shadow-lg ' +
+  'focus-within:-translate-y-0.5 focus-within:shadow-lg focus-within:ring-2 ' +
+  'focus-within:ring-primary focus-within:ring-offset-2 focus-within:ring-offset-paper';
+
+// The title link is what takes focus; the ring shows on the whole card.
+export const CARD_LINK_CLASSES = 'text-inherit no-underline focus:outline-none';
+
+// One insight card. options.matched: search tokens to highlight;
+// options.onOpen: what a click does (defaults to following the title link).
+export function createPostCard(post, { matched = null, onOpen = null } = {}) {
+  const wrapper = document.createElement('article');
+  wrapper.className = CARD_CLASSES;
+
+  const { date, excerpt, readTime } = getPrepared(post);
+  const titleHtml = matched ? highlightMatches(post.title, matched) : escapeHtml(post.title);
+  const excerptHtml = matched ? highlightMatches(excerpt, matched) : escapeHtml(excerpt);
+  const categoryLabel = post.category || t('common.insight');
+  const lang = postLocale(post);
+  const tags = Array.isArray(post.tags) ? post.tags.filter(Boolean) : [];
+  const href = `post.html?slug=${encodeURIComponent(post.slug || '')}`;
+
+  // Cards leave the byline out; it's in the modal and on the post page. The
+  // title and excerpt are in the post's language, the rest in the reader's.
+  wrapper.innerHTML = `
+    <div class="flex flex-col h-full">
+        <div class="mb-3">
+        <span class="inline-flex items-center px-2.5 py-1 rounded-full bg-primary/10 border border-primary/40 text-[0.7rem] font-semibold tracking-[0.14em] uppercase text-primary">
+          ${escapeHtml(categoryLabel)}
+        </span>
+      </div>
+
+      <h2 lang="${lang}" class="text-lg md:text-xl font-semibold mb-1 text-dark-brown">
+        <a href="${href}" data-card-link data-slug="${escapeHtml(post.slug || '')}"
+           class="${CARD_LINK_CLASSES}">${titleHtml}</a>
+      </h2>
+
+      <p class="text-[0.75rem] text-dark-grey mb-2">
+        ${[date, readTime, ...engagementLabels(post)].filter(Boolean).map(escapeHtml).join(' • ')}
+      </p>
+
+      ${
+        tags.length
+          ? `<p class="text-[0.7rem] text-dark-grey/90 mb-2">
+               ${tags.map(t => `<span class="inline-block mr-1">#${escapeHtml(t)}</span>`).join('')}
+             </p>`
+          : ''
+      }
+
+      <p lang="${lang}" class="text-sm text-dark-grey/95 flex-1">
+        ${excerptHtml}
+      </p>
+
+      <p class="mt-3 text-[0.72rem] uppercase tracking-[0.16em] text-primary font-semibold">
+        ${t('grid.openFull')}
+      </p>
+    </div>
+  `;
+
+  bindCardActivation(wrapper, onOpen || (() => { window.location.href = href; }));
+  return wrapper;
+}
+
+// The whole card opens it; a modified click (new tab/window) follows the
+// title link instead. Keyboard users reach the link with Tab or the arrow
+// keys (initGridKeyboard) and Enter triggers the same click.
+export function bindCardActivation(wrapper, activate) {
+  wrapper.addEventListener('click', (e) => {
+    if (e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    e.preventDefault();
+    activate();
+  });
+}
+
+// Arrow keys move between the cards in `container` (left/right in reading
+// order, up/down a row at a time), Home/End jump to the first/last card.
+export function initGridKeyboard(container) {
+  if (!container) return;
+
+  container.addEventListener('keydown', (e) => {
+    if (e.altKey || e.ctrlKey || e.metaKey || e.shiftKey) return;
+    const links = Array.from(container.querySelectorAll('[data-card-link]'));
+    const index = links.indexOf(e.target.closest && e.target.closest('[data-card-link]'));
+    if (index < 0) return;
+
+    // Columns as laid out right now (1 on mobile, 2 on md, 3 on xl).
+    const columns = (getComputedStyle(container).gridTemplateColumns || '')
+      .split(' ').filter(Boolean).length || 1;
+    const targets = {
+      ArrowRight: index + 1,
+      ArrowLeft: index - 1,
+      ArrowDown: index + columns,
+      ArrowUp: index - columns,
+      Home: 0,
+      End: links.length - 1,
+    };
+    if (!(e.key in targets)) return;
+
+    e.preventDefault();
+    const next = links[targets[e.key]];
+    if (next) next.focus();
+  });
+}
@@ -0,0 +1,107 @@
+// postEngagement.js
+// Read counts and the "Helpful" reaction under an insight (post.html and the
+// blogs.html modal), plus the short labels the grid cards show. Counting and
+// abuse protection happen in the database (see js/insightsApi.js).
+
+import { recordPostView, setPostReaction, hasReacted } from './insightsApi.js';
+import { formatNumber, t } from './i18n.js';
+import { track } from './analytics.js';
+
+// 950, 1.2K, 12K, 1.2M (compact, in the current locale).
+export function formatCount(value) {
+  const n = Number(value) || 0;
+  return formatNumber(n, { notation: 'compact', maximumFractionDigits: n >= 10000 && n < 1000000 ? 0 : 1 });
+}
+
+function readsLabel(count) {
+  return t('engagement.reads', { count, formatted: formatCount(count) });
+}
+
+// ['1.2K reads', '4 helpful'] for a post_summaries row; zero counts are left out.
+export function engagementLabels(post) {
+  const labels = [];
+  const views = Number(post?.view_count) || 0;
+  const helpful = Number(post?.helpful_count) || 0;
+  if (views) labels.push(readsLabel(views));
+  if (helpful) labels.push(t('engagement.helpfulCount', { count: helpful, formatted: formatCount(helpful) }));
+  return labels;
+}
+
+// Count a view of `slug` and show its totals with a "Helpful" toggle in
+// `container`, which stays hidden until the view is recorded (so nothing shows
+// offline or before the engagement migration is deployed).
+// placement: 'page' | 'modal', for analytics.
+export function initEngagementBar(container, slug, { placement = 'page' } = {}) {
+  if (!container || !slug) return;
+
+  let totals = { views: 0, helpful: 0 };
+  let active = hasReacted(slug);
+  let saving = false;
+
+  container.classList.add('hidden');
+  container.innerHTML = `
+    <div class="flex flex-wrap items-center justify-between gap-3 text-[0.78rem] text-dark-grey">
+      <p data-engagement-views></p>
+      <div class="flex items-center gap-2">
+        <span>${t('engagement.question')}</span>
+        <button type="button" data-reaction="helpful" aria-pressed="false"
+                class="inline-flex items-center gap-1.5 px-3 py-1 rounded-full border font-semibold transition">
+          ${t('engagement.helpful')} <span data-reaction-count class="font-normal"></span>
+        </button>
+      </div>
+      <p data-engagement-status class="hidden w-full text-right text-red-600" role="status"></p>
+    </div>
+  `;
+
+  const viewsEl = container.querySelector('[data-engagement-views]');
+  const button = container.querySelector('[data-reaction]');
+  const countEl = container.querySelector('[data-reaction-count]');
+  const statusEl = container.querySelector('[data-engagement-status]');
+
+  function render() {
+    viewsEl.textContent = readsLabel(totals.views);
+    countEl.textContent = totals.helpful ? `(${formatCount(totals.helpful)})` : '';
+    button.setAttribute('aria-pressed', String(active));
+    button.disabled = saving;
+    button.className =
+      'inline-flex items-center gap-1.5 px-3 py-1 rounded-full border font-semibold transition ' +
+      (active
+        ? 'bg-primary text-paper border-primary'
+        : 'bg-paper text-dark-brown border-dark-brown/30 hover:border-primary hover:text-primary');
+  }
+
+  function showStatus(message) {
+    statusEl.textContent = message;
+    statusEl.classList.toggle('hidden', !message);
+  }
+
+  button.addEventListener('click', async () => {
+    if (saving) return;
+    const previous = { totals, active };
+    active = !active;
+    totals = { ...totals, helpful: Math.max(0, totals.helpful + (active ? 1 : -1)) };
+    saving = true;
+    showStatus('');
+    render();
+
+    try {
+      totals = await setPostReaction(slug, { reaction: 'helpful', active });
+      track('insight_reaction', { slug, reaction: 'helpful', active, placement });
+    } catch (err) {
+      console.warn('engagement: reaction not saved', err);
+      ({ totals, active } = previous);
+      showStatus(t('engagement.saveFailed'));
+    } finally {
+      saving = false;
+      render();
+    }
+  });
+
+  recordPostView(slug)
+    .then(result => {
+      totals = result;
+      render();
+      container.classList.remove('hidden');
+    })
+    .catch(err => console.warn('engagement: view not recorded', err));
+}
@@ -0,0 +1,95 @@
+// postSeries.js
+// Multi-part insights: posts that share a `series` name and are read in
+// `series_part` order (supabase/migrations/*_post_series.sql). Used by
+// post.html, the blogs.html grid + modal and scripts/buildPages.mjs, so the
+// helpers only work on plain rows and return HTML strings.
+
+import { escapeHtml } from './blogContent.js';
+import { t } from './i18n.js';
+
+export function seriesName(post) {
+  return String(post?.series || '').trim();
+}
+
+function seriesKey(post) {
+  return seriesName(post).toLowerCase();
+}
+
+// Reading order: part number, then date for parts without one.
+function byPart(a, b) {
+  const partA = Number(a.series_part) || Infinity;
+  const partB = Number(b.series_part) || Infinity;
+  if (partA !== partB) return partA - partB;
+  return String(a.published_at || '').localeCompare(String(b.published_at || ''));
+}
+
+// Every part of `post`'s series among `posts`, in reading order. [] when the
+// post isn't part of a series.
+export function getSeriesParts(post, posts) {
+  const key = seriesKey(post);
+  if (!key || !Array.isArray(posts)) return [];
+  return posts.filter(p => p && seriesKey(p) === key).sort(byPart);
+}
+
+// Where `post` sits in its series:
+// { name, parts, index, part, total, previous, next }, or null.
+export function getSeriesContext(post, posts) {
+  const parts = getSeriesParts(post, posts);
+  const index = parts.findIndex(p => p.slug === post.slug);
+  if (index < 0) return null;
+
+  // Part numbers are explicit; a later part may still be scheduled.
+  const part = Number(parts[index].series_part) || index + 1;
+  const total = Math.max(parts.length, ...parts.map(p => Number(p.series_part) || 0));
+  return {
+    name: seriesName(parts[index]),
+    parts,
+    index,
+    part,
+    total,
+    previous: parts[index - 1] || null,
+    next: parts[index + 1] || null,
+  };
+}
+
+// Series name -> parts in reading order, for every series among `posts`.
+export function groupSeries(posts) {
+  const groups = new Map();
+  (Array.isArray(posts) ? posts : []).forEach(post => {
+    const key = seriesKey(post);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, { name: seriesName(post), parts: [] });
+    groups.get(key).parts.push(post);
+  });
+  groups.forEach(group => group.parts.sort(byPart));
+  return groups;
+}
+
+export function formatSeriesPosition(context) {
+  return context ? t('series.position', { part: context.part, total: context.total }) : '';
+}
+
+// Ordered list of the series' parts with the current one marked.
+// href(slug) builds each link (/post.html?slug=… live, /insights/…/ pre-rendered).
+export function renderSeriesToc(context, { href }) {
+  if (!context) return '';
+  const items = context.parts.map((p, i) => {
+    const label = `<span class="text-dark-grey">${escapeHtml(t('series.part', { part: Number(p.series_part) || i + 1 }))}</span> ${escapeHtml(p.title)}`;
+    if (i === context.index) {
+      return `
+        <li>
+          <span aria-current="page" class="block rounded-lg border-l-2 border-primary bg-primary/10 px-3 py-1.5 font-semibold text-dark-brown">
+            ${label}
+          </span>
+        </li>`;
+    }
+    return `
+      <li>
+        <a href="${escapeHtml(href(p.slug))}"
+           class="block rounded-lg border-l-2 border-transparent px-3 py-1.5 text-dark-brown hover:border-primary/50 hover:bg-paper/90 transition">
+          ${label}
+        </a>
+      </li>`;
+  }).join('');
+  return `<ol class="space-y-1 text-[0.8rem]">${items}</ol>`;
+}
@@ -0,0 +1,217 @@
+// postToc.js
+// Section navigation for long insights: stable heading IDs with copyable
+// anchor links, a generated table of contents, scroll-spy, and a reading
+// progress bar. Used by post.html, the blogs.html modal and the pre-rendered
+// pages (scripts/buildPages.mjs runs addHeadingAnchors under jsdom).
+
+import { escapeHtml, slugify } from './blogContent.js';
+import { t } from './i18n.js';
+
+// Levels that get IDs and appear in the table of contents.
+const HEADING_SELECTOR = 'h2, h3';
+
+// A table of contents for fewer sections than this is just noise.
+export const MIN_TOC_HEADINGS = 2;
+
+// ---------- heading anchors ----------
+
+function headingText(heading) {
+  const clone = heading.cloneNode(true);
+  clone.querySelectorAll('.heading-anchor').forEach(a => a.remove());
+  return clone.textContent.replace(/\s+/g, ' ').trim();
+}
+
+// Give each h2/h3 in `container` an ID from its text ("Budgeting" ->
+// "budgeting", repeats get "-2", "-3"…) and a "#" link. IDs the author already
+// set are kept when unique. Running it again on the same content is a no-op,
+// so pre-rendered pages keep the IDs they were built with.
+// Returns [{ id, text, level }] in document order.
+export function addHeadingAnchors(container) {
+  if (!container) return [];
+  const doc = container.ownerDocument;
+  const used = new Set();
+  const headings = [];
+
+  container.querySelectorAll(HEADING_SELECTOR).forEach(heading => {
+    const text = headingText(heading);
+    if (!text) return;
+
+    let id = heading.id;
+    const clashes = candidate => used.has(candidate) ||
+      (doc.getElementById(candidate) && doc.getElementById(candidate) !== heading);
+    if (!id || clashes(id)) {
+      const base = slugify(text) || 'section';
+      id = base;
+      for (let n = 2; clashes(id); n += 1) id = `${base}-${n}`;
+      heading.id = id;
+    }
+    used.add(id);
+
+    let anchor = heading.querySelector('.heading-anchor');
+    if (!anchor) {
+      anchor = doc.createElement('a');
+      anchor.className = 'heading-anchor';
+      anchor.textContent = '#';
+      heading.appendChild(anchor);
+    }
+    anchor.setAttribute('href', `#${id}`);
+    anchor.setAttribute('aria-label', t('toc.linkToSection', { title: text }));
+
+    headings.push({ id, text, level: Number(heading.tagName.slice(1)) });
+  });
+
+  return headings;
+}
+
+// Copy the section URL when a heading's "#" is clicked. `buildUrl(id)` returns
+// the URL to copy and show; `scrollTo(id)` handles scrolling (defaults to
+// scrollIntoView, so the modal can scroll its own container the same way).
+export function bindHeadingAnchors(container, { buildUrl, scrollTo } = {}) {
+  if (!container) return;
+  container.addEventListener('click', async e => {
+    const anchor = e.target.closest('.heading-anchor');
+    if (!anchor || !container.contains(anchor)) return;
+    e.preventDefault();
+
+    const id = decodeURIComponent(anchor.getAttribute('href').slice(1));
+    const url = buildUrl
+      ? buildUrl(id)
+      : `${window.location.pathname}${window.location.search}#${encodeURIComponent(id)}`;
+
+    try {
+      history.replaceState(history.state, '', url);
+    } catch (err) {
+      // ignore (e.g. file:// URLs)
+    }
+    if (scrollTo) scrollTo(id);
+    else scrollToSection(container, id);
+
+    try {
+      await navigator.clipboard.writeText(new URL(url, window.location.href).href);
+      anchor.dataset.copied = t('toc.linkCopied'); // shown by the page CSS
+      setTimeout(() => { delete anchor.dataset.copied; }, 1500);
+    } catch (err) {
+      // Clipboard unavailable: the address bar already shows the link.
+    }
+  });
+}
+
+// Scroll the section with `id` inside `container` into view. Returns false
+// when there is no such section.
+export function scrollToSection(container, id, { behavior = 'smooth' } = {}) {
+  if (!container || !id) return false;
+  const target = Array.from(container.querySelectorAll('[id]')).find(el => el.id === id);
+  if (!target) return false;
+  target.scrollIntoView({ behavior, block: 'start' });
+  return true;
+}
+
+// The section named by a URL hash ("#budgeting"), or ''.
+export function sectionIdFromHash(hash) {
+  if (!hash || hash.length < 2) return '';
+  try {
+    return decodeURIComponent(hash.slice(1));
+  } catch (e) {
+    return hash.slice(1);
+  }
+}
+
+// ---------- table of contents ----------
+
+export function renderTocList(headings) {
+  const minLevel = Math.min(...headings.map(h => h.level));
+  return `
+    <ol class="space-y-1 text-[0.8rem]">
+      ${headings.map(h => `
+        <li class="${h.level > minLevel ? 'pl-3' : ''}">
+          <a href="#${encodeURIComponent(h.id)}" data-toc-id="${escapeHtml(h.id)}"
+             class="toc-link block border-l-2 border-transparent pl-2 py-0.5 text-dark-grey hover:text-primary transition">
+            ${escapeHtml(h.text)}
+          </a>
+        </li>`).join('')}
+    </ol>`;
+}
+
+// ---------- scroll-spy ----------
+
+// Highlight the TOC link of the section being read: the last heading whose
+// top has passed `offset` pixels below the top of `scrollRoot` (window or a
+// scrollable element such as the modal). Returns a cleanup function.
+export function initScrollSpy(headings, tocRoot, { scrollRoot = window, offset = 96 } = {}) {
+  if (!tocRoot || !headings.length) return () => {};
+  const doc = tocRoot.ownerDocument;
+  const elements = headings.map(h => doc.getElementById(h.id)).filter(Boolean);
+  let activeId = null;
+  let frame = null;
+
+  const setActive = id => {
+    if (id === activeId) return;
+    activeId = id;
+    tocRoot.querySelectorAll('[data-toc-id]').forEach(link => {
+      const active = link.dataset.tocId === id;
+      link.classList.toggle('toc-active', active);
+      if (active) link.setAttribute('aria-current', 'location');
+      else link.removeAttribute('aria-current');
+    });
+  };
+
+  const update = () => {
+    frame = null;
+    const rootTop = scrollRoot === window ? 0 : scrollRoot.getBoundingClientRect().top;
+    let current = elements[0] ? elements[0].id : null;
+    elements.forEach(el => {
+      if (el.getBoundingClientRect().top - rootTop <= offset) current = el.id;
+    });
+    setActive(current);
+  };
+
+  const onScroll = () => {
+    if (frame === null) frame = requestAnimationFrame(update);
+  };
+
+  scrollRoot.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onScroll);
+  update();
+
+  return () => {
+    scrollRoot.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onScroll);
+    if (frame !== null) cancelAnimationFrame(frame);
+  };
+}
+
+// ---------- reading progress ----------
+
+// Fill `bar` (a fixed element at the top of the page) as the reader moves
+// through `article`. Returns a cleanup function.
+export function initReadingProgress(bar, article) {
+  if (!bar || !article) return () => {};
+  let frame = null;
+
+  const update = () => {
+    frame = null;
+    const rect = article.getBoundingClientRect();
+    const scrollable = rect.height - window.innerHeight;
+    const ratio = scrollable > 0
+      ? Math.min(1, Math.max(0, -rect.top / scrollable))
+      : (rect.bottom <= window.innerHeight ? 1 : 0);
+    const percent = Math.round(ratio * 100);
+    bar.style.width = `${percent}%`;
+    bar.setAttribute('aria-valuenow', String(percent));
+  };
+
+  const onScroll = () => {
+    if (frame === null) frame = requestAnimationFrame(update);
+  };
+
+  window.addEventListener('scroll', onScroll, { passive: true });
+  window.addEventListener('resize', onScroll);
+  bar.classList.remove('hidden');
+  update();
+
+  return () => {
+    window.removeEventListener('scroll', onScroll);
+    window.removeEventListener('resize', onScroll);
+    if (frame !== null) cancelAnimationFrame(frame);
+  };
+}
@@ -0,0 +1,57 @@
+// postTranslations.js
+// Insights in more than one language (supabase/migrations/*_post_locales.sql).
+// Every post has a `locale`; a translation names the post it translates in
+// `translation_of`, so an original and its translations form one group. Used
+// by post.html, the blogs.html grid and scripts/buildPages.mjs, so the
+// helpers only work on plain rows and return strings.
+
+import { escapeHtml } from './blogContent.js';
+import { DEFAULT_LOCALE, LOCALES, localeName, normalizeLocale, t } from './i18n.js';
+
+export function postLocale(post) {
+  return normalizeLocale(post?.locale) || DEFAULT_LOCALE;
+}
+
+// The original's slug, shared by every post in the group.
+function groupKey(post) {
+  return String(post?.translation_of || post?.slug || '');
+}
+
+// The other-language versions of `post` among `posts`, one per locale, in
+// LOCALES order. [] when it has none.
+export function getTranslations(post, posts) {
+  const key = groupKey(post);
+  if (!key || !Array.isArray(posts)) return [];
+  const own = postLocale(post);
+  const byLocale = new Map();
+  posts.forEach(p => {
+    if (!p || p.slug === post.slug || groupKey(p) !== key) return;
+    const locale = postLocale(p);
+    if (locale !== own && !byLocale.has(locale)) byLocale.set(locale, p);
+  });
+  return Object.keys(LOCALES).filter(code => byLocale.has(code)).map(code => byLocale.get(code));
+}
+
+// Posts written in `locale`: prev/next and related links stay in one language.
+export function inLocale(posts, locale) {
+  return (Array.isArray(posts) ? posts : []).filter(p => p && postLocale(p) === locale);
+}
+
+// Distinct locales of `posts`, in LOCALES order (the grid's language filter).
+export function collectLocales(posts) {
+  const found = new Set((Array.isArray(posts) ? posts : []).filter(Boolean).map(postLocale));
+  return Object.keys(LOCALES).filter(code => found.has(code));
+}
+
+// "Read in Español" links. href(slug) builds each link (/post.html?slug=…
+// live, /insights/…/ pre-rendered).
+export function renderTranslationLinks(translations, { href }) {
+  return translations.map(p => {
+    const locale = postLocale(p);
+    return `
+      <a href="${escapeHtml(href(p.slug))}" hreflang="${locale}"
+         class="inline-flex items-center gap-1 text-xs font-semibold text-primary hover:text-accent underline underline-offset-2">
+        ${escapeHtml(t('translations.readIn', { language: localeName(locale) }))}
+      </a>`;
+  }).join('');
+}
@@ -0,0 +1,172 @@
+// printExport.js
+// "Export PDF" for an insight (post.html and the blogs.html modal), done
+// entirely in the browser: the insight is laid out as a standalone document
+// (branded cover header, byline/date, the article, numbered footnotes for its
+// links) in a hidden frame styled by css/print.css, and that frame is printed,
+// so "Save as PDF" in the print dialog produces the file.
+
+import { escapeHtml } from './blogContent.js';
+import { getLocale, t } from './i18n.js';
+
+const SITE_NAME = 'Muro Consulting Services';
+const PRINT_CSS = '/css/print.css';
+const LOGO = '/assets/landing-icon.png';
+
+// Don't hold the print dialog back forever for a slow image.
+const ASSET_TIMEOUT_MS = 3000;
+const CLEANUP_FALLBACK_MS = 60000;
+
+let exporting = false;
+
+// Numbers every outgoing link in `root` ("text[1]") and returns the URLs in
+// footnote order; the same URL keeps its first number. In-page anchors and
+// heading permalinks are left out.
+export function addLinkFootnotes(root, baseUrl) {
+  const urls = [];
+  root.querySelectorAll('a[href]').forEach(link => {
+    const raw = link.getAttribute('href') || '';
+    if (!raw || raw.startsWith('#') || link.classList.contains('heading-anchor')) return;
+
+    let url;
+    try {
+      url = new URL(raw, baseUrl).href;
+    } catch {
+      return;
+    }
+    if (!/^(https?|mailto):/i.test(url)) return;
+
+    let number = urls.indexOf(url) + 1;
+    if (!number) number = urls.push(url);
+
+    const ref = root.ownerDocument.createElement('span');
+    ref.className = 'print-footnote-ref';
+    ref.textContent = `[${number}]`;
+    link.after(ref);
+  });
+  return urls;
+}
+
+// The article body as it should print: no heading permalinks, images loaded
+// up front (lazy ones might never load in a frame nobody scrolls) and embedded
+// players swapped for their link.
+function preparePrintContent(html, baseUrl) {
+  const template = document.createElement('template');
+  template.innerHTML = html || '';
+  const root = template.content;
+
+  root.querySelectorAll('.heading-anchor').forEach(anchor => anchor.remove());
+  root.querySelectorAll('img').forEach(img => img.removeAttribute('loading'));
+  root.querySelectorAll('iframe').forEach(frame => {
+    const note = document.createElement('p');
+    note.className = 'print-embed';
+    const link = document.createElement('a');
+    link.href = frame.getAttribute('src') || '';
+    link.textContent = frame.getAttribute('title') || t('print.embedded');
+    note.append(t('print.watchOnline'), link);
+    (frame.closest('.content-embed-frame') || frame).replaceWith(note);
+  });
+
+  const footnotes = addLinkFootnotes(root, baseUrl);
+  const container = document.createElement('div');
+  container.append(root);
+  return { html: container.innerHTML, footnotes };
+}
+
+// insight: { title, category, byline, date, readTime, url, html, lang }
+// (plain text except `html`, the sanitized article body; `lang` is the
+// article's language, the page's when missing).
+export function buildPrintDocument(insight, { baseUrl = document.baseURI } = {}) {
+  const { html, footnotes } = preparePrintContent(insight.html, baseUrl);
+  const meta = [insight.byline, insight.date, insight.readTime].filter(Boolean);
+  const year = new Date().getFullYear();
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(insight.lang || getLocale())}">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(insight.title || t('common.insight'))} • ${SITE_NAME}</title>
+  <base href="${escapeHtml(baseUrl)}">
+  <link href="https://fonts.googleapis.com/css2?family=Montserrat:wght@700&family=Poppins:wght@400;600&display=swap" rel="stylesheet">
+  <link rel="stylesheet" href="${PRINT_CSS}">
+</head>
+<body class="print-export">
+  <header class="print-cover">
+    <div class="print-brand"><img src="${LOGO}" alt=""><span>${SITE_NAME}</span></div>
+    <p class="print-eyebrow">${escapeHtml(insight.category || t('common.insight'))}</p>
+    <h1 class="print-title">${escapeHtml(insight.title || '')}</h1>
+    ${meta.length ? `<p class="print-meta">${meta.map(escapeHtml).join(' · ')}</p>` : ''}
+    ${insight.url ? `<p class="print-source">${escapeHtml(insight.url)}</p>` : ''}
+  </header>
+  <main class="print-content">
+    ${html}
+  </main>
+  ${footnotes.length ? `
+  <section class="print-footnotes" aria-labelledby="print-footnotes-title">
+    <h2 id="print-footnotes-title">${escapeHtml(t('print.links'))}</h2>
+    <ol>${footnotes.map(url => `<li>${escapeHtml(url)}</li>`).join('')}</ol>
+  </section>` : ''}
+  <p class="print-colophon">© ${year} ${SITE_NAME}</p>
+</body>
+</html>`;
+}
+
+function withTimeout(promise, ms) {
+  return Promise.race([promise, new Promise(resolve => setTimeout(resolve, ms))]);
+}
+
+// Stylesheets arrive with the frame's load event; images and webfonts may not.
+function waitForAssets(doc) {
+  const images = Array.from(doc.images).map(img => (img.complete
+    ? null
+    : new Promise(resolve => {
+      img.addEventListener('load', resolve, { once: true });
+      img.addEventListener('error', resolve, { once: true });
+    })));
+  const fonts = doc.fonts ? doc.fonts.ready : null;
+  return withTimeout(Promise.all([...images, fonts].filter(Boolean)), ASSET_TIMEOUT_MS);
+}
+
+// Opens the print dialog for `insight`. Resolves once the dialog is up (or
+// closed, where print() blocks); a second call while one is pending is ignored.
+// Failures are logged, not thrown: the button just does nothing.
+export async function exportInsightPdf(insight) {
+  if (exporting) return;
+  exporting = true;
+
+  const frame = document.createElement('iframe');
+  frame.title = t('print.frameTitle');
+  frame.setAttribute('aria-hidden', 'true');
+  frame.tabIndex = -1;
+  frame.style.cssText = 'position:fixed;right:0;bottom:0;width:0;height:0;border:0;opacity:0;';
+
+  // Browsers name the PDF after the top-level page title.
+  const previousTitle = document.title;
+  let cleanedUp = false;
+  const cleanup = () => {
+    if (cleanedUp) return;
+    cleanedUp = true;
+    document.title = previousTitle;
+    frame.remove();
+    exporting = false;
+  };
+
+  try {
+    const loaded = new Promise(resolve => frame.addEventListener('load', resolve, { once: true }));
+    frame.srcdoc = buildPrintDocument(insight);
+    document.body.appendChild(frame);
+    await loaded;
+
+    const win = frame.contentWindow;
+    await waitForAssets(win.document);
+
+    document.title = win.document.title;
+    win.addEventListener('afterprint', () => setTimeout(cleanup, 0), { once: true });
+    win.focus();
+    win.print();
+    // For browsers whose print() returns at once and never fire afterprint.
+    setTimeout(cleanup, CLEANUP_FALLBACK_MS);
+  } catch (err) {
+    console.error('exportInsightPdf failed', err);
+    cleanup();
+  }
+}
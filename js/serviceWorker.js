@@ -0,0 +1,56 @@
+// serviceWorker.js
+// Registers /sw.js and surfaces its "served from cache" messages, so
+// blogs.html and post.html can tell readers they're looking at cached insights.
+
+import { formatDate, formatRelativeTime, t } from './i18n.js';
+
+export function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register('/sw.js').catch(err => {
+    console.warn('Service worker registration failed', err);
+  });
+}
+
+// callback({ table, cachedAt }) runs whenever the worker answers a posts /
+// post_summaries read from its cache because Supabase was unreachable.
+// `cachedAt` is a Date, or null when unknown.
+export function onCachedInsights(callback) {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.addEventListener('message', e => {
+    const data = e.data || {};
+    if (data.type !== 'insights-cache') return;
+    const cachedAt = data.cachedAt ? new Date(data.cachedAt) : null;
+    callback({
+      table: data.table || '',
+      cachedAt: cachedAt && !Number.isNaN(cachedAt.getTime()) ? cachedAt : null,
+    });
+  });
+  navigator.serviceWorker.startMessages();
+}
+
+// "2 hours ago", "yesterday", "Oct 3" (falls back to a plain date).
+function formatCachedAt(date) {
+  if (!date) return '';
+  const minutes = Math.round((Date.now() - date.getTime()) / 60000);
+  if (Math.abs(minutes) < 60) return formatRelativeTime(-minutes, 'minute');
+  if (Math.abs(minutes) < 60 * 24) return formatRelativeTime(-Math.round(minutes / 60), 'hour');
+  if (Math.abs(minutes) < 60 * 24 * 7) return formatRelativeTime(-Math.round(minutes / 1440), 'day');
+  return formatDate(date, { month: 'short', day: 'numeric' });
+}
+
+// Show the notice in `el` (a hidden element on the page) and keep it honest
+// when the connection comes back.
+export function showCachedNotice(el, { cachedAt } = {}) {
+  if (!el) return;
+  const when = formatCachedAt(cachedAt);
+  const lead = t(navigator.onLine === false ? 'cache.offline' : 'cache.unreachable');
+  el.textContent = when ? t('cache.showingSaved', { lead, when }) : t('cache.showing', { lead });
+  el.classList.remove('hidden');
+
+  if (el.dataset.cacheNoticeBound) return;
+  el.dataset.cacheNoticeBound = 'true';
+  window.addEventListener('online', () => {
+    if (el.classList.contains('hidden')) return;
+    el.textContent = t('cache.backOnline');
+  });
+}
@@ -0,0 +1,257 @@
+// siteChrome.js
+// The header, mobile menu and footer every page shares, as custom elements
+// (loaded with <script type="module" src="./js/siteChrome.js">):
+//
+//   <muro-header current="growth"></muro-header>
+//   <muro-footer></muro-footer>
+//   <section-nav></section-nav>
+//
+// `current` names the page's entry in NAV (home, growth, data, operations,
+// insights) so it's highlighted; on the service pages Contact Us also
+// pre-selects that service in the intake form (index.html?service=…).
+// Both follow the reader's language (js/i18n.js), and the header carries the
+// language switcher. Links are root-relative, so the chrome works on the
+// pre-rendered insights/<slug>/ pages too.
+//
+// <section-nav> is the floating arrow at the bottom of a full-height section.
+// It links to the next section that's actually showing (index.html hides
+// Testimonials on phones) or, from the last one, back to the top. The target
+// is worked out when the arrow is used, so nothing is patched on resize.
+// Sections can name themselves for its label with data-section-label.
+
+import { DEFAULT_LOCALE, normalizeLocale, t } from './i18n.js';
+import { initLanguageSwitchers } from './languageSwitcher.js';
+
+// `href`s starting with # are sections of index.html.
+const NAV = [
+  {
+    label: 'nav.about',
+    href: '#about',
+    children: [
+      { label: 'nav.aboutUs', href: '#about' },
+      { label: 'nav.approach', href: '#approach' },
+      { label: 'nav.testimonials', href: '#testimonials' },
+    ],
+  },
+  {
+    label: 'nav.services',
+    href: '#services',
+    children: [
+      { page: 'growth', label: 'nav.growth', href: 'growth_and_engagement.html' },
+      { page: 'data', label: 'nav.data', href: 'data_technology.html' },
+      { page: 'operations', label: 'nav.operations', href: 'operations_systems.html' },
+    ],
+  },
+  { page: 'insights', label: 'nav.insights', href: 'blogs.html' },
+  { label: 'nav.contact', href: '#contact', contact: true },
+];
+
+// Same breakpoint as the pages' mobile-only CSS.
+const PHONE_QUERY = '(max-width:640px)';
+
+const ACTIVE_ITEM = 'text-primary shadow-[inset_3px_0_0_#c79f7f]';
+
+const MENU_ICON = `
+  <svg xmlns="http://www.w3.org/2000/svg" class="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 6h16M4 12h16M4 18h16"/>
+  </svg>`;
+
+function isServicePage(page) {
+  return NAV.some(item => item.children?.some(child => child.page && child.page === page));
+}
+
+function isActive(item, current) {
+  return Boolean(current) && (item.page === current || Boolean(item.children?.some(child => child.page === current)));
+}
+
+// index.html sections are plain #hashes on the home page itself.
+function itemHref(item, current) {
+  if (!item.href.startsWith('#')) return `/${item.href}`;
+  if (current === 'home') return item.href;
+  const service = item.contact && isServicePage(current) ? `?service=${encodeURIComponent(current)}` : '';
+  return `/index.html${service}${item.href}`;
+}
+
+function currentAttr(item, current) {
+  return item.page && item.page === current ? ' aria-current="page"' : '';
+}
+
+// ---------- header ----------
+
+function renderDesktopLink(item, current) {
+  const tone = isActive(item, current) ? 'text-primary' : 'text-dark-brown';
+  return `<a href="${itemHref(item, current)}" class="nav-link ${tone} hover:text-primary transition"${currentAttr(item, current)}>${t(item.label)}</a>`;
+}
+
+function renderDesktopItem(item, current) {
+  if (!item.children) return renderDesktopLink(item, current);
+  const children = item.children.map(child => {
+    const active = child.page && child.page === current;
+    return `
+            <a href="${itemHref(child, current)}" class="dropdown-item${active ? ` ${ACTIVE_ITEM}` : ''}"${currentAttr(child, current)}>${t(child.label)}</a>`;
+  }).join('');
+  return `
+        <div class="dropdown">
+          ${renderDesktopLink(item, current)}
+          <div class="dropdown-menu">${children}
+          </div>
+        </div>`;
+}
+
+function renderMobileItem(item, current) {
+  const tone = isActive(item, current) ? ACTIVE_ITEM : 'text-dark-brown';
+  const link = `
+        <a href="${itemHref(item, current)}" class="block ${tone}"${currentAttr(item, current)}>${t(item.label)}</a>`;
+  if (!item.children?.some(child => child.page)) return link;
+  const children = item.children.map(child => {
+    const active = child.page === current;
+    return `
+          <a href="${itemHref(child, current)}" class="block ${active ? ACTIVE_ITEM : 'text-dark-brown/90'}"${currentAttr(child, current)}>• ${t(child.label)}</a>`;
+  }).join('');
+  return `${link}
+        <div class="pl-3 space-y-1">${children}
+        </div>`;
+}
+
+function renderHeader(current) {
+  return `
+  <nav id="site-nav" class="fixed top-0 left-0 w-full bg-paper/90 border-b border-dark-brown/20 z-50 h-16">
+    <div class="max-w-6xl mx-auto px-4 h-16 flex justify-between items-center">
+      <a href="${current === 'home' ? '#hero' : '/index.html#hero'}" data-nav-home
+         class="text-base md:text-lg font-bold ${current === 'home' ? 'text-primary' : 'text-dark-brown'} hover:text-primary transition"${current === 'home' ? ' aria-current="page"' : ''}>${t('nav.home')}</a>
+
+      <div class="hidden md:flex items-center gap-6 text-sm font-semibold" id="nav-links">
+        ${NAV.map(item => renderDesktopItem(item, current)).join('\n        ')}
+        <div data-language-switcher></div>
+      </div>
+
+      <button id="menu-toggle" type="button" aria-expanded="false" aria-controls="mobile-menu"
+              class="md:hidden inline-flex items-center justify-center rounded-md border border-dark-brown/30 px-3 py-2 text-dark-brown">
+        <span class="sr-only">${t('nav.openMenu')}</span>${MENU_ICON}
+      </button>
+    </div>
+
+    <div id="mobile-menu" class="md:hidden hidden border-t border-dark-brown/20 bg-paper/95">
+      <div class="max-w-6xl mx-auto px-4 py-3 space-y-2 text-sm font-semibold">${NAV.map(item => renderMobileItem(item, current)).join('')}
+        <div data-language-switcher class="pt-1"></div>
+      </div>
+    </div>
+  </nav>`;
+}
+
+class MuroHeader extends HTMLElement {
+  connectedCallback() {
+    if (this.dataset.rendered) return;
+    this.dataset.rendered = 'true';
+    this.style.display = 'contents';
+
+    const current = this.getAttribute('current') || '';
+    this.innerHTML = renderHeader(current);
+    initLanguageSwitchers(this);
+
+    this.bindMobileMenu();
+    if (current === 'home') this.bindHomeReload();
+  }
+
+  // Open/close, and close again on any selection or hash change.
+  bindMobileMenu() {
+    const button = this.querySelector('#menu-toggle');
+    const menu = this.querySelector('#mobile-menu');
+    const setOpen = open => {
+      menu.classList.toggle('hidden', !open);
+      button.setAttribute('aria-expanded', String(open));
+    };
+    button.addEventListener('click', () => setOpen(menu.classList.contains('hidden')));
+    menu.addEventListener('click', e => {
+      if (e.target.closest('a')) setOpen(false);
+    });
+    window.addEventListener('hashchange', () => setOpen(false));
+  }
+
+  // On a phone, Home while already at the top of the home page reloads it
+  // (refreshing the landing content) instead of doing nothing.
+  bindHomeReload() {
+    const home = this.querySelector('[data-nav-home]');
+    home.addEventListener('click', e => {
+      if (!window.matchMedia(PHONE_QUERY).matches) return;
+      const onHero = window.location.hash === '#hero' || (!window.location.hash && window.scrollY <= 12);
+      if (!onHero) return;
+      e.preventDefault();
+      window.location.reload();
+    });
+  }
+}
+
+// ---------- footer ----------
+
+class MuroFooter extends HTMLElement {
+  connectedCallback() {
+    if (this.dataset.rendered) return;
+    this.dataset.rendered = 'true';
+    this.style.display = 'contents';
+
+    // [data-consent-settings] reopens the analytics banner (js/consent.js).
+    this.innerHTML = `
+  <footer class="bg-dark-brown py-8 text-center text-sm text-paper border-t border-secondary/40">
+    <p>© ${new Date().getFullYear()} Muro Consulting Services</p>
+    <p class="mt-2"><button type="button" data-consent-settings class="underline underline-offset-2 text-paper/80 hover:text-paper">${t('footer.cookieSettings')}</button></p>
+  </footer>`;
+  }
+}
+
+// ---------- section arrows ----------
+
+function isShowing(section) {
+  const style = getComputedStyle(section);
+  return style.display !== 'none' && style.visibility !== 'hidden' && section.offsetHeight > 0;
+}
+
+function sectionLabel(section) {
+  const label = section.dataset.sectionLabel
+    || section.querySelector('h1, h2, h3')?.textContent
+    || section.id;
+  return label.replace(/\s+/g, ' ').trim();
+}
+
+const ARROW_ICON = `
+    <svg xmlns="http://www.w3.org/2000/svg" class="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true"><path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M19 9l-7 7-7-7"/></svg>`;
+
+class SectionNav extends HTMLElement {
+  connectedCallback() {
+    if (this.dataset.rendered) return;
+    this.dataset.rendered = 'true';
+    this.style.display = 'contents';
+
+    this.innerHTML = `<a href="#" class="section-arrow">${ARROW_ICON}</a>`;
+    this.link = this.querySelector('a');
+    this.update();
+    // Point at the right section just before it's followed (or announced).
+    ['pointerenter', 'focus', 'click'].forEach(type => this.link.addEventListener(type, () => this.update()));
+  }
+
+  // The next showing section after ours, else the first one (back to top).
+  // Only sections with arrows of their own take part, which leaves out
+  // anything else that happens to be a <section> (the consent banner).
+  target() {
+    const own = this.closest('section[id]');
+    const showing = [...document.querySelectorAll('section[id]')]
+      .filter(s => s.querySelector('section-nav') && (s === own || isShowing(s)));
+    const next = showing[showing.indexOf(own) + 1];
+    return { section: next || showing[0], back: !next };
+  }
+
+  update() {
+    const { section, back } = this.target();
+    if (!section) return;
+    const locale = normalizeLocale(this.closest('[lang]')?.getAttribute('lang')) || DEFAULT_LOCALE;
+    this.link.setAttribute('href', `#${section.id}`);
+    this.link.setAttribute('aria-label', back
+      ? t('sectionNav.top', {}, locale)
+      : t('sectionNav.next', { section: sectionLabel(section) }, locale));
+    this.link.querySelector('svg').classList.toggle('rotate-180', back);
+  }
+}
+
+customElements.define('muro-header', MuroHeader);
+customElements.define('muro-footer', MuroFooter);
+customElements.define('section-nav', SectionNav);
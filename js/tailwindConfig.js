@@ -0,0 +1,25 @@
+// tailwindConfig.js
+// Site theme for the Tailwind CDN build, loaded as a plain <script> right
+// after https://cdn.tailwindcss.com on every page.
+
+tailwind.config = {
+  theme: {
+    extend: {
+      colors: {
+        primary: '#568a99',
+        accent: '#446c77',
+        secondary: '#c79f7f',
+        paper: '#f5f5f5',
+        'dark-brown': '#856042',
+        'dark-grey': '#818c8e',
+      },
+      fontFamily: {
+        montserrat: ['Montserrat', 'sans-serif'],
+        poppins: ['Poppins', 'sans-serif'],
+        radley: ['Radley', 'serif'],
+      },
+      boxShadow: { card: '0 10px 25px rgba(0,0,0,.07)' },
+      borderRadius: { bubble: '1.25rem' },
+    },
+  },
+};
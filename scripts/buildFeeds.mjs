@@ -0,0 +1,266 @@
+// buildFeeds.mjs
+// Write static subscription feeds for published insights:
+//   feed.xml  (RSS 2.0)
+//   atom.xml  (Atom 1.0)
+//   feed.json (JSON Feed 1.1)
+// plus, with --categories, the same three files per category under
+// feeds/<category-slug>/.
+//
+// Content goes through the same pipeline as openBlogModal (js/blogContent.js:
+// decode -> Markdown/HTML -> DOMPurify) with relative links made absolute.
+//
+// Usage:
+//   npm ci
+//   node scripts/buildFeeds.mjs [--out .] [--categories] [--limit 50]
+//                               [--fixture scripts/fixtures/posts.json]
+//
+// --fixture reads posts from a JSON file instead of Supabase (offline runs).
+// SITE_URL, SUPABASE_URL and SUPABASE_ANON_KEY override the defaults.
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { preparePost, slugify } from '../js/blogContent.js';
+import { postLocale } from '../js/postTranslations.js';
+import { setupContentEnvironment, absolutizeUrls } from './lib/nodeEnv.mjs';
+import { createPostsSource, toIsoTimestamp } from './lib/postsSource.mjs';
+import { SITE, absoluteUrl, postUrl } from './lib/site.mjs';
+
+// ---------- helpers ----------
+
+function escapeXml(str) {
+  return String(str ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+// CDATA can't contain "]]>", so split it across sections.
+function cdata(str) {
+  return `<![CDATA[${String(str ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function toDate(value) {
+  const time = Date.parse(toIsoTimestamp(value));
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+function postTerms(post) {
+  const tags = Array.isArray(post.tags) ? post.tags.filter(Boolean) : [];
+  return [post.category, ...tags].filter(Boolean);
+}
+
+// Everything the three formats need for one post, rendered once.
+export function toFeedItem(post, siteUrl = SITE.url) {
+  const url = postUrl(post.slug, siteUrl);
+  const { html, excerpt } = preparePost(post);
+  return {
+    id: url,
+    url,
+    title: post.title || '',
+    html: absolutizeUrls(html, `${siteUrl}/`),
+    summary: excerpt,
+    date: toDate(post.published_at),
+    author: post.author || SITE.name,
+    category: post.category || '',
+    terms: postTerms(post),
+    // The feed's own language is the site's; items can be in another.
+    language: postLocale(post),
+  };
+}
+
+function latestDate(items) {
+  const dates = items.map(item => item.date).filter(Boolean);
+  return dates.length ? new Date(Math.max(...dates.map(d => d.getTime()))) : new Date();
+}
+
+// ---------- formats ----------
+
+export function buildRss({ title, description, homeUrl, feedUrl, items }) {
+  const itemsXml = items.map(item => `
+    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.url)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      ${item.date ? `<pubDate>${item.date.toUTCString()}</pubDate>` : ''}
+      <dc:creator>${escapeXml(item.author)}</dc:creator>
+      <dc:language>${item.language}</dc:language>
+      ${item.terms.map(term => `<category>${escapeXml(term)}</category>`).join('\n      ')}
+      <description>${escapeXml(item.summary)}</description>
+      <content:encoded>${cdata(item.html)}</content:encoded>
+    </item>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:atom="http://www.w3.org/2005/Atom"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(homeUrl)}</link>
+    <description>${escapeXml(description)}</description>
+    <language>${SITE.language}</language>
+    <lastBuildDate>${latestDate(items).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feedUrl)}" rel="self" type="application/rss+xml" />${itemsXml}
+  </channel>
+</rss>
+`;
+}
+
+export function buildAtom({ title, description, homeUrl, feedUrl, items }) {
+  const entriesXml = items.map(item => {
+    const date = (item.date || new Date()).toISOString();
+    return `
+  <entry xml:lang="${item.language}">
+    <id>${escapeXml(item.id)}</id>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />
+    <published>${date}</published>
+    <updated>${date}</updated>
+    <author><name>${escapeXml(item.author)}</name></author>
+    ${item.terms.map(term => `<category term="${escapeXml(term)}" />`).join('\n    ')}
+    <summary>${escapeXml(item.summary)}</summary>
+    <content type="html">${escapeXml(item.html)}</content>
+  </entry>`;
+  }).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${SITE.language}">
+  <id>${escapeXml(feedUrl)}</id>
+  <title>${escapeXml(title)}</title>
+  <subtitle>${escapeXml(description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feedUrl)}" />
+  <link rel="alternate" type="text/html" href="${escapeXml(homeUrl)}" />
+  <updated>${latestDate(items).toISOString()}</updated>
+  <author><name>${escapeXml(SITE.name)}</name></author>${entriesXml}
+</feed>
+`;
+}
+
+export function buildJsonFeed({ title, description, homeUrl, feedUrl, items }) {
+  const feed = {
+    version: 'https://jsonfeed.org/version/1.1',
+    title,
+    home_page_url: homeUrl,
+    feed_url: feedUrl,
+    description,
+    language: SITE.language,
+    authors: [{ name: SITE.name }],
+    items: items.map(item => ({
+      id: item.id,
+      url: item.url,
+      title: item.title,
+      content_html: item.html,
+      summary: item.summary,
+      ...(item.date ? { date_published: item.date.toISOString() } : {}),
+      authors: [{ name: item.author }],
+      tags: item.terms,
+      language: item.language,
+    })),
+  };
+  return JSON.stringify(feed, null, 2) + '\n';
+}
+
+// ---------- writing ----------
+
+// Write feed.xml, atom.xml and feed.json for `items` into `dir`
+// (`urlPath` is the same directory as seen from the site root).
+async function writeFeedSet({ dir, urlPath, title, description, items, siteUrl }) {
+  await mkdir(dir, { recursive: true });
+  const homeUrl = absoluteUrl('blogs.html', siteUrl);
+  const base = urlPath ? `${urlPath.replace(/\/$/, '')}/` : '';
+
+  const files = [
+    ['feed.xml', buildRss],
+    ['atom.xml', buildAtom],
+    ['feed.json', buildJsonFeed],
+  ];
+  for (const [name, build] of files) {
+    const feedUrl = absoluteUrl(base + name, siteUrl);
+    await writeFile(join(dir, name), build({ title, description, homeUrl, feedUrl, items }));
+  }
+}
+
+export async function buildFeeds({
+  source,
+  outDir = '.',
+  siteUrl = SITE.url,
+  categories = false,
+  limit = 50,
+  log = console.log,
+} = {}) {
+  setupContentEnvironment();
+
+  const posts = (await source.getPublishedPosts()).filter(post => post.slug);
+  const items = posts.slice(0, limit).map(post => toFeedItem(post, siteUrl));
+
+  await writeFeedSet({
+    dir: outDir,
+    urlPath: '',
+    title: SITE.insightsTitle,
+    description: SITE.insightsDescription,
+    items,
+    siteUrl,
+  });
+  log(`feeds: wrote ${items.length} item(s) to feed.xml, atom.xml, feed.json`);
+
+  if (!categories) return { items: items.length, categories: [] };
+
+  const byCategory = new Map();
+  posts.forEach(post => {
+    const slug = slugify(post.category);
+    if (!slug) return;
+    if (!byCategory.has(slug)) byCategory.set(slug, { name: post.category, posts: [] });
+    byCategory.get(slug).posts.push(post);
+  });
+
+  for (const [slug, { name, posts: categoryPosts }] of byCategory) {
+    await writeFeedSet({
+      dir: join(outDir, 'feeds', slug),
+      urlPath: `feeds/${slug}`,
+      title: `${name} • ${SITE.insightsTitle}`,
+      description: `${name} insights from ${SITE.name}.`,
+      items: categoryPosts.slice(0, limit).map(post => toFeedItem(post, siteUrl)),
+      siteUrl,
+    });
+    log(`feeds: wrote feeds/${slug}/ (${Math.min(categoryPosts.length, limit)} item(s))`);
+  }
+
+  return { items: items.length, categories: Array.from(byCategory.keys()) };
+}
+
+// ---------- CLI ----------
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      out: { type: 'string', default: '.' },
+      fixture: { type: 'string' },
+      categories: { type: 'boolean', default: false },
+      limit: { type: 'string', default: '50' },
+      'site-url': { type: 'string' },
+    },
+  });
+
+  const source = createPostsSource({ fixture: values.fixture });
+  console.log(`feeds: reading posts from ${source.description}`);
+
+  await buildFeeds({
+    source,
+    outDir: values.out,
+    siteUrl: (values['site-url'] || SITE.url).replace(/\/$/, ''),
+    categories: values.categories,
+    limit: Math.max(1, Number(values.limit) || 50),
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,449 @@
+// buildPages.mjs
+// Pre-render every published insight to insights/<slug>/index.html and write
+// sitemap.xml.
+//
+// Each page is post.html with the article already filled in (same pipeline as
+// openBlogModal: decode -> Markdown/HTML -> DOMPurify), plus a per-post <title>,
+// meta description, canonical URL, Open Graph / Twitter tags and JSON-LD
+// BlogPosting data. post.html's own script still runs on top: it sees the
+// embedded #post-data and only refreshes the series, prev/next and sidebar.
+// Bylines link to author.html profiles, and authors with published insights
+// get sitemap entries.
+//
+// Each page is written in its insight's language (posts.locale, js/i18n.js)
+// and links its translations with hreflang alternates; prev/next and related
+// links stay within that language.
+//
+// Usage:
+//   npm ci
+//   node scripts/buildPages.mjs [--out .] [--fixture scripts/fixtures/posts.json]
+//
+// SITE_URL, SUPABASE_URL and SUPABASE_ANON_KEY override the defaults.
+
+import { mkdir, readdir, readFile, writeFile } from 'node:fs/promises';
+import { dirname, join } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import {
+  createExcerpt,
+  escapeHtml,
+  formatSupabaseDate,
+  getRelatedPosts,
+  preparePost,
+} from '../js/blogContent.js';
+import { MIN_TOC_HEADINGS, addHeadingAnchors, renderTocList } from '../js/postToc.js';
+import { formatSeriesPosition, getSeriesContext, renderSeriesToc } from '../js/postSeries.js';
+import { authorPath, authorSlugs, getPostAuthors, renderByline } from '../js/postAuthors.js';
+import { LOCALES, applyTranslations, t, withLocale } from '../js/i18n.js';
+import { getTranslations, inLocale, postLocale, renderTranslationLinks } from '../js/postTranslations.js';
+import {
+  absolutizeUrls,
+  parseDocument,
+  parseFragment,
+  rootRelativeUrls,
+  serializeDocument,
+  setupContentEnvironment,
+} from './lib/nodeEnv.mjs';
+import { createPostsSource, toIsoTimestamp } from './lib/postsSource.mjs';
+import { SITE, absoluteUrl, postPath, postUrl } from './lib/site.mjs';
+
+const ROOT_DIR = join(dirname(fileURLToPath(import.meta.url)), '..');
+
+// Meta descriptions get cut around 155-160 characters in results.
+const META_DESCRIPTION_LENGTH = 160;
+
+// Templates and private pages, left out of the sitemap.
+const SITEMAP_EXCLUDE = new Set(['post.html', 'author.html', 'admin.html', 'newsletter.html']);
+
+// Slugs become directory names; anything else is skipped rather than escaped.
+function isSafeSlug(slug) {
+  return /^[a-z0-9][a-z0-9_-]*$/i.test(String(slug || ''));
+}
+
+function toIsoDate(value) {
+  const time = Date.parse(toIsoTimestamp(value));
+  return Number.isNaN(time) ? '' : new Date(time).toISOString();
+}
+
+// ---------- head ----------
+
+// Keep the generated <head> one tag per line, like the template.
+function appendToHead(doc, el) {
+  doc.head.appendChild(doc.createTextNode('  '));
+  doc.head.appendChild(el);
+  doc.head.appendChild(doc.createTextNode('\n'));
+}
+
+function setMeta(doc, attr, key, content) {
+  if (!content) return;
+  let el = doc.head.querySelector(`meta[${attr}="${key}"]`);
+  if (!el) {
+    el = doc.createElement('meta');
+    el.setAttribute(attr, key);
+    appendToHead(doc, el);
+  }
+  el.setAttribute('content', content);
+}
+
+function appendLink(doc, rel, href, attrs = {}) {
+  const el = doc.createElement('link');
+  el.setAttribute('rel', rel);
+  el.setAttribute('href', href);
+  Object.entries(attrs).forEach(([name, value]) => el.setAttribute(name, value));
+  appendToHead(doc, el);
+}
+
+// JSON inside <script> must not be able to close the tag.
+function toScriptJson(value) {
+  return JSON.stringify(value, null, 2).replace(/</g, '\\u003c');
+}
+
+function appendJsonScript(doc, type, value, id) {
+  const el = doc.createElement('script');
+  el.setAttribute('type', type);
+  if (id) el.id = id;
+  el.textContent = toScriptJson(value);
+  appendToHead(doc, el);
+}
+
+// First image in the rendered content, else the site-wide fallback.
+function findImage(html, siteUrl) {
+  const img = parseFragment(html).querySelector('img[src]');
+  return img ? img.getAttribute('src') : absoluteUrl(SITE.image, siteUrl);
+}
+
+// One entry per byline name, linked to its author page when it has a profile;
+// the firm's own name is the Organization rather than a Person.
+function structuredAuthors(post, authors, siteUrl) {
+  const list = getPostAuthors(post, authors).map(author => ({
+    '@type': author.name === SITE.name ? 'Organization' : 'Person',
+    name: author.name,
+    ...(author.slug ? { url: absoluteUrl(authorPath(author.slug), siteUrl) } : {}),
+  }));
+  if (!list.length) return { '@type': 'Organization', name: SITE.name };
+  return list.length === 1 ? list[0] : list;
+}
+
+export function buildStructuredData(post, { url, description, image, siteUrl, wordCount, authors = [] }) {
+  const published = toIsoDate(post.published_at);
+  const tags = Array.isArray(post.tags) ? post.tags.filter(Boolean) : [];
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.title || '',
+    description,
+    inLanguage: postLocale(post),
+    url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    ...(published ? { datePublished: published, dateModified: published } : {}),
+    author: structuredAuthors(post, authors, siteUrl),
+    publisher: {
+      '@type': 'Organization',
+      name: SITE.name,
+      url: `${siteUrl}/`,
+      logo: { '@type': 'ImageObject', url: absoluteUrl(SITE.image, siteUrl) },
+    },
+    image,
+    ...(post.category ? { articleSection: post.category } : {}),
+    ...(tags.length ? { keywords: tags.join(', ') } : {}),
+    wordCount,
+  };
+}
+
+function renderHead(doc, post, { url, description, image, siteUrl, wordCount, authors, translations }) {
+  const title = `${post.title || t('common.insight')} • ${SITE.name}`;
+  const published = toIsoDate(post.published_at);
+  const tags = Array.isArray(post.tags) ? post.tags.filter(Boolean) : [];
+
+  doc.title = title;
+  setMeta(doc, 'name', 'description', description);
+  appendLink(doc, 'canonical', url);
+
+  // Every language version, this one included.
+  if (translations.length) {
+    [post, ...translations].forEach(version => {
+      appendLink(doc, 'alternate', postUrl(version.slug, siteUrl), { hreflang: postLocale(version) });
+    });
+  }
+
+  setMeta(doc, 'property', 'og:type', 'article');
+  setMeta(doc, 'property', 'og:site_name', SITE.name);
+  setMeta(doc, 'property', 'og:title', post.title || title);
+  setMeta(doc, 'property', 'og:description', description);
+  setMeta(doc, 'property', 'og:url', url);
+  setMeta(doc, 'property', 'og:image', image);
+  setMeta(doc, 'property', 'og:locale', LOCALES[postLocale(post)].og);
+  translations.forEach(version => {
+    const el = doc.createElement('meta');
+    el.setAttribute('property', 'og:locale:alternate');
+    el.setAttribute('content', LOCALES[postLocale(version)].og);
+    appendToHead(doc, el);
+  });
+  setMeta(doc, 'property', 'article:published_time', published);
+  setMeta(doc, 'property', 'article:section', post.category);
+  tags.forEach(tag => {
+    const el = doc.createElement('meta');
+    el.setAttribute('property', 'article:tag');
+    el.setAttribute('content', tag);
+    appendToHead(doc, el);
+  });
+
+  setMeta(doc, 'name', 'twitter:card', 'summary_large_image');
+  setMeta(doc, 'name', 'twitter:title', post.title || title);
+  setMeta(doc, 'name', 'twitter:description', description);
+  setMeta(doc, 'name', 'twitter:image', image);
+
+  appendJsonScript(doc, 'application/ld+json',
+    buildStructuredData(post, { url, description, image, siteUrl, wordCount, authors }));
+
+  // Picked up by post.html's script instead of re-fetching the post.
+  appendJsonScript(doc, 'application/json', {
+    title: post.title || '',
+    slug: post.slug,
+    published_at: post.published_at || null,
+    category: post.category || null,
+    tags,
+    author: post.author || null,
+    author_slugs: authorSlugs(post),
+    series: post.series || null,
+    series_part: post.series_part ?? null,
+    locale: postLocale(post),
+    translation_of: post.translation_of || null,
+  }, 'post-data');
+}
+
+// ---------- body ----------
+
+function renderArticle(doc, post, prepared, authors, translations) {
+  const tags = Array.isArray(post.tags) ? post.tags.filter(Boolean) : [];
+
+  doc.getElementById('post-title').textContent = post.title || '';
+  doc.getElementById('post-category').textContent = post.category || t('common.insight');
+  doc.getElementById('post-author').innerHTML = renderByline(post, authors);
+  doc.getElementById('post-tags').innerHTML = tags
+    .map(t => `<span class="inline-block mr-1">#${escapeHtml(t)}</span>`)
+    .join('');
+  doc.getElementById('post-meta').textContent = prepared.readTime || '';
+  doc.getElementById('post-content').innerHTML = prepared.html;
+  doc.getElementById('post-date').textContent = prepared.date || '';
+  // post.html switches <html lang> to the reader's language; the article keeps its own.
+  ['post-title', 'post-content'].forEach(id => doc.getElementById(id).setAttribute('lang', postLocale(post)));
+
+  const translationLinks = doc.getElementById('post-translations');
+  if (translationLinks && translations.length) {
+    translationLinks.innerHTML = renderTranslationLinks(translations, { href: postPath });
+    translationLinks.classList.remove('hidden');
+  }
+
+  doc.getElementById('post-loading').classList.add('hidden');
+  const article = doc.getElementById('post-article');
+  article.classList.remove('hidden');
+  article.dataset.prerendered = 'true';
+}
+
+// Heading IDs/anchors and the sidebar table of contents, so section links
+// ("insights/<slug>/#budgeting") work without JavaScript.
+function renderToc(doc) {
+  const headings = addHeadingAnchors(doc.getElementById('post-content'));
+  if (headings.length < MIN_TOC_HEADINGS) return;
+  doc.getElementById('post-toc-list').innerHTML = renderTocList(headings);
+  doc.getElementById('post-toc').classList.remove('hidden');
+}
+
+// Prev/next link, as post.html's renderNavLink draws it.
+function renderNavLink(post, direction, label) {
+  const text = `
+          <span${direction === 'next' ? ' class="text-right"' : ''}>
+            <span class="block text-[0.7rem] uppercase tracking-[0.16em] text-dark-grey">${label}</span>
+            <span class="block font-semibold">${escapeHtml(post.title)}</span>
+            <span class="block text-[0.7rem] text-dark-grey">${formatSupabaseDate(post.published_at)}</span>
+          </span>`;
+  return direction === 'next'
+    ? `
+      <a href="${postPath(post.slug)}"
+         class="inline-flex items-start gap-2 text-primary hover:text-accent justify-end">${text}
+        <span class="mt-[2px] text-lg">→</span>
+      </a>
+    `
+    : `
+      <a href="${postPath(post.slug)}"
+         class="inline-flex items-start gap-2 text-primary hover:text-accent">
+        <span class="mt-[2px] text-lg">←</span>${text}
+      </a>
+    `;
+}
+
+// Static series, prev/next and related links, in the same order as
+// getPostNeighbors (js/insightsApi.js): series parts first, chronological
+// order as the fallback, among insights in the same language. post.html's
+// loadContext refreshes them with live data once it runs.
+function renderContext(doc, post, allPosts) {
+  const posts = inLocale(allPosts, postLocale(post));
+  const chronological = posts
+    .slice()
+    .sort((a, b) => String(a.published_at || '').localeCompare(String(b.published_at || '')));
+  const idx = chronological.findIndex(p => p.slug === post.slug);
+  const series = getSeriesContext(post, chronological);
+  const previous = series?.previous || (idx > 0 ? chronological[idx - 1] : null);
+  const nextPost = series?.next || (idx >= 0 && idx < chronological.length - 1 ? chronological[idx + 1] : null);
+  const labelFor = (p, direction) =>
+    t(series && series.parts.includes(p) ? `post.${direction}Part` : `post.${direction}`);
+
+  if (series) {
+    const label = doc.getElementById('post-series');
+    label.textContent = `${formatSeriesPosition(series)} · ${series.name}`;
+    label.classList.remove('hidden');
+    doc.getElementById('post-series-heading').textContent = series.name;
+    doc.getElementById('post-series-list').innerHTML = renderSeriesToc(series, { href: postPath });
+    doc.getElementById('post-series-toc').classList.remove('hidden');
+  }
+
+  const navPrev = doc.getElementById('post-prev');
+  if (navPrev && previous) navPrev.innerHTML = renderNavLink(previous, 'previous', labelFor(previous, 'previous'));
+  const navNext = doc.getElementById('post-next');
+  if (navNext && nextPost) navNext.innerHTML = renderNavLink(nextPost, 'next', labelFor(nextPost, 'next'));
+
+  const sidebarMore = doc.getElementById('sidebar-more');
+  if (!sidebarMore) return;
+  const others = series ? posts.filter(p => !series.parts.includes(p)) : posts;
+  const related = getRelatedPosts(post, others, 3);
+  sidebarMore.innerHTML = related.length
+    ? related.map(p => `
+      <a href="${postPath(p.slug)}"
+         class="block rounded-lg border border-transparent hover:border-primary/40 hover:bg-paper/90 px-3 py-2 transition">
+        <p class="text-[0.8rem] font-semibold text-dark-brown">${escapeHtml(p.title)}</p>
+        <p class="text-[0.7rem] text-dark-grey">${formatSupabaseDate(p.published_at)}</p>
+      </a>`).join('')
+    : `
+      <p class="text-[0.78rem] text-dark-grey">
+        ${t('post.moreNone')}
+      </p>`;
+}
+
+// The template lives at the site root; its pages live two levels down.
+function rebaseTemplate(doc) {
+  rootRelativeUrls(doc);
+  doc.querySelectorAll('script:not([src])').forEach(script => {
+    script.textContent = script.textContent.replace(/(from\s+['"])\.\//g, '$1/');
+  });
+}
+
+export function renderPostPage(templateHtml, post, { posts = [], authors = [], siteUrl = SITE.url } = {}) {
+  const locale = postLocale(post);
+  return withLocale(locale, () => {
+    const doc = parseDocument(templateHtml);
+    const prepared = preparePost(post);
+    const url = postUrl(post.slug, siteUrl);
+    const description = createExcerpt(prepared.html, META_DESCRIPTION_LENGTH);
+    const image = findImage(absolutizeUrls(prepared.html, `${siteUrl}/`), siteUrl);
+    const wordCount = prepared.text ? prepared.text.split(/\s+/).filter(Boolean).length : 0;
+    const translations = getTranslations(post, posts);
+
+    doc.documentElement.lang = locale;
+    applyTranslations(doc);
+    renderArticle(doc, post, prepared, authors, translations);
+    renderToc(doc);
+    renderContext(doc, post, posts);
+    rebaseTemplate(doc);
+    renderHead(doc, post, { url, description, image, siteUrl, wordCount, authors, translations });
+
+    return serializeDocument(doc);
+  });
+}
+
+// ---------- sitemap ----------
+
+export function buildSitemap(entries) {
+  const urls = entries.map(({ loc, lastmod }) => `
+  <url>
+    <loc>${escapeHtml(loc)}</loc>${lastmod ? `
+    <lastmod>${lastmod}</lastmod>` : ''}
+  </url>`).join('');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">${urls}
+</urlset>
+`;
+}
+
+async function listStaticPages(rootDir) {
+  const files = await readdir(rootDir);
+  return files
+    .filter(name => name.endsWith('.html') && !SITEMAP_EXCLUDE.has(name))
+    .sort((a, b) => (a === 'index.html' ? -1 : b === 'index.html' ? 1 : a.localeCompare(b)));
+}
+
+// ---------- build ----------
+
+export async function buildPages({
+  source,
+  outDir = '.',
+  rootDir = ROOT_DIR,
+  siteUrl = SITE.url,
+  log = console.log,
+} = {}) {
+  setupContentEnvironment();
+
+  const templateHtml = await readFile(join(rootDir, 'post.html'), 'utf8');
+  const posts = (await source.getPublishedPosts()).filter(post => {
+    if (isSafeSlug(post.slug)) return true;
+    log(`pages: skipping post with unusable slug ${JSON.stringify(post.slug)}`);
+    return false;
+  });
+  const authors = source.getAuthors ? await source.getAuthors() : [];
+
+  for (const post of posts) {
+    const dir = join(outDir, 'insights', post.slug);
+    await mkdir(dir, { recursive: true });
+    await writeFile(join(dir, 'index.html'), renderPostPage(templateHtml, post, { posts, authors, siteUrl }));
+  }
+  log(`pages: wrote ${posts.length} page(s) under insights/`);
+
+  const staticPages = await listStaticPages(rootDir);
+  const postedSlugs = new Set(posts.flatMap(authorSlugs));
+  const entries = [
+    ...staticPages.map(name => ({
+      loc: absoluteUrl(name === 'index.html' ? '' : name, siteUrl),
+    })),
+    ...posts.map(post => ({
+      loc: postUrl(post.slug, siteUrl),
+      lastmod: toIsoDate(post.published_at).slice(0, 10),
+    })),
+    ...authors
+      .filter(author => postedSlugs.has(author.slug))
+      .map(author => ({ loc: absoluteUrl(authorPath(author.slug), siteUrl) })),
+  ];
+  await writeFile(join(outDir, 'sitemap.xml'), buildSitemap(entries));
+  log(`pages: wrote sitemap.xml (${entries.length} url(s))`);
+
+  return { pages: posts.length, sitemap: entries.length };
+}
+
+// ---------- CLI ----------
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      out: { type: 'string', default: '.' },
+      fixture: { type: 'string' },
+      'site-url': { type: 'string' },
+    },
+  });
+
+  const source = createPostsSource({ fixture: values.fixture });
+  console.log(`pages: reading posts from ${source.description}`);
+
+  await buildPages({
+    source,
+    outDir: values.out,
+    siteUrl: (values['site-url'] || SITE.url).replace(/\/$/, ''),
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,110 @@
+// contactStub.mjs
+// A stand-in for the contact backend, for local mock mode (js/config.js) and
+// for trying the intake wizard without sending real email. Accepts the JSON
+// intake payload (or the old form-encoded name/_replyto/message), checks the
+// fields the real backend needs, logs the inquiry and answers like the
+// backend does: { success: true } or { success: false, error }.
+//
+// Usage:
+//   node scripts/contactStub.mjs [--port 8787] [--fail]
+//
+// --fail answers every message with a 503, to exercise the offline outbox.
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+const MAX_BODY_BYTES = 64 * 1024;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/;
+
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Accept',
+  });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Message too large.'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+// JSON intake payloads, or url-encoded forms from older clients.
+export function parseMessage(body, contentType = '') {
+  if (contentType.includes('application/json')) return JSON.parse(body || '{}');
+  return Object.fromEntries(new URLSearchParams(body));
+}
+
+// The checks the real backend makes; returns an error message or ''.
+export function validateMessage(message) {
+  if (!message || typeof message !== 'object') return 'Invalid request.';
+  if (!String(message.name || '').trim()) return 'Name is required.';
+  if (!EMAIL_PATTERN.test(String(message._replyto || ''))) return 'A valid email address is required.';
+  if (!String(message.message || '').trim()) return 'Message is required.';
+  return '';
+}
+
+export function createContactStub({ fail = false, log = console.log } = {}) {
+  return createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+      send(res, 204, {});
+      return;
+    }
+    if (req.method !== 'POST' || !req.url.startsWith('/contact')) {
+      send(res, 404, { success: false, error: 'Not found.' });
+      return;
+    }
+    if (fail) {
+      send(res, 503, { success: false, error: 'Contact stub is running with --fail.' });
+      return;
+    }
+
+    try {
+      const message = parseMessage(await readBody(req), req.headers['content-type'] || '');
+      const error = validateMessage(message);
+      if (error) {
+        send(res, 400, { success: false, error });
+        return;
+      }
+      log(`contact-stub: ${message.type || 'message'} from ${message.name} <${message._replyto}>` +
+        (message.serviceLabel ? ` about ${message.serviceLabel}` : ''));
+      log(JSON.stringify(message, null, 2));
+      send(res, 200, { success: true });
+    } catch (err) {
+      send(res, err.status || 400, { success: false, error: err.status ? err.message : 'Invalid request body.' });
+    }
+  });
+}
+
+function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '8787' },
+      fail: { type: 'boolean', default: false },
+    },
+  });
+  const port = Number(values.port) || 8787;
+  createContactStub({ fail: values.fail }).listen(port, () => {
+    console.log(`contact-stub: listening on http://localhost:${port}/contact${values.fail ? ' (failing every request)' : ''}`);
+  });
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  main();
+}
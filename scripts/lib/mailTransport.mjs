@@ -0,0 +1,133 @@
+// mailTransport.mjs
+// How scripts/sendNewsletter.mjs hands off email. A transport is
+//   { name, description, async send(message) }
+// where message is { to, subject, html, text, headers } and the transport
+// adds the sender. Built in:
+//   log      one line per message on stdout; sends nothing (the default, so
+//            a run without configuration can't email anyone)
+//   outbox   writes each message as an .eml file into a directory, to open
+//            in a mail client (local previews)
+//   webhook  POSTs the message as JSON to MAIL_WEBHOOK_URL, with
+//            MAIL_WEBHOOK_TOKEN as a bearer token: a small function in front
+//            of whichever email provider is in use
+// MAIL_FROM overrides the sender ("Name <address>").
+
+import { mkdir, writeFile } from 'node:fs/promises';
+import { join } from 'node:path';
+
+import { SITE } from './site.mjs';
+
+export const DEFAULT_FROM = `${SITE.name} <insights@${new URL(SITE.url).hostname}>`;
+
+// ---------- MIME (outbox) ----------
+
+// Header values stay on one line; non-ASCII goes in an RFC 2047 encoded word.
+function encodeHeader(value) {
+  const str = String(value ?? '').replace(/[\r\n]+/g, ' ');
+  return /^[\x20-\x7e]*$/.test(str) ? str : `=?UTF-8?B?${Buffer.from(str, 'utf8').toString('base64')}?=`;
+}
+
+function base64Lines(str) {
+  return Buffer.from(String(str ?? ''), 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n');
+}
+
+// A multipart/alternative message (text + HTML) as an RFC 5322 string.
+export function toMimeMessage({ from, to, subject, html, text, headers = {} }, { date = new Date() } = {}) {
+  const boundary = `muro-${date.getTime().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+  const lines = [
+    `From: ${encodeHeader(from)}`,
+    `To: ${encodeHeader(to)}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${date.toUTCString()}`,
+    ...Object.entries(headers).map(([name, value]) => `${name}: ${encodeHeader(value)}`),
+    'MIME-Version: 1.0',
+    `Content-Type: multipart/alternative; boundary="${boundary}"`,
+    '',
+    `--${boundary}`,
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(text),
+    `--${boundary}`,
+    'Content-Type: text/html; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    base64Lines(html),
+    `--${boundary}--`,
+    '',
+  ];
+  return lines.join('\r\n');
+}
+
+// ---------- transports ----------
+
+export function createLogTransport({ from = DEFAULT_FROM, log = console.log } = {}) {
+  return {
+    name: 'log',
+    description: 'log (nothing is sent)',
+    async send(message) {
+      log(`mail: [log] ${from} -> ${message.to}: ${message.subject}`);
+      return { id: null };
+    },
+  };
+}
+
+export function createOutboxTransport({ dir, from = DEFAULT_FROM, log = console.log } = {}) {
+  if (!dir) throw new Error('The outbox transport needs a directory (--outbox <dir>).');
+  let count = 0;
+  return {
+    name: 'outbox',
+    description: `outbox ${dir}`,
+    async send(message) {
+      await mkdir(dir, { recursive: true });
+      count += 1;
+      const safeTo = String(message.to).replace(/[^a-z0-9@._-]+/gi, '_');
+      const file = join(dir, `${String(count).padStart(3, '0')}-${safeTo}.eml`);
+      await writeFile(file, toMimeMessage({ ...message, from }), 'utf8');
+      log(`mail: [outbox] ${message.to}: ${message.subject} -> ${file}`);
+      return { id: file };
+    },
+  };
+}
+
+export function createWebhookTransport({
+  url = process.env.MAIL_WEBHOOK_URL,
+  token = process.env.MAIL_WEBHOOK_TOKEN,
+  from = DEFAULT_FROM,
+  fetchImpl = globalThis.fetch,
+} = {}) {
+  if (!url) throw new Error('The webhook transport needs MAIL_WEBHOOK_URL.');
+  return {
+    name: 'webhook',
+    description: `webhook ${new URL(url).origin}`,
+    async send(message) {
+      const resp = await fetchImpl(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        },
+        body: JSON.stringify({ ...message, from }),
+      });
+      if (!resp.ok) {
+        const body = await resp.text().catch(() => '');
+        throw new Error(`Mail webhook failed (${resp.status}): ${body.slice(0, 200)}`);
+      }
+      const data = await resp.json().catch(() => ({}));
+      return { id: data?.id ?? null };
+    },
+  };
+}
+
+const TRANSPORTS = {
+  log: createLogTransport,
+  outbox: createOutboxTransport,
+  webhook: createWebhookTransport,
+};
+
+export function createMailTransport(kind = 'log', options = {}) {
+  const create = TRANSPORTS[kind];
+  if (!create) throw new Error(`Unknown mail transport "${kind}" (use ${Object.keys(TRANSPORTS).join(', ')}).`);
+  return create({ from: process.env.MAIL_FROM || DEFAULT_FROM, ...options });
+}
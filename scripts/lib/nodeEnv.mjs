@@ -0,0 +1,87 @@
+// nodeEnv.mjs
+// Run the browser content pipeline (js/blogContent.js) under Node.
+//
+// Build scripts need the same decode -> Markdown -> DOMPurify rendering as
+// openBlogModal and post.html, so they hand blogContent.js a jsdom document,
+// `marked` and a jsdom-backed DOMPurify instead of the CDN globals.
+//
+// Dependencies are pinned in package.json to the versions the pages load
+// from the CDN; install them with:
+//   npm ci
+
+import { JSDOM } from 'jsdom';
+import { marked } from 'marked';
+import createDOMPurify from 'dompurify';
+
+import { configureBlogContent } from '../../js/blogContent.js';
+
+let dom = null;
+
+export function setupContentEnvironment() {
+  if (dom) return dom.window;
+
+  dom = new JSDOM('<!DOCTYPE html><html><body></body></html>');
+  const { window } = dom;
+  configureBlogContent({
+    document: window.document,
+    marked,
+    DOMPurify: createDOMPurify(window),
+  });
+  return window;
+}
+
+// Parse an HTML fragment into a detached <body> for post-processing.
+export function parseFragment(html) {
+  const window = setupContentEnvironment();
+  const doc = window.document.implementation.createHTMLDocument('');
+  doc.body.innerHTML = html || '';
+  return doc.body;
+}
+
+// Parse a whole HTML page (scripts are not executed).
+export function parseDocument(html) {
+  return new JSDOM(html).window.document;
+}
+
+export function serializeDocument(doc) {
+  return `<!DOCTYPE html>\n${doc.documentElement.outerHTML}\n`;
+}
+
+function isRelativeUrl(value) {
+  return Boolean(value) &&
+    !value.startsWith('#') &&
+    !value.startsWith('/') &&
+    !/^[a-z][a-z0-9+.-]*:/i.test(value);
+}
+
+// Rewrite every relative href/src under `root` with `mapUrl(value)`.
+function rewriteRelativeUrls(root, mapUrl) {
+  root.querySelectorAll('[href], [src]').forEach(el => {
+    ['href', 'src'].forEach(attr => {
+      const value = el.getAttribute(attr);
+      if (!isRelativeUrl(value)) return;
+      try {
+        el.setAttribute(attr, mapUrl(value));
+      } catch (e) {
+        // leave unparseable URLs alone
+      }
+    });
+  });
+}
+
+// Make relative href/src attributes absolute so content works outside the site
+// (feed readers, emails).
+export function absolutizeUrls(html, baseUrl) {
+  const body = parseFragment(html);
+  rewriteRelativeUrls(body, value => new URL(value, baseUrl).href);
+  return body.innerHTML;
+}
+
+// Make relative href/src attributes root-relative ("assets/x.png" ->
+// "/assets/x.png") so a page copied into a subdirectory still resolves them.
+export function rootRelativeUrls(root) {
+  rewriteRelativeUrls(root, value => {
+    const url = new URL(value, 'https://site.invalid/');
+    return url.pathname + url.search + url.hash;
+  });
+}
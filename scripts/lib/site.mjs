@@ -0,0 +1,26 @@
+// site.mjs
+// Site-wide settings shared by the static build scripts.
+
+export const SITE = {
+  url: (process.env.SITE_URL || 'https://muroservices.com').replace(/\/$/, ''),
+  name: 'Muro Consulting Services',
+  insightsTitle: 'Insights • Muro Consulting Services',
+  insightsDescription: 'Practical perspectives on growth, data, and operations for mission-driven teams.',
+  language: 'en',
+  // Fallback social preview image for pages without one of their own.
+  image: 'assets/landing-icon.png',
+};
+
+export function absoluteUrl(path, siteUrl = SITE.url) {
+  return new URL(path.replace(/^\//, ''), `${siteUrl}/`).href;
+}
+
+// Site path of an insight's pre-rendered page (scripts/buildPages.mjs).
+export function postPath(slug) {
+  return `/insights/${encodeURIComponent(slug)}/`;
+}
+
+// Canonical public URL of an insight.
+export function postUrl(slug, siteUrl = SITE.url) {
+  return absoluteUrl(postPath(slug), siteUrl);
+}
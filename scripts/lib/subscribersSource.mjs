@@ -0,0 +1,104 @@
+// subscribersSource.mjs
+// Where scripts/sendNewsletter.mjs reads newsletter subscribers from, and
+// records what it sent: the mailer RPCs in supabase/migrations/*_newsletter.sql
+// (service role only), or a local JSON fixture for offline runs. Marking a
+// fixture as sent only lasts for the run; the file is never rewritten.
+
+import { readFile } from 'node:fs/promises';
+
+import { DEFAULT_SUPABASE_URL } from './postsSource.mjs';
+
+// Fixture rows look like the table: { id, email, categories, status,
+// confirmed_at, last_digest_at, confirmation_sent_at }.
+export function createFixtureSubscribers(path) {
+  let rowsPromise = null;
+  const load = () => {
+    if (!rowsPromise) {
+      rowsPromise = readFile(path, 'utf8').then(raw => {
+        const rows = JSON.parse(raw);
+        return Array.isArray(rows) ? rows : [];
+      });
+    }
+    return rowsPromise;
+  };
+
+  return {
+    description: `fixture ${path}`,
+    async getConfirmationsDue() {
+      return (await load())
+        .filter(row => row.status === 'pending' && !row.confirmation_sent_at)
+        .map(row => ({ ...row, confirm_token: `fixture-confirm-${row.id}` }));
+    },
+    async markConfirmationsSent(ids) {
+      const sentAt = new Date().toISOString();
+      (await load()).forEach(row => {
+        if (ids.includes(row.id)) row.confirmation_sent_at = sentAt;
+      });
+    },
+    async getRecipients() {
+      return (await load())
+        .filter(row => row.status === 'active')
+        .map(row => ({
+          ...row,
+          last_digest_at: row.last_digest_at || row.confirmed_at || null,
+          manage_token: `fixture-manage-${row.id}`,
+        }));
+    },
+    async markDigestSent(ids, sentAt) {
+      (await load()).forEach(row => {
+        if (ids.includes(row.id)) row.last_digest_at = sentAt.toISOString();
+      });
+    },
+  };
+}
+
+// The mailer RPCs over PostgREST. Needs the service role key, which must
+// never reach a browser or config.js.
+export function createSupabaseSubscribers({
+  url = process.env.SUPABASE_URL || DEFAULT_SUPABASE_URL,
+  key = process.env.SUPABASE_SERVICE_ROLE_KEY,
+  fetchImpl = globalThis.fetch,
+} = {}) {
+  if (!key) throw new Error('Set SUPABASE_SERVICE_ROLE_KEY to read newsletter subscribers.');
+
+  async function rpc(name, params = {}) {
+    const resp = await fetchImpl(`${url.replace(/\/$/, '')}/rest/v1/rpc/${name}`, {
+      method: 'POST',
+      headers: {
+        apikey: key,
+        Authorization: `Bearer ${key}`,
+        'Content-Type': 'application/json',
+        Accept: 'application/json',
+      },
+      body: JSON.stringify(params),
+    });
+    if (!resp.ok) {
+      const body = await resp.text().catch(() => '');
+      throw new Error(`Supabase ${name} failed (${resp.status}): ${body.slice(0, 200)}`);
+    }
+    const text = await resp.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  return {
+    description: `supabase ${url}`,
+    async getConfirmationsDue() {
+      const rows = await rpc('newsletter_confirmations_due');
+      return Array.isArray(rows) ? rows : [];
+    },
+    async markConfirmationsSent(ids) {
+      if (ids.length) await rpc('mark_newsletter_confirmations_sent', { p_ids: ids });
+    },
+    async getRecipients() {
+      const rows = await rpc('newsletter_recipients');
+      return Array.isArray(rows) ? rows : [];
+    },
+    async markDigestSent(ids, sentAt) {
+      if (ids.length) await rpc('mark_newsletter_digest_sent', { p_ids: ids, p_sent_at: sentAt.toISOString() });
+    },
+  };
+}
+
+export function createSubscribersSource({ fixture } = {}) {
+  return fixture ? createFixtureSubscribers(fixture) : createSupabaseSubscribers();
+}
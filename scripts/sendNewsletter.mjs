@@ -0,0 +1,333 @@
+// sendNewsletter.mjs
+// The newsletter mailer (supabase/migrations/*_newsletter.sql):
+//   confirmations  email a confirm link to every new, still pending sign-up
+//                  (double opt-in: newsletter.html?confirm=<token>)
+//   digest         email each active subscriber the insights published since
+//                  their last digest, grouped per category and limited to the
+//                  categories they follow, with excerpts from createExcerpt
+//
+// Run `confirmations` every few minutes and `digest` on the newsletter's
+// schedule (e.g. weekly). Both are safe to re-run: only what was sent is
+// marked as sent.
+//
+// Usage:
+//   npm ci
+//   node scripts/sendNewsletter.mjs confirmations|digest
+//        [--transport log|outbox|webhook] [--outbox <dir>]
+//        [--fixture scripts/fixtures/posts.json]
+//        [--subscribers scripts/fixtures/subscribers.json]
+//        [--since 2024-09-01] [--site-url https://…]
+//
+// The default transport only logs (see scripts/lib/mailTransport.mjs);
+// `--transport outbox --outbox out/mail` writes .eml files to look at.
+// --subscribers reads a JSON fixture instead of Supabase, which otherwise
+// needs SUPABASE_SERVICE_ROLE_KEY. --since builds every digest from that date
+// instead of each subscriber's last one (previews).
+
+import { pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { collectCategories, createExcerpt, escapeHtml, preparePost } from '../js/blogContent.js';
+import { setupContentEnvironment } from './lib/nodeEnv.mjs';
+import { createPostsSource, toIsoTimestamp } from './lib/postsSource.mjs';
+import { createSubscribersSource } from './lib/subscribersSource.mjs';
+import { createMailTransport } from './lib/mailTransport.mjs';
+import { SITE, absoluteUrl, postUrl } from './lib/site.mjs';
+
+const DIGEST_EXCERPT_LENGTH = 240;
+// A digest lists at most this many insights per category.
+const MAX_PER_CATEGORY = 6;
+// First digest for a subscriber with no date on record.
+const DEFAULT_LOOKBACK_DAYS = 7;
+const UNCATEGORIZED = 'More insights';
+
+// ---------- helpers ----------
+
+function toDate(value) {
+  const time = Date.parse(toIsoTimestamp(value));
+  return Number.isNaN(time) ? null : new Date(time);
+}
+
+export function confirmUrl(token, siteUrl = SITE.url) {
+  return absoluteUrl(`newsletter.html?confirm=${encodeURIComponent(token)}`, siteUrl);
+}
+
+export function manageUrl(token, siteUrl = SITE.url) {
+  return absoluteUrl(`newsletter.html?token=${encodeURIComponent(token)}`, siteUrl);
+}
+
+function describeTopics(categories) {
+  return categories && categories.length ? categories.join(', ') : 'all topics';
+}
+
+// ---------- digest ----------
+
+// What a digest shows for one post, rendered once per run.
+export function toDigestItem(post, siteUrl = SITE.url) {
+  const { html, date } = preparePost(post);
+  return {
+    slug: post.slug,
+    title: post.title || '',
+    url: postUrl(post.slug, siteUrl),
+    category: post.category || '',
+    excerpt: createExcerpt(html, DIGEST_EXCERPT_LENGTH),
+    date,
+    publishedAt: toDate(post.published_at),
+  };
+}
+
+// Items published in (since, until], as [{ category, items }] in the
+// blogs.html category order, newest first within each. `categories` empty
+// means all of them (uncategorized posts included, last).
+export function groupDigest(items, { since, until, categories = [] }) {
+  const fresh = items
+    .filter(item => item.publishedAt && item.publishedAt > since && item.publishedAt <= until)
+    .sort((a, b) => b.publishedAt - a.publishedAt);
+
+  const wanted = categories.length ? categories : [...collectCategories(fresh), ''];
+  return wanted
+    .map(category => ({
+      category: category || UNCATEGORIZED,
+      items: fresh.filter(item => item.category === category).slice(0, MAX_PER_CATEGORY),
+    }))
+    .filter(section => section.items.length);
+}
+
+// ---------- emails ----------
+
+const BRAND = '#856042';
+const PRIMARY = '#568a99';
+const MUTED = '#6b7280';
+
+function layout({ preheader, body, footer }) {
+  return `<!DOCTYPE html>
+<html lang="${SITE.language}">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(SITE.name)}</title>
+</head>
+<body style="margin:0;padding:0;background:#f5f5f5;">
+  <div style="display:none;max-height:0;overflow:hidden;">${escapeHtml(preheader)}</div>
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="background:#f5f5f5;">
+    <tr><td align="center" style="padding:24px 12px;">
+      <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="max-width:600px;background:#ffffff;border:1px solid #e7ddd5;border-radius:12px;">
+        <tr><td style="padding:24px 28px 8px;font-family:Arial,Helvetica,sans-serif;font-size:12px;font-weight:bold;letter-spacing:2px;text-transform:uppercase;color:${BRAND};">
+          ${escapeHtml(SITE.name)}
+        </td></tr>
+        <tr><td style="padding:8px 28px 24px;font-family:Arial,Helvetica,sans-serif;font-size:15px;line-height:1.55;color:#333333;">
+          ${body}
+        </td></tr>
+        <tr><td style="padding:16px 28px 24px;border-top:1px solid #eeeeee;font-family:Arial,Helvetica,sans-serif;font-size:12px;line-height:1.5;color:${MUTED};">
+          ${footer}
+        </td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+function button(href, label) {
+  return `<a href="${escapeHtml(href)}" style="display:inline-block;padding:12px 22px;border-radius:8px;background:${PRIMARY};color:#ffffff;font-weight:bold;text-decoration:none;">${escapeHtml(label)}</a>`;
+}
+
+export function renderConfirmationEmail({ categories = [], confirmLink }) {
+  const topics = describeTopics(categories);
+  const subject = `Confirm your subscription to ${SITE.name} insights`;
+  const html = layout({
+    preheader: 'One click to start getting new insights by email.',
+    body: `
+          <h1 style="margin:0 0 12px;font-size:22px;color:${BRAND};">Confirm your subscription</h1>
+          <p style="margin:0 0 16px;">Someone (hopefully you) asked to get new insights on <strong>${escapeHtml(topics)}</strong> by email at this address.</p>
+          <p style="margin:0 0 20px;">${button(confirmLink, 'Confirm subscription')}</p>
+          <p style="margin:0;font-size:13px;color:${MUTED};">The link works for 7 days. Or paste this into your browser:<br>${escapeHtml(confirmLink)}</p>`,
+    footer: 'Didn’t sign up? Ignore this email: without confirmation you won’t hear from us again.',
+  });
+  const text = [
+    'Confirm your subscription',
+    '',
+    `Someone (hopefully you) asked to get new ${SITE.name} insights on ${topics} by email at this address.`,
+    '',
+    `Confirm (the link works for 7 days): ${confirmLink}`,
+    '',
+    'Didn’t sign up? Ignore this email: without confirmation you won’t hear from us again.',
+  ].join('\n');
+  return { subject, html, text };
+}
+
+export function renderDigestEmail({ sections, categories = [], manageLink }) {
+  const items = sections.flatMap(section => section.items);
+  const subject = items.length === 1
+    ? `New insight: ${items[0].title}`
+    : `${items.length} new insights from ${SITE.name}`;
+  const unsubscribeLink = `${manageLink}&unsubscribe=1`;
+
+  const sectionHtml = sections.map(section => `
+          <h2 style="margin:24px 0 8px;font-size:13px;letter-spacing:1.5px;text-transform:uppercase;color:${PRIMARY};">${escapeHtml(section.category)}</h2>
+          ${section.items.map(item => `
+          <div style="margin:0 0 18px;">
+            <a href="${escapeHtml(item.url)}" style="font-size:17px;font-weight:bold;color:${BRAND};text-decoration:none;">${escapeHtml(item.title)}</a>
+            ${item.date ? `<div style="font-size:12px;color:${MUTED};margin:2px 0 6px;">${escapeHtml(item.date)}</div>` : ''}
+            <p style="margin:0 0 4px;">${escapeHtml(item.excerpt)}</p>
+            <a href="${escapeHtml(item.url)}" style="font-size:13px;color:${PRIMARY};">Read the insight →</a>
+          </div>`).join('')}`).join('');
+
+  const html = layout({
+    preheader: items.map(item => item.title).join(' · '),
+    body: `
+          <h1 style="margin:0;font-size:22px;color:${BRAND};">New insights for you</h1>
+          ${sectionHtml}`,
+    footer: `You’re getting this because you subscribed to ${escapeHtml(describeTopics(categories))}.
+          <a href="${escapeHtml(manageLink)}" style="color:${MUTED};">Change topics</a> ·
+          <a href="${escapeHtml(unsubscribeLink)}" style="color:${MUTED};">Unsubscribe</a>`,
+  });
+
+  const text = [
+    'New insights for you',
+    ...sections.flatMap(section => [
+      '',
+      section.category.toUpperCase(),
+      ...section.items.flatMap(item => ['', item.title, item.date, item.excerpt, item.url].filter(Boolean)),
+    ]),
+    '',
+    '--',
+    `You’re getting this because you subscribed to ${describeTopics(categories)}.`,
+    `Change topics: ${manageLink}`,
+    `Unsubscribe: ${unsubscribeLink}`,
+  ].join('\n');
+
+  return {
+    subject,
+    html,
+    text,
+    headers: { 'List-Unsubscribe': `<${unsubscribeLink}>` },
+  };
+}
+
+// ---------- sending ----------
+
+export async function sendConfirmations({ subscribers, transport, siteUrl = SITE.url, log = console.log }) {
+  const due = await subscribers.getConfirmationsDue();
+  const sent = [];
+  let failed = 0;
+
+  for (const subscriber of due) {
+    try {
+      const email = renderConfirmationEmail({
+        categories: subscriber.categories,
+        confirmLink: confirmUrl(subscriber.confirm_token, siteUrl),
+      });
+      await transport.send({ to: subscriber.email, ...email });
+      sent.push(subscriber.id);
+    } catch (err) {
+      failed += 1;
+      log(`newsletter: confirmation to ${subscriber.email} failed: ${err.message || err}`);
+    }
+  }
+
+  await subscribers.markConfirmationsSent(sent);
+  log(`newsletter: ${sent.length} confirmation(s) sent, ${failed} failed`);
+  return { sent: sent.length, failed };
+}
+
+export async function sendDigests({
+  source,
+  subscribers,
+  transport,
+  siteUrl = SITE.url,
+  since = null,
+  now = new Date(),
+  log = console.log,
+}) {
+  setupContentEnvironment();
+
+  const posts = (await source.getPublishedPosts()).filter(post => post.slug);
+  const items = posts.map(post => toDigestItem(post, siteUrl));
+  const recipients = await subscribers.getRecipients();
+  const fallbackSince = new Date(now.getTime() - DEFAULT_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const sent = [];
+  let skipped = 0;
+  let failed = 0;
+
+  for (const recipient of recipients) {
+    const categories = Array.isArray(recipient.categories) ? recipient.categories : [];
+    const sections = groupDigest(items, {
+      since: since || toDate(recipient.last_digest_at) || fallbackSince,
+      until: now,
+      categories,
+    });
+    if (!sections.length) {
+      skipped += 1;
+      continue;
+    }
+
+    try {
+      const email = renderDigestEmail({
+        sections,
+        categories,
+        manageLink: manageUrl(recipient.manage_token, siteUrl),
+      });
+      await transport.send({ to: recipient.email, ...email });
+      sent.push(recipient.id);
+    } catch (err) {
+      failed += 1;
+      log(`newsletter: digest to ${recipient.email} failed: ${err.message || err}`);
+    }
+  }
+
+  // The cut-off, not the finish time: posts published mid-run go next time.
+  await subscribers.markDigestSent(sent, now);
+  log(`newsletter: ${sent.length} digest(s) sent, ${skipped} with nothing new, ${failed} failed`);
+  return { sent: sent.length, skipped, failed };
+}
+
+// ---------- CLI ----------
+
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      transport: { type: 'string', default: 'log' },
+      outbox: { type: 'string' },
+      fixture: { type: 'string' },
+      subscribers: { type: 'string' },
+      since: { type: 'string' },
+      'site-url': { type: 'string' },
+    },
+  });
+
+  const command = positionals[0];
+  if (command !== 'confirmations' && command !== 'digest') {
+    throw new Error('Usage: node scripts/sendNewsletter.mjs confirmations|digest [options]');
+  }
+
+  let since = null;
+  if (values.since) {
+    since = new Date(values.since);
+    if (Number.isNaN(since.getTime())) throw new Error(`--since: not a date: ${values.since}`);
+  }
+
+  const siteUrl = (values['site-url'] || SITE.url).replace(/\/$/, '');
+  const subscribers = createSubscribersSource({ fixture: values.subscribers });
+  const transport = createMailTransport(values.transport, values.outbox ? { dir: values.outbox } : {});
+  console.log(`newsletter: subscribers from ${subscribers.description}, mail via ${transport.description}`);
+
+  let result;
+  if (command === 'confirmations') {
+    result = await sendConfirmations({ subscribers, transport, siteUrl });
+  } else {
+    const source = createPostsSource({ fixture: values.fixture });
+    console.log(`newsletter: reading posts from ${source.description}`);
+    result = await sendDigests({ source, subscribers, transport, siteUrl, since });
+  }
+  if (result.failed) process.exitCode = 1;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,111 @@
+// writeConfig.mjs
+// Write js/config.js (window.MURO_CONFIG) for one environment. Only the
+// settings object in that file is replaced; the local mock switch and the
+// comments stay as they are in git.
+//
+// Usage:
+//   node scripts/writeConfig.mjs --env production|staging|mock [--out js/config.js]
+//
+// SUPABASE_URL, SUPABASE_ANON_KEY, CONTACT_API_URL and ANALYTICS_ID override
+// the environment's defaults (staging normally sets them all).
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { DEFAULT_SUPABASE_URL, DEFAULT_SUPABASE_ANON_KEY } from './lib/postsSource.mjs';
+
+const TEMPLATE_PATH = fileURLToPath(new URL('../js/config.js', import.meta.url));
+const CONFIG_PATTERN = /( {2}const config = )\{[\s\S]*?\n {2}\};/;
+
+const DEFAULT_CONTACT_URL =
+  'https://murorangel-backend-a6bjdwhwahcfggf3.canadacentral-01.azurewebsites.net/contact';
+const MOCK_POSTS_URL = '/scripts/fixtures/posts.json';
+const MOCK_AUTHORS_URL = '/scripts/fixtures/authors.json';
+const DEFAULT_ANALYTICS_ID = 'G-0SCW2LYFQM';
+
+export const ENVIRONMENTS = {
+  production: {
+    dataSource: 'supabase',
+    supabaseUrl: DEFAULT_SUPABASE_URL,
+    supabaseAnonKey: DEFAULT_SUPABASE_ANON_KEY,
+    contactUrl: DEFAULT_CONTACT_URL,
+    analyticsId: DEFAULT_ANALYTICS_ID,
+  },
+  // Until staging has its own project and backend it shares production's.
+  staging: {
+    dataSource: 'supabase',
+    supabaseUrl: DEFAULT_SUPABASE_URL,
+    supabaseAnonKey: DEFAULT_SUPABASE_ANON_KEY,
+    contactUrl: DEFAULT_CONTACT_URL,
+    analyticsId: DEFAULT_ANALYTICS_ID,
+  },
+  // Fixture posts and the contact stub (scripts/contactStub.mjs).
+  mock: {
+    dataSource: 'mock',
+    supabaseUrl: '',
+    supabaseAnonKey: '',
+    contactUrl: 'http://localhost:8787/contact',
+    analyticsId: '',
+  },
+};
+
+// The settings for `env`, with environment-variable overrides applied.
+export function resolveConfig(env, vars = process.env) {
+  const base = ENVIRONMENTS[env];
+  if (!base) {
+    throw new Error(`Unknown environment "${env}" (expected ${Object.keys(ENVIRONMENTS).join(', ')})`);
+  }
+
+  const config = {
+    env,
+    dataSource: base.dataSource,
+    supabaseUrl: vars.SUPABASE_URL || base.supabaseUrl,
+    supabaseAnonKey: vars.SUPABASE_ANON_KEY || base.supabaseAnonKey,
+    contactUrl: vars.CONTACT_API_URL || base.contactUrl,
+    mockPostsUrl: MOCK_POSTS_URL,
+    mockAuthorsUrl: MOCK_AUTHORS_URL,
+    analyticsId: vars.ANALYTICS_ID || base.analyticsId,
+  };
+
+  if (config.dataSource === 'supabase' && (!config.supabaseUrl || !config.supabaseAnonKey)) {
+    throw new Error(`${env}: a Supabase URL and anon key are required`);
+  }
+  return config;
+}
+
+function quote(value) {
+  return `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+}
+
+// Render `config` into the settings object of the config.js template.
+export function renderConfig(template, config) {
+  if (!CONFIG_PATTERN.test(template)) {
+    throw new Error('js/config.js no longer has a `const config = { … };` block to replace');
+  }
+  const body = Object.entries(config)
+    .map(([key, value]) => `    ${key}: ${quote(value)},`)
+    .join('\n');
+  return template.replace(CONFIG_PATTERN, (match, head) => `${head}{\n${body}\n  };`);
+}
+
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      env: { type: 'string', default: 'production' },
+      out: { type: 'string', default: TEMPLATE_PATH },
+    },
+  });
+
+  const config = resolveConfig(values.env);
+  const template = await readFile(TEMPLATE_PATH, 'utf8');
+  await writeFile(values.out, renderConfig(template, config));
+  console.log(`config: wrote ${values.out} (${config.env}, ${config.dataSource === 'mock' ? 'fixture posts' : config.supabaseUrl})`);
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  main().catch(err => {
+    console.error(err);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,43 @@
+-- Lightweight listing view for the insights grid (blogs.html).
+--
+-- The grid pages through this view with `.range()` instead of pulling the full
+-- `content` column for every post. `content` stays queryable (search filters
+-- on it) but the client never selects it here; openBlogModal fetches the full
+-- body from `posts` by slug when a post is opened.
+--
+-- security_invoker keeps the RLS policies on `posts` in charge of visibility.
+
+create or replace view public.post_summaries
+with (security_invoker = true) as
+select
+  p.title,
+  p.slug,
+  p.published_at,
+  p.category,
+  p.tags,
+  p.author,
+  p.is_published,
+  p.content,
+  left(p.content, 1200) as content_preview,
+  case
+    when coalesce(btrim(p.content), '') = '' then null
+    else greatest(
+      1,
+      round(
+        array_length(
+          regexp_split_to_array(
+            btrim(regexp_replace(p.content, '<[^>]*>|&[a-z#0-9]+;', ' ', 'gi')),
+            '\s+'
+          ),
+          1
+        ) / 220.0
+      )
+    )::int
+  end as reading_minutes
+from public.posts p;
+
+grant select on public.post_summaries to anon, authenticated;
+
+create index if not exists posts_published_at_idx
+  on public.posts (published_at desc)
+  where is_published;
@@ -0,0 +1,62 @@
+-- Full-text search for insights.
+--
+-- `search_vector` weights the title (A) above category/tags (B) above the body
+-- (C). The grid queries it through post_summaries with
+-- `.textSearch('search_vector', q, { type: 'websearch', config: 'english' })`,
+-- so quoted phrases and `-exclusions` work server-side too.
+
+-- array_to_string is only STABLE, so wrap the document builder in an
+-- IMMUTABLE function to use it in a generated column.
+create or replace function public.posts_search_document(
+  title text,
+  category text,
+  tags text[],
+  content text
+)
+returns tsvector
+language sql
+immutable
+as $$
+  select
+    setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(category, '') || ' ' || coalesce(array_to_string(tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', regexp_replace(coalesce(content, ''), '<[^>]*>|&[a-z#0-9]+;', ' ', 'gi')), 'C')
+$$;
+
+alter table public.posts
+  add column if not exists search_vector tsvector
+  generated always as (public.posts_search_document(title, category, tags, content)) stored;
+
+create index if not exists posts_search_vector_idx
+  on public.posts using gin (search_vector);
+
+-- Expose the vector on the listing view (new columns go last).
+create or replace view public.post_summaries
+with (security_invoker = true) as
+select
+  p.title,
+  p.slug,
+  p.published_at,
+  p.category,
+  p.tags,
+  p.author,
+  p.is_published,
+  p.content,
+  left(p.content, 1200) as content_preview,
+  case
+    when coalesce(btrim(p.content), '') = '' then null
+    else greatest(
+      1,
+      round(
+        array_length(
+          regexp_split_to_array(
+            btrim(regexp_replace(p.content, '<[^>]*>|&[a-z#0-9]+;', ' ', 'gi')),
+            '\s+'
+          ),
+          1
+        ) / 220.0
+      )
+    )::int
+  end as reading_minutes,
+  p.search_vector
+from public.posts p;
@@ -0,0 +1,58 @@
+-- Authoring console (admin.html): who may write insights.
+--
+-- Editors are Supabase Auth users listed in `post_editors`. They can read every
+-- post (drafts and scheduled ones included) and create/update posts; everyone
+-- else keeps the existing public read policy on published posts.
+--
+-- Add an editor from the SQL editor:
+--   insert into public.post_editors (user_id)
+--   select id from auth.users where email = 'someone@example.org';
+
+create table if not exists public.post_editors (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+alter table public.post_editors enable row level security;
+
+-- security definer so the posts policies can consult post_editors without
+-- exposing the table itself.
+create or replace function public.is_post_editor()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.post_editors where user_id = auth.uid()
+  )
+$$;
+
+revoke all on function public.is_post_editor() from public;
+grant execute on function public.is_post_editor() to authenticated;
+
+drop policy if exists "Editors can read all posts" on public.posts;
+create policy "Editors can read all posts"
+  on public.posts for select
+  to authenticated
+  using (public.is_post_editor());
+
+drop policy if exists "Editors can create posts" on public.posts;
+create policy "Editors can create posts"
+  on public.posts for insert
+  to authenticated
+  with check (public.is_post_editor());
+
+drop policy if exists "Editors can update posts" on public.posts;
+create policy "Editors can update posts"
+  on public.posts for update
+  to authenticated
+  using (public.is_post_editor())
+  with check (public.is_post_editor());
+
+grant insert, update on public.posts to authenticated;
+
+-- Slugs are the public identifier (post.html?slug=, insights/<slug>/); the
+-- console checks for clashes before saving, this makes it a guarantee.
+create unique index if not exists posts_slug_key on public.posts (slug);
@@ -0,0 +1,129 @@
+-- Scheduled publishing + draft preview links.
+--
+-- 1. Posts with a future `published_at` stay hidden until that time passes,
+--    for every query (posts, post_summaries, search), not just the client's
+--    `is_published` filter. Editors still see everything.
+-- 2. Editors can mint signed, expiring preview tokens for a post
+--    (post.html?slug=<slug>&preview=<token>); get_post_preview() returns the
+--    post, published or not, only for a valid token.
+
+-- ---------- scheduled publishing ----------
+
+-- Restrictive, so it narrows whatever permissive read policy already exists.
+drop policy if exists "Hide unpublished and scheduled posts" on public.posts;
+create policy "Hide unpublished and scheduled posts"
+  on public.posts
+  as restrictive
+  for select
+  to anon, authenticated
+  using (
+    (select public.is_post_editor())
+    or (is_published and (published_at is null or published_at <= now()))
+  );
+
+-- is_post_editor() now runs for anonymous reads too.
+grant execute on function public.is_post_editor() to anon;
+
+-- ---------- preview tokens ----------
+
+create extension if not exists pgcrypto with schema extensions;
+
+-- Not exposed through the API (only `public` is).
+create schema if not exists private;
+
+create table if not exists private.preview_secret (
+  id boolean primary key default true check (id),
+  secret bytea not null default extensions.gen_random_bytes(32)
+);
+
+insert into private.preview_secret (id) values (true) on conflict (id) do nothing;
+
+-- Token format: "<expires epoch seconds>.<base64url HMAC-SHA256 of slug:expires>".
+-- Tokens are stateless; rotating the secret revokes every outstanding link:
+--   update private.preview_secret set secret = extensions.gen_random_bytes(32);
+create or replace function private.sign_preview(p_slug text, p_expires bigint)
+returns text
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select rtrim(translate(
+    replace(encode(extensions.hmac(
+      convert_to(p_slug || ':' || p_expires::text, 'UTF8'),
+      (select secret from private.preview_secret where id),
+      'sha256'
+    ), 'base64'), E'\n', ''),
+    '+/', '-_'
+  ), '=')
+$$;
+
+create or replace function public.create_post_preview_token(
+  p_slug text,
+  p_valid_for interval default interval '7 days'
+)
+returns text
+language plpgsql
+stable
+security definer
+set search_path = ''
+as $$
+declare
+  v_expires bigint;
+begin
+  if not public.is_post_editor() then
+    raise exception 'Only editors can create preview links' using errcode = '42501';
+  end if;
+  if p_valid_for <= interval '0' or p_valid_for > interval '30 days' then
+    raise exception 'Preview links can be valid for up to 30 days' using errcode = '22023';
+  end if;
+  if not exists (select 1 from public.posts where slug = p_slug) then
+    raise exception 'No post with slug %', p_slug using errcode = 'P0002';
+  end if;
+
+  v_expires := extract(epoch from now() + p_valid_for)::bigint;
+  return v_expires::text || '.' || private.sign_preview(p_slug, v_expires);
+end;
+$$;
+
+create or replace function public.get_post_preview(p_slug text, p_token text)
+returns table (
+  title text,
+  slug text,
+  content text,
+  published_at timestamptz,
+  category text,
+  tags text[],
+  author text,
+  is_published boolean
+)
+language plpgsql
+stable
+security definer
+set search_path = ''
+as $$
+declare
+  v_expires bigint;
+begin
+  if p_token is null or p_token !~ '^[0-9]+\.[A-Za-z0-9_-]+$' then
+    return;
+  end if;
+
+  v_expires := split_part(p_token, '.', 1)::bigint;
+  if v_expires < extract(epoch from now())
+     or split_part(p_token, '.', 2) <> private.sign_preview(p_slug, v_expires) then
+    return;
+  end if;
+
+  return query
+    select p.title, p.slug, p.content, p.published_at, p.category, p.tags, p.author, p.is_published
+    from public.posts p
+    where p.slug = p_slug;
+end;
+$$;
+
+revoke all on function private.sign_preview(text, bigint) from public;
+revoke all on function public.create_post_preview_token(text, interval) from public;
+revoke all on function public.get_post_preview(text, text) from public;
+grant execute on function public.create_post_preview_token(text, interval) to authenticated;
+grant execute on function public.get_post_preview(text, text) to anon, authenticated;
@@ -0,0 +1,368 @@
+-- Anonymous engagement: de-duplicated view counts and "helpful" reactions.
+--
+-- Browsers never write these tables. They call record_post_view() and
+-- set_post_reaction(), which decide what counts:
+--
+-- 1. A view counts once per reader, per post, per day. The "reader" is a hash
+--    of the request's IP and user agent with a salt that is replaced every
+--    day. Nothing is stored on the device, and one day's hashes can't be
+--    linked to the next day's.
+-- 2. A reaction belongs to a reader key the server derives: the signed-in
+--    user, or else the request's IP and user agent. It is hashed with a fixed
+--    secret (so the reaction can be taken back later) and only the hash is
+--    stored. Callers can't name a reader, so they can't add a reaction per
+--    made-up id.
+-- 3. Both are capped per IP per hour, and only count for posts an anonymous
+--    visitor can read (published and due).
+--
+-- Totals live in post_engagement, which everyone can read. post_summaries
+-- exposes them for the grid's "Most read" / "Most helpful" sorting.
+
+create extension if not exists pgcrypto with schema extensions;
+create schema if not exists private;
+
+-- ---------- totals ----------
+
+create table if not exists public.post_engagement (
+  slug text primary key,
+  view_count bigint not null default 0 check (view_count >= 0),
+  helpful_count bigint not null default 0 check (helpful_count >= 0),
+  updated_at timestamptz not null default now()
+);
+
+alter table public.post_engagement enable row level security;
+
+-- Read-only for clients: there are no insert/update/delete policies, so only
+-- the security definer functions below can change the totals.
+drop policy if exists "Engagement totals are public" on public.post_engagement;
+create policy "Engagement totals are public"
+  on public.post_engagement
+  for select
+  to anon, authenticated
+  using (true);
+
+revoke all on public.post_engagement from anon, authenticated;
+grant select on public.post_engagement to anon, authenticated;
+
+-- ---------- private bookkeeping ----------
+
+-- One row per reader, post and day. Rows older than yesterday are pruned.
+create table if not exists private.post_views (
+  slug text not null,
+  viewed_on date not null,
+  reader_hash bytea not null,
+  primary key (slug, viewed_on, reader_hash)
+);
+
+create index if not exists post_views_viewed_on_idx on private.post_views (viewed_on);
+
+create table if not exists private.post_reactions (
+  slug text not null,
+  reaction text not null check (reaction in ('helpful')),
+  reader_hash bytea not null,
+  created_at timestamptz not null default now(),
+  primary key (slug, reaction, reader_hash)
+);
+
+-- Daily salts for view hashes. Old salts are deleted, which is what makes
+-- old hashes unlinkable.
+create table if not exists private.engagement_salts (
+  day date primary key,
+  salt bytea not null default extensions.gen_random_bytes(32)
+);
+
+-- Fixed secret for reaction hashes (reactions must survive the day).
+create table if not exists private.engagement_secret (
+  id boolean primary key default true check (id),
+  secret bytea not null default extensions.gen_random_bytes(32)
+);
+
+insert into private.engagement_secret (id) values (true) on conflict (id) do nothing;
+
+-- Hits per (action, hashed IP) per hour.
+create table if not exists private.engagement_rate (
+  bucket bytea not null,
+  window_start timestamptz not null,
+  hits integer not null default 0,
+  primary key (bucket, window_start)
+);
+
+-- ---------- helpers ----------
+
+-- PostgREST exposes the request headers as JSON; nothing else about the
+-- caller is trustworthy.
+create or replace function private.request_header(p_name text)
+returns text
+language sql
+stable
+set search_path = ''
+as $$
+  select nullif(current_setting('request.headers', true), '')::json ->> p_name
+$$;
+
+-- Last address in X-Forwarded-For: the hop the API gateway appended. Earlier
+-- entries come from the client and can be anything.
+create or replace function private.request_ip()
+returns text
+language sql
+stable
+set search_path = ''
+as $$
+  select nullif(btrim(regexp_replace(coalesce(private.request_header('x-forwarded-for'), ''), '^.*,', '')), '')
+$$;
+
+-- Who is reacting: the signed-in user, else the caller's IP and user agent.
+create or replace function private.reader_key()
+returns text
+language sql
+stable
+set search_path = ''
+as $$
+  select coalesce(
+    'user:' || (nullif(current_setting('request.jwt.claims', true), '')::json ->> 'sub'),
+    'anon:' || coalesce(private.request_ip(), '') || '|' || coalesce(private.request_header('user-agent'), '')
+  )
+$$;
+
+create or replace function private.todays_salt()
+returns bytea
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_salt bytea;
+begin
+  insert into private.engagement_salts (day) values (current_date) on conflict (day) do nothing;
+  if found then
+    delete from private.engagement_salts where day < current_date;
+  end if;
+  select salt into v_salt from private.engagement_salts where day = current_date;
+  return v_salt;
+end;
+$$;
+
+-- Count one hit for `p_action` from the caller's IP; true when that IP has
+-- gone over `p_limit` hits this hour.
+create or replace function private.over_rate_limit(p_action text, p_limit integer)
+returns boolean
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_bucket bytea;
+  v_hits integer;
+begin
+  v_bucket := extensions.hmac(
+    convert_to(p_action || ':' || coalesce(private.request_ip(), ''), 'UTF8'),
+    private.todays_salt(),
+    'sha256'
+  );
+
+  insert into private.engagement_rate (bucket, window_start, hits)
+  values (v_bucket, date_trunc('hour', now()), 1)
+  on conflict (bucket, window_start)
+    do update set hits = private.engagement_rate.hits + 1
+  returning hits into v_hits;
+
+  if v_hits = 1 then
+    delete from private.engagement_rate where window_start < date_trunc('hour', now());
+  end if;
+
+  return v_hits > p_limit;
+end;
+$$;
+
+-- Same visibility rule as the "Hide unpublished and scheduled posts" policy,
+-- which security definer functions bypass.
+create or replace function private.is_readable_post(p_slug text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select exists (
+    select 1
+    from public.posts p
+    where p.slug = p_slug
+      and p.is_published
+      and (p.published_at is null or p.published_at <= now())
+  )
+$$;
+
+create or replace function private.engagement_totals(p_slug text)
+returns table (view_count bigint, helpful_count bigint)
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select coalesce(e.view_count, 0), coalesce(e.helpful_count, 0)
+  from (select 1) as one
+  left join public.post_engagement e on e.slug = p_slug
+$$;
+
+-- ---------- public API ----------
+
+-- Count a view of `p_slug` (at most once per reader per day) and return the
+-- post's totals.
+create or replace function public.record_post_view(p_slug text)
+returns table (view_count bigint, helpful_count bigint)
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_reader bytea;
+begin
+  if not private.is_readable_post(p_slug) then
+    raise exception 'No published post %', p_slug using errcode = 'P0002';
+  end if;
+
+  -- Over the limit: don't count, but still answer with the totals.
+  if not private.over_rate_limit('view', 300) then
+    v_reader := extensions.hmac(
+      convert_to(
+        coalesce(private.request_ip(), '') || '|' || coalesce(private.request_header('user-agent'), ''),
+        'UTF8'
+      ),
+      private.todays_salt(),
+      'sha256'
+    );
+
+    insert into private.post_views (slug, viewed_on, reader_hash)
+    values (p_slug, current_date, v_reader)
+    on conflict do nothing;
+
+    if found then
+      insert into public.post_engagement as e (slug, view_count)
+      values (p_slug, 1)
+      on conflict (slug)
+        do update set view_count = e.view_count + 1, updated_at = now();
+
+      if random() < 0.01 then
+        delete from private.post_views where viewed_on < current_date - 1;
+      end if;
+    end if;
+  end if;
+
+  return query select * from private.engagement_totals(p_slug);
+end;
+$$;
+
+-- An earlier version took the reader id from the caller.
+drop function if exists public.set_post_reaction(text, uuid, text, boolean);
+
+-- Add (p_active) or take back the caller's reaction (see private.reader_key())
+-- and return the post's totals. Repeating the same call changes nothing.
+create or replace function public.set_post_reaction(
+  p_slug text,
+  p_reaction text default 'helpful',
+  p_active boolean default true
+)
+returns table (view_count bigint, helpful_count bigint)
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_reader bytea;
+begin
+  if p_reaction is distinct from 'helpful' then
+    raise exception 'Unknown reaction %', p_reaction using errcode = '22023';
+  end if;
+  if not private.is_readable_post(p_slug) then
+    raise exception 'No published post %', p_slug using errcode = 'P0002';
+  end if;
+  if private.over_rate_limit('reaction', 60) then
+    raise exception 'Too many reactions, try again later' using errcode = '54000';
+  end if;
+
+  v_reader := extensions.hmac(
+    convert_to(private.reader_key(), 'UTF8'),
+    (select secret from private.engagement_secret where id),
+    'sha256'
+  );
+
+  if p_active then
+    insert into private.post_reactions (slug, reaction, reader_hash)
+    values (p_slug, p_reaction, v_reader)
+    on conflict do nothing;
+
+    if found then
+      insert into public.post_engagement as e (slug, helpful_count)
+      values (p_slug, 1)
+      on conflict (slug)
+        do update set helpful_count = e.helpful_count + 1, updated_at = now();
+    end if;
+  else
+    delete from private.post_reactions
+    where slug = p_slug and reaction = p_reaction and reader_hash = v_reader;
+
+    if found then
+      update public.post_engagement as e
+      set helpful_count = greatest(e.helpful_count - 1, 0), updated_at = now()
+      where e.slug = p_slug;
+    end if;
+  end if;
+
+  return query select * from private.engagement_totals(p_slug);
+end;
+$$;
+
+revoke all on function private.request_header(text) from public;
+revoke all on function private.request_ip() from public;
+revoke all on function private.reader_key() from public;
+revoke all on function private.todays_salt() from public;
+revoke all on function private.over_rate_limit(text, integer) from public;
+revoke all on function private.is_readable_post(text) from public;
+revoke all on function private.engagement_totals(text) from public;
+revoke all on function public.record_post_view(text) from public;
+revoke all on function public.set_post_reaction(text, text, boolean) from public;
+grant execute on function public.record_post_view(text) to anon, authenticated;
+grant execute on function public.set_post_reaction(text, text, boolean) to anon, authenticated;
+
+-- ---------- listing ----------
+
+-- post_summaries (see *_post_summaries.sql, *_posts_search_vector.sql) gains the
+-- totals, appended so the existing columns keep their positions.
+create or replace view public.post_summaries
+with (security_invoker = true) as
+select
+  p.title,
+  p.slug,
+  p.published_at,
+  p.category,
+  p.tags,
+  p.author,
+  p.is_published,
+  p.content,
+  left(p.content, 1200) as content_preview,
+  case
+    when coalesce(btrim(p.content), '') = '' then null
+    else greatest(
+      1,
+      round(
+        array_length(
+          regexp_split_to_array(
+            btrim(regexp_replace(p.content, '<[^>]*>|&[a-z#0-9]+;', ' ', 'gi')),
+            '\s+'
+          ),
+          1
+        ) / 220.0
+      )
+    )::int
+  end as reading_minutes,
+  p.search_vector,
+  coalesce(e.view_count, 0) as view_count,
+  coalesce(e.helpful_count, 0) as helpful_count
+from public.posts p
+left join public.post_engagement e on e.slug = p.slug;
+
+grant select on public.post_summaries to anon, authenticated;
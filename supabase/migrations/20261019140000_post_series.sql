@@ -0,0 +1,62 @@
+-- Multi-part insights ("series").
+--
+-- A post can belong to a named series with an explicit part number. post.html
+-- shows "Part 2 of 5", the series' table of contents and prev/next links in
+-- part order (falling back to chronological order). blogs.html filters by
+-- series and collapses each series into one card.
+
+alter table public.posts
+  add column if not exists series text,
+  add column if not exists series_part integer;
+
+-- Both or neither, and parts count from 1.
+alter table public.posts drop constraint if exists posts_series_part_check;
+alter table public.posts
+  add constraint posts_series_part_check check (
+    (series is null and series_part is null)
+    or (btrim(series) <> '' and series_part >= 1)
+  );
+
+-- One post per part (series names compare case- and space-insensitively).
+create unique index if not exists posts_series_part_key
+  on public.posts (lower(btrim(series)), series_part)
+  where series is not null;
+
+-- post_summaries (see *_post_summaries.sql, *_post_engagement.sql) gains the
+-- series columns, appended so the existing columns keep their positions.
+create or replace view public.post_summaries
+with (security_invoker = true) as
+select
+  p.title,
+  p.slug,
+  p.published_at,
+  p.category,
+  p.tags,
+  p.author,
+  p.is_published,
+  p.content,
+  left(p.content, 1200) as content_preview,
+  case
+    when coalesce(btrim(p.content), '') = '' then null
+    else greatest(
+      1,
+      round(
+        array_length(
+          regexp_split_to_array(
+            btrim(regexp_replace(p.content, '<[^>]*>|&[a-z#0-9]+;', ' ', 'gi')),
+            '\s+'
+          ),
+          1
+        ) / 220.0
+      )
+    )::int
+  end as reading_minutes,
+  p.search_vector,
+  coalesce(e.view_count, 0) as view_count,
+  coalesce(e.helpful_count, 0) as helpful_count,
+  p.series,
+  p.series_part
+from public.posts p
+left join public.post_engagement e on e.slug = p.slug;
+
+grant select on public.post_summaries to anon, authenticated;
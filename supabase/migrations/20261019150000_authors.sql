@@ -0,0 +1,211 @@
+-- Author profiles and co-authored insights.
+--
+-- `authors` holds one public profile per person (name, role, bio, avatar,
+-- links), shown on author.html?slug=<slug>. A post lists its authors in
+-- byline order in `posts.author_slugs`, so co-authored posts are just
+-- several slugs. `posts.author` stays as the plain-text byline ("A and B")
+-- that feeds, search and older clients read; a trigger keeps it in step with
+-- the profiles.
+--
+-- Editors (see *_post_editors.sql) can add and edit profiles; for example
+-- from the SQL editor:
+--   insert into public.authors (slug, name, role, bio, links)
+--   values ('ana-ruiz', 'Ana Ruiz', 'Data lead', 'Ana helps teams…',
+--           '[{"label": "LinkedIn", "url": "https://www.linkedin.com/in/…"}]');
+
+create schema if not exists private;
+
+create table if not exists public.authors (
+  slug text primary key check (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$'),
+  name text not null check (btrim(name) <> ''),
+  role text,
+  bio text,
+  avatar_url text,
+  -- [{ "label": "LinkedIn", "url": "https://…" }, …]
+  links jsonb not null default '[]'::jsonb check (jsonb_typeof(links) = 'array'),
+  created_at timestamptz not null default now()
+);
+
+alter table public.authors enable row level security;
+
+drop policy if exists "Author profiles are public" on public.authors;
+create policy "Author profiles are public"
+  on public.authors for select
+  to anon, authenticated
+  using (true);
+
+drop policy if exists "Editors can create authors" on public.authors;
+create policy "Editors can create authors"
+  on public.authors for insert
+  to authenticated
+  with check (public.is_post_editor());
+
+drop policy if exists "Editors can update authors" on public.authors;
+create policy "Editors can update authors"
+  on public.authors for update
+  to authenticated
+  using (public.is_post_editor())
+  with check (public.is_post_editor());
+
+grant select on public.authors to anon, authenticated;
+grant insert, update on public.authors to authenticated;
+
+-- ---------- posts.author_slugs ----------
+
+alter table public.posts
+  add column if not exists author_slugs text[] not null default '{}';
+
+create index if not exists posts_author_slugs_idx on public.posts using gin (author_slugs);
+
+-- "A", "A and B", "A, B and C" (js/postAuthors.js formats bylines the same way).
+create or replace function private.format_byline(p_names text[])
+returns text
+language sql
+immutable
+set search_path = ''
+as $$
+  select case
+    when coalesce(cardinality(p_names), 0) = 0 then null
+    when cardinality(p_names) = 1 then p_names[1]
+    else array_to_string(p_names[1:cardinality(p_names) - 1], ', ')
+      || ' and ' || p_names[cardinality(p_names)]
+  end
+$$;
+
+revoke all on function private.format_byline(text[]) from public;
+
+-- Every slug must name a profile (arrays can't carry foreign keys), and the
+-- byline text follows the profiles. Posts without profiles keep whatever
+-- `author` text they were given.
+create or replace function private.sync_post_authors()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  v_missing text;
+  v_names text[];
+begin
+  new.author_slugs := coalesce(new.author_slugs, '{}');
+
+  if cardinality(new.author_slugs) <> cardinality(array(select distinct unnest(new.author_slugs))) then
+    raise exception 'An author is listed twice'
+      using errcode = '23505';
+  end if;
+
+  select s.slug into v_missing
+  from unnest(new.author_slugs) as s (slug)
+  where not exists (select 1 from public.authors a where a.slug = s.slug)
+  limit 1;
+  if v_missing is not null then
+    raise exception 'Unknown author "%"', v_missing
+      using errcode = '23503';
+  end if;
+
+  if cardinality(new.author_slugs) > 0 then
+    select array_agg(a.name order by s.ord) into v_names
+    from unnest(new.author_slugs) with ordinality as s (slug, ord)
+    join public.authors a on a.slug = s.slug;
+    new.author := private.format_byline(v_names);
+  elsif tg_op = 'UPDATE' and cardinality(coalesce(old.author_slugs, '{}')) > 0 then
+    -- All profiles removed: the old byline no longer applies.
+    new.author := null;
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists posts_sync_authors on public.posts;
+create trigger posts_sync_authors
+  before insert or update of author_slugs, author on public.posts
+  for each row execute function private.sync_post_authors();
+
+-- A renamed author renames their bylines: touching author_slugs re-runs
+-- posts_sync_authors, which now reads the new name.
+create or replace function private.sync_author_bylines()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+begin
+  update public.posts p
+  set author_slugs = p.author_slugs
+  where new.slug = any (p.author_slugs);
+  return null;
+end;
+$$;
+
+drop trigger if exists authors_sync_bylines on public.authors;
+create trigger authors_sync_bylines
+  after update of name on public.authors
+  for each row
+  when (new.name is distinct from old.name)
+  execute function private.sync_author_bylines();
+
+-- ---------- backfill ----------
+
+-- One profile per distinct byline posts already have, slugged like post
+-- slugs; the profiles can be filled in (bio, role, avatar) afterwards.
+insert into public.authors (slug, name)
+select distinct on (slug) slug, name
+from (
+  select
+    btrim(regexp_replace(lower(btrim(p.author)), '[^a-z0-9]+', '-', 'g'), '-') as slug,
+    btrim(p.author) as name
+  from public.posts p
+  where coalesce(btrim(p.author), '') <> ''
+) bylines
+where slug <> ''
+order by slug, name
+on conflict (slug) do nothing;
+
+update public.posts p
+set author_slugs = array[a.slug]
+from public.authors a
+where cardinality(p.author_slugs) = 0
+  and coalesce(btrim(p.author), '') <> ''
+  and a.slug = btrim(regexp_replace(lower(btrim(p.author)), '[^a-z0-9]+', '-', 'g'), '-');
+
+-- post_summaries (see *_post_summaries.sql, *_post_engagement.sql,
+-- *_post_series.sql) gains author_slugs for the author filter, appended so
+-- the existing columns keep their positions.
+create or replace view public.post_summaries
+with (security_invoker = true) as
+select
+  p.title,
+  p.slug,
+  p.published_at,
+  p.category,
+  p.tags,
+  p.author,
+  p.is_published,
+  p.content,
+  left(p.content, 1200) as content_preview,
+  case
+    when coalesce(btrim(p.content), '') = '' then null
+    else greatest(
+      1,
+      round(
+        array_length(
+          regexp_split_to_array(
+            btrim(regexp_replace(p.content, '<[^>]*>|&[a-z#0-9]+;', ' ', 'gi')),
+            '\s+'
+          ),
+          1
+        ) / 220.0
+      )
+    )::int
+  end as reading_minutes,
+  p.search_vector,
+  coalesce(e.view_count, 0) as view_count,
+  coalesce(e.helpful_count, 0) as helpful_count,
+  p.series,
+  p.series_part,
+  p.author_slugs
+from public.posts p
+left join public.post_engagement e on e.slug = p.slug;
+
+grant select on public.post_summaries to anon, authenticated;
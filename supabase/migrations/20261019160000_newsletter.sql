@@ -0,0 +1,399 @@
+-- Newsletter: email digests of new insights, per category, with double opt-in.
+--
+-- 1. The subscribe widget (js/newsletter.js) calls subscribe_newsletter(),
+--    which stores a *pending* subscription. It answers the same way whether
+--    or not the address is already on the list, so it can't be used to find
+--    out who is subscribed.
+-- 2. The mailer (scripts/sendNewsletter.mjs, with the service role key) picks
+--    up pending subscriptions and emails each one a confirmation link:
+--    newsletter.html?confirm=<token>. Only confirm_newsletter_subscription()
+--    turns a subscription active, so nobody gets digests for an address they
+--    don't control.
+-- 3. Every digest carries a manage link (newsletter.html?token=<token>) to
+--    change categories or unsubscribe.
+--
+-- Subscribers are never readable through the API; browsers only see the
+-- subscription a valid token points at.
+--
+-- Tokens are stateless, like preview tokens (*_scheduled_posts_and_previews.sql):
+--   confirm: "<subscriber id>.<expires epoch seconds>.<signature>" (7 days)
+--   manage:  "<subscriber id>.<signature>" (no expiry: old digests keep working)
+-- Rotating the secret revokes every outstanding link:
+--   update private.newsletter_secret set secret = extensions.gen_random_bytes(32);
+
+create extension if not exists pgcrypto with schema extensions;
+create schema if not exists private;
+
+-- ---------- subscribers ----------
+
+create table if not exists private.newsletter_subscribers (
+  id uuid primary key default extensions.gen_random_uuid(),
+  email text not null unique
+    check (email = lower(btrim(email)) and email ~ '^[^@\s]+@[^@\s]+\.[^@\s]{2,}$' and length(email) <= 254),
+  -- Categories to get digests for; empty means every category.
+  categories text[] not null default '{}',
+  status text not null default 'pending' check (status in ('pending', 'active', 'unsubscribed')),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  -- Set by subscribe_newsletter(); the mailer clears the way for a new
+  -- confirmation email by leaving confirmation_sent_at null.
+  confirmation_requested_at timestamptz,
+  confirmation_sent_at timestamptz,
+  confirmed_at timestamptz,
+  unsubscribed_at timestamptz,
+  -- Posts published after this go into the subscriber's next digest.
+  last_digest_at timestamptz
+);
+
+create index if not exists newsletter_subscribers_status_idx on private.newsletter_subscribers (status);
+
+create table if not exists private.newsletter_secret (
+  id boolean primary key default true check (id),
+  secret bytea not null default extensions.gen_random_bytes(32)
+);
+
+insert into private.newsletter_secret (id) values (true) on conflict (id) do nothing;
+
+-- ---------- helpers ----------
+
+create or replace function private.sign_newsletter(p_payload text)
+returns text
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select rtrim(translate(
+    replace(encode(extensions.hmac(
+      convert_to(p_payload, 'UTF8'),
+      (select secret from private.newsletter_secret where id),
+      'sha256'
+    ), 'base64'), E'\n', ''),
+    '+/', '-_'
+  ), '=')
+$$;
+
+create or replace function private.newsletter_confirm_token(p_id uuid, p_valid_for interval default interval '7 days')
+returns text
+language plpgsql
+stable
+security definer
+set search_path = ''
+as $$
+declare
+  v_expires bigint := extract(epoch from now() + p_valid_for)::bigint;
+begin
+  return p_id::text || '.' || v_expires::text || '.' ||
+    private.sign_newsletter('confirm:' || p_id::text || ':' || v_expires::text);
+end;
+$$;
+
+create or replace function private.newsletter_manage_token(p_id uuid)
+returns text
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select p_id::text || '.' || private.sign_newsletter('manage:' || p_id::text)
+$$;
+
+-- The subscriber a token is for, or null when it's malformed, forged or
+-- (for confirm tokens) expired.
+create or replace function private.newsletter_token_subscriber(p_token text, p_purpose text)
+returns uuid
+language plpgsql
+stable
+security definer
+set search_path = ''
+as $$
+declare
+  v_id text := split_part(coalesce(p_token, ''), '.', 1);
+  v_expires bigint;
+begin
+  if p_purpose = 'confirm' then
+    if p_token is null or p_token !~ '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.[0-9]{1,12}\.[A-Za-z0-9_-]+$' then
+      return null;
+    end if;
+    v_expires := split_part(p_token, '.', 2)::bigint;
+    if v_expires < extract(epoch from now())
+       or split_part(p_token, '.', 3) <> private.sign_newsletter('confirm:' || v_id || ':' || v_expires::text) then
+      return null;
+    end if;
+  elsif p_purpose = 'manage' then
+    if p_token is null or p_token !~ '^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}\.[A-Za-z0-9_-]+$'
+       or split_part(p_token, '.', 2) <> private.sign_newsletter('manage:' || v_id) then
+      return null;
+    end if;
+  else
+    return null;
+  end if;
+  return v_id::uuid;
+end;
+$$;
+
+-- Trimmed, de-duplicated categories that published posts actually use; the
+-- widget offers the same set (js/blogContent.js collectCategories).
+create or replace function private.newsletter_categories(p_categories text[])
+returns text[]
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select coalesce(array_agg(distinct c.category order by c.category), '{}')
+  from unnest(coalesce(p_categories, '{}')) as requested(name)
+  join (
+    select distinct p.category
+    from public.posts p
+    where p.is_published
+      and (p.published_at is null or p.published_at <= now())
+      and coalesce(btrim(p.category), '') <> ''
+  ) c on c.category = btrim(requested.name)
+$$;
+
+-- ---------- public API (anonymous) ----------
+
+-- Start (or restart) a subscription. Always returns nothing, so the answer
+-- doesn't reveal whether the address is subscribed. An active subscription is
+-- left alone: its categories change through the manage link, which proves the
+-- reader owns the address.
+create or replace function public.subscribe_newsletter(p_email text, p_categories text[] default '{}')
+returns void
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_email text := lower(btrim(coalesce(p_email, '')));
+begin
+  if v_email !~ '^[^@\s]+@[^@\s]+\.[^@\s]{2,}$' or length(v_email) > 254 then
+    raise exception 'Enter a valid email address' using errcode = '22023';
+  end if;
+  if cardinality(coalesce(p_categories, '{}')) > 50 then
+    raise exception 'Too many categories' using errcode = '22023';
+  end if;
+  if private.over_rate_limit('newsletter', 10) then
+    raise exception 'Too many sign-ups, try again later' using errcode = '54000';
+  end if;
+
+  insert into private.newsletter_subscribers as s (email, categories, confirmation_requested_at)
+  values (v_email, private.newsletter_categories(p_categories), now())
+  on conflict (email) do update
+    set categories = excluded.categories,
+        status = 'pending',
+        confirmation_requested_at = now(),
+        confirmation_sent_at = null,
+        updated_at = now()
+    where s.status <> 'active'
+      -- At most one confirmation email per address every 10 minutes.
+      and (s.confirmation_sent_at is null or s.confirmation_sent_at < now() - interval '10 minutes');
+end;
+$$;
+
+-- Activate the subscription a confirm link is for. Returns the subscription
+-- and a manage token, so the confirmation page can offer preferences at once.
+-- Confirming twice is harmless; an unknown or expired link raises P0002.
+create or replace function public.confirm_newsletter_subscription(p_token text)
+returns table (email text, categories text[], status text, manage_token text)
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_id uuid := private.newsletter_token_subscriber(p_token, 'confirm');
+begin
+  update private.newsletter_subscribers s
+  set status = 'active',
+      confirmed_at = coalesce(s.confirmed_at, now()),
+      -- Digests start with posts published from now on (also after a
+      -- re-subscribe, rather than catching up on the time away).
+      last_digest_at = case
+        when s.last_digest_at is null or s.unsubscribed_at is not null then now()
+        else s.last_digest_at
+      end,
+      unsubscribed_at = null,
+      updated_at = now()
+  where s.id = v_id and s.status = 'pending';
+
+  return query
+    select s.email, s.categories, s.status, private.newsletter_manage_token(s.id)
+    from private.newsletter_subscribers s
+    where s.id = v_id and s.status = 'active';
+
+  if not found then
+    raise exception 'This confirmation link is invalid or has expired' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+create or replace function public.get_newsletter_subscription(p_token text)
+returns table (email text, categories text[], status text)
+language plpgsql
+stable
+security definer
+set search_path = ''
+as $$
+declare
+  v_id uuid := private.newsletter_token_subscriber(p_token, 'manage');
+begin
+  return query
+    select s.email, s.categories, s.status
+    from private.newsletter_subscribers s
+    where s.id = v_id and s.status <> 'pending';
+
+  if not found then
+    raise exception 'This link is invalid' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+-- Change categories (empty = all). The manage link came from the reader's
+-- inbox, so this also re-subscribes an address that had unsubscribed.
+create or replace function public.update_newsletter_subscription(p_token text, p_categories text[] default '{}')
+returns table (email text, categories text[], status text)
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_id uuid := private.newsletter_token_subscriber(p_token, 'manage');
+begin
+  if cardinality(coalesce(p_categories, '{}')) > 50 then
+    raise exception 'Too many categories' using errcode = '22023';
+  end if;
+
+  return query
+    update private.newsletter_subscribers s
+    set categories = private.newsletter_categories(p_categories),
+        status = 'active',
+        last_digest_at = case when s.status = 'unsubscribed' then now() else s.last_digest_at end,
+        unsubscribed_at = null,
+        updated_at = now()
+    where s.id = v_id and s.status <> 'pending'
+    returning s.email, s.categories, s.status;
+
+  if not found then
+    raise exception 'This link is invalid' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+create or replace function public.unsubscribe_newsletter(p_token text)
+returns table (email text, categories text[], status text)
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+declare
+  v_id uuid := private.newsletter_token_subscriber(p_token, 'manage');
+begin
+  return query
+    update private.newsletter_subscribers s
+    set status = 'unsubscribed',
+        unsubscribed_at = coalesce(s.unsubscribed_at, now()),
+        updated_at = now()
+    where s.id = v_id and s.status <> 'pending'
+    returning s.email, s.categories, s.status;
+
+  if not found then
+    raise exception 'This link is invalid' using errcode = 'P0002';
+  end if;
+end;
+$$;
+
+-- ---------- mailer API (service role only) ----------
+
+-- Pending subscriptions still waiting for their confirmation email, with the
+-- link token. Requests nobody confirmed within 30 days are dropped here.
+create or replace function public.newsletter_confirmations_due()
+returns table (id uuid, email text, categories text[], confirm_token text)
+language plpgsql
+volatile
+security definer
+set search_path = ''
+as $$
+begin
+  delete from private.newsletter_subscribers s
+  where s.status = 'pending' and s.confirmation_requested_at < now() - interval '30 days';
+
+  return query
+    select s.id, s.email, s.categories, private.newsletter_confirm_token(s.id)
+    from private.newsletter_subscribers s
+    where s.status = 'pending' and s.confirmation_sent_at is null
+    order by s.confirmation_requested_at;
+end;
+$$;
+
+create or replace function public.mark_newsletter_confirmations_sent(p_ids uuid[])
+returns void
+language sql
+volatile
+security definer
+set search_path = ''
+as $$
+  update private.newsletter_subscribers s
+  set confirmation_sent_at = now()
+  where s.id = any(p_ids) and s.status = 'pending'
+$$;
+
+-- Active subscribers, with what the digest needs: their categories, when
+-- their last digest went out and the token for the manage link.
+create or replace function public.newsletter_recipients()
+returns table (id uuid, email text, categories text[], last_digest_at timestamptz, manage_token text)
+language sql
+stable
+security definer
+set search_path = ''
+as $$
+  select s.id, s.email, s.categories, coalesce(s.last_digest_at, s.confirmed_at), private.newsletter_manage_token(s.id)
+  from private.newsletter_subscribers s
+  where s.status = 'active'
+  order by s.confirmed_at
+$$;
+
+-- `p_sent_at` is the cut-off the digest was built with, not the send time, so
+-- a post published while the mailer ran goes into the next one.
+create or replace function public.mark_newsletter_digest_sent(p_ids uuid[], p_sent_at timestamptz)
+returns void
+language sql
+volatile
+security definer
+set search_path = ''
+as $$
+  update private.newsletter_subscribers s
+  set last_digest_at = p_sent_at
+  where s.id = any(p_ids) and s.status = 'active'
+$$;
+
+revoke all on table private.newsletter_subscribers from public, anon, authenticated;
+revoke all on table private.newsletter_secret from public, anon, authenticated;
+
+revoke all on function private.sign_newsletter(text) from public;
+revoke all on function private.newsletter_confirm_token(uuid, interval) from public;
+revoke all on function private.newsletter_manage_token(uuid) from public;
+revoke all on function private.newsletter_token_subscriber(text, text) from public;
+revoke all on function private.newsletter_categories(text[]) from public;
+revoke all on function public.subscribe_newsletter(text, text[]) from public;
+revoke all on function public.confirm_newsletter_subscription(text) from public;
+revoke all on function public.get_newsletter_subscription(text) from public;
+revoke all on function public.update_newsletter_subscription(text, text[]) from public;
+revoke all on function public.unsubscribe_newsletter(text) from public;
+revoke all on function public.newsletter_confirmations_due() from public;
+revoke all on function public.mark_newsletter_confirmations_sent(uuid[]) from public;
+revoke all on function public.newsletter_recipients() from public;
+revoke all on function public.mark_newsletter_digest_sent(uuid[], timestamptz) from public;
+
+grant execute on function public.subscribe_newsletter(text, text[]) to anon, authenticated;
+grant execute on function public.confirm_newsletter_subscription(text) to anon, authenticated;
+grant execute on function public.get_newsletter_subscription(text) to anon, authenticated;
+grant execute on function public.update_newsletter_subscription(text, text[]) to anon, authenticated;
+grant execute on function public.unsubscribe_newsletter(text) to anon, authenticated;
+grant execute on function public.newsletter_confirmations_due() to service_role;
+grant execute on function public.mark_newsletter_confirmations_sent(uuid[]) to service_role;
+grant execute on function public.newsletter_recipients() to service_role;
+grant execute on function public.mark_newsletter_digest_sent(uuid[], timestamptz) to service_role;
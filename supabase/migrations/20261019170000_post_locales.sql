@@ -0,0 +1,178 @@
+-- Insights in more than one language.
+--
+-- Every post is written in one `locale` (the languages js/i18n.js has
+-- interface messages for). A translation points at the post it translates
+-- through `translation_of`; the original and its translations form one group,
+-- one post per language. post.html and the pre-rendered pages link the group
+-- together ("Read in Español", hreflang alternates) and blogs.html can filter
+-- by language.
+--
+-- For example, from the SQL editor:
+--   update public.posts
+--   set locale = 'es', translation_of = 'dashboards-that-answer-one-question'
+--   where slug = 'tableros-que-responden-una-pregunta';
+
+create schema if not exists private;
+
+alter table public.posts
+  add column if not exists locale text not null default 'en',
+  add column if not exists translation_of text;
+
+alter table public.posts drop constraint if exists posts_locale_check;
+alter table public.posts
+  add constraint posts_locale_check check (locale in ('en', 'es'));
+
+-- Renaming the original follows through; deleting it leaves the
+-- translations standing on their own.
+alter table public.posts drop constraint if exists posts_translation_of_fkey;
+alter table public.posts
+  add constraint posts_translation_of_fkey foreign key (translation_of)
+    references public.posts (slug)
+    on update cascade
+    on delete set null;
+
+alter table public.posts drop constraint if exists posts_translation_of_check;
+alter table public.posts
+  add constraint posts_translation_of_check check (translation_of <> slug);
+
+-- One translation per language.
+create unique index if not exists posts_translation_locale_key
+  on public.posts (translation_of, locale)
+  where translation_of is not null;
+
+create index if not exists posts_locale_idx on public.posts (locale);
+
+-- Groups stay one level deep: a translation names the original, never
+-- another translation, and is in a different language from it. An original
+-- with translations can't itself become a translation.
+create or replace function private.check_post_translation()
+returns trigger
+language plpgsql
+security definer
+set search_path = ''
+as $$
+declare
+  v_original public.posts%rowtype;
+begin
+  if new.translation_of is null then
+    return new;
+  end if;
+
+  select * into v_original from public.posts p where p.slug = new.translation_of;
+  if not found then
+    -- The foreign key reports it.
+    return new;
+  end if;
+
+  if v_original.translation_of is not null then
+    raise exception '"%" is itself a translation of "%"', v_original.slug, v_original.translation_of
+      using errcode = '23514';
+  end if;
+
+  if v_original.locale = new.locale then
+    raise exception 'A translation must be in a different language from "%"', v_original.slug
+      using errcode = '23514';
+  end if;
+
+  if exists (select 1 from public.posts p where p.translation_of = new.slug) then
+    raise exception '"%" has translations of its own', new.slug
+      using errcode = '23514';
+  end if;
+
+  return new;
+end;
+$$;
+
+revoke all on function private.check_post_translation() from public;
+
+drop trigger if exists posts_check_translation on public.posts;
+create trigger posts_check_translation
+  before insert or update of translation_of, locale on public.posts
+  for each row execute function private.check_post_translation();
+
+-- post_summaries (see *_post_summaries.sql through *_authors.sql) gains the
+-- language columns, appended so the existing columns keep their positions.
+create or replace view public.post_summaries
+with (security_invoker = true) as
+select
+  p.title,
+  p.slug,
+  p.published_at,
+  p.category,
+  p.tags,
+  p.author,
+  p.is_published,
+  p.content,
+  left(p.content, 1200) as content_preview,
+  case
+    when coalesce(btrim(p.content), '') = '' then null
+    else greatest(
+      1,
+      round(
+        array_length(
+          regexp_split_to_array(
+            btrim(regexp_replace(p.content, '<[^>]*>|&[a-z#0-9]+;', ' ', 'gi')),
+            '\s+'
+          ),
+          1
+        ) / 220.0
+      )
+    )::int
+  end as reading_minutes,
+  p.search_vector,
+  coalesce(e.view_count, 0) as view_count,
+  coalesce(e.helpful_count, 0) as helpful_count,
+  p.series,
+  p.series_part,
+  p.author_slugs,
+  p.locale,
+  p.translation_of
+from public.posts p
+left join public.post_engagement e on e.slug = p.slug;
+
+grant select on public.post_summaries to anon, authenticated;
+
+-- Previews (see *_scheduled_posts_and_previews.sql) carry the language too,
+-- so the draft is marked up in it. The return type changes, so the function
+-- is dropped and re-created.
+drop function if exists public.get_post_preview(text, text);
+
+create function public.get_post_preview(p_slug text, p_token text)
+returns table (
+  title text,
+  slug text,
+  content text,
+  published_at timestamptz,
+  category text,
+  tags text[],
+  author text,
+  is_published boolean,
+  locale text
+)
+language plpgsql
+stable
+security definer
+set search_path = ''
+as $$
+declare
+  v_expires bigint;
+begin
+  if p_token is null or p_token !~ '^[0-9]+\.[A-Za-z0-9_-]+$' then
+    return;
+  end if;
+
+  v_expires := split_part(p_token, '.', 1)::bigint;
+  if v_expires < extract(epoch from now())
+     or split_part(p_token, '.', 2) <> private.sign_preview(p_slug, v_expires) then
+    return;
+  end if;
+
+  return query
+    select p.title, p.slug, p.content, p.published_at, p.category, p.tags, p.author, p.is_published, p.locale
+    from public.posts p
+    where p.slug = p_slug;
+end;
+$$;
+
+revoke all on function public.get_post_preview(text, text) from public;
+grant execute on function public.get_post_preview(text, text) to anon, authenticated;
@@ -0,0 +1,218 @@
+// sw.js
+// Service worker for offline reading of insights.
+//
+//  - Site shell (pages, js/, key assets): precached on install.
+//  - Page navigations and js/ modules: network first, cached copy when
+//    offline. Modules import each other, so serving a stale one next to a
+//    fresh page (or a fresh one next to a stale one) would break after a
+//    deploy.
+//  - Other same-origin assets: stale-while-revalidate.
+//  - CDN libraries (Tailwind, supabase-js, marked, DOMPurify, highlight.js,
+//    fonts): stale-while-revalidate, so cached pages still render offline.
+//  - Supabase `posts` / `post_summaries` / `authors` reads:
+//    stale-while-revalidate. When a cached result is served and the network
+//    is unreachable, the page gets an `insights-cache` message so it can say
+//    it's showing cached insights (see js/serviceWorker.js).
+//
+// Bump CACHE_VERSION to drop every cache from an older worker.
+
+const CACHE_VERSION = 'v31';
+const SHELL_CACHE = `muro-shell-${CACHE_VERSION}`;
+const CDN_CACHE = `muro-cdn-${CACHE_VERSION}`;
+const DATA_CACHE = `muro-insights-data-${CACHE_VERSION}`;
+
+// Oldest entries beyond this are dropped from the data cache.
+const MAX_DATA_ENTRIES = 80;
+
+const SHELL_URLS = [
+  '/',
+  '/index.html',
+  '/blogs.html',
+  '/post.html',
+  '/author.html',
+  '/growth_and_engagement.html',
+  '/data_technology.html',
+  '/operations_systems.html',
+  '/js/config.js',
+  '/js/analytics.js',
+  '/js/consent.js',
+  '/js/contactForm.js',
+  '/js/contactOutbox.js',
+  '/js/intakeQuestions.js',
+  '/js/supabaseClient.js',
+  '/js/blog.js',
+  '/js/blogContent.js',
+  '/js/contentBlocks.js',
+  '/js/codeHighlight.js',
+  '/js/printExport.js',
+  '/js/newsletter.js',
+  '/css/print.css',
+  '/js/blogSearch.js',
+  '/js/insightsApi.js',
+  '/js/postEngagement.js',
+  '/js/postSeries.js',
+  '/js/modalDialog.js',
+  '/js/postAuthors.js',
+  '/js/postCards.js',
+  '/js/authorPage.js',
+  '/js/postToc.js',
+  '/js/serviceWorker.js',
+  '/js/i18n.js',
+  '/js/locales/en.js',
+  '/js/locales/es.js',
+  '/js/postTranslations.js',
+  '/js/languageSwitcher.js',
+  '/js/siteChrome.js',
+  '/js/tailwindConfig.js',
+  '/assets/favicon-32.png?v=3',
+  '/assets/landing-icon.png',
+];
+
+const CDN_HOSTS = [
+  'cdn.tailwindcss.com',
+  'cdn.jsdelivr.net',
+  'fonts.googleapis.com',
+  'fonts.gstatic.com',
+];
+
+// Tables whose public reads are cached.
+const DATA_PATHS = ['/rest/v1/posts', '/rest/v1/post_summaries', '/rest/v1/authors'];
+
+// ---------- lifecycle ----------
+
+self.addEventListener('install', event => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE).then(cache =>
+      // One missing file shouldn't block installing the rest.
+      Promise.all(SHELL_URLS.map(url => cache.add(url).catch(err => {
+        console.warn('sw: precache failed for', url, err);
+      })))
+    ).then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', event => {
+  const current = new Set([SHELL_CACHE, CDN_CACHE, DATA_CACHE]);
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key.startsWith('muro-') && !current.has(key))
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// ---------- helpers ----------
+
+async function notifyClient(clientId, message) {
+  if (!clientId) return;
+  const client = await self.clients.get(clientId);
+  if (client) client.postMessage(message);
+}
+
+async function trimCache(cacheName, maxEntries) {
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
+
+// Responses carry the time they were stored, for the "cached at" notice.
+function withCachedAt(response) {
+  const headers = new Headers(response.headers);
+  headers.set('x-sw-cached-at', new Date().toISOString());
+  return response.blob().then(body => new Response(body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers,
+  }));
+}
+
+// Only anonymous reads are shared: an editor's session (admin.html) sends its
+// own JWT and may see drafts, which must never land in the cache.
+function isPublicSupabaseRead(request, url) {
+  if (request.method !== 'GET') return false;
+  if (!url.hostname.endsWith('.supabase.co')) return false;
+  if (!DATA_PATHS.some(path => url.pathname === path)) return false;
+  const apiKey = request.headers.get('apikey');
+  const auth = request.headers.get('authorization');
+  return Boolean(apiKey) && (!auth || auth === `Bearer ${apiKey}`);
+}
+
+// ---------- strategies ----------
+
+async function staleWhileRevalidate(event, cacheName, { onOfflineHit } = {}) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+
+  const network = fetch(request)
+    .then(async response => {
+      if (response.ok || response.type === 'opaque') {
+        const stored = cacheName === DATA_CACHE ? await withCachedAt(response.clone()) : response.clone();
+        await cache.put(request, stored);
+        if (cacheName === DATA_CACHE) await trimCache(DATA_CACHE, MAX_DATA_ENTRIES);
+      }
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {
+      if (onOfflineHit) return onOfflineHit(cached);
+      return undefined;
+    }));
+    return cached;
+  }
+  return network;
+}
+
+async function networkFirst(event, cacheName) {
+  const { request } = event;
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) await cache.put(request, response.clone());
+    return response;
+  } catch (err) {
+    // post.html?slug=… falls back to the cached post.html shell.
+    const cached = await cache.match(request) || await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+// ---------- routing ----------
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (isPublicSupabaseRead(request, url)) {
+    event.respondWith(staleWhileRevalidate(event, DATA_CACHE, {
+      onOfflineHit: cached => notifyClient(event.clientId, {
+        type: 'insights-cache',
+        table: url.pathname.split('/').pop(),
+        cachedAt: cached.headers.get('x-sw-cached-at'),
+      }),
+    }));
+    return;
+  }
+
+  if (url.origin === self.location.origin) {
+    // Newsletter links carry a personal token and only work online anyway:
+    // keep them out of the cache.
+    if (url.pathname === '/newsletter.html') return;
+    if (request.mode === 'navigate' || url.pathname.startsWith('/js/')) {
+      event.respondWith(networkFirst(event, SHELL_CACHE));
+    } else if (url.pathname.startsWith('/assets/')) {
+      event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+    }
+    return;
+  }
+
+  if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(event, CDN_CACHE));
+  }
+});
@@ -0,0 +1,153 @@
+// a11y.test.mjs
+// blogs.html under jsdom with the mock Supabase client (js/mockSupabase.js):
+// the insight card grid and the post dialog (js/postCards.js,
+// js/modalDialog.js) checked with axe-core, plus the keyboard behaviour
+// axe can't see (arrow keys across the grid, focus trap, focus return).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { createRequire } from 'node:module';
+
+import { JSDOM } from 'jsdom';
+import { marked } from 'marked';
+import createDOMPurify from 'dompurify';
+
+const require = createRequire(import.meta.url);
+const root = new URL('../', import.meta.url);
+const readRepoFile = path => readFile(new URL(path.replace(/^\//, ''), root), 'utf8');
+
+// ---------- page ----------
+
+// The page's own scripts are loaded by hand below (CDN globals, then blog.js).
+const html = (await readRepoFile('blogs.html')).replace(/<script[\s\S]*?<\/script>/g, '');
+const dom = new JSDOM(html, { url: 'http://localhost/blogs.html', pretendToBeVisual: true, runScripts: 'outside-only' });
+const { window } = dom;
+
+// The site's modules expect browser globals.
+for (const key of ['window', 'document', 'localStorage', 'sessionStorage', 'history', 'location', 'getComputedStyle',
+  'HTMLElement', 'Node', 'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent', 'IntersectionObserver']) {
+  if (key in window) globalThis[key] = window[key];
+}
+Object.defineProperty(globalThis, 'navigator', { value: window.navigator, configurable: true });
+globalThis.requestAnimationFrame = window.requestAnimationFrame = cb => setTimeout(cb, 0);
+globalThis.cancelAnimationFrame = window.cancelAnimationFrame = clearTimeout;
+globalThis.fetch = window.fetch = async url => {
+  const body = await readRepoFile(new URL(url, window.location.href).pathname);
+  return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+};
+window.marked = globalThis.marked = marked;
+window.DOMPurify = globalThis.DOMPurify = createDOMPurify(window);
+
+// Analytics stays off and the page logs its render diagnostics; keep the
+// output to the test results.
+localStorage.setItem('muro_analytics_consent', JSON.stringify({ status: 'denied', version: 1 }));
+console.info = console.debug = console.warn = () => {};
+
+window.eval(await readRepoFile('js/mockSupabase.js'));
+window.supabaseClient = window.createMockSupabaseClient({ postsUrl: '/scripts/fixtures/posts.json' });
+window.eval(await readFile(require.resolve('axe-core/axe.min.js'), 'utf8'));
+
+await import('../js/blog.js');
+document.dispatchEvent(new window.Event('DOMContentLoaded'));
+
+// ---------- helpers ----------
+
+async function waitFor(check, what, timeout = 3000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// Colour contrast needs real layout and the Tailwind styles, neither of which
+// jsdom has.
+async function axeViolations(context) {
+  const results = await window.axe.run(context, { rules: { 'color-contrast': { enabled: false } } });
+  return Array.from(results.violations, v => `${v.id}: ${v.nodes.map(n => n.target.join(' ')).join(', ')}`);
+}
+
+function press(key, options = {}) {
+  document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+const cardLinks = () => [...document.querySelectorAll('#blog-posts [data-card-link]')];
+const modal = document.getElementById('blog-modal');
+const panel = document.getElementById('blog-modal-dialog');
+
+await waitFor(() => cardLinks().length > 1, 'the card grid');
+
+// ---------- card grid ----------
+
+test('the card grid has no axe violations', async () => {
+  assert.deepEqual(await axeViolations(document.getElementById('blog-posts')), []);
+});
+
+test('each card is reached through its title link', () => {
+  cardLinks().forEach(link => {
+    assert.ok(link.closest('article h2'), 'link sits in the card heading');
+    assert.ok(link.getAttribute('href'), 'link goes somewhere without script');
+    assert.ok(link.textContent.trim(), 'link has a name');
+  });
+});
+
+test('arrow keys and Home/End move between cards', () => {
+  const links = cardLinks();
+  links[0].focus();
+  press('ArrowRight');
+  assert.equal(document.activeElement, links[1]);
+  press('ArrowLeft');
+  assert.equal(document.activeElement, links[0]);
+  press('End');
+  assert.equal(document.activeElement, links[links.length - 1]);
+  press('Home');
+  assert.equal(document.activeElement, links[0]);
+});
+
+// ---------- dialog ----------
+
+test('opening a card moves focus into the dialog and makes the page inert', async () => {
+  const opener = cardLinks()[1];
+  opener.focus();
+  opener.click();
+  await waitFor(() => !modal.classList.contains('hidden') && panel.contains(document.activeElement), 'the dialog');
+
+  assert.equal(panel.getAttribute('role'), 'dialog');
+  assert.equal(panel.getAttribute('aria-modal'), 'true');
+  assert.ok(document.getElementById(panel.getAttribute('aria-labelledby'))?.textContent.trim(), 'dialog has a title');
+  assert.equal(modal.hasAttribute('aria-hidden'), false);
+
+  const inert = [...document.body.children].filter(el => el.hasAttribute('inert'));
+  assert.ok(inert.length > 0);
+  assert.ok(inert.every(el => !el.contains(modal)));
+});
+
+test('the open dialog has no axe violations', async () => {
+  assert.deepEqual(await axeViolations(modal), []);
+});
+
+test('Tab and Shift+Tab stay inside the dialog', () => {
+  const items = [...panel.querySelectorAll('a[href], button:not([disabled]), summary')]
+    .filter(el => !el.closest('.hidden, [hidden]'));
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  last.focus();
+  press('Tab');
+  assert.equal(document.activeElement, first);
+  press('Tab', { shiftKey: true });
+  assert.equal(document.activeElement, last);
+});
+
+test('Escape closes the dialog and hands focus back to the card', async () => {
+  const opener = cardLinks()[1];
+  press('Escape');
+  await waitFor(() => modal.classList.contains('hidden'), 'the dialog to close');
+
+  assert.equal(modal.getAttribute('aria-hidden'), 'true');
+  assert.equal(document.querySelectorAll('[inert]').length, 0);
+  assert.equal(document.activeElement, opener);
+});
@@ -0,0 +1,249 @@
+// blogContent.test.mjs
+// The shared content pipeline (js/blogContent.js) under jsdom, with the same
+// marked/DOMPurify setup the build scripts use (scripts/lib/nodeEnv.mjs).
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseFragment, setupContentEnvironment } from '../scripts/lib/nodeEnv.mjs';
+import {
+  createExcerpt,
+  decodeHtmlEntities,
+  escapeHtml,
+  estimateReadingTime,
+  getRelatedPosts,
+  looksLikeHtml,
+  parseSupabaseDate,
+  parseSupabaseTimestamp,
+  renderPostContent,
+  slugify,
+} from '../js/blogContent.js';
+import { addHeadingAnchors } from '../js/postToc.js';
+import { withLocale } from '../js/i18n.js';
+
+setupContentEnvironment();
+
+// decodeHtmlEntities warns about content that's still escaped; keep the
+// output readable.
+console.warn = () => {};
+
+function render(raw, options) {
+  return parseFragment(renderPostContent(raw, options));
+}
+
+// ---------- escaping ----------
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(
+    escapeHtml(`<a href="x" title='y'>Tom & Jerry</a>`),
+    '&lt;a href=&quot;x&quot; title=&#39;y&#39;&gt;Tom &amp; Jerry&lt;/a&gt;',
+  );
+  assert.equal(escapeHtml(null), '');
+  assert.equal(escapeHtml(42), '42');
+});
+
+test('decodeHtmlEntities undoes single and repeated escaping', () => {
+  assert.equal(decodeHtmlEntities('&lt;p&gt;Hello&lt;/p&gt;'), '<p>Hello</p>');
+  assert.equal(decodeHtmlEntities('&amp;lt;p&amp;gt;Hi&amp;lt;/p&amp;gt;'), '<p>Hi</p>');
+  assert.equal(decodeHtmlEntities('&amp;amp;lt;em&amp;amp;gt;'), '<em>');
+  assert.equal(decodeHtmlEntities('Fish &amp; chips'), 'Fish & chips');
+  assert.equal(decodeHtmlEntities(undefined), '');
+});
+
+test('looksLikeHtml tells HTML from Markdown', () => {
+  assert.equal(looksLikeHtml('<p>Hi</p>'), true);
+  assert.equal(looksLikeHtml('## Hi\n\nSome *text*'), false);
+  assert.equal(looksLikeHtml('a < b and c > d'), false);
+});
+
+// ---------- rendering and sanitizing ----------
+
+test('renderPostContent parses Markdown', () => {
+  const body = render('## Budget basics\n\nStart with **one** number.');
+  assert.equal(body.querySelector('h2').textContent, 'Budget basics');
+  assert.equal(body.querySelector('p strong').textContent, 'one');
+});
+
+test('renderPostContent keeps stored HTML as HTML, even when escaped twice', () => {
+  const body = render('&amp;lt;h2&amp;gt;Plan&amp;lt;/h2&amp;gt;&amp;lt;p&amp;gt;Text&amp;lt;/p&amp;gt;');
+  assert.equal(body.querySelector('h2').textContent, 'Plan');
+  assert.equal(body.querySelector('p').textContent, 'Text');
+});
+
+test('renderPostContent strips scripts, handlers and javascript: URLs', () => {
+  const html = renderPostContent(
+    '<p onclick="steal()">Hi</p><script>alert(1)</script>' +
+    '<img src="x.png" onerror="alert(1)"><a href="javascript:alert(1)">link</a>',
+  );
+  assert.doesNotMatch(html, /<script/i);
+  assert.doesNotMatch(html, /onclick|onerror/i);
+  assert.doesNotMatch(html, /javascript:/i);
+  const body = parseFragment(html);
+  assert.equal(body.querySelector('p').textContent, 'Hi');
+  assert.equal(body.querySelector('a').textContent, 'link');
+});
+
+test('renderPostContent sanitizes Markdown output too', () => {
+  const body = render('Read [this](javascript:alert(1)) and [that](https://example.org/).');
+  const links = [...body.querySelectorAll('a')];
+  assert.equal(links.length, 2);
+  assert.equal(links[0].getAttribute('href'), null);
+  assert.equal(links[1].getAttribute('href'), 'https://example.org/');
+});
+
+test('renderPostContent leaves markup alone with sanitize: false', () => {
+  assert.match(renderPostContent('<p onclick="x()">Hi</p>', { sanitize: false }), /onclick/);
+});
+
+test('renderPostContent handles empty content', () => {
+  assert.equal(renderPostContent(null), '');
+  assert.equal(renderPostContent('   ').trim(), '');
+});
+
+// ---------- content blocks ----------
+
+test('figures can carry a srcset, and only figures keep one', () => {
+  const body = render('![Chart](c.png "figure c-800.png 800w, c-1600.png 1600w")\n\n:::note\nText\n:::');
+  const img = body.querySelector('figure.content-figure img');
+  assert.equal(img.getAttribute('srcset'), 'c-800.png 800w, c-1600.png 1600w');
+  assert.ok(img.getAttribute('sizes'));
+  assert.equal(img.getAttribute('loading'), 'lazy');
+
+  const stored = render('<p><img src="a.png" srcset="a2.png 2x"></p><figure class="content-figure"><img src="b.png" srcset="b2.png 2x"></figure>');
+  assert.equal(stored.querySelector('p img').hasAttribute('srcset'), false);
+  assert.equal(stored.querySelector('figure img').getAttribute('srcset'), 'b2.png 2x');
+});
+
+test('embeds keep allowlisted players only, and only as embeds', () => {
+  const body = render(':::embed https://youtu.be/dQw4w9WgXcQ\nTalk\n:::');
+  assert.equal(body.querySelector('figure.content-embed iframe').getAttribute('src'), 'https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ');
+
+  const stored = render(
+    '<figure class="content-embed"><iframe src="https://evil.example/x"></iframe></figure>' +
+    '<div class="resource-card"><iframe src="https://www.youtube-nocookie.com/embed/dQw4w9WgXcQ"></iframe></div>',
+  );
+  assert.equal(stored.querySelector('figure.content-embed iframe'), null);
+  assert.equal(stored.querySelectorAll('iframe').length, 1, 'a bare allowlisted iframe is an embed of its own');
+});
+
+test('default callout and embed titles follow the locale', () => {
+  const raw = ':::tip\nText\n:::\n\n:::embed https://youtu.be/dQw4w9WgXcQ\n:::';
+  const en = render(raw);
+  assert.equal(en.querySelector('.callout-title').textContent, 'Tip');
+  assert.equal(en.querySelector('iframe').getAttribute('title'), 'YouTube video');
+
+  const es = withLocale('es', () => render(raw));
+  assert.equal(es.querySelector('.callout-title').textContent, 'Consejo');
+  assert.equal(es.querySelector('iframe').getAttribute('title'), 'Vídeo de YouTube');
+  assert.equal(withLocale('es', () => render(':::tip Ojo\nText\n:::')).querySelector('.callout-title').textContent, 'Ojo');
+});
+
+test('block attributes stay inside their block', () => {
+  const body = render('<p><a href="x.pdf" download>Plain</a></p><div class="resource-card"><a href="y.pdf" download>Card</a></div>');
+  assert.equal(body.querySelector('p a').hasAttribute('download'), false);
+  assert.equal(body.querySelector('.resource-card a').hasAttribute('download'), true);
+});
+
+test('stored HTML cannot fake a block placeholder', () => {
+  const body = render('<span data-content-block="x:0">fake</span><figure class="content-figure"><img src="a.png"></figure>');
+  assert.equal(body.textContent.includes('fake'), false);
+  assert.ok(body.querySelector('figure.content-figure img'));
+});
+
+// ---------- headings ----------
+
+test('addHeadingAnchors gives headings unique, stable IDs', () => {
+  const body = render('## Grants & Funding 101\n\n### Café budgets\n\n## Grants & Funding 101\n\n#### Too deep');
+  const headings = addHeadingAnchors(body);
+
+  assert.deepEqual(headings, [
+    { id: 'grants-funding-101', text: 'Grants & Funding 101', level: 2 },
+    { id: 'cafe-budgets', text: 'Café budgets', level: 3 },
+    { id: 'grants-funding-101-2', text: 'Grants & Funding 101', level: 2 },
+  ]);
+  assert.equal(body.querySelector('h4').id, '');
+  assert.equal(body.querySelector('#cafe-budgets .heading-anchor').getAttribute('href'), '#cafe-budgets');
+
+  // Running again (a pre-rendered page) keeps the IDs and adds no anchors.
+  assert.deepEqual(addHeadingAnchors(body).map(h => h.id), headings.map(h => h.id));
+  assert.equal(body.querySelectorAll('.heading-anchor').length, 3);
+});
+
+test('addHeadingAnchors keeps unique author IDs and skips empty headings', () => {
+  const body = render('<h2 id="start">Intro</h2><h2 id="start">Again</h2><h3></h3>');
+  assert.deepEqual(addHeadingAnchors(body).map(h => h.id), ['start', 'again']);
+});
+
+test('slugify folds accents and punctuation', () => {
+  assert.equal(slugify('Grants &amp; Funding 101'), 'grants-funding-101');
+  assert.equal(slugify('  ¿Qué tal?  '), 'que-tal');
+  assert.equal(slugify(null), '');
+});
+
+// ---------- text helpers ----------
+
+test('estimateReadingTime and createExcerpt read the plain text', () => {
+  const words = Array.from({ length: 440 }, () => 'word').join(' ');
+  assert.equal(estimateReadingTime(`<p>${words}</p>`), '2 min read');
+  assert.equal(estimateReadingTime('<p>few words</p>'), '1 min read');
+  assert.equal(estimateReadingTime(''), '');
+
+  assert.equal(createExcerpt('<p>Short   <b>text</b></p>'), 'Short text');
+  assert.equal(createExcerpt(`<p>${words}</p>`, 9), 'word word…');
+});
+
+// ---------- dates ----------
+
+test('parseSupabaseDate keeps the calendar day regardless of timezone', () => {
+  for (const value of ['2024-10-03', '2024-10-03T00:00:00+00:00', '2024-10-03 23:30:00-07', '2024-10-03T00:00:00Z']) {
+    const dt = parseSupabaseDate(value);
+    assert.deepEqual([dt.getFullYear(), dt.getMonth(), dt.getDate()], [2024, 9, 3], value);
+  }
+});
+
+test('parseSupabaseDate rejects overflowed and malformed dates', () => {
+  assert.equal(parseSupabaseDate('2024-02-30'), null);
+  assert.equal(parseSupabaseDate('2023-02-29'), null);
+  assert.ok(parseSupabaseDate('2024-02-29'));
+  assert.equal(parseSupabaseDate('03/10/2024'), null);
+  assert.equal(parseSupabaseDate(''), null);
+  assert.equal(parseSupabaseDate(new Date('nope')), null);
+});
+
+test('parseSupabaseTimestamp reads Postgres and ISO timestamps as instants', () => {
+  const expected = Date.UTC(2024, 9, 3, 9, 30);
+  assert.equal(parseSupabaseTimestamp('2024-10-03 09:30:00+00').getTime(), expected);
+  assert.equal(parseSupabaseTimestamp('2024-10-03T11:30:00+02:00').getTime(), expected);
+  assert.equal(parseSupabaseTimestamp('not a date'), null);
+});
+
+// ---------- related posts ----------
+
+const POSTS = [
+  { slug: 'current', category: 'Grants', tags: ['Budget', 'Planning'], published_at: '2024-05-01' },
+  { slug: 'two-tags', category: 'Data', tags: ['budget', 'planning'], published_at: '2023-01-01' },
+  { slug: 'one-tag-same-category', category: 'Grants', tags: ['planning'], published_at: '2024-01-01' },
+  { slug: 'same-category', category: 'grants', tags: [], published_at: '2024-04-01' },
+  { slug: 'unrelated', category: 'Ops', tags: ['hiring'], published_at: '2024-06-01' },
+];
+
+test('getRelatedPosts ranks shared tags over a shared category', () => {
+  assert.deepEqual(
+    getRelatedPosts(POSTS[0], POSTS).map(p => p.slug),
+    ['two-tags', 'one-tag-same-category', 'same-category'],
+  );
+  assert.deepEqual(getRelatedPosts(POSTS[0], POSTS, 1).map(p => p.slug), ['two-tags']);
+});
+
+test('getRelatedPosts falls back to the newest other posts', () => {
+  const current = { slug: 'lonely', category: 'Misc', tags: ['none'] };
+  const shuffled = [POSTS[1], POSTS[4], POSTS[2], POSTS[3]];
+  assert.deepEqual(
+    getRelatedPosts(current, shuffled, 2).map(p => p.slug),
+    ['unrelated', 'same-category'],
+  );
+  assert.deepEqual(getRelatedPosts(null, POSTS), []);
+  assert.deepEqual(getRelatedPosts(current, []), []);
+});
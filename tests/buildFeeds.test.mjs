@@ -0,0 +1,145 @@
+// buildFeeds.test.mjs
+// scripts/buildFeeds.mjs against the fixture posts (scripts/fixtures/posts.json):
+// the RSS, Atom and JSON feeds for the whole site and per category, written
+// to a temporary directory.
+//
+//   npm test
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { JSDOM } from 'jsdom';
+
+import { buildFeeds } from '../scripts/buildFeeds.mjs';
+import { createFixtureSource } from '../scripts/lib/postsSource.mjs';
+
+const fixturePath = new URL('../scripts/fixtures/posts.json', import.meta.url).pathname;
+const siteUrl = 'https://example.org';
+
+const outDir = await mkdtemp(join(tmpdir(), 'muro-feeds-'));
+after(() => rm(outDir, { recursive: true, force: true }));
+
+const build = (dir, options = {}) => buildFeeds({
+  source: createFixtureSource(fixturePath, options),
+  outDir: dir,
+  siteUrl,
+  categories: true,
+  log: () => {},
+});
+
+const result = await build(outDir);
+
+const read = path => readFile(join(outDir, path), 'utf8');
+
+// jsdom's XML parser throws on anything that isn't well-formed.
+function parseXml(xml) {
+  return new JSDOM(xml, { contentType: 'application/xml' }).window.document;
+}
+
+const texts = (doc, tag) => Array.from(doc.getElementsByTagName(tag), el => el.textContent);
+
+const postLinks = slugs => slugs.map(slug => `${siteUrl}/insights/${slug}/`);
+
+// ---------- site feeds ----------
+
+const published = [
+  'building-a-grant-calendar',
+  'tableros-que-responden-una-pregunta',
+  'dashboards-that-answer-one-question',
+  'capital-campaign-basics',
+];
+
+test('RSS lists the published posts, newest first, at absolute URLs', async () => {
+  const doc = parseXml(await read('feed.xml'));
+  const items = Array.from(doc.getElementsByTagName('item'));
+
+  assert.equal(result.items, published.length);
+  assert.deepEqual(items.map(item => texts(item, 'link')[0]), postLinks(published));
+  assert.deepEqual(items.map(item => texts(item, 'guid')[0]), postLinks(published));
+  assert.equal(texts(doc, 'link')[0], `${siteUrl}/blogs.html`);
+  assert.equal(doc.getElementsByTagName('atom:link')[0].getAttribute('href'), `${siteUrl}/feed.xml`);
+});
+
+test('Atom lists the same entries with alternate links and a self link', async () => {
+  const doc = parseXml(await read('atom.xml'));
+  const entries = Array.from(doc.getElementsByTagName('entry'));
+
+  assert.deepEqual(entries.map(entry => texts(entry, 'id')[0]), postLinks(published));
+  assert.deepEqual(
+    entries.map(entry => entry.querySelector('link[rel="alternate"]').getAttribute('href')),
+    postLinks(published),
+  );
+  assert.equal(doc.querySelector('feed > link[rel="self"]').getAttribute('href'), `${siteUrl}/atom.xml`);
+});
+
+test('JSON Feed is valid JSON Feed 1.1 with the same items', async () => {
+  const feed = JSON.parse(await read('feed.json'));
+
+  assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(feed.home_page_url, `${siteUrl}/blogs.html`);
+  assert.equal(feed.feed_url, `${siteUrl}/feed.json`);
+  assert.deepEqual(feed.items.map(item => item.url), postLinks(published));
+  assert.deepEqual(feed.items.map(item => item.id), postLinks(published));
+});
+
+test('drafts stay out of every feed', async () => {
+  for (const file of ['feed.xml', 'atom.xml', 'feed.json']) {
+    assert.doesNotMatch(await read(file), /operations-checklist-draft/, file);
+  }
+  assert.ok(!result.categories.includes('operations-systems'));
+});
+
+test('posts scheduled after the build time stay out', async () => {
+  const dir = join(outDir, 'scheduled');
+  const early = await build(dir, { now: new Date('2024-09-15T00:00:00Z') });
+  const feed = JSON.parse(await readFile(join(dir, 'feed.json'), 'utf8'));
+
+  assert.equal(early.items, 2);
+  assert.deepEqual(feed.items.map(item => item.url),
+    postLinks(['dashboards-that-answer-one-question', 'capital-campaign-basics']));
+  assert.doesNotMatch(await readFile(join(dir, 'feed.xml'), 'utf8'), /building-a-grant-calendar|tableros/);
+});
+
+// ---------- content ----------
+
+test('text is XML-escaped and post HTML uses absolute URLs', async () => {
+  const rss = await read('feed.xml');
+  const doc = parseXml(rss);
+
+  // Outside CDATA, the ampersand in the category name is always escaped.
+  assert.match(rss, /<category>Data &amp; Technology<\/category>/);
+  assert.doesNotMatch(rss.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, ''), /&(?!amp;|lt;|gt;|quot;|apos;|#)/);
+  assert.ok(texts(doc, 'category').includes('Data & Technology'));
+
+  // Relative links in the Markdown resolve against the site.
+  const [calendar] = Array.from(doc.getElementsByTagName('item'));
+  const html = texts(calendar, 'content:encoded')[0];
+  assert.match(html, /href="https:\/\/example\.org\/growth_and_engagement\.html"/);
+  assert.doesNotMatch(html, /href="(?!https?:|mailto:|#)/);
+
+  const feed = JSON.parse(await read('feed.json'));
+  assert.match(feed.items[0].content_html, /href="https:\/\/example\.org\/growth_and_engagement\.html"/);
+});
+
+// ---------- category feeds ----------
+
+test('each category gets its own feeds with only its posts', async () => {
+  assert.deepEqual([...result.categories].sort(), ['data-technology', 'grants']);
+
+  const grants = JSON.parse(await read('feeds/grants/feed.json'));
+  assert.equal(grants.feed_url, `${siteUrl}/feeds/grants/feed.json`);
+  assert.deepEqual(grants.items.map(item => item.url),
+    postLinks(['building-a-grant-calendar', 'capital-campaign-basics']));
+
+  const data = parseXml(await read('feeds/data-technology/feed.xml'));
+  assert.ok(texts(data, 'title')[0].startsWith('Data & Technology'));
+  assert.deepEqual(texts(data, 'guid'),
+    postLinks(['tableros-que-responden-una-pregunta', 'dashboards-that-answer-one-question']));
+
+  const atom = parseXml(await read('feeds/data-technology/atom.xml'));
+  assert.equal(atom.querySelector('feed > link[rel="self"]').getAttribute('href'),
+    `${siteUrl}/feeds/data-technology/atom.xml`);
+});
@@ -0,0 +1,101 @@
+// buildPages.test.mjs
+// scripts/buildPages.mjs against the fixture posts (scripts/fixtures/posts.json):
+// the pre-rendered insight pages and sitemap.xml, written to a temporary
+// directory.
+//
+//   npm test
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { JSDOM } from 'jsdom';
+
+import { buildPages } from '../scripts/buildPages.mjs';
+import { createFixtureSource } from '../scripts/lib/postsSource.mjs';
+
+const fixturePath = new URL('../scripts/fixtures/posts.json', import.meta.url).pathname;
+const siteUrl = 'https://example.org';
+
+const outDir = await mkdtemp(join(tmpdir(), 'muro-pages-'));
+after(() => rm(outDir, { recursive: true, force: true }));
+
+const result = await buildPages({
+  source: createFixtureSource(fixturePath),
+  outDir,
+  siteUrl,
+  log: () => {},
+});
+
+const read = path => readFile(join(outDir, path), 'utf8');
+
+// Scripts never run; only the markup the build wrote is inspected.
+async function loadPage(slug) {
+  return new JSDOM(await read(join('insights', slug, 'index.html'))).window.document;
+}
+
+// ---------- page ----------
+
+test('the page carries its own canonical URL', async () => {
+  const doc = await loadPage('building-a-grant-calendar');
+  const url = `${siteUrl}/insights/building-a-grant-calendar/`;
+
+  assert.equal(doc.querySelector('link[rel="canonical"]').getAttribute('href'), url);
+  assert.equal(doc.querySelector('meta[property="og:url"]').getAttribute('content'), url);
+  assert.equal(JSON.parse(doc.querySelector('script[type="application/ld+json"]').textContent).url, url);
+  assert.match(doc.title, /^Building a Grant Calendar/i);
+  assert.equal(doc.getElementById('post-article').dataset.prerendered, 'true');
+});
+
+test('every link on the page resolves from /insights/<slug>/', async () => {
+  const doc = await loadPage('building-a-grant-calendar');
+  const urls = [
+    ...Array.from(doc.querySelectorAll('link[href], a[href]'), el => el.getAttribute('href')),
+    ...Array.from(doc.querySelectorAll('script[src], img[src]'), el => el.getAttribute('src')),
+  ];
+
+  assert.ok(urls.length);
+  urls.forEach(url => assert.match(url, /^(\/|#|https?:|mailto:|tel:)/, url));
+
+  // Scripts, the stylesheet and the page's own modules come from the site root.
+  assert.ok(doc.querySelector('script[src="/js/siteChrome.js"]'));
+  assert.ok(doc.querySelector('link[href="/css/print.css"]'));
+  const module = doc.querySelector('script[type="module"]:not([src])').textContent;
+  assert.doesNotMatch(module, /from\s+['"]\.\//);
+  assert.match(module, /from '\/js\/blogContent\.js'/);
+
+  // Prev/next and series links point at the other pre-rendered pages.
+  assert.equal(doc.querySelector('#post-prev a').getAttribute('href'), '/insights/capital-campaign-basics/');
+  assert.deepEqual(Array.from(doc.querySelectorAll('#post-series-list a'), a => a.getAttribute('href')),
+    ['/insights/capital-campaign-basics/']);
+
+  // Relative links in the Markdown resolve against the site root.
+  assert.ok(doc.querySelector('#post-content a[href="/growth_and_engagement.html"]'));
+});
+
+test('only published posts get pages', async () => {
+  assert.equal(result.pages, 4);
+  await assert.rejects(access(join(outDir, 'insights', 'operations-checklist-draft', 'index.html')));
+});
+
+// ---------- sitemap ----------
+
+test('the sitemap lists the page with its publication date', async () => {
+  const sitemap = await read('sitemap.xml');
+  const doc = new JSDOM(sitemap, { contentType: 'application/xml' }).window.document;
+  const entries = Array.from(doc.getElementsByTagName('url'), url => ({
+    loc: url.getElementsByTagName('loc')[0].textContent,
+    lastmod: url.getElementsByTagName('lastmod')[0]?.textContent,
+  }));
+  const locs = entries.map(entry => entry.loc);
+
+  assert.equal(entries.length, result.sitemap);
+  assert.deepEqual(entries.find(entry => entry.loc === `${siteUrl}/insights/building-a-grant-calendar/`),
+    { loc: `${siteUrl}/insights/building-a-grant-calendar/`, lastmod: '2024-10-03' });
+  assert.ok(locs.includes(`${siteUrl}/`));
+  assert.ok(!locs.includes(`${siteUrl}/post.html`));
+  assert.ok(!locs.some(loc => loc.includes('operations-checklist-draft')));
+  locs.forEach(loc => assert.ok(loc.startsWith(`${siteUrl}/`), loc));
+});
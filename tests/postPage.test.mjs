@@ -0,0 +1,133 @@
+// postPage.test.mjs
+// A pre-rendered insight page (scripts/buildPages.mjs) under jsdom with the
+// mock Supabase client (js/mockSupabase.js): post.html's own script runs on
+// top of the built page at /insights/<slug>/ and rewrites its prev/next,
+// sidebar, series and "Read in …" links, which have to resolve from there
+// too.
+//
+//   npm test
+
+import { after, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { pathToFileURL } from 'node:url';
+
+import { JSDOM } from 'jsdom';
+import { marked } from 'marked';
+import createDOMPurify from 'dompurify';
+
+import { buildPages } from '../scripts/buildPages.mjs';
+import { createFixtureSource } from '../scripts/lib/postsSource.mjs';
+
+const root = new URL('../', import.meta.url);
+const readRepoFile = path => readFile(new URL(path.replace(/^\//, ''), root), 'utf8');
+
+const outDir = await mkdtemp(join(tmpdir(), 'muro-post-page-'));
+await buildPages({
+  source: createFixtureSource(new URL('scripts/fixtures/posts.json', root).pathname),
+  outDir,
+  log: () => {},
+});
+after(() => rm(outDir, { recursive: true, force: true }));
+
+// Analytics stays off and the page logs its render diagnostics; keep the
+// output to the test results.
+console.info = console.debug = console.warn = () => {};
+
+// ---------- page ----------
+
+let loads = 0;
+
+// The built page at `url`, with its inline module run against the repo's
+// js/ and the page globals set the way the browser would (CDN scripts, the
+// mock client).
+async function loadPage(url) {
+  const { pathname } = new URL(url);
+  const slug = pathname.split('/').filter(Boolean).pop();
+  const html = await readFile(join(outDir, 'insights', slug, 'index.html'), 'utf8');
+  const module = html.match(/<script type="module">([\s\S]*?)<\/script>/)[1];
+  const dom = new JSDOM(html.replace(/<script( type="module")?( src="[^"]*")?>[\s\S]*?<\/script>/g, ''), {
+    url,
+    pretendToBeVisual: true,
+    runScripts: 'outside-only',
+  });
+  const { window } = dom;
+
+  for (const key of ['window', 'document', 'localStorage', 'sessionStorage', 'history', 'location', 'getComputedStyle',
+    'HTMLElement', 'Node', 'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent']) {
+    globalThis[key] = window[key];
+  }
+  Object.defineProperty(globalThis, 'navigator', { value: window.navigator, configurable: true });
+  globalThis.IntersectionObserver = window.IntersectionObserver = class {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+  };
+  globalThis.requestAnimationFrame = window.requestAnimationFrame = cb => setTimeout(cb, 0);
+  globalThis.fetch = window.fetch = async resource => {
+    const body = await readRepoFile(new URL(resource, window.location.href).pathname);
+    return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+  };
+  window.marked = globalThis.marked = marked;
+  window.DOMPurify = globalThis.DOMPurify = createDOMPurify(window);
+  localStorage.setItem('muro_analytics_consent', JSON.stringify({ status: 'denied', version: 1 }));
+
+  window.eval(await readRepoFile('js/mockSupabase.js'));
+  window.supabaseClient = window.createMockSupabaseClient({ postsUrl: '/scripts/fixtures/posts.json' });
+
+  // Module specifiers are root-relative on built pages (rebaseTemplate).
+  const file = join(outDir, `page-${++loads}.mjs`);
+  await writeFile(file, module.replace(/(from\s+['"])\/js\//g, `$1${new URL('js/', root).href}`));
+  await import(pathToFileURL(file).href);
+  document.dispatchEvent(new window.Event('DOMContentLoaded'));
+  return window;
+}
+
+async function waitFor(check, what, timeout = 3000) {
+  const started = Date.now();
+  while (!check()) {
+    if (Date.now() - started > timeout) throw new Error(`timed out waiting for ${what}`);
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+// Where each link under `selector` actually goes from the current page.
+function resolvedPaths(selector) {
+  return [...document.querySelectorAll(`${selector} a[href]`)].map(link => {
+    const url = new URL(link.getAttribute('href'), window.location.href);
+    return `${url.pathname}${url.search}`;
+  });
+}
+
+// A live post.html link or a pre-rendered page; nothing under the current
+// insight's directory.
+function assertSitePaths(paths) {
+  assert.ok(paths.length, 'there are links to check');
+  paths.forEach(path => assert.match(path, /^\/(post\.html\?slug=[\w-]+|insights\/[\w-]+\/)$/));
+}
+
+// ---------- links ----------
+
+test('prev/next and sidebar links resolve from /insights/<slug>/', async () => {
+  await loadPage('http://localhost/insights/building-a-grant-calendar/');
+  await waitFor(() => document.querySelector('#post-nav a[href*="slug="]'), 'the live prev/next links');
+
+  assertSitePaths(resolvedPaths('#post-nav'));
+  assert.deepEqual(resolvedPaths('#post-prev'), ['/post.html?slug=capital-campaign-basics']);
+  assertSitePaths(resolvedPaths('#sidebar-more'));
+});
+
+test('series links resolve from /insights/<slug>/', () => {
+  assert.deepEqual(resolvedPaths('#post-series-list'), ['/post.html?slug=capital-campaign-basics']);
+});
+
+test('translation links resolve from /insights/<slug>/', async () => {
+  // Another insight opened through ?slug= on a pre-rendered page is fetched
+  // and rendered live, translations included.
+  await loadPage('http://localhost/insights/dashboards-that-answer-one-question/?slug=tableros-que-responden-una-pregunta');
+  await waitFor(() => document.querySelector('#post-translations a[href*="slug="]'), 'the translation links');
+
+  assert.deepEqual(resolvedPaths('#post-translations'), ['/post.html?slug=dashboards-that-answer-one-question']);
+});
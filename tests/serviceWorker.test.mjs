@@ -0,0 +1,23 @@
+// serviceWorker.test.mjs
+// sw.js precaches the site shell on install; every URL in it has to be a file
+// that's actually deployed.
+//
+//   npm test
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { access, readFile } from 'node:fs/promises';
+
+const root = new URL('../', import.meta.url);
+
+test('every shell URL is a file in the repo', async () => {
+  const source = await readFile(new URL('sw.js', root), 'utf8');
+  const list = source.match(/const SHELL_URLS = \[([\s\S]*?)\];/)[1];
+  const urls = Array.from(list.matchAll(/'([^']+)'/g), match => match[1]);
+
+  assert.ok(urls.length);
+  for (const url of urls) {
+    const path = new URL(url, 'https://example.org/').pathname.replace(/^\//, '') || 'index.html';
+    await assert.doesNotReject(access(new URL(decodeURI(path), root)), url);
+  }
+});